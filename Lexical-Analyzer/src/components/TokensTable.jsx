@@ -38,7 +38,7 @@ export default function TokensTable({ tokens }) {
                 {token.line}
               </td>
               <td className="px-2 sm:px-4 md:px-6 py-2 sm:py-3 text-center border-r border-gray-200 dark:border-gray-700">
-                <span className={`px-2 sm:px-3 py-1 sm:py-1.5 rounded-md text-xs font-semibold inline-block ${getTokenTypeColor(token.type)} whitespace-nowrap`}>
+                <span className={`px-2 sm:px-3 py-1 sm:py-1.5 rounded-md text-xs font-semibold inline-block ${getTokenTypeColor(token.type)} whitespace-nowrap`} title={token.message || token.tokenType}>
                   {token.type}
                 </span>
               </td>
@@ -4,7 +4,10 @@
  * =========================================
  */
 
-export const TOKEN_TYPES = {
+import { TOKEN_TYPES } from '../../../shared/tokenTypes.js';
+
+// Coarse categories shown in the token table and legend.
+export const TOKEN_CATEGORIES = {
   KEYWORD_PROGRAM: 'KW_P',
   KEYWORD_DATATYPE: 'KW_T',
   KEYWORD_LOOP: 'KW_L',
@@ -34,47 +37,117 @@ export const TOKEN_TYPES = {
   DELIMITER_SEMICOLON: 'DEL_SEMI',
   DELIMITER: 'DEL',
   STRING_INSERTION: 'SIS',
-  COMMENT_SINGLE: 'CMT',
-  COMMENT_MULTI: 'CMT',
+  COMMENT: 'CMT',
   UNKNOWN: 'UNK',
   ERROR: 'ERR',
 };
 
-export const KEYWORDS = {
-  function: TOKEN_TYPES.KEYWORD_PROGRAM,
-  start: TOKEN_TYPES.KEYWORD_START,
-  end: TOKEN_TYPES.KEYWORD_END,
-  echo: TOKEN_TYPES.KEYWORD_PROGRAM,
-  input: TOKEN_TYPES.KEYWORD_PROGRAM,
-  return: TOKEN_TYPES.KEYWORD_RESERVED,
-  struct: TOKEN_TYPES.KEYWORD_RESERVED,
-  data: TOKEN_TYPES.KEYWORD_RESERVED,
-  number: TOKEN_TYPES.KEYWORD_DATATYPE,
-  decimal: TOKEN_TYPES.KEYWORD_DATATYPE,
-  string: TOKEN_TYPES.KEYWORD_DATATYPE,
-  boolean: TOKEN_TYPES.KEYWORD_DATATYPE,
-  list: TOKEN_TYPES.KEYWORD_DATATYPE,
-  for: TOKEN_TYPES.KEYWORD_LOOP,
-  while: TOKEN_TYPES.KEYWORD_LOOP,
-  do: TOKEN_TYPES.KEYWORD_LOOP,
-  if: TOKEN_TYPES.KEYWORD_CONDITIONAL,
-  else: TOKEN_TYPES.KEYWORD_CONDITIONAL,
-  then: TOKEN_TYPES.KEYWORD_CONDITIONAL,
-  switch: TOKEN_TYPES.KEYWORD_CONDITIONAL,
-  case: TOKEN_TYPES.KEYWORD_CONDITIONAL,
-  default: TOKEN_TYPES.KEYWORD_CONDITIONAL,
-  null: TOKEN_TYPES.KEYWORD_RESERVED,
-  true: TOKEN_TYPES.BOOLEAN_LITERAL,
-  false: TOKEN_TYPES.BOOLEAN_LITERAL,
-  continue: TOKEN_TYPES.KEYWORD_RESERVED,
-  break: TOKEN_TYPES.KEYWORD_RESERVED,
-  new: TOKEN_TYPES.KEYWORD_RESERVED,
-  this: TOKEN_TYPES.KEYWORD_RESERVED,
-  with: TOKEN_TYPES.NOISE_WORD,
-  to: TOKEN_TYPES.NOISE_WORD,
-  by: TOKEN_TYPES.NOISE_WORD,
+const C = TOKEN_CATEGORIES;
+
+// Maps every token type of the shared scanner onto the category it is displayed under.
+// Built-in function names are ordinary identifiers to the lexer, so they share ID.
+const CATEGORY_BY_TYPE = {
+  [TOKEN_TYPES.KEYWORD_START]: C.KEYWORD_START,
+  [TOKEN_TYPES.KEYWORD_END]: C.KEYWORD_END,
+  [TOKEN_TYPES.KEYWORD_ECHO]: C.KEYWORD_PROGRAM,
+  [TOKEN_TYPES.KEYWORD_INPUT]: C.KEYWORD_PROGRAM,
+  [TOKEN_TYPES.KEYWORD_FUNCTION]: C.KEYWORD_PROGRAM,
+
+  [TOKEN_TYPES.KEYWORD_NUMBER]: C.KEYWORD_DATATYPE,
+  [TOKEN_TYPES.KEYWORD_DECIMAL]: C.KEYWORD_DATATYPE,
+  [TOKEN_TYPES.KEYWORD_STRING]: C.KEYWORD_DATATYPE,
+  [TOKEN_TYPES.KEYWORD_BOOLEAN]: C.KEYWORD_DATATYPE,
+  [TOKEN_TYPES.KEYWORD_LIST]: C.KEYWORD_DATATYPE,
+  [TOKEN_TYPES.RESERVED_VOID]: C.KEYWORD_DATATYPE,
+
+  [TOKEN_TYPES.KEYWORD_FOR]: C.KEYWORD_LOOP,
+  [TOKEN_TYPES.KEYWORD_WHILE]: C.KEYWORD_LOOP,
+  [TOKEN_TYPES.KEYWORD_DO]: C.KEYWORD_LOOP,
+
+  [TOKEN_TYPES.KEYWORD_IF]: C.KEYWORD_CONDITIONAL,
+  [TOKEN_TYPES.KEYWORD_ELSE]: C.KEYWORD_CONDITIONAL,
+  [TOKEN_TYPES.KEYWORD_SWITCH]: C.KEYWORD_CONDITIONAL,
+  [TOKEN_TYPES.KEYWORD_CASE]: C.KEYWORD_CONDITIONAL,
+  [TOKEN_TYPES.KEYWORD_DEFAULT]: C.KEYWORD_CONDITIONAL,
+
+  [TOKEN_TYPES.RESERVED_NULL]: C.KEYWORD_RESERVED,
+  [TOKEN_TYPES.RESERVED_CONTINUE]: C.KEYWORD_RESERVED,
+  [TOKEN_TYPES.RESERVED_BREAK]: C.KEYWORD_RESERVED,
+  [TOKEN_TYPES.RESERVED_RETURN]: C.KEYWORD_RESERVED,
+  [TOKEN_TYPES.RESERVED_NEW]: C.KEYWORD_RESERVED,
+  [TOKEN_TYPES.RESERVED_THIS]: C.KEYWORD_RESERVED,
+  [TOKEN_TYPES.RESERVED_AT]: C.KEYWORD_RESERVED,
+  [TOKEN_TYPES.RESERVED_DATA]: C.KEYWORD_RESERVED,
+  [TOKEN_TYPES.RESERVED_STRUCT]: C.KEYWORD_RESERVED,
+  [TOKEN_TYPES.RESERVED_TRUE]: C.BOOLEAN_LITERAL,
+  [TOKEN_TYPES.RESERVED_FALSE]: C.BOOLEAN_LITERAL,
+
+  [TOKEN_TYPES.BUILTIN_SUM]: C.IDENTIFIER,
+  [TOKEN_TYPES.BUILTIN_MEDIAN]: C.IDENTIFIER,
+  [TOKEN_TYPES.BUILTIN_MODE]: C.IDENTIFIER,
+  [TOKEN_TYPES.BUILTIN_AVERAGE]: C.IDENTIFIER,
+  [TOKEN_TYPES.BUILTIN_ISEVEN]: C.IDENTIFIER,
+  [TOKEN_TYPES.BUILTIN_ISODD]: C.IDENTIFIER,
+
+  [TOKEN_TYPES.NOISE_WITH]: C.NOISE_WORD,
+  [TOKEN_TYPES.NOISE_TO]: C.NOISE_WORD,
+  [TOKEN_TYPES.NOISE_BY]: C.NOISE_WORD,
+
+  [TOKEN_TYPES.IDENTIFIER]: C.IDENTIFIER,
+  [TOKEN_TYPES.NUMBER_LITERAL]: C.NUMBER_LITERAL,
+  [TOKEN_TYPES.DECIMAL_LITERAL]: C.DECIMAL_LITERAL,
+  [TOKEN_TYPES.STRING_LITERAL]: C.STRING_LITERAL,
+
+  [TOKEN_TYPES.OP_ASSIGN]: C.ASSIGNMENT_OP,
+  [TOKEN_TYPES.OP_ADD_ASSIGN]: C.ASSIGNMENT_OP,
+  [TOKEN_TYPES.OP_SUB_ASSIGN]: C.ASSIGNMENT_OP,
+  [TOKEN_TYPES.OP_MUL_ASSIGN]: C.ASSIGNMENT_OP,
+  [TOKEN_TYPES.OP_DIV_ASSIGN]: C.ASSIGNMENT_OP,
+  [TOKEN_TYPES.OP_MOD_ASSIGN]: C.ASSIGNMENT_OP,
+  [TOKEN_TYPES.OP_EXP_ASSIGN]: C.ASSIGNMENT_OP,
+
+  [TOKEN_TYPES.OP_ADD]: C.ARITHMETIC_OP,
+  [TOKEN_TYPES.OP_SUB]: C.ARITHMETIC_OP,
+  [TOKEN_TYPES.OP_MUL]: C.ARITHMETIC_OP,
+  [TOKEN_TYPES.OP_DIV]: C.ARITHMETIC_OP,
+  [TOKEN_TYPES.OP_INT_DIV]: C.ARITHMETIC_OP,
+  [TOKEN_TYPES.OP_MOD]: C.ARITHMETIC_OP,
+  [TOKEN_TYPES.OP_EXP]: C.ARITHMETIC_OP,
+
+  [TOKEN_TYPES.OP_INC]: C.UNARY_OP,
+  [TOKEN_TYPES.OP_DEC]: C.UNARY_OP,
+
+  [TOKEN_TYPES.OP_EQ]: C.RELATIONAL_OP,
+  [TOKEN_TYPES.OP_NEQ]: C.RELATIONAL_OP,
+  [TOKEN_TYPES.OP_LT]: C.RELATIONAL_OP,
+  [TOKEN_TYPES.OP_GT]: C.RELATIONAL_OP,
+  [TOKEN_TYPES.OP_LTE]: C.RELATIONAL_OP,
+  [TOKEN_TYPES.OP_GTE]: C.RELATIONAL_OP,
+
+  [TOKEN_TYPES.OP_NOT]: C.LOGICAL_OP,
+  [TOKEN_TYPES.OP_AND]: C.LOGICAL_OP,
+  [TOKEN_TYPES.OP_OR]: C.LOGICAL_OP,
+
+  [TOKEN_TYPES.DEL_LPAREN]: C.DELIMITER_LEFT_PAREN,
+  [TOKEN_TYPES.DEL_RPAREN]: C.DELIMITER_RIGHT_PAREN,
+  [TOKEN_TYPES.DEL_LBRACK]: C.DELIMITER_LEFT_BRACKET,
+  [TOKEN_TYPES.DEL_RBRACK]: C.DELIMITER_RIGHT_BRACKET,
+  [TOKEN_TYPES.DEL_LBRACE]: C.DELIMITER_LEFT_BRACE,
+  [TOKEN_TYPES.DEL_RBRACE]: C.DELIMITER_RIGHT_BRACE,
+  [TOKEN_TYPES.DEL_COLON]: C.DELIMITER_COLON,
+  [TOKEN_TYPES.DEL_COMMA]: C.DELIMITER_COMMA,
+  [TOKEN_TYPES.DEL_SEMICOLON]: C.DELIMITER_SEMICOLON,
+  [TOKEN_TYPES.DEL_PERIOD]: C.DELIMITER,
+
+  [TOKEN_TYPES.SIS_MARKER]: C.STRING_INSERTION,
+  [TOKEN_TYPES.COMMENT_SINGLE]: C.COMMENT,
+  [TOKEN_TYPES.COMMENT_MULTI]: C.COMMENT,
+  [TOKEN_TYPES.UNKNOWN]: C.UNKNOWN,
+  [TOKEN_TYPES.ERROR]: C.ERROR,
 };
 
+export const getTokenCategory = (type) => CATEGORY_BY_TYPE[type] || C.UNKNOWN;
+
 const TOKEN_COLOR_CLASSES = {
   KW_P: 'bg-indigo-100 text-indigo-800',
   KW_T: 'bg-blue-100 text-blue-800',
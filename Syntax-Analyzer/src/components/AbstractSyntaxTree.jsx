@@ -9,7 +9,7 @@ import React, { memo, useState, useCallback} from 'react';
 import { 
   FileText, ChevronRight, ChevronDown, Code, Braces, 
   Package, Square, Layers, GitBranch, Terminal, 
-  Type, Box, List as ListIcon, Play, Zap
+  Type, Box, List as ListIcon, Play, Zap, AlertTriangle, CircleDashed
 } from 'lucide-react';
 
 /* AST Configuration
@@ -19,14 +19,14 @@ Aligns with ASTBuilder.js output and FORMAL_GRAMMAR.md.
 */
 const AST_CONFIG = {
   // Program Structure
-  ECHO_PROGRAM: { color: 'text-blue-600 dark:text-blue-400', icon: Package, children: ['statements'] },
+  ECHO_PROGRAM: { color: 'text-blue-600 dark:text-blue-400', icon: Package, children: ['missingStart', 'statements', 'missingEnd'] },
   STMT_LIST: { color: 'text-gray-500 dark:text-gray-400', icon: Layers, children: ['statements'] },
   
   // Declarations
   DECLARATION_STMT: { color: 'text-emerald-600 dark:text-emerald-400', icon: Box, children: ['dataType', 'declList'] },
   DECL_LIST: { color: 'text-emerald-500 dark:text-emerald-300', icon: ListIcon, children: ['items'] },
   DECL_ITEM: { color: 'text-emerald-600 dark:text-emerald-400', icon: Square, children: ['identifier', 'assignmentOp', 'value', 'size'] },
-  DATA_TYPE: { color: 'text-teal-600 dark:text-teal-400', icon: Type, children: [] },
+  DATA_TYPE: { color: 'text-teal-600 dark:text-teal-400', icon: Type, children: ['elementType'] },
   
   // Input/Output
   INPUT_STMT: { color: 'text-indigo-600 dark:text-indigo-400', icon: Terminal, children: ['target', 'assignmentOp', 'expression'] },
@@ -36,8 +36,8 @@ const AST_CONFIG = {
   ASSIGNMENT_OP: { color: 'text-orange-500 dark:text-orange-300', icon: Code, children: [] },
 
   // Control Flow
-  IF_STMT: { color: 'text-rose-600 dark:text-rose-400', icon: GitBranch, children: ['condition', 'thenBody', 'elseIfs', 'elseBody'] },
-  SWITCH_STMT: { color: 'text-rose-600 dark:text-rose-400', icon: GitBranch, children: ['expression', 'cases', 'defaultBlock'] },
+  IF_STMT: { color: 'text-rose-600 dark:text-rose-400', icon: GitBranch, children: ['condition', 'thenBody', 'elseIfs', 'elseBody', 'missingEnd'] },
+  SWITCH_STMT: { color: 'text-rose-600 dark:text-rose-400', icon: GitBranch, children: ['expression', 'cases', 'defaultBlock', 'missingEnd'] },
   CASE_BLOCK: { color: 'text-rose-500 dark:text-rose-300', icon: Square, children: ['value', 'body'] },
   DEFAULT_BLOCK: { color: 'text-rose-400 dark:text-rose-200', icon: Square, children: ['body'] },
   ELSE_IF_BLOCK: { color: 'text-rose-500 dark:text-rose-300', icon: GitBranch, children: ['condition', 'body'] },
@@ -45,19 +45,19 @@ const AST_CONFIG = {
   JUMP_STMT: { color: 'text-yellow-600 dark:text-yellow-400', icon: Play, children: [] },
 
   // Loops
-  FOR_LOOP: { color: 'text-amber-600 dark:text-amber-400', icon: Braces, children: ['iterator', 'start', 'end', 'step', 'body'] },
-  WHILE_LOOP: { color: 'text-amber-600 dark:text-amber-400', icon: Braces, children: ['condition', 'body'] },
-  DO_WHILE_LOOP: { color: 'text-amber-600 dark:text-amber-400', icon: Braces, children: ['body', 'condition'] },
+  FOR_LOOP: { color: 'text-amber-600 dark:text-amber-400', icon: Braces, children: ['iterator', 'start', 'end', 'step', 'body', 'missingEnd'] },
+  WHILE_LOOP: { color: 'text-amber-600 dark:text-amber-400', icon: Braces, children: ['condition', 'body', 'missingEnd'] },
+  DO_WHILE_LOOP: { color: 'text-amber-600 dark:text-amber-400', icon: Braces, children: ['body', 'condition', 'missingEnd'] },
   STEP_CLAUSE: { color: 'text-amber-500 dark:text-amber-300', icon: Code, children: ['value'] },
 
   // Functions
-  FUNCTION_DEF: { color: 'text-purple-600 dark:text-purple-400', icon: Code, children: ['returnType', 'name', 'parameters', 'body', 'returnStatement'] },
+  FUNCTION_DEF: { color: 'text-purple-600 dark:text-purple-400', icon: Code, children: ['returnType', 'name', 'parameters', 'body', 'returnStatement', 'missingEnd'] },
   PARAM_LIST: { color: 'text-purple-500 dark:text-purple-300', icon: ListIcon, children: ['params'] },
   PARAM: { color: 'text-purple-400 dark:text-purple-200', icon: Square, children: ['dataType', 'name'] },
   RETURN_STMT: { color: 'text-purple-600 dark:text-purple-400', icon: Play, children: ['value'] },
   FUNCTION_CALL: { color: 'text-violet-600 dark:text-violet-400', icon: Code, children: ['function', 'arguments'] },
   ARG_LIST: { color: 'text-violet-500 dark:text-violet-300', icon: ListIcon, children: ['args'] },
-  RETURN_TYPE: { color: 'text-purple-500 dark:text-purple-300', icon: Type, children: ['dataType'] },
+  RETURN_TYPE: { color: 'text-purple-500 dark:text-purple-300', icon: Type, children: ['dataType', 'elementType'] },
   
   // Built-in Functions
   BUILTIN_FUNCTION_CALL: { color: 'text-fuchsia-600 dark:text-fuchsia-400', icon: Zap, children: ['builtin', 'arguments'] },
@@ -96,7 +96,12 @@ const AST_CONFIG = {
   SCHEMA_BINDING: { color: 'text-emerald-600 dark:text-emerald-400', icon: GitBranch, children: ['identifier', 'dataType', 'bindingClause'] },
   BINDING_CLAUSE: { color: 'text-emerald-500 dark:text-emerald-300', icon: Code, children: [] },
   FIELD_ACCESS: { color: 'text-teal-600 dark:text-teal-400', icon: Code, children: ['object', 'field'] },
+  NEW_STRUCT: { color: 'text-emerald-700 dark:text-emerald-500', icon: Package, children: ['struct'] },
   MEMBER_ACCESS: { color: 'text-teal-600 dark:text-teal-400', icon: Code, children: ['object', 'member'] },
+
+  // Error Recovery
+  ERROR: { color: 'text-red-600 dark:text-red-400', icon: AlertTriangle, children: [] },
+  MISSING: { color: 'text-red-500 dark:text-red-300', icon: CircleDashed, children: [] },
 };
 
 // Default fallback for unknown nodes
@@ -140,6 +145,13 @@ const getNodeId = (node, path) => `${path}_${node.type || 'unknown'}`;
 // Intelligently gets a short display name for a node
 const getDisplayName = (node) => {
   if (!node) return '';
+
+  // Recovery nodes show the skipped source or what was expected
+  if (node.type === 'ERROR') {
+    const text = (node.tokens || []).map(token => token.lexeme).join(' ');
+    return text.length > 30 ? `${text.slice(0, 30)}…` : text;
+  }
+  if (node.type === 'MISSING') return `expected ${node.expected}`;
   
   // Special handling for Declaration Statements to show variables defined
   if (node.type === 'DECLARATION_STMT' && node.declList?.items) {
@@ -205,7 +217,7 @@ const getGrammarRule = (nodeType) => {
     'DECLARATION_STMT': '<data_type> <decl_list>',
     'DECL_LIST': '<decl_item> { "," <decl_item> }',
     'DECL_ITEM': '<identifier> | <identifier> "=" <expression> | <identifier> "[" <number_lit> "]" | <identifier> "=" <list_lit>',
-    'DATA_TYPE': '"number" | "decimal" | "string" | "boolean" | "list"',
+    'DATA_TYPE': '"number" | "decimal" | "string" | "boolean" | "list" | "list" "of" <data_type> | <identifier>',
     
     // E. Assignment Statements
     'ASSIGNMENT_STMT': '<identifier> <assignment_op> <expression> | <list_access> <assignment_op> <expression>',
@@ -408,8 +420,9 @@ const ASTNode = memo(({ node, depth = 0, path, expandedNodes, selectedNode, onTo
 Main AST Display Component
 
 @param {Object} ast - Abstract syntax tree data
+@param {Function} onNodeSelect - Called with the source range of the selected node
 */
-const AbstractSyntaxTree = ({ ast }) => {
+const AbstractSyntaxTree = ({ ast, onNodeSelect }) => {
   const [expandedNodes, setExpandedNodes] = useState(new Set());
   const [selectedNodeId, setSelectedNodeId] = useState(null);
   const [selectedNodeData, setSelectedNodeData] = useState(null);
@@ -426,7 +439,8 @@ const AbstractSyntaxTree = ({ ast }) => {
   const handleSelect = useCallback((node, path) => {
     setSelectedNodeId(getNodeId(node, path));
     setSelectedNodeData(node);
-  }, []);
+    if (onNodeSelect && node.range) onNodeSelect(node.range);
+  }, [onNodeSelect]);
 
   const handleExpandAll = () => {
     if (!ast) return;
@@ -537,7 +551,25 @@ const AbstractSyntaxTree = ({ ast }) => {
                   </div>
                 )}
 
-                {selectedNodeData.token && (
+                {selectedNodeData.type === 'ERROR' && selectedNodeData.message && (
+                  <div>
+                    <label className="text-xs font-bold text-gray-500 uppercase tracking-wider">Error</label>
+                    <div className="mt-1 text-sm text-red-600 dark:text-red-400">
+                      {selectedNodeData.message}
+                    </div>
+                  </div>
+                )}
+
+                {selectedNodeData.range ? (
+                  <div>
+                    <label className="text-xs font-bold text-gray-500 uppercase tracking-wider">Source Range</label>
+                    <div className="mt-1 flex gap-4 text-sm font-mono text-gray-600 dark:text-gray-400">
+                      <span>{selectedNodeData.range.line}:{selectedNodeData.range.column}</span>
+                      <span>to</span>
+                      <span>{selectedNodeData.range.endLine}:{selectedNodeData.range.endColumn}</span>
+                    </div>
+                  </div>
+                ) : selectedNodeData.token && (
                   <div>
                     <label className="text-xs font-bold text-gray-500 uppercase tracking-wider">Source Position</label>
                     <div className="mt-1 flex gap-4 text-sm font-mono text-gray-600 dark:text-gray-400">
@@ -0,0 +1,164 @@
+import React, { memo, useEffect, useState } from 'react';
+import { Bug, Play, Square, StepForward, ArrowDownToLine, ArrowUpFromLine, Layers } from 'lucide-react';
+
+/*
+Debugger Panel – Step-Through Execution
+
+Shows where a debugged program is paused, its call stack and the variables of each scope,
+with controls to continue, step and stop.
+Depends on React, lucide-react icons.
+*/
+
+const REASON_LABELS = {
+  breakpoint: 'Paused on breakpoint',
+  step: 'Paused after step',
+  entry: 'Paused on entry',
+};
+
+/*
+Debugger Panel Component
+
+@param {Object} debugState - Pause state from the debug session: { line, column, reason, callStack }
+@param {Boolean} debugging - Whether a debug session is running
+@param {Number} breakpointCount - Number of breakpoints set in the editor
+@param {Function} onStep - Called with 'resume', 'stepOver', 'stepInto' or 'stepOut'
+@param {Function} onStop - Stop handler
+@param {Function} onFrameSelect - Called with the line and column of a selected call stack frame
+*/
+const DebuggerPanel = memo(function DebuggerPanel({
+  debugState = null,
+  debugging = false,
+  breakpointCount = 0,
+  onStep,
+  onStop,
+  onFrameSelect,
+}) {
+  const [selectedFrame, setSelectedFrame] = useState(0);
+
+  // Every pause starts out showing the innermost frame
+  useEffect(() => {
+    setSelectedFrame(0);
+  }, [debugState]);
+
+  if (!debugging) {
+    return (
+      <div className="w-full h-full flex flex-col items-center justify-center text-gray-400 min-h-[400px]">
+        <Bug size={48} className="mb-3 opacity-30" />
+        <p className="text-base font-semibold">Debugger is not running</p>
+        <p className="text-sm text-center">
+          {breakpointCount > 0
+            ? `Click "Debug" to run until one of ${breakpointCount} breakpoint(s)`
+            : 'Click a line number to set a breakpoint, or "Debug" to pause on the first statement'}
+        </p>
+      </div>
+    );
+  }
+
+  const paused = debugState !== null;
+  const frames = debugState?.callStack || [];
+  const frame = frames[selectedFrame] || frames[0];
+
+  const controls = [
+    { action: 'resume', label: 'Continue', icon: <Play size={14} /> },
+    { action: 'stepOver', label: 'Step Over', icon: <StepForward size={14} /> },
+    { action: 'stepInto', label: 'Step Into', icon: <ArrowDownToLine size={14} /> },
+    { action: 'stepOut', label: 'Step Out', icon: <ArrowUpFromLine size={14} /> },
+  ];
+
+  /*
+  Show the scopes of a call stack frame and its line in the editor
+
+  @param {Number} index - Frame index, innermost first
+  */
+  const handleFrameClick = (index) => {
+    setSelectedFrame(index);
+    if (onFrameSelect && frames[index]) onFrameSelect(frames[index].line, frames[index].column);
+  };
+
+  return (
+    <div className="w-full p-4 flex flex-col gap-4">
+      {/* Controls */}
+      <div className="flex flex-wrap items-center gap-2">
+        {controls.map(({ action, label, icon }) => (
+          <button
+            key={action}
+            onClick={() => onStep && onStep(action)}
+            disabled={!paused}
+            className="flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium rounded-md bg-emerald-600 hover:bg-emerald-700 dark:bg-violet-600 dark:hover:bg-violet-700 disabled:bg-slate-300 disabled:dark:bg-slate-700 disabled:cursor-not-allowed text-white transition-colors"
+          >
+            {icon}
+            <span>{label}</span>
+          </button>
+        ))}
+        <button
+          onClick={onStop}
+          className="flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium rounded-md bg-red-500 hover:bg-red-600 text-white transition-colors"
+        >
+          <Square size={14} />
+          <span>Stop</span>
+        </button>
+      </div>
+
+      <p className="text-sm font-semibold text-slate-700 dark:text-slate-200">
+        {paused
+          ? `${REASON_LABELS[debugState.reason] || 'Paused'} at line ${debugState.line}`
+          : 'Running...'}
+      </p>
+
+      {paused && (
+        <>
+          {/* Call stack */}
+          <div className="border border-slate-300 dark:border-slate-700 rounded-lg overflow-hidden">
+            <div className="px-4 py-2 bg-slate-100 dark:bg-slate-800 border-b border-slate-300 dark:border-slate-700 flex items-center gap-2">
+              <Layers size={16} className="text-emerald-600 dark:text-violet-400" />
+              <span className="text-sm font-semibold text-slate-700 dark:text-slate-200">Call Stack</span>
+            </div>
+            <ul className="font-mono text-sm">
+              {frames.map((item, index) => (
+                <li key={index}>
+                  <button
+                    onClick={() => handleFrameClick(index)}
+                    className={`w-full text-left px-4 py-1.5 flex justify-between transition-colors ${
+                      index === selectedFrame
+                        ? 'bg-emerald-100 dark:bg-violet-900/40 text-emerald-800 dark:text-violet-200'
+                        : 'text-slate-700 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-800'
+                    }`}
+                  >
+                    <span>{item.name}</span>
+                    <span className="text-slate-500">line {item.line}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          {/* Variables of the selected frame, innermost scope first */}
+          {frame?.scopes.map((scope, index) => (
+            <div key={index} className="border border-slate-300 dark:border-slate-700 rounded-lg overflow-hidden">
+              <div className="px-4 py-2 bg-slate-100 dark:bg-slate-800 border-b border-slate-300 dark:border-slate-700">
+                <span className="text-sm font-semibold text-slate-700 dark:text-slate-200">{scope.name}</span>
+              </div>
+              {scope.variables.length === 0 ? (
+                <p className="px-4 py-2 text-sm text-slate-500 italic">No variables</p>
+              ) : (
+                <table className="w-full font-mono text-sm">
+                  <tbody>
+                    {scope.variables.map((variable) => (
+                      <tr key={variable.name} className="border-t first:border-t-0 border-slate-200 dark:border-slate-700">
+                        <td className="px-4 py-1 text-slate-800 dark:text-slate-100">{variable.name}</td>
+                        <td className="px-4 py-1 text-emerald-700 dark:text-violet-300">{variable.type}</td>
+                        <td className="px-4 py-1 text-slate-600 dark:text-slate-300 break-all">{variable.value}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+});
+
+export default DebuggerPanel;
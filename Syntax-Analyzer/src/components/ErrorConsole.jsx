@@ -1,10 +1,11 @@
 import React, { memo } from 'react';
-import { FileText, CheckCircle2, AlertTriangle, Info, XCircle, AlertCircle } from 'lucide-react';
+import { FileText, CheckCircle2, AlertTriangle, Info, XCircle, AlertCircle, Gauge } from 'lucide-react';
 
 /*
 Error Console – Enhanced Syntax Error Display
 
 Provides comprehensive error reporting with grammar-specific messages and error categorization.
+Programs stopped by an execution limit are listed here too, marked with a gauge.
 Depends on React, lucide-react icons.
 */
 
@@ -105,10 +106,10 @@ const ErrorConsole = memo(function ErrorConsole({ errors, warnings, onErrorClick
                 {displayErrors.map((error, index) => (
                   <tr
                     key={error.id || `error-${index}`}
-                    onClick={() => onErrorClick && onErrorClick(error.line, error.column)}
+                    onClick={() => onErrorClick && onErrorClick(error.line, error.column, error.range)}
                     className={`border-b border-red-200 dark:border-red-800 hover:bg-red-50/50 dark:hover:bg-red-900/20 transition-colors cursor-pointer ${
                       error.severity === 'warning' ? 'bg-yellow-50/30 dark:bg-yellow-900/10' : ''
-                    }`}
+                    } ${error.category === 'Limit' ? 'bg-orange-50/50 dark:bg-orange-900/20' : ''}`}
                     title={`Click to navigate to line ${error.line}, column ${error.column}`}
                   >
                     <td className="px-4 py-3 text-center text-red-900 dark:text-red-200 font-bold border-r border-red-200 dark:border-red-800 whitespace-nowrap">
@@ -118,7 +119,12 @@ const ErrorConsole = memo(function ErrorConsole({ errors, warnings, onErrorClick
                       {error.column}
                     </td>
                     <td className="px-6 py-3 text-left font-mono text-sm text-slate-900 dark:text-gray-200 break-words">
-                      <span className={`${error.severity === 'warning' ? 'text-yellow-800 dark:text-yellow-200' : ''}`}>
+                      {error.category === 'Limit' && (
+                        <Gauge size={14} className="inline mr-2 text-orange-600 dark:text-orange-400" />
+                      )}
+                      <span className={`${error.severity === 'warning' ? 'text-yellow-800 dark:text-yellow-200' : ''} ${
+                        error.category === 'Limit' ? 'text-orange-800 dark:text-orange-200' : ''
+                      }`}>
                         {error.message}
                       </span>
                     </td>
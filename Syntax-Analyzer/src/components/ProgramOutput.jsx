@@ -0,0 +1,109 @@
+import React, { memo, useState } from 'react';
+import { Terminal, XCircle, CornerDownLeft } from 'lucide-react';
+
+/*
+Program Output – Execution Console
+
+Displays the lines printed by `echo` when an ECHO program is executed by the interpreter.
+Depends on React, lucide-react icons.
+*/
+
+/*
+Program Output Component
+
+@param {Array} output - Lines printed by the program
+@param {Array} runtimeErrors - Runtime error objects raised during execution
+@param {Boolean} running - Whether the program is currently executing
+@param {Boolean} hasRun - Whether the program has been executed at least once
+@param {Object} pendingInput - Input request the program is waiting on, if any
+@param {Function} onInputSubmit - Called with the text entered for a pending input
+*/
+const ProgramOutput = memo(function ProgramOutput({
+  output = [],
+  runtimeErrors = [],
+  running = false,
+  hasRun = false,
+  pendingInput = null,
+  onInputSubmit,
+}) {
+  const [inputText, setInputText] = useState('');
+
+  /*
+  Submit the entered text to the waiting program
+
+  @param {Event} e - Form submit event
+  */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (onInputSubmit) onInputSubmit(inputText);
+    setInputText('');
+  };
+
+  if (!hasRun && !running) {
+    return (
+      <div className="w-full h-full flex flex-col items-center justify-center text-gray-400 min-h-[400px]">
+        <Terminal size={48} className="mb-3 opacity-30" />
+        <p className="text-base font-semibold">No output yet</p>
+        <p className="text-sm">Click "Run Program" to execute your code</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="w-full p-4">
+      <div className="border border-slate-300 dark:border-slate-700 rounded-lg bg-slate-950 shadow-sm overflow-hidden">
+        <div className="px-4 py-2 bg-slate-800 border-b border-slate-700 flex items-center gap-2">
+          <Terminal size={16} className="text-emerald-400 dark:text-violet-400" />
+          <span className="text-sm font-semibold text-slate-200">
+            {running ? 'Running...' : 'Program Output'}
+          </span>
+        </div>
+
+        <pre className="px-4 py-3 font-mono text-sm text-slate-100 whitespace-pre-wrap break-words min-h-[200px]">
+          {output.join('\n')}
+          {!running && !pendingInput && output.length === 0 && runtimeErrors.length === 0 && (
+            <span className="text-slate-500 italic">Program finished without output</span>
+          )}
+        </pre>
+
+        {pendingInput && (
+          <form
+            onSubmit={handleSubmit}
+            className="px-4 py-2 border-t border-slate-700 flex items-center gap-2"
+          >
+            <span className="font-mono text-sm text-emerald-400 dark:text-violet-400 whitespace-nowrap">
+              {pendingInput.prompt || `input(${pendingInput.dataType})`}
+            </span>
+            <input
+              type="text"
+              autoFocus
+              value={inputText}
+              onChange={(e) => setInputText(e.target.value)}
+              className="flex-1 bg-slate-900 text-slate-100 font-mono text-sm px-2 py-1 rounded border border-slate-600 focus:outline-none focus:ring-1 focus:ring-emerald-500 dark:focus:ring-violet-500"
+              aria-label={`Enter a ${pendingInput.dataType} value`}
+            />
+            <button
+              type="submit"
+              className="flex items-center gap-1 px-2 py-1 text-xs font-medium rounded bg-emerald-600 hover:bg-emerald-700 dark:bg-violet-600 dark:hover:bg-violet-700 text-white"
+            >
+              <CornerDownLeft size={12} />
+              Enter
+            </button>
+          </form>
+        )}
+
+        {runtimeErrors.map((error, index) => (
+          <div
+            key={`runtime-${index}`}
+            className="px-4 py-2 border-t border-red-800 bg-red-900/40 text-red-200 font-mono text-sm flex items-center gap-2"
+          >
+            <XCircle size={14} className="flex-shrink-0" />
+            <span>Line {error.line}, Column {error.column}: {error.message}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+});
+
+export default ProgramOutput;
@@ -1,10 +1,12 @@
 import React, { useEffect, useState } from 'react';
 // eslint-disable-next-line no-unused-vars
 import { motion } from 'framer-motion';
-import { PlayCircle, Trash2, Sun, Moon, Upload } from 'lucide-react';
+import { PlayCircle, Trash2, Sun, Moon, Upload, Terminal, Bug, Square } from 'lucide-react';
 import TextArea from './TextArea';
 import ErrorConsole from './ErrorConsole';
 import AbstractSyntaxTree from './AbstractSyntaxTree';
+import ProgramOutput from './ProgramOutput';
+import DebuggerPanel from './DebuggerPanel';
 import { useTheme } from '../hooks/useTheme';
 import { useDashboard } from '../hooks/useDashboard';
 import { getAllSamples } from '../data/codeSamples';
@@ -23,7 +25,7 @@ Main interface component for the ECHO syntax analyzer.
 */
 const SyntaxDashboard = () => {
   const { isDarkMode, handleThemeToggle } = useTheme();
-  const [activeTab, setActiveTab] = useState('errors'); // 'errors' or 'ast'
+  const [activeTab, setActiveTab] = useState('errors'); // 'errors', 'ast', 'output' or 'debugger'
   const {
     sourceCode,
     errors,
@@ -36,16 +38,32 @@ const SyntaxDashboard = () => {
     textareaRef,
     fileInputRef,
     selectedErrorLine,
+    highlightedRange,
     analysisMetrics,
     showCopiedTooltip,
+    programOutput,
+    runtimeErrors,
+    running,
+    hasRun,
+    pendingInput,
+    breakpoints,
+    debugging,
+    debugState,
     handleSourceCodeChange,
     handleAnalyze,
+    handleRun,
+    handleInputSubmit,
+    handleDebug,
+    handleDebugStep,
+    handleStop,
+    handleToggleBreakpoint,
     handleClear,
     handleFileUpload,
     handleKeyDown,
     handleUndo,
     handleRedo,
     handleErrorClick,
+    handleRangeSelect,
     handleCopyToClipboard,
     handleExportFile,
     loadSample
@@ -217,6 +235,10 @@ const SyntaxDashboard = () => {
                 onKeyDown={handleKeyDown}
                 errors={errors}
                 highlightedLine={selectedErrorLine}
+                highlightedRange={highlightedRange}
+                breakpoints={breakpoints}
+                onToggleBreakpoint={handleToggleBreakpoint}
+                pausedLine={debugState?.line ?? null}
                 onCopy={handleCopyToClipboard}
                 onClear={handleClear}
                 onExport={handleExportFile}
@@ -253,6 +275,34 @@ const SyntaxDashboard = () => {
                   <PlayCircle size={18} />
                   <span>{analyzing ? "Analyzing..." : "Analyze Code"}</span>
                 </button>
+                {/* While a program runs outside the debugger this button stops it */}
+                <button
+                  onClick={() => {
+                    if (running) {
+                      handleStop();
+                      return;
+                    }
+                    setActiveTab('output');
+                    handleRun();
+                  }}
+                  disabled={!sourceCode || debugging}
+                  className="flex items-center justify-center gap-2 px-4 py-2.5 bg-teal-600 hover:bg-teal-700 dark:bg-indigo-600 dark:hover:bg-indigo-700 disabled:bg-gray-400 disabled:cursor-not-allowed text-white font-semibold rounded-md transition-colors text-sm"
+                >
+                  {running && !debugging ? <Square size={18} /> : <Terminal size={18} />}
+                  <span>{running && !debugging ? "Stop" : "Run Program"}</span>
+                </button>
+                <button
+                  onClick={() => {
+                    setActiveTab('debugger');
+                    handleDebug();
+                  }}
+                  disabled={!sourceCode || running}
+                  className="flex items-center justify-center gap-2 px-4 py-2.5 bg-amber-600 hover:bg-amber-700 dark:bg-fuchsia-600 dark:hover:bg-fuchsia-700 disabled:bg-gray-400 disabled:cursor-not-allowed text-white font-semibold rounded-md transition-colors text-sm"
+                  title="Run with the debugger; click line numbers to set breakpoints"
+                >
+                  <Bug size={18} />
+                  <span>{debugging ? "Debugging..." : "Debug"}</span>
+                </button>
                 <button
                   onClick={handleClear}
                   className="flex items-center justify-center gap-2 px-4 py-2.5 bg-red-600 hover:bg-red-700 text-white font-semibold rounded-md transition-colors text-sm"
@@ -296,6 +346,26 @@ const SyntaxDashboard = () => {
               >
                 Analysis Results
               </button>
+              <button
+                onClick={() => setActiveTab('output')}
+                className={`px-4 py-2 text-sm font-medium transition-colors border-b-2 ${
+                  activeTab === 'output'
+                    ? 'border-violet-600 dark:border-violet-400 text-violet-600 dark:text-violet-400'
+                    : 'border-transparent text-slate-600 dark:text-slate-400 hover:text-slate-800 dark:hover:text-slate-200'
+                }`}
+              >
+                Program Output
+              </button>
+              <button
+                onClick={() => setActiveTab('debugger')}
+                className={`px-4 py-2 text-sm font-medium transition-colors border-b-2 ${
+                  activeTab === 'debugger'
+                    ? 'border-violet-600 dark:border-violet-400 text-violet-600 dark:text-violet-400'
+                    : 'border-transparent text-slate-600 dark:text-slate-400 hover:text-slate-800 dark:hover:text-slate-200'
+                }`}
+              >
+                Debugger
+              </button>
             </div>
 
             <div className="flex-1 min-h-0 overflow-hidden flex flex-col">
@@ -304,6 +374,25 @@ const SyntaxDashboard = () => {
                   <AbstractSyntaxTree 
                     ast={ast}
                     sourceCode={sourceCode}
+                    onNodeSelect={handleRangeSelect}
+                  />
+                ) : activeTab === 'output' ? (
+                  <ProgramOutput
+                    output={programOutput}
+                    runtimeErrors={runtimeErrors}
+                    running={running}
+                    hasRun={hasRun}
+                    pendingInput={pendingInput}
+                    onInputSubmit={handleInputSubmit}
+                  />
+                ) : activeTab === 'debugger' ? (
+                  <DebuggerPanel
+                    debugState={debugState}
+                    debugging={debugging}
+                    breakpointCount={breakpoints.length}
+                    onStep={handleDebugStep}
+                    onStop={handleStop}
+                    onFrameSelect={handleErrorClick}
                   />
                 ) : (
                   <ErrorConsole 
@@ -1,7 +1,7 @@
 /*
 Line-Numbered Textarea – Code Input
 
-Enhanced textarea component with line numbers and error indicators for code input.
+Enhanced textarea component with line numbers, error indicators and debugger breakpoints for code input.
 Depends on React, lucide-react icons.
 */
 
@@ -18,6 +18,10 @@ Line-Numbered Textarea Component
 @param {Function} onKeyDown - Key down handler
 @param {Array} errors - Array of error objects
 @param {Number} highlightedLine - Line to highlight
+@param {Object} highlightedRange - Source range to mark: { start, end } offsets into the value
+@param {Array} breakpoints - Line numbers marked as breakpoints in the gutter
+@param {Function} onToggleBreakpoint - Called with the line number of a clicked gutter row
+@param {Number} pausedLine - Line the debugger is paused on
 @param {Function} onCopy - Copy handler
 @param {Function} onClear - Clear handler
 @param {Function} onExport - Export handler
@@ -31,6 +35,10 @@ const LineNumberedTextarea = memo(function LineNumberedTextarea({
   onKeyDown,
   errors = [],
   highlightedLine = null,
+  highlightedRange = null,
+  breakpoints = [],
+  onToggleBreakpoint,
+  pausedLine = null,
   onCopy,
   onClear,
   onExport,
@@ -54,14 +62,25 @@ const LineNumberedTextarea = memo(function LineNumberedTextarea({
     return set;
   }, [errors]);
 
+  const breakpointSet = useMemo(() => new Set(breakpoints), [breakpoints]);
+
+/*
+Scroll the textarea so a line is centered
+
+@param {Number} line - Line number to bring into view
+*/
+const scrollToLine = (line) => {
+    const textarea = internalTextareaRef.current;
+    if (!textarea) return;
+    const lineHeight = 24; // 1.5rem * 16px
+    const targetScrollTop = (line - 1) * lineHeight - (textarea.clientHeight / 2) + (lineHeight / 2);
+    textarea.scrollTop = Math.max(0, targetScrollTop);
+  };
+
   // Scroll to highlighted line and trigger flash animation
   useEffect(() => {
     if (highlightedLine !== null && internalTextareaRef.current) {
-      const textarea = internalTextareaRef.current;
-      const lineHeight = 24; // 1.5rem * 16px
-      const targetScrollTop = (highlightedLine - 1) * lineHeight - (textarea.clientHeight / 2) + (lineHeight / 2);
-      
-      textarea.scrollTop = Math.max(0, targetScrollTop);
+      scrollToLine(highlightedLine);
       
       // Trigger flash animation
       setIsFlashing(true);
@@ -70,6 +89,11 @@ const LineNumberedTextarea = memo(function LineNumberedTextarea({
     }
   }, [highlightedLine]);
 
+  // Follow the debugger as it steps through the program
+  useEffect(() => {
+    if (pausedLine !== null) scrollToLine(pausedLine);
+  }, [pausedLine]);
+
 /*
 Handle scroll synchronization between textarea and line numbers
 
@@ -116,7 +140,9 @@ const handleChange = (e) => onChange(e.target.value);
             {lineNumbers.map((n) => (
               <div 
                 key={n} 
-                className="h-6 leading-6 flex items-center justify-between px-1 relative"
+                className={`h-6 leading-6 flex items-center justify-between px-1 relative ${onToggleBreakpoint ? 'cursor-pointer hover:text-red-400' : ''}`}
+                onClick={onToggleBreakpoint ? () => onToggleBreakpoint(n) : undefined}
+                title={onToggleBreakpoint ? `${breakpointSet.has(n) ? 'Remove' : 'Set'} breakpoint on line ${n}` : undefined}
               >
                 {errorLinesSet.has(n) && (
                   <AlertCircle 
@@ -125,7 +151,11 @@ const handleChange = (e) => onChange(e.target.value);
                     title={`Error on line ${n}`}
                   />
                 )}
-                <span className={errorLinesSet.has(n) ? "ml-4" : "ml-auto"}>
+                <span
+                  className={`${errorLinesSet.has(n) ? "ml-4" : "ml-auto"} ${
+                    breakpointSet.has(n) ? "px-1 rounded-full bg-red-500 text-white" : ""
+                  }`}
+                >
                   {n}
                 </span>
               </div>
@@ -140,11 +170,13 @@ const handleChange = (e) => onChange(e.target.value);
           aria-hidden
         >
           <div className="relative" style={{ paddingTop: '0.75rem', paddingBottom: '0.75rem' }}>
-            {highlightedLine !== null && lineNumbers.map((n) => (
+            {(highlightedLine !== null || pausedLine !== null) && lineNumbers.map((n) => (
               <div
                 key={n}
                 className={`h-6 leading-6 transition-all duration-300 ${
-                  n === highlightedLine
+                  n === pausedLine
+                    ? 'bg-emerald-200/70 dark:bg-violet-500/30'
+                    : n === highlightedLine
                     ? isFlashing
                       ? 'bg-yellow-200/70 dark:bg-yellow-500/30'
                       : 'bg-yellow-100/50 dark:bg-yellow-500/20'
@@ -157,6 +189,24 @@ const handleChange = (e) => onChange(e.target.value);
                 }}
               />
             ))}
+
+            {/* Mirrors the text invisibly so the marked span lines up with the textarea */}
+            {highlightedRange && highlightedRange.end <= value.length && (
+              <div
+                className="absolute inset-x-0 top-0 px-3 py-3 font-mono text-sm leading-6 whitespace-pre-wrap break-words text-transparent"
+                style={{ tabSize: 4 }}
+              >
+                {value.slice(0, highlightedRange.start)}
+                {highlightedRange.end > highlightedRange.start ? (
+                  <mark className="text-transparent bg-sky-200/70 dark:bg-sky-500/30 rounded-sm">
+                    {value.slice(highlightedRange.start, highlightedRange.end)}
+                  </mark>
+                ) : (
+                  <span className="border-l-2 border-sky-500" />
+                )}
+                {value.slice(highlightedRange.end)}
+              </div>
+            )}
           </div>
         </div>
 
@@ -0,0 +1,139 @@
+/**
+ * Built-in Function Library
+ *
+ * Runtime implementations of the six ECHO built-ins: sum, median, mode, average,
+ * isEven and isOdd. Every built-in validates its arguments and raises a RuntimeError
+ * positioned at the call site when it receives something it cannot handle.
+ *
+ * Behavior summary:
+ * - sum(list)      Total of the elements; an empty list sums to 0.
+ * - average(list)  Arithmetic mean; an empty list is an error.
+ * - median(list)   Middle element of the sorted list; for an even length it is the
+ *                  mean of the two middle elements. An empty list is an error.
+ * - mode(list)     Most frequent element; ties resolve to the smallest tied value.
+ *                  An empty list is an error.
+ * - isEven(n)      Whether a whole number is divisible by 2.
+ * - isOdd(n)       Whether a whole number is not divisible by 2.
+ *
+ * Lists may freely mix number and decimal elements; any other element type is an error.
+ */
+
+import { RuntimeError } from './RuntimeError.js';
+
+// --- Argument Validation ---
+
+const describeValue = (value) => {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return 'list';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'number' : 'decimal';
+  return typeof value;
+};
+
+const expectArity = (name, args, count, node) => {
+  if (args.length !== count) {
+    throw new RuntimeError(`${name}() expects ${count} argument(s) but received ${args.length}`, node);
+  }
+};
+
+// Validates the single list argument of an aggregate built-in and returns its elements.
+const expectNumberList = (name, args, node) => {
+  expectArity(name, args, 1, node);
+  const [list] = args;
+
+  if (!Array.isArray(list)) {
+    throw new RuntimeError(`${name}() expects a list of numbers but received a ${describeValue(list)}`, node);
+  }
+
+  list.forEach((element, index) => {
+    if (typeof element !== 'number' || Number.isNaN(element)) {
+      throw new RuntimeError(
+        `${name}() expects only numbers, found a ${describeValue(element)} at index ${index}`, node
+      );
+    }
+  });
+
+  return list;
+};
+
+const expectNonEmpty = (name, list, node) => {
+  if (list.length === 0) {
+    throw new RuntimeError(`${name}() of an empty list is undefined`, node);
+  }
+};
+
+const expectWholeNumber = (name, args, node) => {
+  expectArity(name, args, 1, node);
+  const [value] = args;
+
+  if (typeof value !== 'number' || !Number.isInteger(value)) {
+    throw new RuntimeError(`${name}() expects a whole number but received a ${describeValue(value)}`, node);
+  }
+  return value;
+};
+
+// --- Built-in Implementations ---
+
+const sum = (args, node) => {
+  const list = expectNumberList('sum', args, node);
+  return list.reduce((total, n) => total + n, 0);
+};
+
+const average = (args, node) => {
+  const list = expectNumberList('average', args, node);
+  expectNonEmpty('average', list, node);
+  return list.reduce((total, n) => total + n, 0) / list.length;
+};
+
+const median = (args, node) => {
+  const list = expectNumberList('median', args, node);
+  expectNonEmpty('median', list, node);
+
+  const sorted = [...list].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const mode = (args, node) => {
+  const list = expectNumberList('mode', args, node);
+  expectNonEmpty('mode', list, node);
+
+  const counts = new Map();
+  list.forEach(n => counts.set(n, (counts.get(n) || 0) + 1));
+
+  let best = null;
+  let bestCount = 0;
+  counts.forEach((count, n) => {
+    if (count > bestCount || (count === bestCount && n < best)) {
+      best = n;
+      bestCount = count;
+    }
+  });
+  return best;
+};
+
+const isEven = (args, node) => expectWholeNumber('isEven', args, node) % 2 === 0;
+
+const isOdd = (args, node) => expectWholeNumber('isOdd', args, node) % 2 !== 0;
+
+// Keyed by lowercase name since the scanner matches built-in names case-insensitively.
+export const BUILTIN_FUNCTIONS = {
+  sum,
+  median,
+  mode,
+  average,
+  iseven: isEven,
+  isodd: isOdd,
+};
+
+// --- Main Export ---
+
+// Invokes a built-in by name with already-evaluated arguments.
+export const callBuiltin = (name, args, node = null) => {
+  const implementation = BUILTIN_FUNCTIONS[(name || '').toLowerCase()];
+  if (!implementation) {
+    throw new RuntimeError(`Unknown built-in function '${name}'`, node);
+  }
+  return implementation(args, node);
+};
+
+export default callBuiltin;
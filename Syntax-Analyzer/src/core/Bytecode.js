@@ -0,0 +1,302 @@
+/**
+ * ECHO Bytecode
+ *
+ * Instruction set shared by BytecodeCompiler.js, VirtualMachine.js and Disassembler.js, and the
+ * `.echob` file format that stores a compiled program.
+ *
+ * A compiled program is a plain object:
+ *
+ *   {
+ *     version, sourceName,
+ *     constants: [number | string | boolean | null, ...],
+ *     functions: [{ name, arity, parent, locals: [{ name, type }], code: [...], positions: [...] }, ...]
+ *   }
+ *
+ * Function 0 is the top-level program; `parent` is the index of the function a function is
+ * defined in, or -1 for the program. `code` is a flat list of integers: each opcode is followed by
+ * its operands, and jump operands are offsets into the same list. `positions` holds an offset,
+ * line and column for every offset where the ECHO position changes, which the VM uses to position
+ * runtime errors.
+ *
+ * The `.echob` file is the magic bytes "ECHB", then the format version and the program, with
+ * every integer stored as an unsigned LEB128 varint and every string as UTF-8 after its length.
+ */
+
+export const BYTECODE_VERSION = 3;
+
+const MAGIC = [0x45, 0x43, 0x48, 0x42]; // "ECHB"
+
+// Opcode -> number of operands. Comments show the stack effect as before -> after.
+const INSTRUCTIONS = [
+  // Constants and the stack
+  ['CONSTANT', 1],              // -> value; operand: constant index
+  ['POP', 0],                   // value ->
+  ['DUP', 0],                   // value -> value value
+  ['SWAP', 0],                  // a b -> b a
+
+  // Variables; slots index the `locals` of a frame
+  ['DECLARE', 1],               // value -> ; defines a slot of the current frame
+  ['LOAD_LOCAL', 1],            // -> value
+  ['STORE_LOCAL', 1],           // value ->
+  ['LOAD_GLOBAL', 1],           // -> value; slot of the top-level frame
+  ['STORE_GLOBAL', 1],          // value ->
+  ['LOAD_OUTER', 2],            // -> value; operands: frames outward, slot
+  ['STORE_OUTER', 2],           // value ->
+
+  // Lists
+  ['BUILD_LIST', 1],            // item1 ... itemN -> list
+  ['FILL_LIST', 1],             // value -> list of N copies
+  ['GET_INDEX', 0],             // list index -> item
+  ['SET_INDEX', 0],             // value list index ->
+
+  // Structs
+  ['BUILD_STRUCT', 2],          // name1 value1 ... nameN valueN -> struct; operands: name constant, fields
+  ['GET_FIELD', 1],             // struct -> value; operand: field name constant
+  ['SET_FIELD', 1],             // value struct ->
+
+  // Strings
+  ['FORMAT', 1],                // value -> text; operand 1 formats numbers as decimals
+  ['INSERT', 3],                // value name1 value1 ... -> text; operands: decimal, accessors constant, pairs
+  ['BUILD_STRING', 1],          // text1 ... textN -> text
+
+  // Arithmetic
+  ['ADD', 0],
+  ['SUBTRACT', 0],
+  ['MULTIPLY', 0],
+  ['DIVIDE', 0],
+  ['FLOOR_DIVIDE', 0],
+  ['MODULO', 0],
+  ['POWER', 0],
+  ['NEGATE', 0],
+  ['PLUS', 0],
+  ['NOT', 0],
+  ['CHECK_NUMBER', 0],          // value -> value; fails unless it is a number
+
+  // Comparison
+  ['EQUAL', 0],
+  ['NOT_EQUAL', 0],
+  ['LESS', 0],
+  ['GREATER', 0],
+  ['LESS_EQUAL', 0],
+  ['GREATER_EQUAL', 0],
+
+  // Control flow; conditional jumps fail on values that are not booleans
+  ['JUMP', 1],
+  ['JUMP_IF_FALSE', 1],         // condition ->
+  ['JUMP_IF_TRUE', 1],          // condition ->
+  ['JUMP_IF_FALSE_OR_POP', 1],  // condition -> condition when jumping, otherwise ->
+  ['JUMP_IF_TRUE_OR_POP', 1],
+  ['CHECK_BOOLEAN', 0],         // value -> value
+  ['CHECK_STEP', 0],            // step -> step; fails on a zero `for` step
+
+  // Functions
+  ['CLOSURE', 1],               // -> function; function N with the current frame as its scope
+  ['CHECK_CALL', 2],            // function -> function; operands: name constant, argument count
+  ['CALL', 1],                  // function arg1 ... argN -> result
+  ['CALL_BUILTIN', 2],          // arg1 ... argN -> result; operands: name constant, argument count
+  ['RETURN', 0],                // value ->
+
+  // Input and output
+  ['PRINT', 1],                 // text1 ... textN -> ; writes one line
+  ['READ', 1],                  // prompt -> value; operand: data type constant
+  ['FAIL', 1],                  // raises a runtime error with a constant message
+  ['HALT', 0],
+];
+
+export const OPCODES = Object.fromEntries(INSTRUCTIONS.map(([name], code) => [name, code]));
+
+export const OPCODE_NAMES = INSTRUCTIONS.map(([name]) => name);
+
+export const OPERAND_COUNTS = INSTRUCTIONS.map(([, count]) => count);
+
+// Error raised when bytes are not a valid `.echob` file.
+export class BytecodeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BytecodeError';
+  }
+}
+
+// --- Encoding ---
+
+const CONSTANT_TAGS = {
+  NULL: 0,
+  FALSE: 1,
+  TRUE: 2,
+  NUMBER: 3,
+  STRING: 4,
+};
+
+class ByteWriter {
+  constructor() {
+    this.bytes = [];
+  }
+
+  varint(value) {
+    let remaining = value;
+    do {
+      let byte = remaining % 128;
+      remaining = Math.floor(remaining / 128);
+      if (remaining > 0) byte |= 0x80;
+      this.bytes.push(byte);
+    } while (remaining > 0);
+  }
+
+  string(text) {
+    const encoded = new TextEncoder().encode(text ?? '');
+    this.varint(encoded.length);
+    encoded.forEach(byte => this.bytes.push(byte));
+  }
+
+  float64(value) {
+    const view = new DataView(new ArrayBuffer(8));
+    view.setFloat64(0, value);
+    for (let i = 0; i < 8; i++) this.bytes.push(view.getUint8(i));
+  }
+
+  constant(value) {
+    if (value === null) this.bytes.push(CONSTANT_TAGS.NULL);
+    else if (typeof value === 'boolean') this.bytes.push(value ? CONSTANT_TAGS.TRUE : CONSTANT_TAGS.FALSE);
+    else if (typeof value === 'number') {
+      this.bytes.push(CONSTANT_TAGS.NUMBER);
+      this.float64(value);
+    } else {
+      this.bytes.push(CONSTANT_TAGS.STRING);
+      this.string(value);
+    }
+  }
+
+  list(items, write) {
+    this.varint(items.length);
+    items.forEach(write);
+  }
+}
+
+class ByteReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.offset = 0;
+  }
+
+  byte() {
+    if (this.offset >= this.bytes.length) throw new BytecodeError('Unexpected end of bytecode');
+    return this.bytes[this.offset++];
+  }
+
+  varint() {
+    let value = 0;
+    let scale = 1;
+    let byte;
+    do {
+      byte = this.byte();
+      value += (byte & 0x7f) * scale;
+      scale *= 128;
+    } while (byte & 0x80);
+    return value;
+  }
+
+  string() {
+    const length = this.varint();
+    if (this.offset + length > this.bytes.length) throw new BytecodeError('Unexpected end of bytecode');
+    const text = new TextDecoder().decode(this.bytes.subarray(this.offset, this.offset + length));
+    this.offset += length;
+    return text;
+  }
+
+  float64() {
+    const view = new DataView(new ArrayBuffer(8));
+    for (let i = 0; i < 8; i++) view.setUint8(i, this.byte());
+    return view.getFloat64(0);
+  }
+
+  constant() {
+    const tag = this.byte();
+    switch (tag) {
+      case CONSTANT_TAGS.NULL: return null;
+      case CONSTANT_TAGS.FALSE: return false;
+      case CONSTANT_TAGS.TRUE: return true;
+      case CONSTANT_TAGS.NUMBER: return this.float64();
+      case CONSTANT_TAGS.STRING: return this.string();
+      default: throw new BytecodeError(`Unknown constant tag ${tag}`);
+    }
+  }
+
+  list(read) {
+    return Array.from({ length: this.varint() }, () => read());
+  }
+}
+
+// --- Main Exports ---
+
+/*
+Encodes a compiled program as the bytes of a `.echob` file
+
+@param {Object} program - Program from compileToBytecode
+@returns {Uint8Array} File contents
+*/
+export const serializeBytecode = (program) => {
+  const writer = new ByteWriter();
+  MAGIC.forEach(byte => writer.bytes.push(byte));
+  writer.varint(program.version ?? BYTECODE_VERSION);
+  writer.string(program.sourceName);
+  writer.list(program.constants, value => writer.constant(value));
+  writer.list(program.functions, fn => {
+    writer.string(fn.name);
+    writer.varint(fn.arity);
+    writer.varint(fn.parent + 1);
+    writer.list(fn.locals, local => {
+      writer.string(local.name);
+      writer.string(local.type);
+    });
+    writer.list(fn.code, value => writer.varint(value));
+    writer.list(fn.positions, value => writer.varint(value));
+  });
+  return Uint8Array.from(writer.bytes);
+};
+
+/*
+Decodes the bytes of a `.echob` file
+
+@param {Uint8Array} bytes - File contents
+@returns {Object} The compiled program
+@throws {BytecodeError} When the bytes are not a `.echob` file of a supported version
+*/
+export const deserializeBytecode = (bytes) => {
+  const reader = new ByteReader(bytes);
+  if (!MAGIC.every(byte => reader.byte() === byte)) throw new BytecodeError('Not an ECHO bytecode file');
+
+  const version = reader.varint();
+  if (version !== BYTECODE_VERSION) {
+    throw new BytecodeError(`Unsupported bytecode version ${version}; expected ${BYTECODE_VERSION}`);
+  }
+
+  const program = {
+    version,
+    sourceName: reader.string(),
+    constants: reader.list(() => reader.constant()),
+    functions: reader.list(() => ({
+      name: reader.string(),
+      arity: reader.varint(),
+      parent: reader.varint() - 1,
+      locals: reader.list(() => ({ name: reader.string(), type: reader.string() })),
+      code: reader.list(() => reader.varint()),
+      positions: reader.list(() => reader.varint()),
+    })),
+  };
+  if (reader.offset !== bytes.length) throw new BytecodeError('Unexpected data after the end of the program');
+  return program;
+};
+
+// Whether bytes start like a `.echob` file.
+export const isBytecode = (bytes) => bytes?.length >= MAGIC.length && MAGIC.every((byte, i) => bytes[i] === byte);
+
+// ECHO position of the instruction at `offset`, from a function's run-length position table.
+export const positionAt = (fn, offset) => {
+  let line = 0;
+  let column = 0;
+  for (let i = 0; i < fn.positions.length && fn.positions[i] <= offset; i += 3) {
+    line = fn.positions[i + 1];
+    column = fn.positions[i + 2];
+  }
+  return { line, column };
+};
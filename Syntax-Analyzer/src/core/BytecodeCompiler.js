@@ -0,0 +1,740 @@
+/**
+ * ECHO Bytecode Compiler
+ *
+ * Compiles a checked ECHO AST into the stack-based bytecode described in Bytecode.js, for
+ * VirtualMachine.js to run. The compiled program behaves like the tree-walking interpreter:
+ *
+ * - Variables are resolved once, here, to numbered slots. Every declaration gets its own slot in
+ *   the frame of the function it belongs to; variables of enclosing functions are reached through
+ *   the chain of frames the function was defined in, and top-level variables directly.
+ * - Functions are hoisted like the interpreter hoists them: when the block defining them starts,
+ *   each is stored as a closure in a slot of that block, and calls load it from the slot like any
+ *   variable, so an inner function hides an outer one of the same name.
+ * - A `data struct` becomes a function of no arguments, bound like the others, that evaluates the
+ *   field defaults and builds an instance; `new` calls it.
+ * - `if`, loops and `switch` become conditional jumps; `break` and `continue` jump to the end or
+ *   the next iteration of the innermost loop, including from inside a `switch`.
+ * - Each instruction records the ECHO position the interpreter would report its errors at.
+ */
+
+import { AST_NODE_TYPES, findRecoveryNode } from './ASTBuilder.js';
+import { findToken } from './RuntimeError.js';
+import { leadingAccessors, unescapeContent } from './StringInsertion.js';
+import { fieldDefault } from './Structs.js';
+import { isListType } from './TypeRules.js';
+import { CompileError } from './CompileError.js';
+import { BYTECODE_VERSION, OPCODES } from './Bytecode.js';
+
+const BINARY_OPCODES = {
+  '+': OPCODES.ADD,
+  '-': OPCODES.SUBTRACT,
+  '*': OPCODES.MULTIPLY,
+  '/': OPCODES.DIVIDE,
+  '//': OPCODES.FLOOR_DIVIDE,
+  '%': OPCODES.MODULO,
+  '^': OPCODES.POWER,
+  '==': OPCODES.EQUAL,
+  '!=': OPCODES.NOT_EQUAL,
+  '<': OPCODES.LESS,
+  '>': OPCODES.GREATER,
+  '<=': OPCODES.LESS_EQUAL,
+  '>=': OPCODES.GREATER_EQUAL,
+};
+
+const UNARY_OPCODES = {
+  '-': OPCODES.NEGATE,
+  '+': OPCODES.PLUS,
+  '!': OPCODES.NOT,
+};
+
+const defaultValueFor = (typeName) => {
+  switch ((typeName || '').toLowerCase()) {
+    case 'number':
+    case 'decimal': return 0;
+    case 'string': return '';
+    case 'boolean': return false;
+    default: return null;
+  }
+};
+
+// Literal numbers, including the negative literals the scanner produces for `-1`.
+const numericLiteral = (node) =>
+  (node?.type === AST_NODE_TYPES.NUMBER_LIT || node?.type === AST_NODE_TYPES.DECIMAL_LIT ? node.value : null);
+
+// Key that tells apart constants JavaScript considers equal, such as 0 and -0 or 1 and "1".
+const constantKey = (value) => `${typeof value}:${Object.is(value, -0) ? '-0' : String(value)}`;
+
+// --- Compiler Class ---
+
+class BytecodeCompiler {
+  constructor(options = {}) {
+    this.options = options;
+    this.constants = [];
+    this.constantIndexes = new Map();
+    this.functions = [];
+    this.functionIndexes = new Map();
+    this.state = null;
+    this.statementNode = null;
+  }
+
+  compile(program) {
+    if (!program || program.type !== AST_NODE_TYPES.ECHO_PROGRAM) {
+      throw new CompileError('Cannot compile: program has no valid syntax tree');
+    }
+    const recovery = findRecoveryNode(program);
+    if (recovery) throw new CompileError('Cannot compile: program has syntax errors', recovery);
+
+    this.state = this.functionState(this.addFunction('<main>', 0, -1), null);
+    this.block(program.statements);
+    this.emit(OPCODES.HALT);
+
+    return {
+      version: BYTECODE_VERSION,
+      sourceName: this.options.sourceName,
+      constants: this.constants,
+      functions: this.functions,
+    };
+  }
+
+  // ===========================================================================
+  // Output
+  // ===========================================================================
+
+  addFunction(name, arity, parent) {
+    return this.functions.push({ name, arity, parent, locals: [], code: [], positions: [] }) - 1;
+  }
+
+  // Compile-time view of a function being compiled: its block scopes and enclosing loops.
+  functionState(index, parent) {
+    return { index, fn: this.functions[index], parent, scopes: [new Map()], loops: [] };
+  }
+
+  constant(value) {
+    const key = constantKey(value);
+    if (!this.constantIndexes.has(key)) {
+      this.constantIndexes.set(key, this.constants.push(value) - 1);
+    }
+    return this.constantIndexes.get(key);
+  }
+
+  // Appends an instruction; `node` is where the interpreter would report its errors. The first
+  // instruction of a statement is placed at the statement when it has no node of its own.
+  emit(opcode, operands = [], node = null) {
+    const { code, positions } = this.state.fn;
+    const token = findToken(node || this.statementNode);
+    this.statementNode = null;
+    if (token?.line) {
+      const last = positions.length - 3;
+      if (last < 0 || positions[last + 1] !== token.line || positions[last + 2] !== token.column) {
+        positions.push(code.length, token.line, token.column);
+      }
+    }
+    code.push(opcode, ...operands);
+    return code.length;
+  }
+
+  // Emits a jump with a target to be filled in by `patch`; returns the operand offset.
+  emitJump(opcode, node = null) {
+    return this.emit(opcode, [0], node) - 1;
+  }
+
+  patch(operand, target = this.offset()) {
+    this.state.fn.code[operand] = target;
+  }
+
+  offset() {
+    return this.state.fn.code.length;
+  }
+
+  // ===========================================================================
+  // Names
+  // ===========================================================================
+
+  withScope(callback) {
+    this.state.scopes.push(new Map());
+    callback();
+    this.state.scopes.pop();
+  }
+
+  declare(name, type) {
+    const { fn, scopes } = this.state;
+    const slot = fn.locals.push({ name, type: type || '' }) - 1;
+    scopes[scopes.length - 1].set(name, { slot, type });
+    return slot;
+  }
+
+  // Slot of a variable and how many frames out it lives, innermost declaration first.
+  resolve(name) {
+    let depth = 0;
+    for (let state = this.state; state; state = state.parent, depth++) {
+      for (let i = state.scopes.length - 1; i >= 0; i--) {
+        const local = state.scopes[i].get(name);
+        if (local) return { ...local, depth, isGlobal: !state.parent };
+      }
+    }
+    return null;
+  }
+
+  resolveOrFail(name, node) {
+    const variable = this.resolve(name);
+    if (!variable) throw new CompileError(`Variable '${name}' is not defined`, node);
+    return variable;
+  }
+
+  load(name, node) {
+    const { slot, depth, isGlobal } = this.resolveOrFail(name, node);
+    if (depth === 0) this.emit(OPCODES.LOAD_LOCAL, [slot], node);
+    else if (isGlobal) this.emit(OPCODES.LOAD_GLOBAL, [slot], node);
+    else this.emit(OPCODES.LOAD_OUTER, [depth, slot], node);
+  }
+
+  store(name, node) {
+    const { slot, depth, isGlobal } = this.resolveOrFail(name, node);
+    if (depth === 0) this.emit(OPCODES.STORE_LOCAL, [slot], node);
+    else if (isGlobal) this.emit(OPCODES.STORE_GLOBAL, [slot], node);
+    else this.emit(OPCODES.STORE_OUTER, [depth, slot], node);
+  }
+
+  // Pushes the function or struct a call or `new` refers to; names the analyzer let through unresolved fail when reached.
+  loadCallee(name, kind, node) {
+    if (this.resolve(name)) this.load(name, node);
+    else this.emit(OPCODES.FAIL, [this.constant(`${kind} '${name}' is not defined`)], node);
+  }
+
+  // 1 when a value should print as a decimal: an expression typed decimal or a reference to a `decimal` variable.
+  decimalHint(node) {
+    if (node?.inferredType === 'decimal') return 1;
+    return node?.type === AST_NODE_TYPES.IDENTIFIER && this.resolve(node.name)?.type === 'decimal' ? 1 : 0;
+  }
+
+  // ===========================================================================
+  // Statements
+  // ===========================================================================
+
+  // Compiles a statement list in a new scope; `declarations` are [name, type] pairs to add first.
+  block(stmtList, declarations = [], after = null) {
+    this.withScope(() => {
+      declarations.forEach(([name, type]) => this.declare(name, type));
+      const statements = stmtList?.statements || [];
+
+      // Functions and structs are hoisted so they can be used before their definition
+      for (const stmt of statements) {
+        const isFunction = stmt?.type === AST_NODE_TYPES.FUNCTION_DEF;
+        if ((!isFunction && stmt?.type !== AST_NODE_TYPES.DATA_STRUCT) || !stmt.name?.name) continue;
+        const arity = isFunction ? (stmt.parameters?.params || []).length : 0;
+        const index = this.addFunction(stmt.name.name, arity, this.state.index);
+        this.functionIndexes.set(stmt, index);
+        this.emit(OPCODES.CLOSURE, [index], stmt);
+        this.emit(OPCODES.DECLARE, [this.declare(stmt.name.name, isFunction ? 'function' : 'struct')], stmt);
+      }
+
+      statements.forEach(stmt => this.statement(stmt));
+      if (after) after();
+    });
+  }
+
+  statement(node) {
+    if (!node) return;
+    this.statementNode = node;
+
+    switch (node.type) {
+      case AST_NODE_TYPES.DECLARATION_STMT: return this.declaration(node);
+      case AST_NODE_TYPES.ASSIGNMENT_STMT: return this.assignment(node);
+      case AST_NODE_TYPES.INPUT_STMT: return this.inputStatement(node);
+      case AST_NODE_TYPES.OUTPUT_STMT: return this.output(node);
+      case AST_NODE_TYPES.IF_STMT: return this.ifStatement(node);
+      case AST_NODE_TYPES.SWITCH_STMT: return this.switchStatement(node);
+      case AST_NODE_TYPES.FOR_LOOP: return this.forLoop(node);
+      case AST_NODE_TYPES.WHILE_LOOP: return this.whileLoop(node);
+      case AST_NODE_TYPES.DO_WHILE_LOOP: return this.doWhileLoop(node);
+      case AST_NODE_TYPES.FUNCTION_DEF: return this.functionDefinition(node);
+      case AST_NODE_TYPES.RETURN_STMT: return this.returnStatement(node);
+      case AST_NODE_TYPES.JUMP_STMT: return this.jump(node);
+      case AST_NODE_TYPES.DATA_STRUCT: return this.structDefinition(node);
+
+      case AST_NODE_TYPES.EXPRESSION:
+        this.expression(node.value);
+        this.emit(OPCODES.POP);
+        return;
+
+      case AST_NODE_TYPES.UNARY:
+        if (node.operator === '++' || node.operator === '--') {
+          this.increment(node.expression, node.operator, false, false);
+          return;
+        }
+        break;
+      case AST_NODE_TYPES.POSTFIX_EXPR:
+        this.increment(node.operand, node.operator, true, false);
+        return;
+    }
+
+    // Other expression statements, such as calls
+    this.expression(node);
+    this.emit(OPCODES.POP);
+  }
+
+  declaration(node) {
+    const typeName = node.dataType?.name;
+
+    for (const item of node.declList?.items || []) {
+      if (!item?.identifier) continue;
+
+      if (item.isArray) {
+        this.emit(OPCODES.CONSTANT, [this.constant(defaultValueFor(typeName))], item);
+        this.emit(OPCODES.FILL_LIST, [item.size?.value ?? 0]);
+      } else if (item.value) {
+        this.expression(item.value);
+      } else {
+        this.emit(OPCODES.CONSTANT, [this.constant(null)], item);
+      }
+      // Declared after the initializer, which cannot see the new variable
+      this.emit(OPCODES.DECLARE, [this.declare(item.identifier.name, typeName)], item);
+    }
+  }
+
+  assignment(node) {
+    const operator = node.assignmentOp?.operator || node.assignmentOp?.value || '=';
+    this.expression(node.value);
+
+    // Compound assignment: x += y is x = x + y, with the target read after the value
+    if (operator !== '=') {
+      this.expression(node.target);
+      this.emit(OPCODES.SWAP);
+      this.emit(this.binaryOpcode(operator.slice(0, -1), node), [], node);
+    }
+    this.assignTo(node.target);
+  }
+
+  // Stores the value on top of the stack into a variable, list element or struct field.
+  assignTo(target) {
+    if (target?.type === AST_NODE_TYPES.IDENTIFIER) {
+      this.store(target.name, target);
+      return;
+    }
+    if (target?.type === AST_NODE_TYPES.LIST_ACCESS) {
+      this.expression(target.array);
+      this.expression(target.index);
+      this.emit(OPCODES.SET_INDEX, [], target);
+      return;
+    }
+    if (target?.type === AST_NODE_TYPES.FIELD_ACCESS) {
+      this.expression(target.object);
+      this.emit(OPCODES.SET_FIELD, [this.constant(target.field?.name ?? '')], target);
+      return;
+    }
+    throw new CompileError('Invalid assignment target', target);
+  }
+
+  inputStatement(node) {
+    const { expression: input, target } = node;
+    const dataType = (input?.dataType?.name || 'string').toLowerCase();
+
+    if (input?.prompt) {
+      this.expression(input.prompt);
+      this.emit(OPCODES.FORMAT, [0]);
+    } else {
+      this.emit(OPCODES.CONSTANT, [this.constant('')]);
+    }
+    this.emit(OPCODES.READ, [this.constant(dataType)], node);
+    this.store(target?.name, target);
+  }
+
+  output(node) {
+    const args = node.args || [];
+    for (const arg of args) {
+      this.expression(arg);
+      if (arg.type !== AST_NODE_TYPES.STRING_LIT) this.emit(OPCODES.FORMAT, [this.decimalHint(arg)]);
+    }
+    this.emit(OPCODES.PRINT, [args.length], node);
+  }
+
+  // Jumps over a block unless a condition holds; returns the jump to the end of the statement.
+  conditionalBlock(condition, body) {
+    this.expression(condition);
+    const skip = this.emitJump(OPCODES.JUMP_IF_FALSE, condition);
+    this.block(body);
+    const exit = this.emitJump(OPCODES.JUMP);
+    this.patch(skip);
+    return exit;
+  }
+
+  ifStatement(node) {
+    const exits = [this.conditionalBlock(node.condition, node.thenBody)];
+    (node.elseIfs || []).forEach(elseIf => exits.push(this.conditionalBlock(elseIf.condition, elseIf.body)));
+    if (node.elseBody) this.block(node.elseBody);
+    exits.forEach(exit => this.patch(exit));
+  }
+
+  // The subject stays on the stack while case values are compared; cases do not fall through.
+  switchStatement(node) {
+    this.expression(node.expression);
+    const exits = [];
+
+    for (const caseBlock of node.cases || []) {
+      this.emit(OPCODES.DUP);
+      this.expression(caseBlock.value);
+      this.emit(OPCODES.EQUAL);
+      const next = this.emitJump(OPCODES.JUMP_IF_FALSE);
+      this.emit(OPCODES.POP);
+      this.block(caseBlock.body);
+      exits.push(this.emitJump(OPCODES.JUMP));
+      this.patch(next);
+    }
+
+    this.emit(OPCODES.POP);
+    if (node.defaultBlock) this.block(node.defaultBlock);
+    exits.forEach(exit => this.patch(exit));
+  }
+
+  // ===========================================================================
+  // Loops
+  // ===========================================================================
+
+  // Compiles a loop body, pointing `continue` at whatever `next` emits and `break` past the loop.
+  loop(body, declarations, next) {
+    const loop = { breaks: [], continues: [] };
+    this.state.loops.push(loop);
+    this.block(body, declarations);
+    this.state.loops.pop();
+
+    loop.continues.forEach(jump => this.patch(jump));
+    next();
+    loop.breaks.forEach(jump => this.patch(jump));
+  }
+
+  // `for i = a to b by s` counts inclusively towards b; start, end and step are evaluated once.
+  forLoop(node) {
+    this.withScope(() => {
+      this.expression(node.start);
+      this.emit(OPCODES.CHECK_NUMBER, [], node.start);
+
+      // Literal bounds and steps are used directly; others are kept in hidden slots
+      const endValue = numericLiteral(node.end);
+      let endSlot = null;
+      if (endValue === null) {
+        this.expression(node.end);
+        this.emit(OPCODES.CHECK_NUMBER, [], node.end);
+        endSlot = this.declare('$end', 'number');
+        this.emit(OPCODES.DECLARE, [endSlot]);
+      }
+
+      const stepValue = node.step ? numericLiteral(node.step.value) : 1;
+      let stepSlot = null;
+      if (stepValue === null || stepValue === 0) {
+        this.expression(node.step.value);
+        this.emit(OPCODES.CHECK_NUMBER, [], node.step);
+        this.emit(OPCODES.CHECK_STEP, [], node.step);
+        stepSlot = this.declare('$step', 'number');
+        this.emit(OPCODES.DECLARE, [stepSlot]);
+      }
+
+      const iterator = this.declare(node.iterator?.name, 'number');
+      this.emit(OPCODES.DECLARE, [iterator], node);
+
+      const pushEnd = () => (endSlot === null
+        ? this.emit(OPCODES.CONSTANT, [this.constant(endValue)])
+        : this.emit(OPCODES.LOAD_LOCAL, [endSlot]));
+      const compare = (opcode) => {
+        this.emit(OPCODES.LOAD_LOCAL, [iterator]);
+        pushEnd();
+        this.emit(opcode);
+      };
+
+      const top = this.offset();
+      if (stepSlot === null) {
+        compare(stepValue > 0 ? OPCODES.LESS_EQUAL : OPCODES.GREATER_EQUAL);
+      } else {
+        // The direction depends on the sign of the step
+        this.emit(OPCODES.LOAD_LOCAL, [stepSlot]);
+        this.emit(OPCODES.CONSTANT, [this.constant(0)]);
+        this.emit(OPCODES.GREATER);
+        const down = this.emitJump(OPCODES.JUMP_IF_FALSE);
+        compare(OPCODES.LESS_EQUAL);
+        const test = this.emitJump(OPCODES.JUMP);
+        this.patch(down);
+        compare(OPCODES.GREATER_EQUAL);
+        this.patch(test);
+      }
+      const exit = this.emitJump(OPCODES.JUMP_IF_FALSE);
+
+      this.loop(node.body, [], () => {
+        this.emit(OPCODES.LOAD_LOCAL, [iterator], node);
+        if (stepSlot === null) this.emit(OPCODES.CONSTANT, [this.constant(stepValue)]);
+        else this.emit(OPCODES.LOAD_LOCAL, [stepSlot]);
+        this.emit(OPCODES.ADD);
+        this.emit(OPCODES.STORE_LOCAL, [iterator]);
+        this.emit(OPCODES.JUMP, [top]);
+        this.patch(exit);
+      });
+    });
+  }
+
+  whileLoop(node) {
+    const top = this.offset();
+    this.expression(node.condition);
+    const exit = this.emitJump(OPCODES.JUMP_IF_FALSE, node.condition);
+    this.loop(node.body, [], () => {
+      this.emit(OPCODES.JUMP, [top], node);
+      this.patch(exit);
+    });
+  }
+
+  doWhileLoop(node) {
+    const top = this.offset();
+    this.loop(node.body, [], () => {
+      this.expression(node.condition);
+      this.emit(OPCODES.JUMP_IF_TRUE, [top], node.condition);
+    });
+  }
+
+  jump(node) {
+    const loop = this.state.loops[this.state.loops.length - 1];
+    if (!loop) {
+      const where = this.state.parent ? 'a loop in its function' : 'a loop';
+      throw new CompileError(`'${node.jump}' must be inside ${where}`, node);
+    }
+    const jump = this.emitJump(OPCODES.JUMP, node);
+    (node.jump === 'break' ? loop.breaks : loop.continues).push(jump);
+  }
+
+  // ===========================================================================
+  // Functions
+  // ===========================================================================
+
+  // The body is compiled where the definition appears, so it sees the variables declared before it.
+  functionDefinition(node) {
+    const index = this.functionIndexes.get(node);
+    if (index === undefined) return;
+
+    const enclosing = this.state;
+    this.state = this.functionState(index, enclosing);
+    const params = (node.parameters?.params || []).map(param => [param.name?.name, param.dataType?.name]);
+
+    // The return statement comes after the body and can read its variables
+    this.block(node.body, params, () => this.statement(node.returnStatement));
+    this.emit(OPCODES.CONSTANT, [this.constant(null)]);
+    this.emit(OPCODES.RETURN);
+    this.state = enclosing;
+  }
+
+  // Like a function body, field defaults are evaluated for every instance in the defining scope.
+  structDefinition(node) {
+    const index = this.functionIndexes.get(node);
+    if (index === undefined) return;
+
+    const enclosing = this.state;
+    this.state = this.functionState(index, enclosing);
+    const fields = (node.fields?.fields || []).filter(field => field.identifier?.name);
+    for (const field of fields) {
+      const typeName = field.dataType?.name;
+      this.emit(OPCODES.CONSTANT, [this.constant(field.identifier.name)], field);
+      if (field.defaultValue) {
+        this.expression(field.defaultValue);
+      } else if (isListType((typeName || '').toLowerCase())) {
+        this.emit(OPCODES.BUILD_LIST, [0], field);
+      } else {
+        this.emit(OPCODES.CONSTANT, [this.constant(fieldDefault(typeName))], field);
+      }
+    }
+    this.emit(OPCODES.BUILD_STRUCT, [this.constant(node.name.name), fields.length], node);
+    this.emit(OPCODES.RETURN);
+    this.state = enclosing;
+  }
+
+  returnStatement(node) {
+    if (!this.state.parent) throw new CompileError('return used outside of a function', node);
+    if (node.value) this.expression(node.value);
+    else this.emit(OPCODES.CONSTANT, [this.constant(null)], node);
+    this.emit(OPCODES.RETURN, [], node);
+  }
+
+  // ===========================================================================
+  // Expressions
+  // ===========================================================================
+
+  binaryOpcode(operator, node) {
+    const opcode = BINARY_OPCODES[operator];
+    if (opcode === undefined) throw new CompileError(`Unknown operator '${operator}'`, node);
+    return opcode;
+  }
+
+  expression(node) {
+    if (!node) {
+      this.emit(OPCODES.CONSTANT, [this.constant(null)]);
+      return;
+    }
+
+    switch (node.type) {
+      case AST_NODE_TYPES.NUMBER_LIT:
+      case AST_NODE_TYPES.DECIMAL_LIT:
+      case AST_NODE_TYPES.BOOL_LIT:
+        this.emit(OPCODES.CONSTANT, [this.constant(node.value)], node);
+        return;
+      case AST_NODE_TYPES.NULL_LITERAL:
+        this.emit(OPCODES.CONSTANT, [this.constant(null)], node);
+        return;
+      case AST_NODE_TYPES.STRING_LIT:
+        this.string(node);
+        return;
+      case AST_NODE_TYPES.LIST_LIT: {
+        const elements = node.elements?.elements || [];
+        elements.forEach(element => this.expression(element));
+        this.emit(OPCODES.BUILD_LIST, [elements.length], node);
+        return;
+      }
+
+      case AST_NODE_TYPES.IDENTIFIER:
+        this.load(node.name, node);
+        return;
+      case AST_NODE_TYPES.LIST_ACCESS:
+        this.expression(node.array);
+        this.expression(node.index);
+        this.emit(OPCODES.GET_INDEX, [], node);
+        return;
+      case AST_NODE_TYPES.EXPRESSION:
+        this.expression(node.value);
+        return;
+
+      case AST_NODE_TYPES.FUNCTION_CALL: {
+        // The function and its argument count are checked before the arguments are evaluated
+        const args = node.arguments?.args || [];
+        this.loadCallee(node.function?.name ?? '', 'Function', node);
+        this.emit(OPCODES.CHECK_CALL, [this.constant(node.function?.name ?? ''), args.length], node);
+        args.forEach(arg => this.expression(arg));
+        this.emit(OPCODES.CALL, [args.length], node);
+        return;
+      }
+      case AST_NODE_TYPES.BUILTIN_FUNCTION_CALL: {
+        const args = node.arguments?.args || [];
+        args.forEach(arg => this.expression(arg));
+        this.emit(OPCODES.CALL_BUILTIN, [this.constant(node.builtin?.name ?? ''), args.length], node);
+        return;
+      }
+
+      case AST_NODE_TYPES.LOGIC_OR:
+      case AST_NODE_TYPES.LOGIC_AND: {
+        // Short-circuits with the left operand as the result
+        this.expression(node.left);
+        const opcode = node.operator === '||' ? OPCODES.JUMP_IF_TRUE_OR_POP : OPCODES.JUMP_IF_FALSE_OR_POP;
+        const end = this.emitJump(opcode, node.left);
+        this.expression(node.right);
+        this.emit(OPCODES.CHECK_BOOLEAN, [], node.right);
+        this.patch(end);
+        return;
+      }
+
+      case AST_NODE_TYPES.EQUALITY:
+      case AST_NODE_TYPES.RELATIONAL:
+      case AST_NODE_TYPES.ADDITIVE:
+      case AST_NODE_TYPES.MULTIPLICATIVE:
+      case AST_NODE_TYPES.EXPONENTIAL:
+        this.expression(node.left);
+        this.expression(node.right);
+        this.emit(this.binaryOpcode(node.operator, node), [], node);
+        return;
+
+      case AST_NODE_TYPES.UNARY: {
+        if (node.operator === '++' || node.operator === '--') {
+          this.increment(node.expression, node.operator, false, true);
+          return;
+        }
+        const opcode = UNARY_OPCODES[node.operator];
+        if (opcode === undefined) throw new CompileError(`Unknown unary operator '${node.operator}'`, node);
+        this.expression(node.expression);
+        this.emit(opcode, [], node);
+        return;
+      }
+      case AST_NODE_TYPES.POSTFIX_EXPR:
+        this.increment(node.operand, node.operator, true, true);
+        return;
+
+      case AST_NODE_TYPES.NEW_STRUCT:
+        this.loadCallee(node.struct?.name ?? '', 'Struct', node);
+        this.emit(OPCODES.CALL, [0], node);
+        return;
+      case AST_NODE_TYPES.FIELD_ACCESS:
+        this.expression(node.object);
+        this.emit(OPCODES.GET_FIELD, [this.constant(node.field?.name ?? '')], node);
+        return;
+
+      default:
+        throw new CompileError(`Cannot compile node of type ${node.type}`, node);
+    }
+  }
+
+  // Prefix forms yield the updated value, postfix forms the original one; statements keep neither.
+  increment(target, operator, isPostfix, keepResult) {
+    this.expression(target);
+    this.emit(OPCODES.CHECK_NUMBER, [], target);
+    if (keepResult && isPostfix) this.emit(OPCODES.DUP);
+    this.emit(OPCODES.CONSTANT, [this.constant(1)]);
+    this.emit(operator === '++' ? OPCODES.ADD : OPCODES.SUBTRACT);
+    if (keepResult && !isPostfix) this.emit(OPCODES.DUP);
+    this.assignTo(target);
+  }
+
+  // SIS strings push each piece of text and join them; insertions are formatted as they are read.
+  string(node) {
+    const parts = node.content || [];
+    if (!parts.some(part => part.type === AST_NODE_TYPES.STRING_INSERTION)) {
+      this.emit(OPCODES.CONSTANT, [this.constant(parts.map(part => unescapeContent(part.value)).join(''))], node);
+      return;
+    }
+
+    let pieces = 0;
+    const text = (value) => {
+      if (!value) return;
+      this.emit(OPCODES.CONSTANT, [this.constant(value)]);
+      pieces++;
+    };
+
+    for (let i = 0; i < parts.length; i++) {
+      const part = parts[i];
+      if (part.type !== AST_NODE_TYPES.STRING_INSERTION) {
+        text(unescapeContent(part.value));
+        continue;
+      }
+
+      const name = part.identifier?.name;
+      const decimal = this.resolveOrFail(name, node).type === 'decimal' ? 1 : 0;
+      this.load(name, node);
+      pieces++;
+
+      // Accessors such as [i] are scanned as the start of the following content part
+      const next = parts[i + 1];
+      const accessors = next?.type === AST_NODE_TYPES.STRING_CONTENT ? leadingAccessors(next.value) : '';
+      if (!accessors) {
+        this.emit(OPCODES.FORMAT, [decimal]);
+        continue;
+      }
+
+      // Variables used as indexes are passed along by name
+      const names = [...new Set([...accessors.matchAll(/\[\s*([A-Za-z_]\w*)\s*\]/g)].map(match => match[1]))]
+        .filter(variable => this.resolve(variable));
+      names.forEach(variable => {
+        this.emit(OPCODES.CONSTANT, [this.constant(variable)]);
+        this.load(variable, node);
+      });
+      this.emit(OPCODES.INSERT, [decimal, this.constant(accessors), names.length], node);
+      text(unescapeContent(next.value.slice(accessors.length)));
+      i++;
+    }
+
+    this.emit(OPCODES.BUILD_STRING, [pieces], node);
+  }
+}
+
+// --- Main Export ---
+
+/*
+Compiles a program AST to bytecode
+
+@param {Object} ast - Program AST from syntaxAnalyzer, free of syntax errors
+@param {Object} options - { sourceName: name of the ECHO file, recorded in the program }
+@returns {Object} The compiled program (see Bytecode.js)
+@throws {CompileError} When the tree has syntax errors or uses a variable that was never declared
+*/
+export const compileToBytecode = (ast, options = {}) =>
+  new BytecodeCompiler({ sourceName: 'program.echo', ...options }).compile(ast);
+
+export default compileToBytecode;
@@ -0,0 +1,20 @@
+/**
+ * Compile Error
+ *
+ * Error raised when a code generator cannot translate a program, positioned at the first
+ * token of the offending AST node like RuntimeError.
+ */
+
+import { findToken } from './RuntimeError.js';
+
+export class CompileError extends Error {
+  constructor(message, node = null) {
+    super(message);
+    this.name = 'CompileError';
+    const token = findToken(node);
+    this.line = token?.line || 0;
+    this.column = token?.column || 0;
+  }
+}
+
+export default CompileError;
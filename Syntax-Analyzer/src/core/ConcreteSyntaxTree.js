@@ -0,0 +1,84 @@
+/**
+ * Concrete Syntax Tree (CST)
+ *
+ * A lossless view of a program: the AST's structure with every source token placed under the
+ * node it belongs to, in source order. The tokens carry their whitespace, newlines and comments
+ * as trivia (see shared/lexicalScanner.js), so printing the tree reproduces the original source
+ * character for character, including code the parser could not make sense of. Formatters and
+ * refactoring tools edit this tree instead of re-deriving layout from the AST.
+ */
+
+import { TOKEN_TYPES } from '../../../shared/tokenTypes.js';
+import { AST_NODE_TYPES, childNodes } from './ASTBuilder.js';
+
+export const CST_KINDS = {
+  NODE: 'node',
+  TOKEN: 'token',
+};
+
+// Comments reach the tree as trivia of the surrounding tokens, not as tokens of their own.
+const isTriviaToken = (token) =>
+  token.type === TOKEN_TYPES.COMMENT_SINGLE || token.type === TOKEN_TYPES.COMMENT_MULTI;
+
+// Moves every remaining token that starts before `offset` into `cst`.
+const takeTokensBefore = (cst, state, offset) => {
+  while (state.index < state.tokens.length && state.tokens[state.index].start < offset) {
+    const token = state.tokens[state.index++];
+    cst.children.push({ kind: CST_KINDS.TOKEN, token });
+    state.offset = token.end;
+  }
+};
+
+const buildNode = (node, state, end) => {
+  const cst = { kind: CST_KINDS.NODE, type: node.type, node, children: [] };
+  const children = childNodes(node)
+    .filter(child => child.range)
+    .sort((a, b) => a.range.start - b.range.start || a.range.end - b.range.end);
+
+  for (const child of children) {
+    takeTokensBefore(cst, state, Math.min(child.range.start, end));
+    // A child overlapping tokens already placed cannot be nested; its tokens stay with this node
+    if (child.range.start < state.offset || child.range.start > end) continue;
+    cst.children.push(buildNode(child, state, Math.min(child.range.end, end)));
+  }
+
+  takeTokensBefore(cst, state, end);
+  return cst;
+};
+
+/*
+Builds the concrete syntax tree of an analyzed program
+
+Every token appears exactly once; tokens outside any AST node (the END_OF_FILE marker, text after
+the program) belong to the root.
+
+@param {Object} ast - Program node returned by the syntax analyzer, with ranges assigned
+@param {Array} tokens - Tokens from the shared scanner, including comments and END_OF_FILE
+@returns {Object} Root CST node
+*/
+export const buildCST = (ast, tokens) => {
+  const state = { tokens: tokens.filter(token => !isTriviaToken(token)), index: 0, offset: 0 };
+  if (!ast) {
+    const root = { kind: CST_KINDS.NODE, type: AST_NODE_TYPES.ECHO_PROGRAM, node: null, children: [] };
+    takeTokensBefore(root, state, Infinity);
+    return root;
+  }
+  return buildNode(ast, state, Infinity);
+};
+
+// Tokens of a (sub)tree in source order.
+export const cstTokens = (cst) => {
+  if (cst.kind === CST_KINDS.TOKEN) return [cst.token];
+  return cst.children.flatMap(cstTokens);
+};
+
+/*
+Prints a concrete syntax tree back to source text
+
+@param {Object} cst - Any CST node
+@returns {string} The exact source the tree was built from
+*/
+export const printCST = (cst) =>
+  cstTokens(cst)
+    .map(token => [...token.leadingTrivia, token, ...token.trailingTrivia].map(part => part.text).join(''))
+    .join('');
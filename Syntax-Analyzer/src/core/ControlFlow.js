@@ -0,0 +1,263 @@
+/**
+ * Control Flow Graph
+ *
+ * Builds one graph for the main program and one for every function, with a vertex per
+ * statement and edges to every statement that can run next:
+ *
+ *   { name, definition, entry, exit, vertices: [{ id, kind, node, successors, predecessors }] }
+ *
+ * `kind` is 'entry', 'exit', 'statement', or 'condition' for the tests of `else if` arms and
+ * `do ... while` loops. An `if` or loop vertex stands for testing its condition. `return` leads to
+ * the exit; `break` and `continue` lead past or back to their loop; a condition that is the literal
+ * `true` never leads out of its loop. The vertices of a loop's body are numbered after the loop's
+ * own vertex and before its `loopEnd`. Function and struct definitions run nothing where they
+ * appear, so they are not part of the flow.
+ *
+ * checkControlFlow uses the graphs to warn about statements no path reaches, loops no path
+ * leaves, and functions with a return type where some path ends without `return`.
+ */
+
+import { AST_NODE_TYPES, childNodes, rangeOf } from './ASTBuilder.js';
+
+const LOOP_TYPES = new Set([AST_NODE_TYPES.FOR_LOOP, AST_NODE_TYPES.WHILE_LOOP, AST_NODE_TYPES.DO_WHILE_LOOP]);
+
+// Whether a loop condition is the literal `true`, however deeply it is wrapped, so the loop is
+// only left through break or return.
+export const isAlwaysTrue = (node) => {
+  let value = node;
+  while (value?.type === AST_NODE_TYPES.EXPRESSION) value = value.value;
+  return value?.type === AST_NODE_TYPES.BOOL_LIT && value.value === true;
+};
+
+// Statements of a function in order, with the trailing return the parser keeps apart.
+const functionStatements = (definition) => [
+  ...(definition.body?.statements || []),
+  ...(definition.returnStatement ? [definition.returnStatement] : []),
+];
+
+// --- Graph Construction ---
+
+class GraphBuilder {
+  constructor(name, definition) {
+    this.graph = { name, definition, entry: null, exit: null, vertices: [] };
+    this.graph.entry = this.vertex('entry', definition);
+    this.graph.exit = this.vertex('exit', definition);
+    // Innermost loop last: { breaks, continues } vertices that jump out of or back to it
+    this.loops = [];
+  }
+
+  vertex(kind, node) {
+    const vertex = { id: this.graph.vertices.length, kind, node, successors: [], predecessors: [] };
+    this.graph.vertices.push(vertex);
+    return vertex;
+  }
+
+  connect(from, to) {
+    for (const vertex of from) {
+      vertex.successors.push(to);
+      to.predecessors.push(vertex);
+    }
+  }
+
+  // Links a statement sequence between the entry and the exit.
+  build(statements) {
+    const end = this.sequence(statements, [this.graph.entry]);
+    this.connect(end, this.graph.exit);
+    return this.graph;
+  }
+
+  sequence(statements, from) {
+    return statements.reduce((current, stmt) => this.statement(stmt, current), from);
+  }
+
+  block(stmtList, from) {
+    return this.sequence(stmtList?.statements || [], from);
+  }
+
+  // Adds a statement after `from`, returning the vertices control leaves it from.
+  statement(node, from) {
+    if (!node || node.type === AST_NODE_TYPES.FUNCTION_DEF || node.type === AST_NODE_TYPES.DATA_STRUCT) {
+      return from;
+    }
+
+    const vertex = this.vertex('statement', node);
+    this.connect(from, vertex);
+
+    switch (node.type) {
+      case AST_NODE_TYPES.IF_STMT: {
+        const ends = this.block(node.thenBody, [vertex]);
+        let test = vertex;
+        for (const elseIf of node.elseIfs || []) {
+          const next = this.vertex('condition', elseIf);
+          this.connect([test], next);
+          ends.push(...this.block(elseIf.body, [next]));
+          test = next;
+        }
+        ends.push(...(node.elseBody ? this.block(node.elseBody, [test]) : [test]));
+        return ends;
+      }
+
+      case AST_NODE_TYPES.SWITCH_STMT: {
+        const ends = (node.cases || []).flatMap(caseBlock => this.block(caseBlock.body, [vertex]));
+        ends.push(...(node.defaultBlock ? this.block(node.defaultBlock, [vertex]) : [vertex]));
+        return ends;
+      }
+
+      case AST_NODE_TYPES.FOR_LOOP:
+      case AST_NODE_TYPES.WHILE_LOOP: {
+        const { end, breaks, continues } = this.loopBody(node.body, vertex);
+        this.connect([...end, ...continues], vertex);
+        vertex.loopEnd = this.graph.vertices.length;
+        const leaves = node.type === AST_NODE_TYPES.WHILE_LOOP && isAlwaysTrue(node.condition) ? [] : [vertex];
+        return [...leaves, ...breaks];
+      }
+
+      case AST_NODE_TYPES.DO_WHILE_LOOP: {
+        const { end, breaks, continues } = this.loopBody(node.body, vertex);
+        const test = this.vertex('condition', node.condition);
+        this.connect([...end, ...continues], test);
+        this.connect([test], vertex);
+        vertex.loopEnd = this.graph.vertices.length;
+        return [...(isAlwaysTrue(node.condition) ? [] : [test]), ...breaks];
+      }
+
+      case AST_NODE_TYPES.RETURN_STMT:
+        this.connect([vertex], this.graph.exit);
+        return [];
+
+      case AST_NODE_TYPES.JUMP_STMT: {
+        const loop = this.loops[this.loops.length - 1];
+        if (!loop) {
+          // Already an error; treat it as leaving the program
+          this.connect([vertex], this.graph.exit);
+          return [];
+        }
+        (node.jump === 'break' ? loop.breaks : loop.continues).push(vertex);
+        return [];
+      }
+
+      default:
+        return [vertex];
+    }
+  }
+
+  loopBody(stmtList, head) {
+    const loop = { breaks: [], continues: [] };
+    this.loops.push(loop);
+    const end = this.block(stmtList, [head]);
+    this.loops.pop();
+    return { end, ...loop };
+  }
+}
+
+const collectFunctions = (node, found = []) => {
+  if (node.type === AST_NODE_TYPES.FUNCTION_DEF) found.push(node);
+  childNodes(node).forEach(child => collectFunctions(child, found));
+  return found;
+};
+
+// Vertices found by following `next` from `start`.
+const walk = (start, next) => {
+  const seen = new Set([start]);
+  const pending = [start];
+  while (pending.length > 0) {
+    for (const vertex of next(pending.pop())) {
+      if (!seen.has(vertex)) {
+        seen.add(vertex);
+        pending.push(vertex);
+      }
+    }
+  }
+  return seen;
+};
+
+// Whether any path from a loop's vertex gets outside its body.
+const leavesLoop = (loop) =>
+  [...walk(loop, vertex => vertex.successors)].some(vertex => vertex.id < loop.id || vertex.id >= loop.loopEnd);
+
+// --- Main Exports ---
+
+/*
+Builds the control flow graphs of a program
+
+@param {Object} ast - Program node returned by the analyzer
+@returns {Array} Graphs, the main program first and then every function in source order
+*/
+export const buildControlFlowGraphs = (ast) => {
+  if (!ast) return [];
+  const main = new GraphBuilder('<main>', ast).build(ast.statements?.statements || []);
+  const functions = collectFunctions(ast).map(definition =>
+    new GraphBuilder(definition.name?.name || '<anonymous>', definition).build(functionStatements(definition))
+  );
+  return [main, ...functions];
+};
+
+/*
+Warns about unreachable statements, loops that never end and paths that miss a `return`
+
+@param {Object} ast - Program node with ranges assigned, without recovery nodes
+@param {Function} report - Called with (message, range) for each finding
+*/
+export const checkControlFlow = (ast, report) => {
+  const graphs = buildControlFlowGraphs(ast);
+  const reachable = new Set();
+  const vertexOf = new Map();
+
+  for (const graph of graphs) {
+    const live = walk(graph.entry, vertex => vertex.successors);
+
+    for (const vertex of graph.vertices) {
+      if (vertex.kind !== 'statement') continue;
+      vertexOf.set(vertex.node, vertex);
+      if (live.has(vertex)) reachable.add(vertex);
+
+      if (LOOP_TYPES.has(vertex.node.type) && live.has(vertex) && !leavesLoop(vertex)) {
+        report(
+          `This ${vertex.node.keyword?.lexeme || 'loop'} loop never ends; nothing breaks out of it or returns.`,
+          rangeOf(vertex.node.keyword) || vertex.node.range
+        );
+      }
+    }
+
+    // Functions with no return at all are already errors
+    const definition = graph.definition;
+    const returns = graph.vertices.some(vertex => vertex.node?.type === AST_NODE_TYPES.RETURN_STMT);
+    const fallsOff = graph.exit.predecessors.some(vertex =>
+      live.has(vertex) && vertex.node?.type !== AST_NODE_TYPES.RETURN_STMT
+    );
+    const returnType = definition.returnType?.name;
+    if (definition.type === AST_NODE_TYPES.FUNCTION_DEF && returnType && returnType !== 'void' && returns && fallsOff) {
+      report(
+        `Function '${graph.name}' can reach its end without returning a '${returnType}'; not every path has a return.`,
+        definition.name?.range || definition.range
+      );
+    }
+  }
+
+  // Only the first statement of each unreachable run is reported
+  const visit = (statements, parentLive) => {
+    let previousLive = parentLive;
+    for (const stmt of statements) {
+      if (stmt?.type === AST_NODE_TYPES.FUNCTION_DEF) {
+        visit(functionStatements(stmt), true);
+        continue;
+      }
+      const vertex = vertexOf.get(stmt);
+      if (!vertex) continue;
+
+      const live = reachable.has(vertex);
+      if (!live && previousLive) report('Unreachable code: no path leads to this statement.', stmt.range);
+      previousLive = live;
+
+      for (const child of childNodes(stmt)) {
+        if (child.type === AST_NODE_TYPES.STMT_LIST) visit(child.statements, live);
+        if (child.type === AST_NODE_TYPES.ELSE_IF_BLOCK || child.type === AST_NODE_TYPES.CASE_BLOCK) {
+          visit(child.body?.statements || [], live);
+        }
+      }
+    }
+  };
+  visit(ast.statements?.statements || [], true);
+};
+
+export default checkControlFlow;
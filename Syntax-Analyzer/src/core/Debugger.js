@@ -0,0 +1,167 @@
+/**
+ * ECHO Debugger
+ *
+ * Debug session for the tree-walking interpreter. The interpreter calls `beforeStatement` before
+ * every statement it executes; the session decides whether to pause there (a breakpoint, or the
+ * end of a step) and, while paused, keeps the program suspended until the UI resumes it:
+ *
+ *   const session = createDebugSession({ breakpoints: [4], onPause: showState });
+ *   await executeProgram(ast, { debugger: session });
+ *   // later, from the UI: session.stepOver(), session.stepInto(), session.stepOut(), session.resume()
+ *
+ * Stepping is measured in call depth: step into stops at the next statement anywhere, step over
+ * at the next statement that is not inside a call made by the current one, and step out at the
+ * next statement after the current function returns.
+ */
+
+import { RuntimeError, findToken } from './RuntimeError.js';
+import { formatValue } from './StringInsertion.js';
+
+const MODES = {
+  CONTINUE: 'continue',
+  STEP_INTO: 'stepInto',
+  STEP_OVER: 'stepOver',
+  STEP_OUT: 'stepOut',
+};
+
+// Bindings of one environment as displayable rows.
+const describeBindings = (env) => Array.from(env.bindings, ([name, binding]) => ({
+  name,
+  type: binding.type || 'unknown',
+  value: formatValue(binding.value, binding.type),
+}));
+
+/*
+Snapshot of the scopes visible from an environment, innermost first
+
+Environments inside the frame's call environment are its blocks; past it come the scopes the
+function closes over, ending with the program's globals.
+
+@param {Object} env - Environment the frame is executing in
+@param {Object} frame - Call stack frame the environment belongs to
+@param {Object} globals - The program's global environment
+@returns {Array} Scopes: { name, variables: [{ name, type, value }] }
+*/
+const describeScopes = (env, frame, globals) => {
+  const scopes = [];
+  let insideCall = true;
+
+  for (let scope = env; scope; scope = scope.parent) {
+    let name = insideCall ? 'Block' : 'Enclosing';
+    if (scope === globals) name = 'Global';
+    else if (scope === frame.env) name = `Local: ${frame.name}`;
+
+    if (scope === frame.env) insideCall = false;
+    // Blocks without declarations of their own only add noise
+    if (scope.bindings.size === 0 && name === 'Block') continue;
+    scopes.push({ name, variables: describeBindings(scope) });
+  }
+  return scopes;
+};
+
+// Call stack as displayable frames, innermost first, each with the scopes it can see.
+const describeCallStack = (callStack, globals) => callStack.map((frame) => ({
+  name: frame.name,
+  line: frame.line,
+  column: frame.column,
+  scopes: describeScopes(frame.current || frame.env, frame, globals),
+})).reverse();
+
+// --- Main Export ---
+
+/*
+Creates a debug session to pass as the `debugger` option of executeProgram
+
+`onPause` receives { line, column, reason, callStack } whenever the program stops; `reason` is
+'breakpoint', 'step' or 'entry'. The program stays suspended until resume, stepOver, stepInto or
+stepOut is called. `stop()` ends the program with a runtime error.
+
+@param {Object} options - { breakpoints: line numbers, stopOnEntry, onPause, onResume }
+@returns {Object} Debug session
+*/
+export const createDebugSession = ({ breakpoints = [], stopOnEntry = false, onPause, onResume } = {}) => {
+  const lines = new Set(breakpoints);
+  let mode = stopOnEntry ? MODES.STEP_INTO : MODES.CONTINUE;
+  let stepDepth = 0;
+  let pending = null;
+  let stopped = null;
+  let pauses = 0;
+
+  const shouldPause = (line, depth) => {
+    switch (mode) {
+      case MODES.STEP_INTO: return true;
+      case MODES.STEP_OVER: return depth <= stepDepth || lines.has(line);
+      case MODES.STEP_OUT: return depth < stepDepth || lines.has(line);
+      default: return lines.has(line);
+    }
+  };
+
+  const continueWith = (nextMode) => {
+    if (!pending) return false;
+    const { resolve, depth } = pending;
+    pending = null;
+    mode = nextMode;
+    stepDepth = depth;
+    if (onResume) onResume();
+    resolve();
+    return true;
+  };
+
+  return {
+    /*
+    Called by the interpreter before it executes a statement
+
+    @param {Object} node - Statement about to run
+    @param {Object} context - { env, callStack, globals } of the interpreter
+    */
+    async beforeStatement(node, { env, callStack, globals }) {
+      if (stopped) throw new RuntimeError(stopped, node);
+
+      const token = findToken(node);
+      const line = token?.line || 0;
+      const frame = callStack[callStack.length - 1];
+      frame.line = line;
+      frame.column = token?.column || 0;
+      frame.current = env;
+
+      const depth = callStack.length;
+      if (!line || !shouldPause(line, depth)) return;
+
+      const reason = pauses++ === 0 && stopOnEntry ? 'entry' : (lines.has(line) ? 'breakpoint' : 'step');
+      await new Promise((resolve, reject) => {
+        pending = { resolve, reject, depth };
+        if (onPause) {
+          onPause({ line, column: frame.column, reason, callStack: describeCallStack(callStack, globals) });
+        }
+      });
+    },
+
+    resume: () => continueWith(MODES.CONTINUE),
+    stepInto: () => continueWith(MODES.STEP_INTO),
+    stepOver: () => continueWith(MODES.STEP_OVER),
+    stepOut: () => continueWith(MODES.STEP_OUT),
+
+    /*
+    Ends the program at the next statement, or right away when it is paused
+
+    @param {String} reason - Message of the runtime error the program stops with
+    */
+    stop(reason = 'Program was stopped') {
+      stopped = reason;
+      if (!pending) return;
+      const { reject } = pending;
+      pending = null;
+      reject(new RuntimeError(reason));
+    },
+
+    // Breakpoints can change while the program runs; they apply from the next statement.
+    setBreakpoints(nextLines) {
+      lines.clear();
+      for (const line of nextLines) lines.add(line);
+    },
+
+    isPaused: () => pending !== null,
+  };
+};
+
+export default createDebugSession;
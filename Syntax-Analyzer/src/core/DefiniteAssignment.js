@@ -0,0 +1,432 @@
+/**
+ * Definite Assignment
+ *
+ * Control-flow-aware check that every variable is assigned before it is read. It runs over the
+ * finished AST, following each path through if/else-if/else, switch (with or without a
+ * default), loops, break, continue and return, and classifies every read:
+ *
+ * - assigned on every path: fine
+ * - assigned on no path: error, "is used but has not been initialized"
+ * - assigned on some paths only: warning, "may be used before initialization"
+ *
+ * The state on a path maps each variable symbol to ASSIGNED or MAYBE (absent means unassigned);
+ * a path that has left through break, continue or return has no state (null). Paths join by
+ * merging their states. Loop bodies are analyzed until the state at the top of an iteration
+ * stops changing, so a read can see assignments made later in the body on an earlier iteration.
+ *
+ * A function can be called before or after the outer variables it uses are assigned, so its body
+ * is analyzed on its own: reads of outer variables it has not assigned itself are not reported
+ * there but checked at each call, against the state of the caller. A call then assigns the outer
+ * variables that the function assigns on every path through its body.
+ */
+
+import { AST_NODE_TYPES, childNodes } from './ASTBuilder.js';
+import { SYMBOL_KINDS } from './SymbolTable.js';
+import { isAlwaysTrue } from './ControlFlow.js';
+
+const ASSIGNED = 'assigned';
+const MAYBE = 'maybe';
+
+// Symbols that hold values; functions and structs are always available.
+const VALUE_KINDS = new Set([SYMBOL_KINDS.VARIABLE, SYMBOL_KINDS.PARAMETER, SYMBOL_KINDS.ITERATOR]);
+
+// Loops settle within a few iterations; the cap only guards against surprises.
+const MAX_LOOP_PASSES = 10;
+
+const copy = (state) => (state ? new Map(state) : null);
+
+// Joins the states of paths that meet; a variable is assigned only if every live path assigned it.
+const merge = (states) => {
+  const live = states.filter(Boolean);
+  if (live.length === 0) return null;
+
+  const merged = new Map();
+  for (const state of live) {
+    for (const symbol of state.keys()) {
+      merged.set(symbol, live.every(other => other.get(symbol) === ASSIGNED) ? ASSIGNED : MAYBE);
+    }
+  }
+  return merged;
+};
+
+const sameState = (a, b) => {
+  if (!a || !b) return a === b;
+  if (a.size !== b.size) return false;
+  for (const [symbol, value] of a) {
+    if (b.get(symbol) !== value) return false;
+  }
+  return true;
+};
+
+const isWithin = (scope, ancestor) => {
+  for (let current = scope; current; current = current.parent) {
+    if (current === ancestor) return true;
+  }
+  return false;
+};
+
+// --- Analysis Class ---
+
+class DefiniteAssignment {
+  constructor(symbolTable, report) {
+    // Every declared or used name token -> the symbol it refers to
+    this.symbols = new Map(symbolTable.references.map(({ token, symbol }) => [token, symbol]));
+    this.report = report;
+    this.reported = new Set();
+    // Nonzero while exploring paths whose diagnostics would be premature (loop and call passes)
+    this.silent = 0;
+    // Innermost loop last: { breaks, continues } states leaving through jumps
+    this.loops = [];
+    // States at the returns of the function being analyzed
+    this.returns = [];
+    // Function being analyzed: its scope and the outer symbols it reads before assigning them
+    this.body = null;
+    // Function name -> FUNCTION_DEF, and name -> { needs, assigns } of a call (null while computing)
+    this.functions = new Map();
+    this.summaries = new Map();
+  }
+
+  run(ast) {
+    this.collectFunctions(ast);
+    this.block(ast.statements, new Map());
+  }
+
+  collectFunctions(node) {
+    if (node.type === AST_NODE_TYPES.FUNCTION_DEF && node.name?.name) this.functions.set(node.name.name, node);
+    childNodes(node).forEach(child => this.collectFunctions(child));
+  }
+
+  // ===========================================================================
+  // Statements
+  // ===========================================================================
+
+  block(stmtList, state) {
+    let current = state;
+    for (const stmt of stmtList?.statements || []) {
+      // Code after break, continue or return is never reached with any state
+      if (!current) break;
+      current = this.statement(stmt, current);
+    }
+    return current;
+  }
+
+  statement(node, state) {
+    if (!node || !state) return state;
+
+    switch (node.type) {
+      case AST_NODE_TYPES.DECLARATION_STMT: return this.declaration(node, state);
+      case AST_NODE_TYPES.ASSIGNMENT_STMT: return this.assignment(node, state);
+      case AST_NODE_TYPES.INPUT_STMT:
+        return this.assign(node.target, this.expression(node.expression, state));
+      case AST_NODE_TYPES.IF_STMT: return this.ifStatement(node, state);
+      case AST_NODE_TYPES.SWITCH_STMT: return this.switchStatement(node, state);
+      case AST_NODE_TYPES.FOR_LOOP: return this.forLoop(node, state);
+      case AST_NODE_TYPES.WHILE_LOOP: return this.whileLoop(node, state);
+      case AST_NODE_TYPES.DO_WHILE_LOOP: return this.doWhileLoop(node, state);
+
+      case AST_NODE_TYPES.RETURN_STMT:
+        this.returns.push(this.expression(node.value, state));
+        return null;
+      case AST_NODE_TYPES.JUMP_STMT: {
+        const loop = this.loops[this.loops.length - 1];
+        if (loop) (node.jump === 'break' ? loop.breaks : loop.continues).push(state);
+        return null;
+      }
+
+      // Definitions run nothing where they appear; outer variables are checked at the calls
+      case AST_NODE_TYPES.FUNCTION_DEF:
+        this.functionBody(node);
+        return state;
+      case AST_NODE_TYPES.DATA_STRUCT:
+        return state;
+
+      default:
+        return this.expression(node, state);
+    }
+  }
+
+  declaration(node, state) {
+    let current = state;
+    for (const item of node.declList?.items || []) {
+      if (!item?.identifier) continue;
+      if (item.value) current = this.expression(item.value, current);
+      if (!current) return null;
+
+      const symbol = this.symbolOf(item.identifier);
+      if (!symbol) continue;
+      // A declaration inside a loop starts a fresh, unassigned variable on every iteration
+      if (item.value || item.isArray) current.set(symbol, ASSIGNED);
+      else current.delete(symbol);
+    }
+    return current;
+  }
+
+  assignment(node, state) {
+    const operator = node.assignmentOp?.operator || node.assignmentOp?.value || '=';
+    const target = node.target;
+    let current = this.expression(node.value, state);
+
+    if (target?.type !== AST_NODE_TYPES.IDENTIFIER) {
+      // Element assignment reads the list and the index
+      return this.expression(target, current);
+    }
+    // Compound assignment reads the variable first
+    if (operator !== '=') current = this.expression(target, current);
+    return this.assign(target, current);
+  }
+
+  assign(identifier, state) {
+    const symbol = this.symbolOf(identifier);
+    if (state && symbol) state.set(symbol, ASSIGNED);
+    return state;
+  }
+
+  ifStatement(node, state) {
+    let rest = this.expression(node.condition, state);
+    const arms = [this.block(node.thenBody, copy(rest))];
+
+    for (const elseIf of node.elseIfs || []) {
+      rest = this.expression(elseIf.condition, rest);
+      arms.push(this.block(elseIf.body, copy(rest)));
+    }
+
+    // Without an else, control can also fall past every arm
+    arms.push(node.elseBody ? this.block(node.elseBody, copy(rest)) : rest);
+    return merge(arms);
+  }
+
+  switchStatement(node, state) {
+    const subject = this.expression(node.expression, state);
+    const arms = (node.cases || []).map(caseBlock => this.block(caseBlock.body, copy(subject)));
+    arms.push(node.defaultBlock ? this.block(node.defaultBlock, copy(subject)) : subject);
+    return merge(arms);
+  }
+
+  // ===========================================================================
+  // Loops
+  // ===========================================================================
+
+  /*
+  Runs one pass over a loop, collecting the states that leave it through break and continue
+
+  @param {Function} body - Analyzes the iteration and returns the state at its end
+  @returns {Object} { end, breaks, continues }
+  */
+  iteration(body) {
+    const loop = { breaks: [], continues: [] };
+    this.loops.push(loop);
+    try {
+      return { end: body(), ...loop };
+    } finally {
+      this.loops.pop();
+    }
+  }
+
+  /*
+  Finds the state at the top of a loop's iterations, then analyzes the loop once more from it
+
+  @param {Object} entry - State when the loop is reached
+  @param {Function} pass - (head) => { exit, back }: the state after the loop and the states
+                           flowing back to the top of the next iteration
+  @returns {Object} State after the loop
+  */
+  loop(entry, pass) {
+    let head = entry;
+    this.silent++;
+    try {
+      for (let i = 0; i < MAX_LOOP_PASSES; i++) {
+        const next = merge([entry, ...pass(copy(head)).back]);
+        if (sameState(next, head)) break;
+        head = next;
+      }
+    } finally {
+      this.silent--;
+    }
+    return pass(copy(head)).exit;
+  }
+
+  // The bounds are evaluated once; the body may run zero times.
+  forLoop(node, state) {
+    let entry = this.expression(node.start, state);
+    entry = this.expression(node.end, entry);
+    entry = this.expression(node.step?.value, entry);
+    if (!entry) return null;
+
+    return this.loop(entry, (head) => {
+      const { end, breaks, continues } = this.iteration(() => {
+        const body = copy(head);
+        this.assign(node.iterator, body);
+        return this.block(node.body, body);
+      });
+      return { exit: merge([head, ...breaks]), back: [end, ...continues] };
+    });
+  }
+
+  whileLoop(node, state) {
+    return this.loop(state, (head) => {
+      const tested = this.expression(node.condition, head);
+      const { end, breaks, continues } = this.iteration(() => this.block(node.body, copy(tested)));
+      return { exit: merge([isAlwaysTrue(node.condition) ? null : tested, ...breaks]), back: [end, ...continues] };
+    });
+  }
+
+  // The body runs at least once before the condition is tested.
+  doWhileLoop(node, state) {
+    return this.loop(state, (head) => {
+      const { end, breaks, continues } = this.iteration(() => this.block(node.body, head));
+      const tested = this.expression(node.condition, merge([end, ...continues]));
+      return { exit: merge([isAlwaysTrue(node.condition) ? null : tested, ...breaks]), back: [copy(tested)] };
+    });
+  }
+
+  // ===========================================================================
+  // Functions
+  // ===========================================================================
+
+  /*
+  Analyzes a function body, with only its parameters assigned when it starts
+
+  @param {Object} node - FUNCTION_DEF node
+  @returns {Object} { exit, needs }: the state when the function returns, over every return path,
+                    and the outer symbols the body reads before assigning them
+  */
+  functionBody(node) {
+    const saved = { loops: this.loops, returns: this.returns, body: this.body };
+    this.loops = [];
+    this.returns = [];
+    this.body = { scope: node.body?.scope, needs: new Set() };
+
+    try {
+      const state = new Map();
+      for (const param of node.parameters?.params || []) this.assign(param.name, state);
+      let end = this.block(node.body, state);
+      end = this.statement(node.returnStatement, end);
+      return { exit: merge([end, ...this.returns]), needs: this.body.needs };
+    } finally {
+      this.loops = saved.loops;
+      this.returns = saved.returns;
+      this.body = saved.body;
+    }
+  }
+
+  /*
+  What a call to a function means for the outer variables; recursive calls need and assign nothing
+
+  @param {string} name - Name of the function
+  @returns {Object} { needs, assigns }: the outer symbols the call reads before assigning them,
+                    and those it assigns on every path
+  */
+  summaryOf(name) {
+    const none = { needs: [], assigns: [] };
+    if (this.summaries.has(name)) return this.summaries.get(name) || none;
+    const node = this.functions.get(name);
+    if (!node) return none;
+
+    this.summaries.set(name, null);
+    this.silent++;
+    let body;
+    try {
+      body = this.functionBody(node);
+    } finally {
+      this.silent--;
+    }
+
+    const locals = node.body?.scope;
+    const assigns = [...(body.exit || [])]
+      .filter(([symbol, value]) => value === ASSIGNED && !isWithin(symbol.scope, locals))
+      .map(([symbol]) => symbol);
+    const summary = { needs: [...body.needs], assigns };
+    this.summaries.set(name, summary);
+    return summary;
+  }
+
+  // ===========================================================================
+  // Expressions
+  // ===========================================================================
+
+  expression(node, state) {
+    if (!node || !state) return state;
+
+    switch (node.type) {
+      case AST_NODE_TYPES.IDENTIFIER:
+        this.read(node, state);
+        return state;
+      case AST_NODE_TYPES.STRING_INSERTION:
+        this.read(node.identifier, state);
+        return state;
+
+      case AST_NODE_TYPES.FUNCTION_CALL: {
+        let current = state;
+        for (const arg of node.arguments?.args || []) current = this.expression(arg, current);
+        const { needs, assigns } = this.summaryOf(node.function?.name);
+        for (const symbol of needs) this.check(symbol, current, node.function.token, node.function.name);
+        for (const symbol of assigns) current.set(symbol, ASSIGNED);
+        return current;
+      }
+
+      // The right operand only runs on some paths
+      case AST_NODE_TYPES.LOGIC_OR:
+      case AST_NODE_TYPES.LOGIC_AND: {
+        const left = this.expression(node.left, state);
+        return merge([left, this.expression(node.right, copy(left))]);
+      }
+
+      default:
+        return childNodes(node).reduce((current, child) => this.expression(child, current), state);
+    }
+  }
+
+  read(identifier, state) {
+    const symbol = this.symbolOf(identifier);
+    if (symbol && VALUE_KINDS.has(symbol.kind)) this.check(symbol, state, identifier.token);
+  }
+
+  /*
+  Reports a use of a variable that is not assigned on every path to it
+
+  @param {Object} symbol - Variable used
+  @param {Object} state - State of the path reaching the use
+  @param {Object} token - Token the finding is reported at
+  @param {string} caller - Name of the function whose call uses the variable, if the use is a call
+  */
+  check(symbol, state, token, caller = null) {
+    const status = state.get(symbol);
+    if (status === ASSIGNED) return;
+    // Outer variables may be assigned before the function is called; its calls check them
+    if (this.body && !isWithin(symbol.scope, this.body.scope)) {
+      this.body.needs.add(symbol);
+      return;
+    }
+    if (this.silent) return;
+
+    const use = caller ? `used by '${caller}'` : 'used';
+    const message = status === MAYBE
+      ? `Variable '${symbol.name}' may be ${use} before initialization; not every path to this ${caller ? 'call' : 'use'} assigns it.`
+      : `Variable '${symbol.name}' is ${use} but has not been initialized.`;
+    const key = `${token.line}:${token.column}:${message}`;
+    if (this.reported.has(key)) return;
+
+    this.reported.add(key);
+    this.report(status === MAYBE ? 'warning' : 'error', message, token);
+  }
+
+  symbolOf(identifier) {
+    return identifier?.token ? this.symbols.get(identifier.token) || null : null;
+  }
+}
+
+// --- Main Export ---
+
+/*
+Reports reads of variables that are not assigned on every path leading to them
+
+@param {Object} ast - Program node returned by the analyzer, without recovery nodes
+@param {SymbolTable} symbolTable - Symbol table the analyzer filled while parsing
+@param {Function} report - Called with (severity, message, token) for each finding
+*/
+export const checkDefiniteAssignment = (ast, symbolTable, report) => {
+  if (!ast) return;
+  new DefiniteAssignment(symbolTable, report).run(ast);
+};
+
+export default checkDefiniteAssignment;
@@ -0,0 +1,112 @@
+/**
+ * ECHO Disassembler
+ *
+ * Prints a compiled program as a readable listing, one instruction per line with its offset,
+ * opcode, operands and what they refer to (constants, variable names, jump targets):
+ *
+ *   function <main> (0 parameters; locals: total)
+ *     ; 1 | number total = 0
+ *        0  CONSTANT       0       ; 0
+ *        2  DECLARE        0       ; total
+ *
+ * When the ECHO source is available, each source line is shown above the instructions compiled
+ * from it, so the listing can be read side by side with the program.
+ */
+
+import { OPCODES, OPCODE_NAMES, OPERAND_COUNTS, positionAt } from './Bytecode.js';
+
+const OFFSET_WIDTH = 6;
+const OPCODE_WIDTH = 22;
+const OPERANDS_WIDTH = 10;
+
+const describeConstant = (value) => (typeof value === 'string' ? JSON.stringify(value) : String(value));
+
+// Notes for the operands of each opcode that refers to something.
+const operandNotes = (program, fn, opcode, operands) => {
+  const { constants, functions } = program;
+  const local = (slot) => fn.locals[slot]?.name ?? `?${slot}`;
+
+  switch (opcode) {
+    case OPCODES.CONSTANT:
+    case OPCODES.FAIL:
+      return describeConstant(constants[operands[0]]);
+    case OPCODES.GET_FIELD:
+    case OPCODES.SET_FIELD:
+      return constants[operands[0]];
+    case OPCODES.DECLARE:
+    case OPCODES.LOAD_LOCAL:
+    case OPCODES.STORE_LOCAL:
+      return local(operands[0]);
+    case OPCODES.LOAD_GLOBAL:
+    case OPCODES.STORE_GLOBAL:
+      return functions[0].locals[operands[0]]?.name ?? `?${operands[0]}`;
+    case OPCODES.LOAD_OUTER:
+    case OPCODES.STORE_OUTER: {
+      let owner = fn;
+      for (let i = 0; i < operands[0] && owner; i++) owner = functions[owner.parent];
+      return `${owner?.locals[operands[1]]?.name ?? `?${operands[1]}`} of ${owner?.name ?? '?'}`;
+    }
+    case OPCODES.FORMAT:
+      return operands[0] ? 'as decimal' : '';
+    case OPCODES.INSERT:
+      return `${JSON.stringify(constants[operands[1]])}${operands[0] ? ' as decimal' : ''}`;
+    case OPCODES.CLOSURE:
+      return functions[operands[0]]?.name ?? '';
+    case OPCODES.BUILD_STRUCT:
+    case OPCODES.CHECK_CALL:
+    case OPCODES.CALL_BUILTIN:
+      return `${constants[operands[0]]}/${operands[1]}`;
+    case OPCODES.READ:
+      return constants[operands[0]];
+    default:
+      return '';
+  }
+};
+
+const disassembleFunction = (program, fn, sourceLines) => {
+  const locals = fn.locals.map(local => local.name).join(', ') || 'none';
+  const lines = [`function ${fn.name} (${fn.arity} parameter${fn.arity === 1 ? '' : 's'}; locals: ${locals})`];
+  let lastLine = 0;
+
+  for (let offset = 0; offset < fn.code.length;) {
+    const opcode = fn.code[offset];
+    const count = OPERAND_COUNTS[opcode] ?? 0;
+    const operands = fn.code.slice(offset + 1, offset + 1 + count);
+
+    const { line } = positionAt(fn, offset);
+    if (sourceLines && line && line !== lastLine) {
+      lines.push(`  ; ${line} | ${(sourceLines[line - 1] ?? '').trim()}`);
+      lastLine = line;
+    }
+
+    const note = operandNotes(program, fn, opcode, operands);
+    const text = String(offset).padStart(OFFSET_WIDTH)
+      + '  ' + (OPCODE_NAMES[opcode] ?? `<unknown ${opcode}>`).padEnd(OPCODE_WIDTH)
+      + operands.join(' ').padEnd(OPERANDS_WIDTH)
+      + (note ? `; ${note}` : '');
+    lines.push(text.trimEnd());
+    offset += count + 1;
+  }
+  return lines.join('\n');
+};
+
+// --- Main Export ---
+
+/*
+Lists the instructions of a compiled program
+
+@param {Object} program - Program from compileToBytecode or deserializeBytecode
+@param {Object} options - { source: ECHO source text to show next to the instructions }
+@returns {string} The listing, functions in the order they were compiled
+*/
+export const disassemble = (program, options = {}) => {
+  const sourceLines = options.source != null ? options.source.split(/\r?\n/) : null;
+  const header = [
+    `; ECHO bytecode version ${program.version}, compiled from ${program.sourceName}`,
+    `; ${program.constants.length} constant(s), ${program.functions.length} function(s)`,
+  ];
+  const functions = program.functions.map(fn => disassembleFunction(program, fn, sourceLines));
+  return `${[header.join('\n'), ...functions].join('\n\n')}\n`;
+};
+
+export default disassemble;
@@ -0,0 +1,115 @@
+/**
+ * Execution Limits
+ *
+ * Budgets that stop a runaway program before it hangs the page: the number of steps executed
+ * (statements and loop iterations), the depth of nested function calls, the size of lists and
+ * the bytes of output. A program that goes over one stops with a LimitError, a RuntimeError
+ * positioned at the statement that crossed the limit and reported under its own category.
+ *
+ * Limits are set per run; a limit of null or Infinity turns that check off:
+ *
+ *   executeProgram(ast, { limits: { ...DEFAULT_LIMITS, maxSteps: 5000 } });
+ *
+ * Both the interpreter and the VM check the clock every YIELD_INTERVAL steps and give the event loop
+ * a turn when YIELD_TIME has passed since the last one, so a long run does not freeze the page; they
+ * stop there once the run's AbortSignal has been aborted.
+ */
+
+import { RuntimeError } from './RuntimeError.js';
+
+// Steps run between looks at the clock, and milliseconds a run may keep the event loop waiting.
+export const YIELD_INTERVAL = 10000;
+export const YIELD_TIME = 20;
+
+export const DEFAULT_LIMITS = Object.freeze({
+  maxSteps: 1000000,
+  maxCallDepth: 1000,
+  maxListSize: 100000,
+  maxOutputBytes: 64 * 1024,
+});
+
+// Error raised when a program goes over one of its execution limits.
+export class LimitError extends RuntimeError {
+  constructor(message, node = null, limit = null) {
+    super(message, node);
+    this.name = 'LimitError';
+    this.limit = limit;
+  }
+}
+
+const encoder = new TextEncoder();
+
+// Tracks how much of each limit a single run has used.
+export class ExecutionBudget {
+  constructor(limits = {}) {
+    const merged = { ...DEFAULT_LIMITS, ...limits };
+    this.limits = Object.fromEntries(Object.entries(merged).map(([name, value]) => [name, value ?? Infinity]));
+    this.steps = 0;
+    this.callDepth = 0;
+    this.outputBytes = 0;
+  }
+
+  step(node) {
+    this.steps++;
+    if (this.steps > this.limits.maxSteps) {
+      throw new LimitError(
+        `Program exceeded ${this.limits.maxSteps} steps; it may contain an infinite loop`, node, 'maxSteps'
+      );
+    }
+  }
+
+  enterCall(name, node) {
+    this.callDepth++;
+    if (this.callDepth > this.limits.maxCallDepth) {
+      throw new LimitError(
+        `Call depth exceeded ${this.limits.maxCallDepth} in '${name}'; check for unbounded recursion`, node, 'maxCallDepth'
+      );
+    }
+  }
+
+  exitCall() {
+    this.callDepth--;
+  }
+
+  checkListSize(size, node) {
+    if (size > this.limits.maxListSize) {
+      throw new LimitError(
+        `List of ${size} elements exceeds the limit of ${this.limits.maxListSize}`, node, 'maxListSize'
+      );
+    }
+  }
+
+  // Counts a printed line and its newline.
+  addOutput(line, node) {
+    this.outputBytes += encoder.encode(line).length + 1;
+    if (this.outputBytes > this.limits.maxOutputBytes) {
+      throw new LimitError(
+        `Program output exceeded ${this.limits.maxOutputBytes} bytes`, node, 'maxOutputBytes'
+      );
+    }
+  }
+}
+
+/*
+Creates the pause a run takes every YIELD_INTERVAL steps
+
+Once YIELD_TIME has passed since the last turn, the pause gives the event loop one and then ends
+the run if its signal was aborted in the meantime.
+
+@param {AbortSignal} signal - The run's `signal` option, if any; a string reason becomes the error message
+@returns {Function} async (node) => void, where `node` positions the error
+*/
+export const createPause = (signal) => {
+  let lastTurn = Date.now();
+  return async (node = null) => {
+    if (Date.now() - lastTurn < YIELD_TIME) return;
+    await new Promise(resolve => setTimeout(resolve));
+    lastTurn = Date.now();
+    if (signal?.aborted) {
+      const { reason } = signal;
+      throw new RuntimeError(typeof reason === 'string' ? reason : 'Program was stopped', node);
+    }
+  };
+};
+
+export default ExecutionBudget;
@@ -0,0 +1,332 @@
+/**
+ * Formatter (Pretty Printer)
+ *
+ * Rewrites an ECHO program in a canonical layout: one statement per line, block bodies indented
+ * by `indentWidth` spaces, single spaces between tokens except inside brackets, before commas,
+ * after unary operators and between a function name and its arguments. Lines longer than
+ * `maxLineLength` are wrapped after a comma or binary operator, continuing two levels deeper.
+ *
+ * The layout comes from the AST, the text from the concrete tokens (see ConcreteSyntaxTree.js),
+ * so literals, parentheses and keyword spelling stay exactly as written. Comments are kept: a
+ * comment on its own line stays on its own line, one at the end of a line stays at the end of it,
+ * and one inside a statement moves to the line above the statement. A comment after the last
+ * statement of a block stays indented with it rather than with the `else`, `case` or `end` that
+ * follows. Blank lines between statements are kept, with runs of them reduced to one.
+ *
+ * Programs that do not parse are returned unchanged. Every result is checked to hold the same
+ * tokens as the input and to format to itself, so formatting never alters what a program does and
+ * formatting a second time changes nothing.
+ */
+
+import { lexicalAnalyzer } from '../../../shared/lexicalScanner.js';
+import { TOKEN_TYPES } from '../../../shared/tokenTypes.js';
+import { AST_NODE_TYPES, childNodes, findRecoveryNode } from './ASTBuilder.js';
+import { syntaxAnalyzer } from './SyntaxAnalysis.js';
+
+export const DEFAULT_FORMAT_OPTIONS = {
+  indentWidth: 4,
+  maxLineLength: 80,
+};
+
+// Continuation lines of a wrapped statement are indented this many levels past the statement.
+const CONTINUATION_DEPTH = 2;
+
+// Fields of a block that hold indented content, with the depth of that content relative to the
+// block. The block's own lines (`if ...`, `else`, `end if`) are the tokens between those fields,
+// one level above the content that follows them.
+const BLOCK_LAYOUTS = {
+  [AST_NODE_TYPES.ECHO_PROGRAM]: [['statements', 1]],
+  [AST_NODE_TYPES.IF_STMT]: [['thenBody', 1], ['elseIfs', 0], ['elseBody', 1]],
+  [AST_NODE_TYPES.ELSE_IF_BLOCK]: [['body', 1]],
+  [AST_NODE_TYPES.SWITCH_STMT]: [['cases', 1], ['defaultBlock', 2]],
+  [AST_NODE_TYPES.CASE_BLOCK]: [['body', 1]],
+  [AST_NODE_TYPES.FOR_LOOP]: [['body', 1]],
+  [AST_NODE_TYPES.WHILE_LOOP]: [['body', 1]],
+  [AST_NODE_TYPES.DO_WHILE_LOOP]: [['body', 1]],
+  [AST_NODE_TYPES.FUNCTION_DEF]: [['body', 1], ['returnStatement', 1]],
+  [AST_NODE_TYPES.DATA_STRUCT]: [['fields', 1]],
+};
+
+const BINARY_NODE_TYPES = new Set([
+  AST_NODE_TYPES.LOGIC_OR, AST_NODE_TYPES.LOGIC_AND, AST_NODE_TYPES.EQUALITY, AST_NODE_TYPES.RELATIONAL,
+  AST_NODE_TYPES.ADDITIVE, AST_NODE_TYPES.MULTIPLICATIVE, AST_NODE_TYPES.EXPONENTIAL
+]);
+
+// Tokens directly followed by an argument list or index rather than a space.
+const CALLABLE_TYPES = new Set([
+  TOKEN_TYPES.IDENTIFIER, TOKEN_TYPES.KEYWORD_INPUT,
+  TOKEN_TYPES.BUILTIN_SUM, TOKEN_TYPES.BUILTIN_MEDIAN, TOKEN_TYPES.BUILTIN_MODE,
+  TOKEN_TYPES.BUILTIN_AVERAGE, TOKEN_TYPES.BUILTIN_ISEVEN, TOKEN_TYPES.BUILTIN_ISODD
+]);
+
+const STRING_PART_TYPES = new Set([TOKEN_TYPES.STRING_LITERAL, TOKEN_TYPES.SIS_MARKER]);
+
+const isComment = (piece) =>
+  piece.type === TOKEN_TYPES.COMMENT_SINGLE || piece.type === TOKEN_TYPES.COMMENT_MULTI;
+
+const isBlockClose = (token) => token.type === TOKEN_TYPES.KEYWORD_END || token.type === TOKEN_TYPES.DEL_RBRACE;
+
+const isSignificant = (token) => !isComment(token) && token.type !== TOKEN_TYPES.END_OF_FILE;
+
+// Sorts the operator tokens of the tree by how they are spaced and where lines may break.
+const collectOperators = (ast) => {
+  const operators = { prefix: new Set(), postfix: new Set(), binary: new Set() };
+  const visit = (node) => {
+    if (node.type === AST_NODE_TYPES.UNARY) operators.prefix.add(node.token);
+    else if (node.type === AST_NODE_TYPES.POSTFIX_EXPR) operators.postfix.add(node.token);
+    else if (BINARY_NODE_TYPES.has(node.type)) operators.binary.add(node.token);
+    childNodes(node).forEach(visit);
+  };
+  visit(ast);
+  return operators;
+};
+
+// Prints one analyzed program; each token is placed exactly once, in source order.
+class Printer {
+  constructor(tokens, operators, options) {
+    this.tokens = tokens.filter(isSignificant);
+    this.endOfFile = tokens.find(token => token.type === TOKEN_TYPES.END_OF_FILE);
+    this.operators = operators;
+    this.indentWidth = options.indentWidth;
+    this.maxLineLength = options.maxLineLength;
+    this.index = 0;
+    this.lines = [];
+    // Set after a line that opens a block, so the block does not start with a blank line
+    this.suppressBlank = true;
+  }
+
+  print(ast) {
+    this.printStatement(ast, 0);
+    this.printRun(this.takeTokens(Infinity), 0);
+    if (this.endOfFile) this.printLeadingComments(this.endOfFile.leadingTrivia, 0);
+    while (this.lines.length && this.lines[this.lines.length - 1] === '') this.lines.pop();
+    return this.lines.length ? `${this.lines.join('\n')}\n` : '';
+  }
+
+  // Removes and returns the tokens that start before `offset`.
+  takeTokens(offset) {
+    const start = this.index;
+    while (this.index < this.tokens.length && this.tokens[this.index].start < offset) this.index++;
+    return this.tokens.slice(start, this.index);
+  }
+
+  // --- Structure ---
+
+  // Each print method returns the depth of comments that directly follow what it printed: deeper
+  // than the node itself when it ends in the body of a clause with no closing token of its own,
+  // such as an `else if` or a `case`. `commentDepth` is that depth for the node printed before.
+
+  printStatement(node, depth, commentDepth = depth) {
+    if (BLOCK_LAYOUTS[node.type]) return this.printBlock(node, depth, commentDepth);
+    if (node.range) this.printLine(this.takeTokens(node.range.end), depth, commentDepth);
+    return depth;
+  }
+
+  printBlock(node, depth, commentDepth = depth) {
+    const sections = BLOCK_LAYOUTS[node.type]
+      .flatMap(([field, offset]) => [node[field]].flat().map(content => ({ content, offset })))
+      .filter(({ content }) => content?.range)
+      .sort((a, b) => a.content.range.start - b.content.range.start);
+
+    let afterContent = commentDepth;
+    for (const { content, offset } of sections) {
+      const header = this.takeTokens(content.range.start);
+      this.printRun(header, depth + Math.max(0, offset - 1), afterContent);
+      if (header.length) this.suppressBlank = true;
+      afterContent = this.printContent(content, depth + offset, header.length ? depth + offset : afterContent);
+    }
+
+    const footer = this.takeTokens(node.range.end);
+    this.printRun(footer, depth, afterContent);
+    return footer.length ? depth : afterContent;
+  }
+
+  printContent(node, depth, commentDepth) {
+    if (node.type === AST_NODE_TYPES.STMT_LIST) {
+      node.statements.forEach(statement => this.printStatement(statement, depth));
+    } else if (node.type === AST_NODE_TYPES.FIELD_LIST) {
+      // Fields may be separated by commas; each keeps its comma
+      node.fields.forEach(field => {
+        const tokens = this.takeTokens(field.range.end);
+        if (this.tokens[this.index]?.type === TOKEN_TYPES.DEL_COMMA) tokens.push(this.tokens[this.index++]);
+        this.printLine(tokens, depth);
+      });
+    } else {
+      return this.printStatement(node, depth, commentDepth);
+    }
+    return depth;
+  }
+
+  // The block's own tokens; every `end` or `}` starts a line, and comments before it belong to the
+  // body. Comments before the first line are placed at `commentDepth`.
+  printRun(tokens, depth, commentDepth) {
+    let line = [];
+    for (const token of tokens) {
+      if (isBlockClose(token) && line.length) {
+        this.printLine(line, depth, commentDepth);
+        line = [];
+        commentDepth = undefined;
+      }
+      line.push(token);
+    }
+    this.printLine(line, depth, commentDepth);
+  }
+
+  // --- Lines ---
+
+  printLine(tokens, depth, leadingDepth) {
+    if (!tokens.length) return;
+    const first = tokens[0];
+    const last = tokens[tokens.length - 1];
+    const commentDepth = leadingDepth ?? (isBlockClose(first) ? depth + 1 : depth);
+
+    this.printLeadingComments(first.leadingTrivia, commentDepth);
+    tokens.forEach((token, i) => {
+      const inner = [...(i > 0 ? token.leadingTrivia : []), ...(token === last ? [] : token.trailingTrivia)];
+      inner.filter(isComment).forEach(comment => this.printComment(comment, depth));
+    });
+
+    const wrapped = this.wrap(tokens, depth);
+    const trailing = last.trailingTrivia.filter(isComment).map(comment => comment.text.trimEnd());
+    if (trailing.length) wrapped[wrapped.length - 1] += ` ${trailing.join(' ')}`;
+    this.lines.push(...wrapped);
+    this.suppressBlank = false;
+  }
+
+  // Blank lines count only between code and comments; the newline ending the previous line is
+  // trailing trivia of its last token.
+  printLeadingComments(trivia, depth) {
+    let newlines = 0;
+    let afterComment = false;
+    for (const piece of trivia) {
+      if (piece.type === TOKEN_TYPES.NEWLINE) {
+        newlines++;
+      } else if (isComment(piece)) {
+        if (newlines >= (afterComment ? 2 : 1)) this.blankLine();
+        this.printComment(piece, depth);
+        newlines = 0;
+        afterComment = true;
+      }
+    }
+    if (newlines >= (afterComment ? 2 : 1)) this.blankLine();
+  }
+
+  printComment(comment, depth) {
+    this.lines.push(this.indent(depth) + comment.text.trimEnd());
+    this.suppressBlank = false;
+  }
+
+  blankLine() {
+    if (this.suppressBlank || !this.lines.length || this.lines[this.lines.length - 1] === '') return;
+    this.lines.push('');
+  }
+
+  indent(depth) {
+    return ' '.repeat(depth * this.indentWidth);
+  }
+
+  // --- Spacing & Wrapping ---
+
+  spaceBetween(previous, token) {
+    if (STRING_PART_TYPES.has(previous.type) && STRING_PART_TYPES.has(token.type) && previous.end === token.start) {
+      return false;
+    }
+    if (this.operators.prefix.has(previous) || this.operators.postfix.has(token)) return false;
+    if ([TOKEN_TYPES.DEL_LPAREN, TOKEN_TYPES.DEL_LBRACK, TOKEN_TYPES.DEL_PERIOD].includes(previous.type)) return false;
+
+    switch (token.type) {
+      case TOKEN_TYPES.DEL_RPAREN:
+      case TOKEN_TYPES.DEL_RBRACK:
+      case TOKEN_TYPES.DEL_COMMA:
+      case TOKEN_TYPES.DEL_COLON:
+      case TOKEN_TYPES.DEL_PERIOD:
+        return false;
+      case TOKEN_TYPES.DEL_LPAREN:
+        return !CALLABLE_TYPES.has(previous.type);
+      case TOKEN_TYPES.DEL_LBRACK:
+        return previous.type !== TOKEN_TYPES.IDENTIFIER && previous.type !== TOKEN_TYPES.DEL_RBRACK;
+      default:
+        return true;
+    }
+  }
+
+  // Fills lines greedily with the chunks between break points (after commas and binary operators).
+  wrap(tokens, depth) {
+    const chunks = [];
+    let chunk = null;
+    tokens.forEach((token, i) => {
+      const space = i > 0 && this.spaceBetween(tokens[i - 1], token);
+      if (!chunk) {
+        chunk = { space, text: token.text };
+        chunks.push(chunk);
+      } else {
+        chunk.text += (space ? ' ' : '') + token.text;
+      }
+      if (token.type === TOKEN_TYPES.DEL_COMMA || this.operators.binary.has(token)) chunk = null;
+    });
+
+    const lines = [];
+    let line = this.indent(depth);
+    let lineHasCode = false;
+    for (const { space, text } of chunks) {
+      const joined = line + (space && lineHasCode ? ' ' : '') + text;
+      if (lineHasCode && joined.length > this.maxLineLength) {
+        lines.push(line);
+        line = this.indent(depth + CONTINUATION_DEPTH) + text;
+      } else {
+        line = joined;
+      }
+      lineHasCode = true;
+    }
+    lines.push(line);
+    return lines;
+  }
+}
+
+const tokenTexts = (tokens) => tokens.filter(isSignificant).map(token => token.text);
+
+const sameTokens = (a, b) => a.length === b.length && a.every((text, i) => text === b[i]);
+
+// Formats one pass; `code` is null when the program could not be parsed in full. Semantic errors
+// (types, undeclared names) do not affect the layout.
+const formatOnce = (source, options) => {
+  const tokens = lexicalAnalyzer(source);
+  const result = syntaxAnalyzer(tokens);
+  const invalid = tokens.some(token => token.type === TOKEN_TYPES.UNKNOWN || token.type === TOKEN_TYPES.ERROR);
+  const syntaxError = result.errors.some(error => error.category === 'Syntax');
+  if (invalid || syntaxError || !result.ast || findRecoveryNode(result.ast)) {
+    return { code: null, tokens, errors: result.errors };
+  }
+  const code = new Printer(tokens, collectOperators(result.ast), options).print(result.ast);
+  return { code, tokens, errors: [] };
+};
+
+const unsafeFormatError = () => ({
+  id: 'format-0',
+  line: 1,
+  column: 1,
+  message: 'Formatting was skipped because the result would not match the original program.',
+  category: 'General',
+  severity: 'error'
+});
+
+/*
+Formats ECHO source code
+
+@param {string} source - Program text
+@param {Object} options - Overrides for DEFAULT_FORMAT_OPTIONS
+@returns {Object} { code, formatted, errors }; `code` is the source itself when it was not formatted
+*/
+export const formatCode = (source, options = {}) => {
+  const settings = { ...DEFAULT_FORMAT_OPTIONS, ...options };
+  const first = formatOnce(source, settings);
+  if (first.code === null) {
+    return { code: source, formatted: false, errors: first.errors.length ? first.errors : [unsafeFormatError()] };
+  }
+
+  const second = formatOnce(first.code, settings);
+  if (second.code !== first.code || !sameTokens(tokenTexts(first.tokens), tokenTexts(second.tokens))) {
+    return { code: source, formatted: false, errors: [unsafeFormatError()] };
+  }
+  return { code: first.code, formatted: true, errors: [] };
+};
@@ -0,0 +1,237 @@
+/**
+ * Input Providers
+ *
+ * Supplies values for `x = input(<data_type>, "prompt")` while a program runs.
+ * A provider is any object with an async `read(request)` method that resolves to the raw
+ * text entered by the user, where `request` is `{ dataType, prompt, line, column }`.
+ * The interpreter then converts that text with `coerceInput` according to the requested
+ * data type, so every provider shares the same parsing rules and error messages.
+ *
+ * Implementations:
+ * - createQueueInputProvider   Scripted answers, for tests and samples
+ * - createConsoleInputProvider Interactive console driven by the dashboard UI
+ * - createStdinInputProvider   Line-by-line reading from a Node readable stream
+ */
+
+import { RuntimeError } from './RuntimeError.js';
+
+// --- Type Coercion ---
+
+const NUMBER_PATTERN = /^[+-]?\d+$/;
+const DECIMAL_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+const TYPE_EXPECTATIONS = {
+  number: 'a whole number such as 42',
+  decimal: 'a number such as 3.14',
+  boolean: 'true or false',
+  list: 'comma separated values such as [1, 2, 3]',
+};
+
+const invalidInput = (text, dataType, node) =>
+  new RuntimeError(`Invalid ${dataType} input '${text}': expected ${TYPE_EXPECTATIONS[dataType]}`, node);
+
+// Splits list input on commas that are not inside double quotes.
+const splitListItems = (body) => {
+  const items = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (const char of body) {
+    if (char === '"') inQuotes = !inQuotes;
+    if (char === ',' && !inQuotes) {
+      items.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  items.push(current.trim());
+  return items;
+};
+
+// List elements take the most specific type they parse as; anything else is a string.
+const coerceListItem = (item) => {
+  if (NUMBER_PATTERN.test(item)) return parseInt(item, 10);
+  if (DECIMAL_PATTERN.test(item)) return parseFloat(item);
+  if (/^(true|false)$/i.test(item)) return item.toLowerCase() === 'true';
+  if (/^null$/i.test(item)) return null;
+  if (item.length >= 2 && item.startsWith('"') && item.endsWith('"')) return item.slice(1, -1);
+  return item;
+};
+
+/*
+Converts raw input text to a runtime value of the requested data type
+
+@param {String} text - Text entered by the user
+@param {String} dataType - Requested ECHO data type
+@param {Object} node - INPUT_STMT node used to position errors
+@returns {any} Converted runtime value
+*/
+export const coerceInput = (text, dataType, node = null) => {
+  const raw = text === null || text === undefined ? '' : String(text);
+  const trimmed = raw.trim();
+
+  switch ((dataType || 'string').toLowerCase()) {
+    case 'number':
+      if (!NUMBER_PATTERN.test(trimmed)) throw invalidInput(trimmed, 'number', node);
+      return parseInt(trimmed, 10);
+
+    case 'decimal':
+      if (!DECIMAL_PATTERN.test(trimmed)) throw invalidInput(trimmed, 'decimal', node);
+      return parseFloat(trimmed);
+
+    case 'boolean':
+      if (!/^(true|false)$/i.test(trimmed)) throw invalidInput(trimmed, 'boolean', node);
+      return trimmed.toLowerCase() === 'true';
+
+    case 'list': {
+      const bracketed = trimmed.startsWith('[') || trimmed.endsWith(']');
+      if (bracketed && !(trimmed.startsWith('[') && trimmed.endsWith(']'))) {
+        throw invalidInput(trimmed, 'list', node);
+      }
+      const body = bracketed ? trimmed.slice(1, -1).trim() : trimmed;
+      if (body === '') return [];
+
+      const items = splitListItems(body);
+      if (items.some(item => item === '')) throw invalidInput(trimmed, 'list', node);
+      return items.map(coerceListItem);
+    }
+
+    case 'string':
+      return raw;
+
+    default:
+      throw new RuntimeError(`input() cannot read values of type '${dataType}'`, node);
+  }
+};
+
+// --- Providers ---
+
+/*
+Scripted provider that answers input requests from a fixed queue
+
+@param {Array} values - Answers returned in order; non-strings are converted to text
+@returns {Object} Input provider
+*/
+export const createQueueInputProvider = (values = []) => {
+  const queue = [...values];
+
+  return {
+    async read(request) {
+      if (queue.length === 0) {
+        throw new RuntimeError(`No scripted input left for input(${request.dataType})`, null);
+      }
+      const next = queue.shift();
+      return next === null || next === undefined ? '' : String(next);
+    },
+    remaining: () => queue.length,
+  };
+};
+
+/*
+Interactive provider for the dashboard console
+
+The UI is notified through `onRequest` whenever the program waits for input and answers
+by calling `submit(text)`. `cancel()` aborts a pending request and stops the program.
+
+@param {Object} options - { onRequest: Function(request) }
+@returns {Object} Input provider with submit/cancel controls
+*/
+export const createConsoleInputProvider = ({ onRequest } = {}) => {
+  let pending = null;
+
+  return {
+    read(request) {
+      return new Promise((resolve, reject) => {
+        pending = { request, resolve, reject };
+        if (onRequest) onRequest(request);
+      });
+    },
+    submit(text) {
+      if (!pending) return false;
+      const { resolve } = pending;
+      pending = null;
+      resolve(text);
+      return true;
+    },
+    cancel(reason = 'Input was cancelled') {
+      if (!pending) return false;
+      const { reject } = pending;
+      pending = null;
+      reject(new RuntimeError(reason));
+      return true;
+    },
+    isWaiting: () => pending !== null,
+  };
+};
+
+/*
+Node provider that reads one line per input request from a readable stream
+
+Prompts are written to `output` when one is given. Reaching the end of the stream while
+the program still waits for input is a runtime error.
+
+@param {Object} input - Readable stream such as process.stdin
+@param {Object} output - Optional writable stream for prompts such as process.stdout
+@returns {Object} Input provider
+*/
+export const createStdinInputProvider = (input, output = null) => {
+  const lines = [];
+  const waiting = [];
+  let buffer = '';
+  let ended = false;
+  let listening = false;
+
+  const flush = () => {
+    while (waiting.length > 0 && (lines.length > 0 || ended)) {
+      const { resolve, reject, request } = waiting.shift();
+      if (lines.length > 0) {
+        resolve(lines.shift());
+      } else {
+        reject(new RuntimeError(`Unexpected end of input while reading ${request.dataType}`));
+      }
+    }
+    // Stop holding the process open once nobody is waiting
+    if (waiting.length === 0 && listening && typeof input.pause === 'function') input.pause();
+  };
+
+  const listen = () => {
+    if (listening) {
+      if (typeof input.resume === 'function') input.resume();
+      return;
+    }
+    listening = true;
+    if (typeof input.setEncoding === 'function') input.setEncoding('utf8');
+
+    input.on('data', (chunk) => {
+      buffer += chunk;
+      let newline = buffer.indexOf('\n');
+      while (newline !== -1) {
+        lines.push(buffer.slice(0, newline).replace(/\r$/, ''));
+        buffer = buffer.slice(newline + 1);
+        newline = buffer.indexOf('\n');
+      }
+      flush();
+    });
+    input.on('end', () => {
+      if (buffer.length > 0) lines.push(buffer.replace(/\r$/, ''));
+      buffer = '';
+      ended = true;
+      flush();
+    });
+  };
+
+  return {
+    read(request) {
+      if (output && request.prompt) output.write(request.prompt);
+      return new Promise((resolve, reject) => {
+        waiting.push({ resolve, reject, request });
+        if (lines.length > 0 || ended) {
+          flush();
+        } else {
+          listen();
+        }
+      });
+    },
+  };
+};
@@ -0,0 +1,669 @@
+/**
+ * ECHO Interpreter
+ *
+ * Tree-walking evaluator that executes the Abstract Syntax Tree produced by ASTBuilder.
+ * Statements run against a chain of runtime environments and every `echo` is collected
+ * as a line of program output. Execution is asynchronous so that statements which wait
+ * on the outside world (such as `input`) can suspend the program. A `debugger` session
+ * (see Debugger.js) passed in the options is consulted before every statement, and
+ * `limits` (see ExecutionLimits.js) bound the steps, call depth, list sizes and output of a run.
+ *
+ * A long run regularly gives the event loop a turn (see ExecutionLimits.js), so it does not
+ * freeze the page; aborting the `signal` option's AbortSignal then stops the program:
+ *
+ *   const controller = new AbortController();
+ *   executeProgram(ast, { signal: controller.signal });
+ *   controller.abort('Program was stopped');
+ */
+
+import { AST_NODE_TYPES, findRecoveryNode } from './ASTBuilder.js';
+import { RuntimeError } from './RuntimeError.js';
+import { callBuiltin } from './Builtins.js';
+import { formatValue, interpolate } from './StringInsertion.js';
+import { coerceInput } from './InputProviders.js';
+import { ExecutionBudget, LimitError, YIELD_INTERVAL, createPause } from './ExecutionLimits.js';
+import { createStruct, fieldDefault, getField, setField } from './Structs.js';
+
+export { RuntimeError };
+
+// --- Control Signals ---
+
+// Thrown to unwind the tree on `break`, `continue` and `return`.
+class BreakSignal {}
+class ContinueSignal {}
+class ReturnSignal {
+  constructor(value) {
+    this.value = value;
+  }
+}
+
+const valuesEqual = (a, b) => {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => valuesEqual(item, b[i]));
+  }
+  return a === b;
+};
+
+const defaultValueFor = (typeName) => {
+  switch ((typeName || '').toLowerCase()) {
+    case 'number':
+    case 'decimal': return 0;
+    case 'string': return '';
+    case 'boolean': return false;
+    default: return null;
+  }
+};
+
+// --- Runtime Environment ---
+
+// A single lexical scope of variable bindings linked to its enclosing scope.
+class Environment {
+  constructor(parent = null) {
+    this.parent = parent;
+    this.bindings = new Map();
+    // Functions and structs defined in this scope: name -> { node, closure }
+    this.functions = new Map();
+    this.structs = new Map();
+  }
+
+  define(name, type, value) {
+    this.bindings.set(name, { type, value });
+  }
+
+  // Innermost function or struct named `name`; `table` is 'functions' or 'structs'.
+  resolveDefinition(table, name) {
+    let env = this;
+    while (env) {
+      if (env[table].has(name)) return env[table].get(name);
+      env = env.parent;
+    }
+    return null;
+  }
+
+  resolve(name) {
+    let env = this;
+    while (env) {
+      if (env.bindings.has(name)) return env.bindings.get(name);
+      env = env.parent;
+    }
+    return null;
+  }
+
+  get(name, node) {
+    const binding = this.resolve(name);
+    if (!binding) throw new RuntimeError(`Variable '${name}' is not defined`, node);
+    return binding.value;
+  }
+
+  set(name, value, node) {
+    const binding = this.resolve(name);
+    if (!binding) throw new RuntimeError(`Variable '${name}' is not defined`, node);
+    binding.value = value;
+  }
+}
+
+// --- Interpreter Class ---
+
+class Interpreter {
+  constructor(options = {}) {
+    this.output = [];
+    this.onOutput = options.onOutput || null;
+    this.input = options.input || null;
+    this.debugger = options.debugger || null;
+    this.budget = options.limits ? new ExecutionBudget(options.limits) : null;
+    // Gives the event loop a turn now and then; see ExecutionLimits.js
+    this.pause = createPause(options.signal);
+    this.steps = 0;
+    this.globals = new Environment();
+    // Active calls, innermost last; only kept up to date for the debugger
+    this.callStack = [{ name: '<main>', env: this.globals }];
+  }
+
+  async run(program) {
+    if (!program || program.type !== AST_NODE_TYPES.ECHO_PROGRAM) {
+      throw new RuntimeError('Cannot execute: program has no valid syntax tree');
+    }
+
+    // Trees recovered from syntax errors are for display only
+    const recovery = findRecoveryNode(program);
+    if (recovery) {
+      throw new RuntimeError('Cannot execute: program has syntax errors', recovery);
+    }
+
+    try {
+      await this.executeBlock(program.statements, this.globals);
+    } catch (signal) {
+      if (signal instanceof BreakSignal || signal instanceof ContinueSignal) {
+        throw new RuntimeError('break/continue used outside of a loop');
+      }
+      if (signal instanceof ReturnSignal) {
+        throw new RuntimeError('return used outside of a function');
+      }
+      throw signal;
+    }
+  }
+
+  // ===========================================================================
+  // Statements
+  // ===========================================================================
+
+  // Counts a statement or loop iteration; true every YIELD_INTERVAL steps, when the run should pause.
+  step(node) {
+    if (this.budget) this.budget.step(node);
+    return ++this.steps % YIELD_INTERVAL === 0;
+  }
+
+  async executeBlock(stmtList, env) {
+    const statements = stmtList?.statements || [];
+
+    // Functions and structs are hoisted so they can be used before their definition
+    for (const stmt of statements) {
+      if (stmt?.type === AST_NODE_TYPES.FUNCTION_DEF) this.defineFunction(stmt, env);
+      if (stmt?.type === AST_NODE_TYPES.DATA_STRUCT) this.defineStruct(stmt, env);
+    }
+
+    for (const stmt of statements) {
+      await this.execute(stmt, env);
+    }
+  }
+
+  async execute(node, env) {
+    if (!node) return;
+    if (this.step(node)) await this.pause(node);
+    if (this.debugger && node.type !== AST_NODE_TYPES.FUNCTION_DEF && node.type !== AST_NODE_TYPES.DATA_STRUCT) {
+      await this.debugger.beforeStatement(node, { env, callStack: this.callStack, globals: this.globals });
+    }
+
+    switch (node.type) {
+      case AST_NODE_TYPES.DECLARATION_STMT: return this.executeDeclaration(node, env);
+      case AST_NODE_TYPES.ASSIGNMENT_STMT: return this.executeAssignment(node, env);
+      case AST_NODE_TYPES.INPUT_STMT: return this.executeInput(node, env);
+      case AST_NODE_TYPES.OUTPUT_STMT: return this.executeOutput(node, env);
+      case AST_NODE_TYPES.IF_STMT: return this.executeIf(node, env);
+      case AST_NODE_TYPES.SWITCH_STMT: return this.executeSwitch(node, env);
+      case AST_NODE_TYPES.FOR_LOOP: return this.executeFor(node, env);
+      case AST_NODE_TYPES.WHILE_LOOP: return this.executeWhile(node, env);
+      case AST_NODE_TYPES.DO_WHILE_LOOP: return this.executeDoWhile(node, env);
+      case AST_NODE_TYPES.RETURN_STMT:
+        throw new ReturnSignal(node.value ? await this.evaluate(node.value, env) : null);
+      case AST_NODE_TYPES.JUMP_STMT:
+        throw node.jump === 'break' ? new BreakSignal() : new ContinueSignal();
+
+      // Already hoisted by executeBlock
+      case AST_NODE_TYPES.FUNCTION_DEF:
+      case AST_NODE_TYPES.DATA_STRUCT:
+        return;
+
+      case AST_NODE_TYPES.EXPRESSION:
+        await this.evaluate(node.value, env);
+        return;
+
+      default:
+        // Expression statements such as calls and increments
+        await this.evaluate(node, env);
+    }
+  }
+
+  async executeDeclaration(node, env) {
+    const typeName = node.dataType?.name;
+
+    for (const item of node.declList?.items || []) {
+      if (!item?.identifier) continue;
+      let value = null;
+
+      if (item.isArray) {
+        const size = item.size?.value ?? 0;
+        if (this.budget) this.budget.checkListSize(size, item);
+        value = Array.from({ length: size }, () => defaultValueFor(typeName));
+      } else if (item.value) {
+        value = await this.evaluate(item.value, env);
+      }
+
+      env.define(item.identifier.name, typeName, value);
+    }
+  }
+
+  async executeAssignment(node, env) {
+    const operator = node.assignmentOp?.operator || node.assignmentOp?.value || '=';
+    const value = await this.evaluate(node.value, env);
+
+    if (operator === '=') {
+      await this.assignTo(node.target, value, env);
+      return;
+    }
+
+    // Compound assignment: x += y is x = x + y
+    const current = await this.evaluate(node.target, env);
+    const result = this.applyBinary(operator.slice(0, -1), current, value, node);
+    await this.assignTo(node.target, result, env);
+  }
+
+  async assignTo(target, value, env) {
+    if (target.type === AST_NODE_TYPES.IDENTIFIER) {
+      env.set(target.name, value, target);
+      return;
+    }
+
+    if (target.type === AST_NODE_TYPES.LIST_ACCESS) {
+      const list = await this.evaluate(target.array, env);
+      const index = await this.evaluate(target.index, env);
+      this.checkIndex(list, index, target);
+      list[index] = value;
+      return;
+    }
+
+    if (target.type === AST_NODE_TYPES.FIELD_ACCESS) {
+      const object = await this.evaluate(target.object, env);
+      setField(object, target.field?.name, value, target);
+      return;
+    }
+
+    throw new RuntimeError('Invalid assignment target', target);
+  }
+
+  async executeInput(node, env) {
+    const expression = node.expression;
+    const dataType = (expression?.dataType?.name || 'string').toLowerCase();
+    const prompt = expression?.prompt ? formatValue(await this.evaluate(expression.prompt, env)) : '';
+
+    if (!this.input) {
+      throw new RuntimeError('input() requires an input provider', node);
+    }
+
+    const token = node.target?.token;
+    let text;
+    try {
+      text = await this.input.read({ dataType, prompt, line: token?.line || 0, column: token?.column || 0 });
+    } catch (error) {
+      // Providers do not know the statement position, so errors are re-anchored here
+      if (error instanceof RuntimeError && !error.line) throw new RuntimeError(error.message, node);
+      throw error;
+    }
+
+    env.set(node.target?.name, coerceInput(text, dataType, node), node.target);
+  }
+
+  async executeOutput(node, env) {
+    const parts = [];
+    for (const arg of node.args || []) {
+      parts.push(formatValue(await this.evaluate(arg, env), this.typeHintOf(arg, env)));
+    }
+    const line = parts.join(' ');
+    if (this.budget) this.budget.addOutput(line, node);
+
+    this.output.push(line);
+    if (this.onOutput) this.onOutput(line);
+  }
+
+  async executeIf(node, env) {
+    if (await this.evaluateCondition(node.condition, env)) {
+      await this.executeBlock(node.thenBody, new Environment(env));
+      return;
+    }
+
+    for (const elseIf of node.elseIfs || []) {
+      if (await this.evaluateCondition(elseIf.condition, env)) {
+        await this.executeBlock(elseIf.body, new Environment(env));
+        return;
+      }
+    }
+
+    if (node.elseBody) {
+      await this.executeBlock(node.elseBody, new Environment(env));
+    }
+  }
+
+  // Cases do not fall through; the first matching case (or default) runs.
+  async executeSwitch(node, env) {
+    const subject = await this.evaluate(node.expression, env);
+
+    for (const caseBlock of node.cases || []) {
+      const caseValue = await this.evaluate(caseBlock.value, env);
+      if (valuesEqual(subject, caseValue)) {
+        await this.executeBlock(caseBlock.body, new Environment(env));
+        return;
+      }
+    }
+
+    if (node.defaultBlock) {
+      await this.executeBlock(node.defaultBlock, new Environment(env));
+    }
+  }
+
+  // ===========================================================================
+  // Loops
+  // ===========================================================================
+
+  // Runs one iteration of a loop's body, returning false when the loop should stop.
+  async runLoopBody(loop, env) {
+    // Iterations count as steps so that loops with empty bodies stay within the budget
+    if (this.step(loop)) await this.pause(loop);
+    try {
+      await this.executeBlock(loop.body, new Environment(env));
+    } catch (signal) {
+      if (signal instanceof BreakSignal) return false;
+      if (signal instanceof ContinueSignal) return true;
+      throw signal;
+    }
+    return true;
+  }
+
+  // `for i = a to b by s` counts inclusively towards b; a negative step counts down.
+  async executeFor(node, env) {
+    const name = node.iterator?.name;
+    const start = this.expectNumber(await this.evaluate(node.start, env), node.start);
+    const end = this.expectNumber(await this.evaluate(node.end, env), node.end);
+    const step = node.step
+      ? this.expectNumber(await this.evaluate(node.step.value, env), node.step)
+      : 1;
+
+    if (step === 0) throw new RuntimeError('For loop step cannot be zero', node.step);
+
+    const loopEnv = new Environment(env);
+    loopEnv.define(name, 'number', start);
+
+    while (step > 0 ? loopEnv.get(name) <= end : loopEnv.get(name) >= end) {
+      if (!(await this.runLoopBody(node, loopEnv))) break;
+      loopEnv.set(name, loopEnv.get(name) + step);
+    }
+  }
+
+  async executeWhile(node, env) {
+    while (await this.evaluateCondition(node.condition, env)) {
+      if (!(await this.runLoopBody(node, env))) break;
+    }
+  }
+
+  async executeDoWhile(node, env) {
+    do {
+      if (!(await this.runLoopBody(node, env))) break;
+    } while (await this.evaluateCondition(node.condition, env));
+  }
+
+  // ===========================================================================
+  // Functions
+  // ===========================================================================
+
+  defineFunction(node, env) {
+    const name = node.name?.name;
+    if (name) env.functions.set(name, { node, closure: env });
+  }
+
+  async callFunction(node, env) {
+    const name = node.function?.name;
+    const entry = env.resolveDefinition('functions', name);
+    if (!entry) throw new RuntimeError(`Function '${name}' is not defined`, node);
+
+    const { node: definition, closure } = entry;
+    const params = definition.parameters?.params || [];
+    const args = node.arguments?.args || [];
+
+    if (args.length !== params.length) {
+      throw new RuntimeError(
+        `Function '${name}' expects ${params.length} argument(s) but received ${args.length}`, node
+      );
+    }
+
+    const callEnv = new Environment(closure);
+    for (let i = 0; i < params.length; i++) {
+      const value = await this.evaluate(args[i], env);
+      callEnv.define(params[i].name?.name, params[i].dataType?.name, value);
+    }
+
+    if (this.budget) this.budget.enterCall(name, node);
+    if (this.debugger) this.callStack.push({ name, env: callEnv });
+    try {
+      await this.executeBlock(definition.body, callEnv);
+      if (definition.returnStatement) {
+        await this.execute(definition.returnStatement, callEnv);
+      }
+    } catch (signal) {
+      if (signal instanceof ReturnSignal) return signal.value;
+      throw signal;
+    } finally {
+      if (this.budget) this.budget.exitCall();
+      if (this.debugger) this.callStack.pop();
+    }
+    return null;
+  }
+
+  // ===========================================================================
+  // Structs
+  // ===========================================================================
+
+  defineStruct(node, env) {
+    const name = node.name?.name;
+    if (name) env.structs.set(name, { node, closure: env });
+  }
+
+  // Field defaults are evaluated for every instance, in the scope the struct was defined in.
+  async createInstance(node, env) {
+    const name = node.struct?.name;
+    const entry = env.resolveDefinition('structs', name);
+    if (!entry) throw new RuntimeError(`Struct '${name}' is not defined`, node);
+
+    const fields = {};
+    for (const field of entry.node.fields?.fields || []) {
+      fields[field.identifier?.name] = field.defaultValue
+        ? await this.evaluate(field.defaultValue, entry.closure)
+        : fieldDefault(field.dataType?.name);
+    }
+    return createStruct(name, fields);
+  }
+
+  async callBuiltin(node, env) {
+    const args = [];
+    for (const arg of node.arguments?.args || []) {
+      args.push(await this.evaluate(arg, env));
+    }
+    return callBuiltin(node.builtin?.name, args, node);
+  }
+
+  // ===========================================================================
+  // Expressions
+  // ===========================================================================
+
+  async evaluateCondition(node, env) {
+    const value = await this.evaluate(node, env);
+    if (typeof value !== 'boolean') {
+      throw new RuntimeError(`Condition must be a boolean, got ${formatValue(value)}`, node);
+    }
+    return value;
+  }
+
+  async evaluate(node, env) {
+    if (!node) return null;
+
+    switch (node.type) {
+      case AST_NODE_TYPES.NUMBER_LIT:
+      case AST_NODE_TYPES.DECIMAL_LIT:
+      case AST_NODE_TYPES.BOOL_LIT:
+        return node.value;
+      case AST_NODE_TYPES.NULL_LITERAL:
+        return null;
+      case AST_NODE_TYPES.STRING_LIT:
+        return this.evaluateString(node, env);
+      case AST_NODE_TYPES.LIST_LIT: {
+        const values = [];
+        for (const element of node.elements?.elements || []) {
+          values.push(await this.evaluate(element, env));
+        }
+        if (this.budget) this.budget.checkListSize(values.length, node);
+        return values;
+      }
+
+      case AST_NODE_TYPES.IDENTIFIER:
+        return env.get(node.name, node);
+      case AST_NODE_TYPES.LIST_ACCESS: {
+        const list = await this.evaluate(node.array, env);
+        const index = await this.evaluate(node.index, env);
+        this.checkIndex(list, index, node);
+        return list[index];
+      }
+      case AST_NODE_TYPES.EXPRESSION:
+        return this.evaluate(node.value, env);
+
+      case AST_NODE_TYPES.FUNCTION_CALL:
+        return this.callFunction(node, env);
+      case AST_NODE_TYPES.BUILTIN_FUNCTION_CALL:
+        return this.callBuiltin(node, env);
+
+      case AST_NODE_TYPES.LOGIC_OR:
+      case AST_NODE_TYPES.LOGIC_AND:
+        return this.evaluateLogical(node, env);
+
+      case AST_NODE_TYPES.EQUALITY:
+      case AST_NODE_TYPES.RELATIONAL:
+      case AST_NODE_TYPES.ADDITIVE:
+      case AST_NODE_TYPES.MULTIPLICATIVE:
+      case AST_NODE_TYPES.EXPONENTIAL: {
+        const left = await this.evaluate(node.left, env);
+        const right = await this.evaluate(node.right, env);
+        return this.applyBinary(node.operator, left, right, node);
+      }
+
+      case AST_NODE_TYPES.UNARY:
+        return this.evaluateUnary(node, env);
+      case AST_NODE_TYPES.POSTFIX_EXPR:
+        return this.evaluateIncrement(node.operand, node.operator, env, true);
+
+      case AST_NODE_TYPES.NEW_STRUCT:
+        return this.createInstance(node, env);
+      case AST_NODE_TYPES.FIELD_ACCESS:
+        return getField(await this.evaluate(node.object, env), node.field?.name, node);
+
+      default:
+        throw new RuntimeError(`Cannot evaluate node of type ${node.type}`, node);
+    }
+  }
+
+  async evaluateString(node, env) {
+    return interpolate(node.content, name => env.resolve(name), (part) => {
+      throw new RuntimeError(`Variable '${part.identifier?.name}' is not defined`, node);
+    });
+  }
+
+  async evaluateLogical(node, env) {
+    const left = await this.evaluateCondition(node.left, env);
+    if (node.operator === '||') return left || this.evaluateCondition(node.right, env);
+    return left && this.evaluateCondition(node.right, env);
+  }
+
+  async evaluateUnary(node, env) {
+    if (node.operator === '++' || node.operator === '--') {
+      return this.evaluateIncrement(node.expression, node.operator, env, false);
+    }
+
+    const value = await this.evaluate(node.expression, env);
+    switch (node.operator) {
+      case '!':
+        if (typeof value !== 'boolean') throw new RuntimeError("Operator '!' requires a boolean", node);
+        return !value;
+      case '-': return -this.expectNumber(value, node);
+      case '+': return this.expectNumber(value, node);
+      default:
+        throw new RuntimeError(`Unknown unary operator '${node.operator}'`, node);
+    }
+  }
+
+  // Prefix forms yield the updated value, postfix forms the original one.
+  async evaluateIncrement(target, operator, env, isPostfix) {
+    const original = this.expectNumber(await this.evaluate(target, env), target);
+    const updated = operator === '++' ? original + 1 : original - 1;
+    await this.assignTo(target, updated, env);
+    return isPostfix ? original : updated;
+  }
+
+  applyBinary(operator, left, right, node) {
+    switch (operator) {
+      case '==': return valuesEqual(left, right);
+      case '!=': return !valuesEqual(left, right);
+      case '+':
+        if (typeof left === 'string' || typeof right === 'string') {
+          return formatValue(left) + formatValue(right);
+        }
+        return this.expectNumber(left, node) + this.expectNumber(right, node);
+    }
+
+    const a = this.expectNumber(left, node);
+    const b = this.expectNumber(right, node);
+
+    switch (operator) {
+      case '-': return a - b;
+      case '*': return a * b;
+      case '^': return Math.pow(a, b);
+      case '/':
+        if (b === 0) throw new RuntimeError('Division by zero', node);
+        return a / b;
+      // Integer division and modulo both round towards negative infinity
+      case '//':
+        if (b === 0) throw new RuntimeError('Division by zero', node);
+        return Math.floor(a / b);
+      case '%':
+        if (b === 0) throw new RuntimeError('Modulo by zero', node);
+        return a - b * Math.floor(a / b);
+      case '<': return a < b;
+      case '>': return a > b;
+      case '<=': return a <= b;
+      case '>=': return a >= b;
+      default:
+        throw new RuntimeError(`Unknown operator '${operator}'`, node);
+    }
+  }
+
+  // ===========================================================================
+  // Helpers
+  // ===========================================================================
+
+  // Type used to print a value: 'decimal' for expressions the analyzer typed as decimal (`d + 1`, `7 / 7`),
+  // otherwise the declared type of a plain variable reference.
+  typeHintOf(node, env) {
+    if (node?.inferredType === 'decimal') return 'decimal';
+    if (node?.type === AST_NODE_TYPES.IDENTIFIER) return env.resolve(node.name)?.type || null;
+    return null;
+  }
+
+  expectNumber(value, node) {
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+      throw new RuntimeError(`Expected a number but got ${formatValue(value)}`, node);
+    }
+    return value;
+  }
+
+  checkIndex(list, index, node) {
+    if (!Array.isArray(list)) throw new RuntimeError('Only lists can be indexed', node);
+    if (!Number.isInteger(index)) throw new RuntimeError(`List index must be a whole number, got ${formatValue(index)}`, node);
+    if (index < 0 || index >= list.length) {
+      throw new RuntimeError(`List index ${index} is out of bounds for list of length ${list.length}`, node);
+    }
+  }
+}
+
+// --- Main Export ---
+
+// Executes a program AST and returns its output lines along with any runtime error.
+export const executeProgram = async (ast, options = {}) => {
+  const interpreter = new Interpreter(options);
+
+  try {
+    await interpreter.run(ast);
+    return { output: interpreter.output, errors: [], success: true };
+  } catch (error) {
+    if (!(error instanceof RuntimeError)) throw error;
+    const overLimit = error instanceof LimitError;
+    return {
+      output: interpreter.output,
+      errors: [{
+        line: error.line,
+        column: error.column,
+        message: `${overLimit ? 'Execution Limit' : 'Runtime Error'}: ${error.message}`,
+        category: overLimit ? 'Limit' : 'Runtime',
+        severity: 'error',
+        ...(overLimit && { limit: error.limit })
+      }],
+      success: false
+    };
+  }
+};
+
+export default executeProgram;
@@ -0,0 +1,768 @@
+/**
+ * JavaScript Code Generator
+ *
+ * Translates a checked ECHO AST into a readable ES module. The module imports its helpers from
+ * JavaScriptRuntime.js and exports the program as `main({ write, input })`:
+ *
+ * - `echo`              -> write(...) through the runtime formatter
+ * - `input(type, ...)`  -> await $rt.read(input, ...), using the same input providers as the interpreter
+ * - `for i = a to b`    -> a counted `for` loop; `by s` picks the direction from the step
+ * - `end if`, `end do`  -> braces; `switch` becomes a JavaScript switch or an if chain
+ * - `data struct`       -> a function that creates an instance; `new Name()` calls it
+ * - SIS strings         -> template literals
+ *
+ * Every generated statement is mapped back to the ECHO statement it came from in a version 3
+ * source map, so stack traces of runtime errors can be reported against ECHO lines.
+ */
+
+import { AST_NODE_TYPES, childNodes, findRecoveryNode } from './ASTBuilder.js';
+import { isListType, isUnknown } from './TypeRules.js';
+import { leadingAccessors, unescapeContent } from './StringInsertion.js';
+import { SourceMapBuilder } from './SourceMap.js';
+import { CompileError } from './CompileError.js';
+
+const INDENT = '  ';
+
+// Identifiers ECHO allows but JavaScript reserves; they get a `$` suffix.
+const RESERVED_WORDS = new Set([
+  'arguments', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger',
+  'default', 'delete', 'do', 'else', 'enum', 'eval', 'export', 'extends', 'false', 'finally',
+  'for', 'function', 'if', 'implements', 'import', 'in', 'instanceof', 'interface', 'let', 'new',
+  'null', 'package', 'private', 'protected', 'public', 'return', 'static', 'super', 'switch',
+  'this', 'throw', 'true', 'try', 'typeof', 'undefined', 'var', 'void', 'while', 'with', 'yield',
+  'NaN', 'Infinity',
+]);
+
+// Binding strength of generated JavaScript expressions, loosest first.
+const PRECEDENCE = {
+  OR: 1,
+  AND: 2,
+  EQUALITY: 3,
+  RELATIONAL: 4,
+  ADDITIVE: 5,
+  MULTIPLICATIVE: 6,
+  EXPONENT: 7,
+  UNARY: 8,
+  POSTFIX: 9,
+  CALL: 10,
+  PRIMARY: 11,
+};
+
+const BINARY_PRECEDENCE = {
+  '||': PRECEDENCE.OR,
+  '&&': PRECEDENCE.AND,
+  '===': PRECEDENCE.EQUALITY,
+  '!==': PRECEDENCE.EQUALITY,
+  '<': PRECEDENCE.RELATIONAL,
+  '>': PRECEDENCE.RELATIONAL,
+  '<=': PRECEDENCE.RELATIONAL,
+  '>=': PRECEDENCE.RELATIONAL,
+  '+': PRECEDENCE.ADDITIVE,
+  '-': PRECEDENCE.ADDITIVE,
+  '*': PRECEDENCE.MULTIPLICATIVE,
+  '**': PRECEDENCE.EXPONENT,
+};
+
+// ECHO operators whose JavaScript counterpart behaves the same on checked operands.
+const NATIVE_OPERATORS = {
+  '||': '||', '&&': '&&', '<': '<', '>': '>', '<=': '<=', '>=': '>=', '-': '-', '*': '*', '^': '**',
+};
+
+// Operators with ECHO-specific rules, implemented by the runtime.
+const RUNTIME_OPERATORS = {
+  '/': 'divide',
+  '//': 'floorDivide',
+  '%': 'modulo',
+};
+
+const BUILTIN_HELPERS = {
+  sum: 'sum',
+  median: 'median',
+  mode: 'mode',
+  average: 'average',
+  iseven: 'isEven',
+  isodd: 'isOdd',
+};
+
+const SCALAR_TYPES = new Set(['number', 'decimal', 'string', 'boolean', 'null']);
+
+const DEFAULT_VALUES = {
+  number: '0',
+  decimal: '0',
+  string: '""',
+  boolean: 'false',
+};
+
+const expression = (code, precedence) => ({ code, precedence });
+
+const typeOf = (node) => node?.inferredType || 'unknown';
+
+const quote = (text) => JSON.stringify(text);
+
+const escapeTemplate = (text) => text
+  .replace(/[`\\]|\$\{/g, match => `\\${match}`)
+  .replace(/\n/g, '\\n')
+  .replace(/\r/g, '\\r')
+  .replace(/\t/g, '\\t');
+
+// Literal numbers, including the negative literals the scanner produces for `-1`.
+const numericLiteral = (node) =>
+  (node?.type === AST_NODE_TYPES.NUMBER_LIT || node?.type === AST_NODE_TYPES.DECIMAL_LIT ? node.value : null);
+
+const lineStartsOf = (text) => {
+  const starts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') starts.push(i + 1);
+  }
+  return starts;
+};
+
+// Whether a subtree contains a node matching `test`; nested function bodies are skipped.
+const contains = (node, test) => childNodes(node).some(child =>
+  test(child) || (child.type !== AST_NODE_TYPES.FUNCTION_DEF && contains(child, test)));
+
+// A `break` that would leave the statement itself rather than an inner loop.
+const breaksOut = (node) => childNodes(node).some(child => {
+  if (child.type === AST_NODE_TYPES.JUMP_STMT) return child.jump === 'break';
+  if ([AST_NODE_TYPES.FOR_LOOP, AST_NODE_TYPES.WHILE_LOOP, AST_NODE_TYPES.DO_WHILE_LOOP,
+    AST_NODE_TYPES.FUNCTION_DEF].includes(child.type)) return false;
+  return breaksOut(child);
+});
+
+/*
+Finds the functions that must be async: those reading input or calling another async function
+
+Structs count as functions here, since their field defaults may call one.
+
+@param {Object} program - Program node
+@returns {Set} Names of async functions and structs
+*/
+const findAsyncFunctions = (program) => {
+  const definitions = [];
+  const collect = (node) => childNodes(node).forEach(child => {
+    if ((child.type === AST_NODE_TYPES.FUNCTION_DEF || child.type === AST_NODE_TYPES.DATA_STRUCT) && child.name?.name) {
+      definitions.push(child);
+    }
+    collect(child);
+  });
+  collect(program);
+
+  const asyncNames = new Set();
+  const suspends = (node) =>
+    node.type === AST_NODE_TYPES.INPUT_STMT
+    || (node.type === AST_NODE_TYPES.FUNCTION_CALL && asyncNames.has(node.function?.name))
+    || (node.type === AST_NODE_TYPES.NEW_STRUCT && asyncNames.has(node.struct?.name));
+
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const definition of definitions) {
+      const name = definition.name.name;
+      if (!asyncNames.has(name) && contains(definition, suspends)) {
+        asyncNames.add(name);
+        changed = true;
+      }
+    }
+  }
+  return asyncNames;
+};
+
+// --- Generator Class ---
+
+class JavaScriptGenerator {
+  constructor(options = {}) {
+    this.options = options;
+    this.lines = [];
+    this.depth = 0;
+    this.scopes = [new Map()];
+    this.temporaries = new Map();
+    this.asyncFunctions = new Set();
+    this.lineStarts = options.source != null ? lineStartsOf(options.source) : null;
+    this.sourceMap = new SourceMapBuilder(options.fileName, options.sourceName, options.source ?? null);
+  }
+
+  generate(program) {
+    if (!program || program.type !== AST_NODE_TYPES.ECHO_PROGRAM) {
+      throw new CompileError('Cannot compile: program has no valid syntax tree');
+    }
+    const recovery = findRecoveryNode(program);
+    if (recovery) throw new CompileError('Cannot compile: program has syntax errors', recovery);
+
+    this.asyncFunctions = findAsyncFunctions(program);
+
+    this.emit(`// Compiled from ${this.options.sourceName} by the ECHO JavaScript backend`);
+    this.emit(`import * as $rt from ${quote(this.options.runtimeImport)};`);
+    this.emit('');
+    this.emit('export default async function main({ write: $write = $rt.writeLine, input: $input = null } = {}) {');
+    this.indented(() => this.block(program.statements));
+    this.emit('}');
+    this.emit('');
+  }
+
+  // ===========================================================================
+  // Output
+  // ===========================================================================
+
+  // Adds one line of code, mapped to the ECHO node it came from.
+  emit(text, node = null) {
+    if (node?.range) {
+      const { line, column } = this.sourcePosition(node.range);
+      this.sourceMap.addMapping(this.lines.length, INDENT.length * this.depth, line, column);
+    }
+    this.lines.push(text ? INDENT.repeat(this.depth) + text : '');
+  }
+
+  indented(callback) {
+    this.depth++;
+    callback();
+    this.depth--;
+  }
+
+  // 0-based source position; columns count characters when the source text is known.
+  sourcePosition(range) {
+    const line = range.line - 1;
+    if (!this.lineStarts) return { line, column: range.column - 1 };
+    return { line, column: range.start - this.lineStarts[line] };
+  }
+
+  // ===========================================================================
+  // Names
+  // ===========================================================================
+
+  withScope(callback) {
+    this.scopes.push(new Map());
+    callback();
+    this.scopes.pop();
+  }
+
+  declare(name, type) {
+    this.scopes[this.scopes.length - 1].set(name, type);
+  }
+
+  lookup(name) {
+    for (let i = this.scopes.length - 1; i >= 0; i--) {
+      if (this.scopes[i].has(name)) return this.scopes[i].get(name);
+    }
+    return null;
+  }
+
+  name(name) {
+    return RESERVED_WORDS.has(name) ? `${name}$` : name;
+  }
+
+  // Name for a generated variable; ECHO identifiers cannot contain `$`, so these never clash.
+  temporary(prefix) {
+    const count = (this.temporaries.get(prefix) || 0) + 1;
+    this.temporaries.set(prefix, count);
+    return count === 1 ? `$${prefix}` : `$${prefix}${count}`;
+  }
+
+  // ===========================================================================
+  // Statements
+  // ===========================================================================
+
+  // Generates a statement list in a new scope; `after` runs inside that scope at the end.
+  block(stmtList, declarations = [], after = null) {
+    this.withScope(() => {
+      declarations.forEach(([name, type]) => this.declare(name, type));
+      const statements = stmtList?.statements || [];
+
+      // Functions and structs are hoisted like in the interpreter; record them before the statements run
+      statements
+        .filter(stmt => (stmt?.type === AST_NODE_TYPES.FUNCTION_DEF || stmt?.type === AST_NODE_TYPES.DATA_STRUCT) && stmt.name?.name)
+        .forEach(stmt => this.declare(stmt.name.name, stmt.type === AST_NODE_TYPES.FUNCTION_DEF ? 'function' : 'struct'));
+
+      statements.forEach(stmt => this.statement(stmt));
+      if (after) after();
+    });
+  }
+
+  // A braced block: `<header> {`, the body, then `<footer>`.
+  braced(header, body, node, declarations = [], footer = '}') {
+    this.emit(header ? `${header} {` : '{', node);
+    this.indented(() => this.block(body, declarations));
+    if (footer !== null) this.emit(footer);
+  }
+
+  statement(node) {
+    if (!node) return;
+
+    switch (node.type) {
+      case AST_NODE_TYPES.DECLARATION_STMT: return this.declaration(node);
+      case AST_NODE_TYPES.ASSIGNMENT_STMT: return this.assignment(node);
+      case AST_NODE_TYPES.INPUT_STMT: return this.inputStatement(node);
+      case AST_NODE_TYPES.OUTPUT_STMT: return this.output(node);
+      case AST_NODE_TYPES.IF_STMT: return this.ifStatement(node);
+      case AST_NODE_TYPES.SWITCH_STMT: return this.switchStatement(node);
+      case AST_NODE_TYPES.FOR_LOOP: return this.forLoop(node);
+      case AST_NODE_TYPES.WHILE_LOOP:
+        return this.braced(`while (${this.expr(node.condition).code})`, node.body, node);
+      case AST_NODE_TYPES.DO_WHILE_LOOP:
+        this.braced('do', node.body, node, [], null);
+        this.emit(`} while (${this.expr(node.condition).code});`, node.condition);
+        return;
+      case AST_NODE_TYPES.FUNCTION_DEF: return this.functionDefinition(node);
+      case AST_NODE_TYPES.RETURN_STMT:
+        this.emit(node.value ? `return ${this.expr(node.value).code};` : 'return;', node);
+        return;
+      case AST_NODE_TYPES.JUMP_STMT:
+        this.emit(`${node.jump === 'break' ? 'break' : 'continue'};`, node);
+        return;
+
+      case AST_NODE_TYPES.DATA_STRUCT: return this.structDefinition(node);
+
+      case AST_NODE_TYPES.EXPRESSION:
+        this.emit(`${this.expr(node.value).code};`, node);
+        return;
+
+      default:
+        // Expression statements such as calls and increments
+        this.emit(`${this.expr(node).code};`, node);
+    }
+  }
+
+  declaration(node) {
+    const typeName = (node.dataType?.name || '').toLowerCase();
+    const items = (node.declList?.items || []).filter(item => item?.identifier);
+
+    const declarators = items.map(item => {
+      let value = 'null';
+      if (item.isArray) {
+        value = `$rt.filledList(${item.size?.value ?? 0}, ${DEFAULT_VALUES[typeName] || 'null'})`;
+      } else if (item.value) {
+        value = this.expr(item.value).code;
+      }
+      // Declared after the initializer, which cannot see the new variable
+      this.declare(item.identifier.name, typeName);
+      return `${this.name(item.identifier.name)} = ${value}`;
+    });
+
+    if (declarators.length) this.emit(`let ${declarators.join(', ')};`, node);
+  }
+
+  assignment(node) {
+    const operator = node.assignmentOp?.operator || node.assignmentOp?.value || '=';
+    const { target } = node;
+
+    let value;
+    if (operator === '=') {
+      value = this.expr(node.value).code;
+    } else {
+      const binary = operator.slice(0, -1);
+      if (target.type === AST_NODE_TYPES.IDENTIFIER && this.isNativeCompound(binary, target, node.value)) {
+        this.emit(`${this.name(target.name)} ${NATIVE_OPERATORS[binary] || binary}= ${this.expr(node.value).code};`, node);
+        return;
+      }
+      value = this.binary(binary, target, node.value).code;
+    }
+
+    this.emit(`${this.assignTo(target, value)};`, node);
+  }
+
+  // `x += y` can stay as it is when the operator behaves natively on the operand types.
+  isNativeCompound(operator, target, value) {
+    if (operator === '+') return this.isNumeric(target) && this.isNumeric(value);
+    return operator in NATIVE_OPERATORS;
+  }
+
+  assignTo(target, value) {
+    if (target.type === AST_NODE_TYPES.LIST_ACCESS) {
+      return `$rt.setAt(${this.expr(target.array).code}, ${this.expr(target.index).code}, ${value})`;
+    }
+    if (target.type === AST_NODE_TYPES.FIELD_ACCESS) {
+      return `$rt.setField(${this.expr(target.object).code}, ${quote(target.field?.name)}, ${value})`;
+    }
+    if (target.type === AST_NODE_TYPES.IDENTIFIER) return `${this.name(target.name)} = ${value}`;
+    throw new CompileError('Invalid assignment target', target);
+  }
+
+  inputStatement(node) {
+    const { expression: input, target } = node;
+    const dataType = (input?.dataType?.name || 'string').toLowerCase();
+    const prompt = input?.prompt ? this.formatted(input.prompt) : quote('');
+    const token = target?.token;
+    const read = `await $rt.read($input, ${quote(dataType)}, ${prompt}, ${token?.line || 0}, ${token?.column || 0})`;
+    this.emit(`${this.assignTo(target, read)};`, node);
+  }
+
+  output(node) {
+    const parts = (node.args || []).map(arg => this.formatted(arg));
+    const line = parts.length === 1 ? parts[0] : `[${parts.join(', ')}].join(' ')`;
+    this.emit(`$write(${line});`, node);
+  }
+
+  // Code for the printed form of a value, as `echo` shows it.
+  formatted(node) {
+    // Literals and concatenations are already strings
+    if (node.type === AST_NODE_TYPES.STRING_LIT || (node.type === AST_NODE_TYPES.ADDITIVE && typeOf(node) === 'string')) {
+      return this.expr(node).code;
+    }
+    const isDecimal = typeOf(node) === 'decimal' || (node.type === AST_NODE_TYPES.IDENTIFIER && this.lookup(node.name) === 'decimal');
+    const hint = isDecimal ? ', "decimal"' : '';
+    return `$rt.format(${this.expr(node).code}${hint})`;
+  }
+
+  ifStatement(node) {
+    this.braced(`if (${this.expr(node.condition).code})`, node.thenBody, node, [], null);
+    for (const elseIf of node.elseIfs || []) {
+      this.braced(`} else if (${this.expr(elseIf.condition).code})`, elseIf.body, elseIf, [], null);
+    }
+    if (node.elseBody) {
+      this.emit('} else {');
+      this.indented(() => this.block(node.elseBody));
+    }
+    this.emit('}');
+  }
+
+  // ECHO cases never fall through. A `break` inside a case leaves the enclosing loop,
+  // which a JavaScript switch would swallow, so such switches become if chains.
+  switchStatement(node) {
+    const cases = node.cases || [];
+    const usesDeepEquality = [node.expression, ...cases.map(caseBlock => caseBlock.value)]
+      .some(value => !SCALAR_TYPES.has(typeOf(value)));
+
+    if (!usesDeepEquality && !breaksOut(node)) {
+      this.emit(`switch (${this.expr(node.expression).code}) {`, node);
+      this.indented(() => {
+        cases.forEach(caseBlock => this.switchCase(`case ${this.expr(caseBlock.value).code}:`, caseBlock.body, caseBlock));
+        if (node.defaultBlock) this.switchCase('default:', node.defaultBlock, null);
+      });
+      this.emit('}');
+      return;
+    }
+
+    // The subject is evaluated once, before the case values
+    let subject = this.expr(node.expression);
+    const isSimple = [AST_NODE_TYPES.IDENTIFIER, AST_NODE_TYPES.NUMBER_LIT, AST_NODE_TYPES.DECIMAL_LIT,
+      AST_NODE_TYPES.STRING_LIT, AST_NODE_TYPES.BOOL_LIT, AST_NODE_TYPES.NULL_LITERAL].includes(node.expression.type);
+    if (!isSimple) {
+      const temporary = this.temporary('subject');
+      this.emit(`const ${temporary} = ${subject.code};`, node);
+      subject = expression(temporary, PRECEDENCE.PRIMARY);
+    }
+
+    if (!cases.length) {
+      if (node.defaultBlock) this.braced('', node.defaultBlock, null);
+      return;
+    }
+
+    cases.forEach((caseBlock, i) => {
+      const condition = usesDeepEquality
+        ? `$rt.equals(${subject.code}, ${this.expr(caseBlock.value).code})`
+        : this.join(subject, '===', this.expr(caseBlock.value)).code;
+      this.braced(`${i > 0 ? '} else ' : ''}if (${condition})`, caseBlock.body, i > 0 ? caseBlock : node, [], null);
+    });
+    if (node.defaultBlock) {
+      this.emit('} else {');
+      this.indented(() => this.block(node.defaultBlock));
+    }
+    this.emit('}');
+  }
+
+  // Case bodies with declarations get their own braces so names do not clash across cases.
+  switchCase(label, body, node) {
+    const statements = body?.statements || [];
+    const needsBraces = statements.some(stmt =>
+      stmt?.type === AST_NODE_TYPES.DECLARATION_STMT || stmt?.type === AST_NODE_TYPES.FUNCTION_DEF);
+    const endsWithJump = [AST_NODE_TYPES.RETURN_STMT, AST_NODE_TYPES.JUMP_STMT]
+      .includes(statements[statements.length - 1]?.type);
+
+    this.emit(needsBraces ? `${label} {` : label, node);
+    this.indented(() => {
+      this.block(body);
+      if (!endsWithJump) this.emit('break;');
+    });
+    if (needsBraces) this.emit('}');
+  }
+
+  // `for i = a to b by s` is inclusive; start, end and step are evaluated once, in that order.
+  forLoop(node) {
+    const iterator = this.name(node.iterator?.name);
+    const start = this.expr(node.start).code;
+    const declarations = [[node.iterator?.name, 'number']];
+
+    // Generated names are loop-scoped, so nested loops can reuse them
+    const isEndLiteral = numericLiteral(node.end) !== null;
+    const end = isEndLiteral ? this.expr(node.end).code : '$end';
+    const init = [`let ${iterator} = ${start}`];
+    if (!isEndLiteral) init.push(`$end = ${this.expr(node.end).code}`);
+
+    const step = node.step ? numericLiteral(node.step.value) : 1;
+    let condition;
+    let update;
+    if (step === null || step === 0) {
+      init.push(`$step = $rt.checkStep(${this.expr(node.step.value).code})`);
+      condition = `$step > 0 ? ${iterator} <= ${end} : ${iterator} >= ${end}`;
+      update = `${iterator} += $step`;
+    } else if (step > 0) {
+      condition = `${iterator} <= ${end}`;
+      update = step === 1 ? `${iterator}++` : `${iterator} += ${step}`;
+    } else {
+      condition = `${iterator} >= ${end}`;
+      update = step === -1 ? `${iterator}--` : `${iterator} -= ${-step}`;
+    }
+
+    this.braced(`for (${init.join(', ')}; ${condition}; ${update})`, node.body, node, declarations);
+  }
+
+  functionDefinition(node) {
+    const name = node.name?.name;
+    const params = (node.parameters?.params || []).filter(param => param.name?.name);
+    const declarations = params.map(param => [param.name.name, (param.dataType?.name || '').toLowerCase()]);
+    const keyword = this.asyncFunctions.has(name) ? 'async function' : 'function';
+
+    this.emit(`${keyword} ${this.name(name)}(${params.map(param => this.name(param.name.name)).join(', ')}) {`, node);
+    // The return statement comes after the body and can read its variables
+    this.indented(() => this.block(node.body, declarations, () => this.statement(node.returnStatement)));
+    this.emit('}');
+  }
+
+  // Field defaults are evaluated on every call, in the scope the struct was defined in.
+  structDefinition(node) {
+    const name = node.name?.name;
+    const fields = (node.fields?.fields || []).filter(field => field.identifier?.name).map(field => {
+      const type = (field.dataType?.name || '').toLowerCase();
+      const value = field.defaultValue
+        ? this.expr(field.defaultValue).code
+        : DEFAULT_VALUES[type] || (isListType(type) ? '[]' : 'null');
+      return `${field.identifier.name}: ${value},`;
+    });
+    const keyword = this.asyncFunctions.has(name) ? 'async function' : 'function';
+
+    this.emit(`${keyword} ${this.name(name)}() {`, node);
+    this.indented(() => {
+      if (!fields.length) {
+        this.emit(`return $rt.struct(${quote(name)}, {});`);
+        return;
+      }
+      this.emit(`return $rt.struct(${quote(name)}, {`);
+      this.indented(() => fields.forEach(field => this.emit(field)));
+      this.emit('});');
+    });
+    this.emit('}');
+  }
+
+  // ===========================================================================
+  // Expressions
+  // ===========================================================================
+
+  isNumeric(node) {
+    const type = typeOf(node);
+    return type === 'number' || type === 'decimal';
+  }
+
+  // Joins two operands with an infix operator, adding the parentheses precedence requires.
+  join(left, operator, right) {
+    const precedence = BINARY_PRECEDENCE[operator];
+    // `**` is right-associative in JavaScript but left-associative in ECHO, and rejects a unary base
+    const leftCode = operator === '**'
+      ? (left.precedence > PRECEDENCE.UNARY ? left.code : `(${left.code})`)
+      : (left.precedence >= precedence ? left.code : `(${left.code})`);
+    const rightCode = right.precedence > precedence ? right.code : `(${right.code})`;
+    return expression(`${leftCode} ${operator} ${rightCode}`, precedence);
+  }
+
+  call(helper, args) {
+    return expression(`$rt.${helper}(${args.map(arg => arg.code).join(', ')})`, PRECEDENCE.CALL);
+  }
+
+  binary(operator, leftNode, rightNode) {
+    const left = this.expr(leftNode);
+    const right = this.expr(rightNode);
+
+    if (operator === '==' || operator === '!=') {
+      if (SCALAR_TYPES.has(typeOf(leftNode)) && SCALAR_TYPES.has(typeOf(rightNode))) {
+        return this.join(left, operator === '==' ? '===' : '!==', right);
+      }
+      const equals = this.call('equals', [left, right]);
+      return operator === '==' ? equals : expression(`!${equals.code}`, PRECEDENCE.UNARY);
+    }
+
+    if (operator === '+') {
+      if (typeOf(leftNode) === 'string' || typeOf(rightNode) === 'string') return this.call('concat', [left, right]);
+      if (!this.isNumeric(leftNode) || !this.isNumeric(rightNode)) return this.call('add', [left, right]);
+      return this.join(left, '+', right);
+    }
+
+    if (RUNTIME_OPERATORS[operator]) return this.call(RUNTIME_OPERATORS[operator], [left, right]);
+    if (NATIVE_OPERATORS[operator]) return this.join(left, NATIVE_OPERATORS[operator], right);
+    throw new CompileError(`Unknown operator '${operator}'`, leftNode);
+  }
+
+  expr(node) {
+    if (!node) return expression('null', PRECEDENCE.PRIMARY);
+
+    switch (node.type) {
+      case AST_NODE_TYPES.NUMBER_LIT:
+      case AST_NODE_TYPES.DECIMAL_LIT: {
+        // Keep literals as written, so `0.0` stays recognisably a decimal
+        const lexeme = node.token?.lexeme;
+        const code = /^-?\d+(\.\d+)?$/.test(lexeme || '') ? lexeme : String(node.value);
+        return expression(code, node.value < 0 ? PRECEDENCE.UNARY : PRECEDENCE.PRIMARY);
+      }
+      case AST_NODE_TYPES.BOOL_LIT:
+        return expression(node.value ? 'true' : 'false', PRECEDENCE.PRIMARY);
+      case AST_NODE_TYPES.NULL_LITERAL:
+        return expression('null', PRECEDENCE.PRIMARY);
+      case AST_NODE_TYPES.STRING_LIT:
+        return this.string(node);
+      case AST_NODE_TYPES.LIST_LIT:
+        return expression(`[${(node.elements?.elements || []).map(element => this.expr(element).code).join(', ')}]`, PRECEDENCE.PRIMARY);
+
+      case AST_NODE_TYPES.IDENTIFIER:
+        return expression(this.name(node.name), PRECEDENCE.PRIMARY);
+      case AST_NODE_TYPES.LIST_ACCESS:
+        return this.call('at', [this.expr(node.array), this.expr(node.index)]);
+      case AST_NODE_TYPES.EXPRESSION:
+        return this.expr(node.value);
+
+      case AST_NODE_TYPES.FUNCTION_CALL: {
+        const name = node.function?.name;
+        const args = (node.arguments?.args || []).map(arg => this.expr(arg).code).join(', ');
+        return this.asyncFunctions.has(name)
+          ? expression(`await ${this.name(name)}(${args})`, PRECEDENCE.UNARY)
+          : expression(`${this.name(name)}(${args})`, PRECEDENCE.CALL);
+      }
+      case AST_NODE_TYPES.BUILTIN_FUNCTION_CALL: {
+        const helper = BUILTIN_HELPERS[(node.builtin?.name || '').toLowerCase()];
+        if (!helper) throw new CompileError(`Unknown built-in function '${node.builtin?.name}'`, node);
+        return this.call(helper, (node.arguments?.args || []).map(arg => this.expr(arg)));
+      }
+
+      case AST_NODE_TYPES.LOGIC_OR:
+      case AST_NODE_TYPES.LOGIC_AND:
+      case AST_NODE_TYPES.EQUALITY:
+      case AST_NODE_TYPES.RELATIONAL:
+      case AST_NODE_TYPES.ADDITIVE:
+      case AST_NODE_TYPES.MULTIPLICATIVE:
+      case AST_NODE_TYPES.EXPONENTIAL:
+        return this.binary(node.operator, node.left, node.right);
+
+      case AST_NODE_TYPES.UNARY:
+        return this.unary(node);
+      case AST_NODE_TYPES.POSTFIX_EXPR:
+        return this.increment(node.operand, node.operator, true);
+
+      case AST_NODE_TYPES.NEW_STRUCT: {
+        const name = node.struct?.name;
+        return this.asyncFunctions.has(name)
+          ? expression(`await ${this.name(name)}()`, PRECEDENCE.UNARY)
+          : expression(`${this.name(name)}()`, PRECEDENCE.CALL);
+      }
+      case AST_NODE_TYPES.FIELD_ACCESS:
+        return this.call('field', [this.expr(node.object), expression(quote(node.field?.name), PRECEDENCE.PRIMARY)]);
+
+      default:
+        throw new CompileError(`Cannot compile node of type ${node.type}`, node);
+    }
+  }
+
+  unary(node) {
+    const { operator } = node;
+    if (operator === '++' || operator === '--') return this.increment(node.expression, operator, false);
+
+    const operand = this.expr(node.expression);
+    // Parentheses keep `- -x` from becoming a decrement
+    const code = operand.precedence >= PRECEDENCE.UNARY && !operand.code.startsWith(operator)
+      ? operand.code
+      : `(${operand.code})`;
+    return expression(`${operator}${code}`, PRECEDENCE.UNARY);
+  }
+
+  increment(target, operator, isPostfix) {
+    if (target?.type === AST_NODE_TYPES.LIST_ACCESS) {
+      const delta = expression(operator === '++' ? '1' : '-1', PRECEDENCE.UNARY);
+      const postfix = expression(String(isPostfix), PRECEDENCE.PRIMARY);
+      return this.call('incrementAt', [this.expr(target.array), this.expr(target.index), delta, postfix]);
+    }
+    if (target?.type === AST_NODE_TYPES.FIELD_ACCESS) {
+      const delta = expression(operator === '++' ? '1' : '-1', PRECEDENCE.UNARY);
+      const postfix = expression(String(isPostfix), PRECEDENCE.PRIMARY);
+      const field = expression(quote(target.field?.name), PRECEDENCE.PRIMARY);
+      return this.call('incrementField', [this.expr(target.object), field, delta, postfix]);
+    }
+    if (target?.type !== AST_NODE_TYPES.IDENTIFIER) throw new CompileError('Invalid increment target', target);
+
+    const name = this.name(target.name);
+    return isPostfix
+      ? expression(`${name}${operator}`, PRECEDENCE.POSTFIX)
+      : expression(`${operator}${name}`, PRECEDENCE.UNARY);
+  }
+
+  // String literals become template literals when they contain insertions.
+  string(node) {
+    const parts = node.content || [];
+    if (!parts.some(part => part.type === AST_NODE_TYPES.STRING_INSERTION)) {
+      return expression(quote(parts.map(part => unescapeContent(part.value)).join('')), PRECEDENCE.PRIMARY);
+    }
+
+    let text = '';
+    for (let i = 0; i < parts.length; i++) {
+      const part = parts[i];
+      if (part.type !== AST_NODE_TYPES.STRING_INSERTION) {
+        text += escapeTemplate(unescapeContent(part.value));
+        continue;
+      }
+
+      const name = part.identifier?.name;
+      const type = this.lookup(name);
+      const next = parts[i + 1];
+      const accessors = next?.type === AST_NODE_TYPES.STRING_CONTENT ? leadingAccessors(next.value) : '';
+
+      if (accessors) {
+        text += `\${${this.insertion(name, type, accessors)}}`;
+        text += escapeTemplate(unescapeContent(next.value.slice(accessors.length)));
+        i++;
+      } else if (type === 'number' || type === 'string' || type === 'boolean') {
+        text += `\${${this.name(name)}}`;
+      } else {
+        text += `\${$rt.format(${this.name(name)}${type === 'decimal' ? ', "decimal"' : ''})}`;
+      }
+    }
+    return expression(`\`${text}\``, PRECEDENCE.PRIMARY);
+  }
+
+  // `@scores[i]`: accessors are applied at runtime, with the variables they name.
+  insertion(name, type, accessors) {
+    const variables = [...new Set([...accessors.matchAll(/\[\s*([A-Za-z_]\w*)\s*\]/g)].map(match => match[1]))]
+      .filter(variable => this.lookup(variable) !== null)
+      .map(variable => (this.name(variable) === variable ? variable : `${variable}: ${this.name(variable)}`));
+    const typeCode = isUnknown(type) || isListType(type) || type === 'function' ? 'null' : quote(type);
+    const scope = variables.length ? `{ ${variables.join(', ')} }` : '{}';
+    return `$rt.insert(${this.name(name)}, ${typeCode}, ${quote(accessors)}, ${scope})`;
+  }
+}
+
+// --- Main Export ---
+
+/*
+Compiles a program AST to an ES module
+
+@param {Object} ast - Program AST from syntaxAnalyzer, free of syntax errors
+@param {Object} options - {
+  source: ECHO source text, embedded in the source map,
+  sourceName: name of the ECHO file,
+  fileName: name of the generated file,
+  runtimeImport: module specifier of JavaScriptRuntime.js,
+  inlineSourceMap: append the source map to the code as a comment,
+  sourceMapUrl: otherwise, the location of the map file to reference from the code
+}
+@returns {Object} { code, map } where `map` is a SourceMapBuilder
+@throws {CompileError} When the tree has syntax errors
+*/
+export const transpileToJavaScript = (ast, options = {}) => {
+  const generator = new JavaScriptGenerator({
+    sourceName: 'program.echo',
+    fileName: 'program.js',
+    runtimeImport: './JavaScriptRuntime.js',
+    ...options,
+  });
+  generator.generate(ast);
+
+  let code = generator.lines.join('\n');
+  if (options.inlineSourceMap) code += `${generator.sourceMap.toInlineComment()}\n`;
+  else if (options.sourceMapUrl) code += `//# sourceMappingURL=${options.sourceMapUrl}\n`;
+  return { code, map: generator.sourceMap };
+};
+
+export default transpileToJavaScript;
@@ -0,0 +1,133 @@
+/**
+ * JavaScript Runtime
+ *
+ * Support library imported by programs compiled with JavaScriptGenerator.js. Generated code
+ * uses plain JavaScript wherever it behaves like ECHO and calls these helpers where ECHO differs:
+ * output formatting, division and modulo rules, list bounds checks, list equality, string
+ * concatenation, struct fields, built-ins and `input()`. Each helper shares its implementation with the
+ * interpreter, so a compiled program prints and fails exactly like an interpreted one.
+ */
+
+import { RuntimeError } from './RuntimeError.js';
+import { callBuiltin } from './Builtins.js';
+import { formatValue, formatInsertion } from './StringInsertion.js';
+import { coerceInput } from './InputProviders.js';
+import { createStruct, getField, setField } from './Structs.js';
+
+export { RuntimeError, formatValue as format, createStruct as struct, getField as field, setField };
+
+// --- Output & Input ---
+
+// Default output writer.
+export const writeLine = (line) => console.log(line);
+
+/*
+Reads one value for `input()` from an input provider (see InputProviders.js)
+
+@param {Object} provider - Input provider
+@param {string} dataType - Requested ECHO data type
+@param {string} prompt - Prompt text
+@param {number} line - Line of the input statement, passed on to the provider and used to position errors
+@param {number} column - Column of the input statement
+@returns {Promise<any>} The converted value
+*/
+export const read = async (provider, dataType, prompt, line = 0, column = 0) => {
+  try {
+    if (!provider) throw new RuntimeError('input() requires an input provider');
+    return coerceInput(await provider.read({ dataType, prompt, line, column }), dataType);
+  } catch (error) {
+    // Bad or missing input is reported at the input statement, not inside the runtime
+    if (error instanceof RuntimeError && !error.line) Object.assign(error, { line, column });
+    throw error;
+  }
+};
+
+// String insertion followed by accessors such as `@scores[i]`; see StringInsertion.js.
+export const insert = (value, type, accessors, variables) =>
+  formatInsertion(value, type, accessors, name => (name in variables ? { value: variables[name] } : null));
+
+// --- Operators ---
+
+export const equals = (a, b) => {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => equals(item, b[i]));
+  }
+  return a === b;
+};
+
+export const concat = (a, b) => formatValue(a) + formatValue(b);
+
+// `+` on operands whose types were not known statically
+export const add = (a, b) => (typeof a === 'string' || typeof b === 'string' ? concat(a, b) : a + b);
+
+export const divide = (a, b) => {
+  if (b === 0) throw new RuntimeError('Division by zero');
+  return a / b;
+};
+
+// Integer division and modulo both round towards negative infinity
+export const floorDivide = (a, b) => {
+  if (b === 0) throw new RuntimeError('Division by zero');
+  return Math.floor(a / b);
+};
+
+export const modulo = (a, b) => {
+  if (b === 0) throw new RuntimeError('Modulo by zero');
+  return a - b * Math.floor(a / b);
+};
+
+// --- Lists ---
+
+const checkIndex = (list, index) => {
+  if (!Array.isArray(list)) throw new RuntimeError('Only lists can be indexed');
+  if (!Number.isInteger(index)) throw new RuntimeError(`List index must be a whole number, got ${formatValue(index)}`);
+  if (index < 0 || index >= list.length) {
+    throw new RuntimeError(`List index ${index} is out of bounds for list of length ${list.length}`);
+  }
+};
+
+export const at = (list, index) => {
+  checkIndex(list, index);
+  return list[index];
+};
+
+export const setAt = (list, index, value) => {
+  checkIndex(list, index);
+  list[index] = value;
+  return value;
+};
+
+// `xs[i]++` and friends; returns the value the expression produces.
+export const incrementAt = (list, index, delta, isPostfix) => {
+  const original = at(list, index);
+  setAt(list, index, original + delta);
+  return isPostfix ? original : original + delta;
+};
+
+// Fixed-size list from a declaration such as `number scores[5]`.
+export const filledList = (size, value) => Array.from({ length: size }, () => value);
+
+// --- Structs ---
+
+// `p.score++` and friends; returns the value the expression produces.
+export const incrementField = (object, name, delta, isPostfix) => {
+  const original = getField(object, name);
+  setField(object, name, original + delta);
+  return isPostfix ? original : original + delta;
+};
+
+// --- Loops ---
+
+export const checkStep = (step) => {
+  if (step === 0) throw new RuntimeError('For loop step cannot be zero');
+  return step;
+};
+
+// --- Built-ins ---
+
+export const sum = (list) => callBuiltin('sum', [list]);
+export const median = (list) => callBuiltin('median', [list]);
+export const mode = (list) => callBuiltin('mode', [list]);
+export const average = (list) => callBuiltin('average', [list]);
+export const isEven = (value) => callBuiltin('isEven', [value]);
+export const isOdd = (value) => callBuiltin('isOdd', [value]);
@@ -0,0 +1,997 @@
+/**
+ * Python Code Generator
+ *
+ * Translates a checked ECHO AST into a standalone Python 3.10+ script:
+ *
+ * - Typed declarations    -> annotated assignments (`count: int = 0`)
+ * - `//`, `%`, `^`        -> `//`, `%` and `**`, which round the same way; `^` is left-associative,
+ *                           and a fractional power of a negative number is NaN rather than complex
+ * - `do ... while`        -> `while True:` ending in `if not (...): break`
+ * - `switch`              -> `match`; a `break` inside a case still leaves the enclosing loop
+ * - Built-ins             -> `sum` and the `statistics` module
+ * - `data struct`         -> `@dataclass` classes compared by identity; `new Name()` -> `Name()`
+ * - SIS strings           -> f-strings
+ *
+ * Python has no block scope, so a variable that shadows another one of the same function gets
+ * a numbered name (`i_2`). Functions and structs are hoisted to the top of their block, as ECHO
+ * hoists them, and a small helper is included for each ECHO behavior Python lacks, such as
+ * printing values the way `echo` does. The output depends only on the AST, so it can be
+ * compared against golden files.
+ *
+ * `number` values stay Python ints, which never overflow. The interpreter, the VM and compiled
+ * JavaScript hold numbers as doubles, so past 2^53 they round (and past about 1.8e308 reach
+ * Infinity) where Python keeps every digit: `3 ^ 40` prints 12157665459056929000 there and
+ * 12157665459056928801 here. Wrapping every operation to match would cost the output its
+ * readability, so the difference is left in place.
+ */
+
+import { AST_NODE_TYPES, childNodes, findRecoveryNode } from './ASTBuilder.js';
+import { elementTypeOf, isListType } from './TypeRules.js';
+import { leadingAccessors, unescapeContent } from './StringInsertion.js';
+import { CompileError } from './CompileError.js';
+
+const INDENT = '    ';
+
+// Names ECHO allows but Python reserves or the generated code relies on; they get a `_` suffix.
+const RESERVED_WORDS = new Set([
+  'False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue',
+  'def', 'del', 'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in',
+  'is', 'lambda', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield',
+  'annotations', 'bool', 'dataclass', 'field', 'float', 'input', 'int', 'list', 'min', 'print', 'range',
+  'statistics', 'str', 'sum',
+]);
+
+// Binding strength of generated Python expressions, loosest first.
+const PRECEDENCE = {
+  OR: 1,
+  AND: 2,
+  NOT: 3,
+  COMPARISON: 4,
+  ADDITIVE: 5,
+  MULTIPLICATIVE: 6,
+  UNARY: 7,
+  POWER: 8,
+  CALL: 9,
+  PRIMARY: 10,
+};
+
+const BINARY_OPERATORS = {
+  '||': { code: 'or', precedence: PRECEDENCE.OR },
+  '&&': { code: 'and', precedence: PRECEDENCE.AND },
+  '==': { code: '==', precedence: PRECEDENCE.COMPARISON },
+  '!=': { code: '!=', precedence: PRECEDENCE.COMPARISON },
+  '<': { code: '<', precedence: PRECEDENCE.COMPARISON },
+  '>': { code: '>', precedence: PRECEDENCE.COMPARISON },
+  '<=': { code: '<=', precedence: PRECEDENCE.COMPARISON },
+  '>=': { code: '>=', precedence: PRECEDENCE.COMPARISON },
+  '+': { code: '+', precedence: PRECEDENCE.ADDITIVE },
+  '-': { code: '-', precedence: PRECEDENCE.ADDITIVE },
+  '*': { code: '*', precedence: PRECEDENCE.MULTIPLICATIVE },
+  '/': { code: '/', precedence: PRECEDENCE.MULTIPLICATIVE },
+  '//': { code: '//', precedence: PRECEDENCE.MULTIPLICATIVE },
+  '%': { code: '%', precedence: PRECEDENCE.MULTIPLICATIVE },
+  '^': { code: '**', precedence: PRECEDENCE.POWER },
+};
+
+const PYTHON_TYPES = {
+  number: 'int',
+  decimal: 'float',
+  string: 'str',
+  boolean: 'bool',
+  list: 'list',
+  void: 'None',
+};
+
+const DEFAULT_VALUES = {
+  int: '0',
+  float: '0.0',
+  str: '""',
+  bool: 'False',
+};
+
+// Type a type node was resolved to by the analyzer, such as 'list<number>' for `list of number`.
+const typeNameOf = (typeNode) => typeNode?.inferredType || typeNode?.name;
+
+// Helpers that read and check a value of each type; strings are read as they are.
+const INPUT_READERS = {
+  number: '_read_number',
+  decimal: '_read_decimal',
+  boolean: '_read_boolean',
+  list: '_read_list',
+};
+
+// Helpers copied into the output when used, in this order. `requires` lists other helpers.
+const HELPERS = {
+  _format: {
+    code: `def _format(value, decimal=False):
+    """Text of a value as ECHO's echo prints it."""
+    if value is None:
+        return "null"
+    if isinstance(value, bool):
+        return "true" if value else "false"
+    if isinstance(value, str):
+        return value
+    if isinstance(value, list):
+        return "[" + ", ".join(f'"{item}"' if isinstance(item, str) else _format(item) for item in value) + "]"
+    if hasattr(value, "__dataclass_fields__"):
+        fields = ", ".join(f'{name}: "{item}"' if isinstance(item, str) else f"{name}: {_format(item)}"
+                           for name, item in vars(value).items())
+        return f"{type(value).__name__} {{ {fields} }}" if fields else f"{type(value).__name__} {{}}"
+    if isinstance(value, (int, float)):
+        if value != value:
+            return "NaN"
+        if value in (float("inf"), float("-inf")):
+            return "Infinity" if value > 0 else "-Infinity"
+        if float(value).is_integer() and not decimal:
+            return str(int(value))
+        rounded = round(value, 10)
+        return f"{int(rounded)}.0" if float(rounded).is_integer() else repr(rounded)
+    return str(value)`,
+  },
+  _power: {
+    code: `def _power(base, exponent):
+    """base ** exponent, except that a fractional power of a negative number is NaN as in ECHO."""
+    if base < 0 and not float(exponent).is_integer():
+        return float("nan")
+    return base ** exponent`,
+  },
+  _loop_step: {
+    code: `def _loop_step(step):
+    if step == 0:
+        raise ValueError("For loop step cannot be zero")
+    return step`,
+  },
+  _count: {
+    requires: ['_loop_step'],
+    code: `def _count(start, end, step):
+    """Values of an inclusive ECHO for loop whose step is only known at run time."""
+    step = _loop_step(step)
+    value = start
+    while value <= end if step > 0 else value >= end:
+        yield value
+        value += step`,
+  },
+  _read_number: {
+    imports: ['re'],
+    code: `def _read_number(prompt=""):
+    text = input(prompt).strip()
+    if not re.fullmatch(r"[+-]?\\d+", text, re.ASCII):
+        raise ValueError(f"Invalid number input '{text}': expected a whole number such as 42")
+    return int(text)`,
+  },
+  _read_decimal: {
+    imports: ['re'],
+    code: `def _read_decimal(prompt=""):
+    text = input(prompt).strip()
+    if not re.fullmatch(r"[+-]?(\\d+\\.?\\d*|\\.\\d+)([eE][+-]?\\d+)?", text, re.ASCII):
+        raise ValueError(f"Invalid decimal input '{text}': expected a number such as 3.14")
+    return float(text)`,
+  },
+  _read_boolean: {
+    code: `def _read_boolean(prompt=""):
+    text = input(prompt).strip()
+    if text.lower() not in ("true", "false"):
+        raise ValueError(f"Invalid boolean input '{text}': expected true or false")
+    return text.lower() == "true"`,
+  },
+  _list_item: {
+    code: `def _list_item(text):
+    for convert in (int, float):
+        try:
+            return convert(text)
+        except ValueError:
+            pass
+    if text.lower() in ("true", "false", "null"):
+        return {"true": True, "false": False}.get(text.lower())
+    if len(text) >= 2 and text[0] == text[-1] == '"':
+        return text[1:-1]
+    return text`,
+  },
+  _read_list: {
+    requires: ['_list_item'],
+    code: `def _read_list(prompt=""):
+    """Comma separated values, optionally in brackets; commas inside double quotes are kept."""
+    text = input(prompt).strip()
+    if text.startswith("[") and text.endswith("]"):
+        text = text[1:-1].strip()
+    if not text:
+        return []
+    items, current, quoted = [], "", False
+    for char in text:
+        if char == '"':
+            quoted = not quoted
+        if char == "," and not quoted:
+            items.append(current.strip())
+            current = ""
+        else:
+            current += char
+    items.append(current.strip())
+    return [_list_item(item) for item in items]`,
+  },
+};
+
+// Accessor at the start of string content: [index] or .field
+const ACCESSOR_PATTERN = /^(?:\[\s*([A-Za-z_]\w*|\d+)\s*\]|\.([A-Za-z_]\w*))/;
+
+const expression = (code, precedence) => ({ code, precedence });
+
+const typeOf = (node) => node?.inferredType || 'unknown';
+
+const quote = (text) => JSON.stringify(text);
+
+const numericLiteral = (node) =>
+  (node?.type === AST_NODE_TYPES.NUMBER_LIT || node?.type === AST_NODE_TYPES.DECIMAL_LIT ? node.value : null);
+
+const isDefinition = (node) =>
+  node?.type === AST_NODE_TYPES.FUNCTION_DEF || node?.type === AST_NODE_TYPES.DATA_STRUCT;
+
+// Whether a statement assigns a variable, with `=`, a compound assignment, `++`, `--` or input().
+const assignsVariable = (node, name) => childNodes(node).some(child => {
+  let target = null;
+  if (child.type === AST_NODE_TYPES.ASSIGNMENT_STMT || child.type === AST_NODE_TYPES.INPUT_STMT) target = child.target;
+  else if (child.type === AST_NODE_TYPES.POSTFIX_EXPR) target = child.operand;
+  else if (child.type === AST_NODE_TYPES.UNARY && (child.operator === '++' || child.operator === '--')) target = child.expression;
+  if (target?.type === AST_NODE_TYPES.IDENTIFIER && target.name === name) return true;
+  return assignsVariable(child, name);
+});
+
+// Whether a statement contains `break` or `continue` that belongs to it rather than an inner loop.
+const jumpsOut = (node, jump) => childNodes(node).some(child => {
+  if (child.type === AST_NODE_TYPES.JUMP_STMT) return child.jump === jump;
+  if ([AST_NODE_TYPES.FOR_LOOP, AST_NODE_TYPES.WHILE_LOOP, AST_NODE_TYPES.DO_WHILE_LOOP,
+    AST_NODE_TYPES.FUNCTION_DEF].includes(child.type)) return false;
+  return jumpsOut(child, jump);
+});
+
+// Case values a `match` statement accepts as literal patterns.
+const isLiteralPattern = (node) => [AST_NODE_TYPES.NUMBER_LIT, AST_NODE_TYPES.DECIMAL_LIT,
+  AST_NODE_TYPES.BOOL_LIT, AST_NODE_TYPES.NULL_LITERAL].includes(node?.type)
+  || (node?.type === AST_NODE_TYPES.STRING_LIT
+    && !(node.content || []).some(part => part.type === AST_NODE_TYPES.STRING_INSERTION));
+
+// --- Generator Class ---
+
+class PythonGenerator {
+  constructor(options = {}) {
+    this.options = options;
+    this.lines = [];
+    this.depth = 0;
+    this.helpers = new Set();
+    this.imports = new Set();
+    // Innermost loop last: code a `continue` of that loop runs first, or null
+    this.advances = [];
+    this.scopes = [new Map()];
+    // Python function scopes; the module is the outermost one
+    this.context = { parent: null, isModule: true, used: new Set(), globals: new Set(), nonlocals: new Set() };
+  }
+
+  generate(program) {
+    if (!program || program.type !== AST_NODE_TYPES.ECHO_PROGRAM) {
+      throw new CompileError('Cannot compile: program has no valid syntax tree');
+    }
+    const recovery = findRecoveryNode(program);
+    if (recovery) throw new CompileError('Cannot compile: program has syntax errors', recovery);
+
+    this.block(program.statements, [], { allowEmpty: true });
+    const body = this.lines;
+
+    const header = [`# Compiled from ${this.options.sourceName} by the ECHO Python backend`];
+    if (this.imports.has('dataclasses')) header.push('from __future__ import annotations');
+    const imports = [];
+    if (this.imports.has('re')) imports.push('import re');
+    if (this.imports.has('statistics')) imports.push('import statistics');
+    if (this.imports.has('dataclasses')) {
+      imports.push(`from dataclasses import dataclass${this.imports.has('field') ? ', field' : ''}`);
+    }
+
+    const sections = [header];
+    if (imports.length) sections.push(['', ...imports]);
+    Object.keys(HELPERS).filter(name => this.helpers.has(name))
+      .forEach(name => sections.push(['', '', ...HELPERS[name].code.split('\n')]));
+    if (body.length) sections.push(['', '', ...body]);
+
+    this.lines = sections.flat();
+  }
+
+  // ===========================================================================
+  // Output
+  // ===========================================================================
+
+  emit(text) {
+    this.lines.push(text ? INDENT.repeat(this.depth) + text : '');
+  }
+
+  indented(callback) {
+    this.depth++;
+    callback();
+    this.depth--;
+  }
+
+  use(helper) {
+    HELPERS[helper].requires?.forEach(required => this.use(required));
+    HELPERS[helper].imports?.forEach(module => this.imports.add(module));
+    this.helpers.add(helper);
+    return helper;
+  }
+
+  // Generates into a separate list of lines and returns them.
+  capture(callback) {
+    const saved = this.lines;
+    this.lines = [];
+    callback();
+    const captured = this.lines;
+    this.lines = saved;
+    return captured;
+  }
+
+  // ===========================================================================
+  // Names
+  // ===========================================================================
+
+  withScope(callback) {
+    this.scopes.push(new Map());
+    callback();
+    this.scopes.pop();
+  }
+
+  lookup(name) {
+    for (let i = this.scopes.length - 1; i >= 0; i--) {
+      if (this.scopes[i].has(name)) return this.scopes[i].get(name);
+    }
+    return null;
+  }
+
+  // Python name for a new ECHO variable. A name already visible in the same Python function
+  // would be overwritten instead of shadowed, so the new variable is numbered.
+  declare(name, type) {
+    const base = RESERVED_WORDS.has(name) || HELPERS[name] ? `${name}_` : name;
+    const visible = new Set(this.scopes.flatMap(scope => [...scope.values()])
+      .filter(binding => binding.owner === this.context)
+      .map(binding => binding.pythonName));
+
+    let pythonName = base;
+    for (let n = 2; visible.has(pythonName); n++) pythonName = `${base}_${n}`;
+
+    this.context.used.add(pythonName);
+    this.scopes[this.scopes.length - 1].set(name, { pythonName, type, owner: this.context });
+    return pythonName;
+  }
+
+  // Generated variable that no ECHO name in the current function uses.
+  temporary(base) {
+    let name = base;
+    for (let n = 2; this.context.used.has(name); n++) name = `${base}_${n}`;
+    this.context.used.add(name);
+    return name;
+  }
+
+  name(name) {
+    return this.lookup(name)?.pythonName || (RESERVED_WORDS.has(name) ? `${name}_` : name);
+  }
+
+  // Name of an assignment target; variables of enclosing functions need `global` or `nonlocal`.
+  assignedName(name) {
+    const binding = this.lookup(name);
+    if (binding && binding.owner !== this.context && !this.context.isModule) {
+      (binding.owner.isModule ? this.context.globals : this.context.nonlocals).add(binding.pythonName);
+    }
+    return this.name(name);
+  }
+
+  pythonType(typeName) {
+    const type = (typeName || '').toLowerCase();
+    if (isListType(type) && type !== 'list') {
+      const element = PYTHON_TYPES[elementTypeOf(type)];
+      return element ? `list[${element}]` : 'list';
+    }
+    return PYTHON_TYPES[type] || (typeName ? this.name(typeName) : 'object');
+  }
+
+  fieldName(name) {
+    return RESERVED_WORDS.has(name) ? `${name}_` : name;
+  }
+
+  // ===========================================================================
+  // Statements
+  // ===========================================================================
+
+  /*
+  Generates a statement list in a new scope
+
+  Functions and structs are generated where they appear, so they see the variables declared
+  before them, but are placed ahead of the other statements.
+
+  @param {Object} stmtList - STMT_LIST node
+  @param {Array} declarations - [name, type] pairs declared in the new scope, such as parameters
+  @param {Object} options - { allowEmpty: no `pass` for an empty block, after: runs at the end of the scope }
+  */
+  block(stmtList, declarations = [], { allowEmpty = false, after = null } = {}) {
+    this.withScope(() => {
+      declarations.forEach(([name, type]) => this.declare(name, type));
+      const statements = stmtList?.statements || [];
+
+      // Names of hoisted definitions are visible to every statement of the block
+      statements.filter(isDefinition).forEach(stmt => {
+        if (stmt.name?.name) this.declare(stmt.name.name, stmt.type === AST_NODE_TYPES.FUNCTION_DEF ? 'function' : 'struct');
+      });
+
+      const definitions = [];
+      const body = this.capture(() => {
+        statements.forEach(stmt => {
+          if (isDefinition(stmt)) definitions.push(this.capture(() => this.definition(stmt)));
+          else this.statement(stmt);
+        });
+        if (after) after();
+      });
+
+      // PEP 8 spacing: two blank lines around top-level definitions, one inside blocks
+      const gap = this.context.isModule && this.depth === 0 ? ['', ''] : [''];
+      const sections = [...definitions, ...(body.length ? [body] : [])];
+      sections.forEach((section, i) => {
+        if (i > 0) this.lines.push(...gap);
+        this.lines.push(...section);
+      });
+      if (!sections.length && !allowEmpty) this.emit('pass');
+    });
+  }
+
+  statement(node) {
+    if (!node) return;
+
+    switch (node.type) {
+      case AST_NODE_TYPES.DECLARATION_STMT: return this.declaration(node);
+      case AST_NODE_TYPES.ASSIGNMENT_STMT: return this.assignment(node);
+      case AST_NODE_TYPES.INPUT_STMT: return this.inputStatement(node);
+      case AST_NODE_TYPES.OUTPUT_STMT:
+        this.emit(`print(${(node.args || []).map(arg => this.printed(arg)).join(', ')})`);
+        return;
+      case AST_NODE_TYPES.IF_STMT: return this.ifStatement(node);
+      case AST_NODE_TYPES.SWITCH_STMT: return this.switchStatement(node);
+      case AST_NODE_TYPES.FOR_LOOP: return this.forLoop(node);
+      case AST_NODE_TYPES.WHILE_LOOP:
+        this.emit(`while ${this.expr(node.condition).code}:`);
+        this.indented(() => this.loopBody(node.body));
+        return;
+      case AST_NODE_TYPES.DO_WHILE_LOOP: return this.doWhileLoop(node);
+      case AST_NODE_TYPES.RETURN_STMT:
+        this.emit(node.value ? `return ${this.expr(node.value).code}` : 'return');
+        return;
+      case AST_NODE_TYPES.JUMP_STMT:
+        if (node.jump === 'break') {
+          this.emit('break');
+          return;
+        }
+        if (this.advances[this.advances.length - 1]) this.emit(this.advances[this.advances.length - 1]);
+        this.emit('continue');
+        return;
+      case AST_NODE_TYPES.EXPRESSION:
+        return this.statement(node.value);
+
+      // `x++` and `++x` can only appear as statements
+      case AST_NODE_TYPES.POSTFIX_EXPR:
+        return this.increment(node.operand, node.operator);
+      case AST_NODE_TYPES.UNARY:
+        if (node.operator === '++' || node.operator === '--') return this.increment(node.expression, node.operator);
+        this.emit(this.expr(node).code);
+        return;
+
+      default:
+        // Expression statements such as calls
+        this.emit(this.expr(node).code);
+    }
+  }
+
+  definition(node) {
+    if (node.type === AST_NODE_TYPES.FUNCTION_DEF) this.functionDefinition(node);
+    else this.dataStruct(node);
+  }
+
+  declaration(node) {
+    const typeName = (node.dataType?.name || '').toLowerCase();
+    const type = this.pythonType(typeNameOf(node.dataType));
+
+    for (const item of node.declList?.items || []) {
+      if (!item?.identifier) continue;
+
+      // The initializer is generated first: it still sees any variable the new one shadows
+      let value;
+      let annotation = type;
+      if (item.isArray) {
+        value = `[${DEFAULT_VALUES[type] || 'None'}] * ${item.size?.value ?? 0}`;
+        annotation = PYTHON_TYPES[typeName] && typeName !== 'list' ? `list[${type}]` : 'list';
+      } else if (item.value) {
+        value = this.expr(item.value).code;
+      } else {
+        value = 'None';
+        annotation = `${type} | None`;
+      }
+      this.emit(`${this.declare(item.identifier.name, typeName)}: ${annotation} = ${value}`);
+    }
+  }
+
+  assignment(node) {
+    const operator = node.assignmentOp?.operator || node.assignmentOp?.value || '=';
+    const target = this.target(node.target);
+
+    if (operator === '=') {
+      this.emit(`${target} = ${this.expr(node.value).code}`);
+      return;
+    }
+
+    const binary = operator.slice(0, -1);
+    if (binary === '^' && typeOf(node.value) !== 'number') {
+      this.emit(`${target} = ${this.use('_power')}(${target}, ${this.expr(node.value).code})`);
+      return;
+    }
+
+    // `s += 5` on a string appends the printed value
+    const value = binary === '+' && typeOf(node.target) === 'string' && typeOf(node.value) !== 'string'
+      ? this.printedValue(node.value, false)
+      : this.expr(node.value).code;
+    this.emit(`${target} ${BINARY_OPERATORS[binary]?.code || binary}= ${value}`);
+  }
+
+  target(node) {
+    if (node?.type === AST_NODE_TYPES.IDENTIFIER) return this.assignedName(node.name);
+    if (node?.type === AST_NODE_TYPES.LIST_ACCESS || node?.type === AST_NODE_TYPES.FIELD_ACCESS) {
+      return this.expr(node).code;
+    }
+    throw new CompileError('Invalid assignment target', node);
+  }
+
+  increment(target, operator) {
+    this.emit(`${this.target(target)} ${operator === '++' ? '+' : '-'}= 1`);
+  }
+
+  inputStatement(node) {
+    const { expression: input } = node;
+    const dataType = (input?.dataType?.name || 'string').toLowerCase();
+    const prompt = input?.prompt ? this.printed(input.prompt) : '';
+
+    let read;
+    if (dataType === 'string') read = `input(${prompt})`;
+    else if (INPUT_READERS[dataType]) read = `${this.use(INPUT_READERS[dataType])}(${prompt})`;
+    else throw new CompileError(`input() cannot read values of type '${dataType}'`, node);
+
+    this.emit(`${this.target(node.target)} = ${read}`);
+  }
+
+  // Code for the printed form of a value; string literals and concatenations print as they are.
+  printed(node) {
+    if (node.type === AST_NODE_TYPES.STRING_LIT || (node.type === AST_NODE_TYPES.ADDITIVE && typeOf(node) === 'string')) {
+      return this.expr(node).code;
+    }
+    return this.printedValue(node);
+  }
+
+  // `echo` prints decimal expressions and variables with a fractional part; concatenation does not.
+  printedValue(node, useDeclaredType = true) {
+    const isDecimal = useDeclaredType
+      && (typeOf(node) === 'decimal' || (node.type === AST_NODE_TYPES.IDENTIFIER && this.lookup(node.name)?.type === 'decimal'));
+    return `${this.use('_format')}(${this.expr(node).code}${isDecimal ? ', decimal=True' : ''})`;
+  }
+
+  ifStatement(node) {
+    this.emit(`if ${this.expr(node.condition).code}:`);
+    this.indented(() => this.block(node.thenBody));
+    for (const elseIf of node.elseIfs || []) {
+      this.emit(`elif ${this.expr(elseIf.condition).code}:`);
+      this.indented(() => this.block(elseIf.body));
+    }
+    if (node.elseBody) {
+      this.emit('else:');
+      this.indented(() => this.block(node.elseBody));
+    }
+  }
+
+  // Cases never fall through, as in `match`. Values that are not literal patterns fall back to
+  // an if chain over a temporary, which evaluates the subject once.
+  switchStatement(node) {
+    const cases = node.cases || [];
+
+    if (cases.every(caseBlock => isLiteralPattern(caseBlock.value))) {
+      this.emit(`match ${this.expr(node.expression).code}:`);
+      this.indented(() => {
+        cases.forEach(caseBlock => {
+          this.emit(`case ${this.expr(caseBlock.value).code}:`);
+          this.indented(() => this.block(caseBlock.body));
+        });
+        if (node.defaultBlock) {
+          this.emit('case _:');
+          this.indented(() => this.block(node.defaultBlock));
+        }
+      });
+      return;
+    }
+
+    const subject = this.temporary('_subject');
+    this.emit(`${subject} = ${this.expr(node.expression).code}`);
+    cases.forEach((caseBlock, i) => {
+      const value = this.expr(caseBlock.value);
+      this.emit(`${i > 0 ? 'elif' : 'if'} ${subject} == ${value.precedence > PRECEDENCE.COMPARISON ? value.code : `(${value.code})`}:`);
+      this.indented(() => this.block(caseBlock.body));
+    });
+    if (node.defaultBlock && cases.length) {
+      this.emit('else:');
+      this.indented(() => this.block(node.defaultBlock));
+    } else if (node.defaultBlock) {
+      this.block(node.defaultBlock, [], { allowEmpty: true });
+    }
+  }
+
+  // `for i = a to b by s` counts inclusively. Whole-number bounds with a literal step become a
+  // range(); anything else counts with a helper that also checks the step at run time. Both
+  // ignore changes the body makes to the loop variable, so such loops count in a while loop.
+  forLoop(node) {
+    if (assignsVariable(node.body, node.iterator?.name)) {
+      this.countingLoop(node);
+      return;
+    }
+
+    const start = this.expr(node.start);
+    const end = this.expr(node.end);
+    const step = node.step ? numericLiteral(node.step.value) : 1;
+    const isWhole = (value) => typeOf(value) === 'number';
+
+    let values;
+    if (Number.isInteger(step) && step !== 0 && isWhole(node.start) && isWhole(node.end)) {
+      const endLiteral = numericLiteral(node.end);
+      const stop = endLiteral !== null
+        ? String(endLiteral + Math.sign(step))
+        : this.join(end, step > 0 ? '+' : '-', expression('1', PRECEDENCE.PRIMARY), PRECEDENCE.ADDITIVE).code;
+      const args = [start.code, stop];
+      if (step !== 1) args.push(String(step));
+      values = `range(${args.join(', ')})`;
+    } else {
+      const stepCode = node.step ? this.expr(node.step.value).code : '1';
+      values = `${this.use('_count')}(${start.code}, ${end.code}, ${stepCode})`;
+    }
+
+    this.withScope(() => {
+      const iterator = this.declare(node.iterator?.name, 'number');
+      this.emit(`for ${iterator} in ${values}:`);
+      this.indented(() => this.loopBody(node.body));
+    });
+  }
+
+  // A for loop whose body assigns the loop variable: the end and step are evaluated once, and the
+  // step is added after each pass, including one that ends in `continue`.
+  countingLoop(node) {
+    const start = this.expr(node.start);
+    const once = (value, base) => {
+      const code = this.expr(value).code;
+      if (numericLiteral(value) !== null) return code;
+      const name = this.temporary(base);
+      this.emit(`${name} = ${code}`);
+      return name;
+    };
+    const end = once(node.end, '_end');
+    const literalStep = node.step ? numericLiteral(node.step.value) : 1;
+    let step = String(literalStep);
+    if (!literalStep) {
+      step = this.temporary('_step');
+      this.emit(`${step} = ${this.use('_loop_step')}(${this.expr(node.step.value).code})`);
+    }
+
+    this.withScope(() => {
+      const iterator = this.declare(node.iterator?.name, 'number');
+      let condition = `${iterator} ${literalStep > 0 ? '<=' : '>='} ${end}`;
+      if (!literalStep) condition = `${iterator} <= ${end} if ${step} > 0 else ${iterator} >= ${end}`;
+      const advance = literalStep < 0 ? `${iterator} -= ${-literalStep}` : `${iterator} += ${step}`;
+
+      this.emit(`${iterator} = ${start.code}`);
+      this.emit(`while ${condition}:`);
+      this.indented(() => this.loopBody(node.body, advance, { after: () => this.emit(advance) }));
+    });
+  }
+
+  // Generates the body of a loop; `advance` is emitted before each `continue` that leaves it.
+  loopBody(body, advance = null, options = {}) {
+    this.advances.push(advance);
+    this.block(body, [], options);
+    this.advances.pop();
+  }
+
+  // The condition is checked after each pass. A `continue` would skip a check placed at the end
+  // of the body, so loops that use it test a first-pass flag in the loop header instead.
+  doWhileLoop(node) {
+    if (jumpsOut(node.body, 'continue')) {
+      const first = this.temporary('_first');
+      const condition = this.expr(node.condition);
+      this.emit(`${first} = True`);
+      this.emit(`while ${first} or ${condition.precedence > PRECEDENCE.OR ? condition.code : `(${condition.code})`}:`);
+      this.indented(() => {
+        this.emit(`${first} = False`);
+        this.loopBody(node.body, null, { allowEmpty: true });
+      });
+      return;
+    }
+
+    this.emit('while True:');
+    this.indented(() => {
+      this.loopBody(node.body, null, {
+        allowEmpty: true,
+        after: () => {
+          this.emit(`if ${this.negate(node.condition)}:`);
+          this.indented(() => this.emit('break'));
+        },
+      });
+    });
+  }
+
+  functionDefinition(node) {
+    const name = this.name(node.name?.name);
+    const params = (node.parameters?.params || []).filter(param => param.name?.name);
+    const returnType = this.pythonType(typeNameOf(node.returnType) || 'void');
+
+    const context = { parent: this.context, isModule: false, used: new Set(), globals: new Set(), nonlocals: new Set() };
+    this.context = context;
+    let signature;
+    const body = this.capture(() => this.indented(() => {
+      // Parameters are declared in the function scope, before the body's own variables
+      this.withScope(() => {
+        signature = params.map(param => `${this.declare(param.name.name, (param.dataType?.name || '').toLowerCase())}: ${this.pythonType(typeNameOf(param.dataType))}`);
+        // The return statement comes after the body and can read its variables
+        this.block(node.body, [], { after: () => this.statement(node.returnStatement) });
+      });
+    }));
+    this.context = context.parent;
+
+    this.emit(`def ${name}(${signature.join(', ')}) -> ${returnType}:`);
+    this.indented(() => {
+      if (context.globals.size) this.emit(`global ${[...context.globals].join(', ')}`);
+      if (context.nonlocals.size) this.emit(`nonlocal ${[...context.nonlocals].join(', ')}`);
+    });
+    this.lines.push(...body);
+  }
+
+  // ECHO evaluates field defaults for every new instance; only immutable literals can be class defaults.
+  dataStruct(node) {
+    this.imports.add('dataclasses');
+    this.emit('@dataclass(eq=False)');
+    this.emit(`class ${this.name(node.name?.name)}:`);
+
+    const fields = (node.fields?.fields || []).filter(field => field.identifier?.name);
+    this.indented(() => {
+      if (!fields.length) this.emit('pass');
+      fields.forEach(field => {
+        const type = this.pythonType(typeNameOf(field.dataType));
+        let value = DEFAULT_VALUES[type];
+        if (field.type === AST_NODE_TYPES.FIELD_DECL && field.defaultValue) {
+          value = this.expr(field.defaultValue).code;
+          if (!isLiteralPattern(field.defaultValue)) {
+            this.imports.add('field');
+            value = `field(default_factory=lambda: ${value})`;
+          }
+        } else if (type === 'list' || type.startsWith('list[')) {
+          this.imports.add('field');
+          value = 'field(default_factory=list)';
+        }
+
+        const annotation = value === undefined ? `${type} | None` : type;
+        const binding = field.type === AST_NODE_TYPES.SCHEMA_BINDING && field.bindingClause
+          ? `  # bound to ${field.bindingClause.value}`
+          : '';
+        this.emit(`${this.fieldName(field.identifier.name)}: ${annotation} = ${value ?? 'None'}${binding}`);
+      });
+    });
+  }
+
+  // ===========================================================================
+  // Expressions
+  // ===========================================================================
+
+  // Joins two operands with an infix operator, adding the parentheses precedence requires.
+  // Comparisons do not chain in ECHO, so a comparison operand of a comparison is wrapped.
+  join(left, operator, right, precedence) {
+    const wrap = (operand, needsParentheses) => (needsParentheses ? `(${operand.code})` : operand.code);
+    if (precedence === PRECEDENCE.POWER) {
+      // `**` is right-associative and binds tighter than a unary minus on its left in Python
+      return expression(`${wrap(left, left.precedence <= PRECEDENCE.POWER)} ** ${wrap(right, right.precedence < PRECEDENCE.UNARY)}`, precedence);
+    }
+    const leftNeeds = precedence === PRECEDENCE.COMPARISON ? left.precedence <= precedence : left.precedence < precedence;
+    return expression(`${wrap(left, leftNeeds)} ${operator} ${wrap(right, right.precedence <= precedence)}`, precedence);
+  }
+
+  binary(node) {
+    const { operator } = node;
+    const definition = BINARY_OPERATORS[operator];
+    if (!definition) throw new CompileError(`Unknown operator '${operator}'`, node);
+
+    // String concatenation prints the other operand as `echo` would
+    if (operator === '+' && (typeOf(node.left) === 'string' || typeOf(node.right) === 'string')) {
+      const operand = (side) => (typeOf(side) === 'string' ? this.expr(side) : expression(this.printedValue(side, false), PRECEDENCE.CALL));
+      return this.join(operand(node.left), '+', operand(node.right), PRECEDENCE.ADDITIVE);
+    }
+    // A fractional exponent goes through a helper, as `**` makes negative bases complex
+    if (operator === '^' && typeOf(node.right) !== 'number') {
+      return expression(`${this.use('_power')}(${this.expr(node.left).code}, ${this.expr(node.right).code})`, PRECEDENCE.CALL);
+    }
+    return this.join(this.expr(node.left), definition.code, this.expr(node.right), definition.precedence);
+  }
+
+  // Condition text for `if not ...`; comparisons are kept readable in parentheses.
+  negate(condition) {
+    const code = this.expr(condition);
+    return `not ${code.precedence >= PRECEDENCE.UNARY ? code.code : `(${code.code})`}`;
+  }
+
+  expr(node) {
+    if (!node) return expression('None', PRECEDENCE.PRIMARY);
+
+    switch (node.type) {
+      case AST_NODE_TYPES.NUMBER_LIT:
+      case AST_NODE_TYPES.DECIMAL_LIT: {
+        const lexeme = node.token?.lexeme;
+        const code = /^-?\d+(\.\d+)?$/.test(lexeme || '') ? lexeme : String(node.value);
+        return expression(code, node.value < 0 ? PRECEDENCE.UNARY : PRECEDENCE.PRIMARY);
+      }
+      case AST_NODE_TYPES.BOOL_LIT:
+        return expression(node.value ? 'True' : 'False', PRECEDENCE.PRIMARY);
+      case AST_NODE_TYPES.NULL_LITERAL:
+        return expression('None', PRECEDENCE.PRIMARY);
+      case AST_NODE_TYPES.STRING_LIT:
+        return this.string(node);
+      case AST_NODE_TYPES.LIST_LIT:
+        return expression(`[${(node.elements?.elements || []).map(element => this.expr(element).code).join(', ')}]`, PRECEDENCE.PRIMARY);
+
+      case AST_NODE_TYPES.IDENTIFIER:
+        return expression(this.name(node.name), PRECEDENCE.PRIMARY);
+      case AST_NODE_TYPES.LIST_ACCESS: {
+        const list = this.expr(node.array);
+        const listCode = list.precedence >= PRECEDENCE.CALL ? list.code : `(${list.code})`;
+        return expression(`${listCode}[${this.expr(node.index).code}]`, PRECEDENCE.CALL);
+      }
+      case AST_NODE_TYPES.EXPRESSION:
+        return this.expr(node.value);
+
+      case AST_NODE_TYPES.FUNCTION_CALL: {
+        const args = (node.arguments?.args || []).map(arg => this.expr(arg).code).join(', ');
+        return expression(`${this.name(node.function?.name)}(${args})`, PRECEDENCE.CALL);
+      }
+      case AST_NODE_TYPES.BUILTIN_FUNCTION_CALL:
+        return this.builtin(node);
+
+      case AST_NODE_TYPES.LOGIC_OR:
+      case AST_NODE_TYPES.LOGIC_AND:
+      case AST_NODE_TYPES.EQUALITY:
+      case AST_NODE_TYPES.RELATIONAL:
+      case AST_NODE_TYPES.ADDITIVE:
+      case AST_NODE_TYPES.MULTIPLICATIVE:
+      case AST_NODE_TYPES.EXPONENTIAL:
+        return this.binary(node);
+
+      case AST_NODE_TYPES.UNARY:
+        return this.unary(node);
+      case AST_NODE_TYPES.POSTFIX_EXPR:
+        throw new CompileError(`'${node.operator}' inside an expression cannot be compiled to Python`, node);
+
+      case AST_NODE_TYPES.NEW_STRUCT:
+        return expression(`${this.name(node.struct?.name)}()`, PRECEDENCE.CALL);
+      case AST_NODE_TYPES.FIELD_ACCESS: {
+        const object = this.expr(node.object);
+        const objectCode = object.precedence >= PRECEDENCE.CALL ? object.code : `(${object.code})`;
+        return expression(`${objectCode}.${this.fieldName(node.field?.name)}`, PRECEDENCE.CALL);
+      }
+
+      default:
+        throw new CompileError(`Cannot compile node of type ${node.type}`, node);
+    }
+  }
+
+  unary(node) {
+    const { operator } = node;
+    if (operator === '!') return expression(this.negate(node.expression), PRECEDENCE.NOT);
+    if (operator !== '-' && operator !== '+') {
+      throw new CompileError(`'${operator}' inside an expression cannot be compiled to Python`, node);
+    }
+
+    const operand = this.expr(node.expression);
+    // Parentheses keep `- -x` readable
+    const code = operand.precedence >= PRECEDENCE.UNARY && !/^[-+]/.test(operand.code) ? operand.code : `(${operand.code})`;
+    return expression(`${operator}${code}`, PRECEDENCE.UNARY);
+  }
+
+  builtin(node) {
+    const args = (node.arguments?.args || []).map(arg => this.expr(arg));
+    const argument = args.map(arg => arg.code).join(', ');
+
+    switch ((node.builtin?.name || '').toLowerCase()) {
+      case 'sum': return expression(`sum(${argument})`, PRECEDENCE.CALL);
+      case 'average':
+        this.imports.add('statistics');
+        return expression(`statistics.mean(${argument})`, PRECEDENCE.CALL);
+      case 'median':
+        this.imports.add('statistics');
+        return expression(`statistics.median(${argument})`, PRECEDENCE.CALL);
+      // ECHO breaks ties towards the smallest value
+      case 'mode':
+        this.imports.add('statistics');
+        return expression(`min(statistics.multimode(${argument}))`, PRECEDENCE.CALL);
+      case 'iseven':
+      case 'isodd': {
+        const remainder = this.join(args[0], '%', expression('2', PRECEDENCE.PRIMARY), PRECEDENCE.MULTIPLICATIVE);
+        const comparison = node.builtin.name.toLowerCase() === 'iseven' ? '==' : '!=';
+        return expression(`${remainder.code} ${comparison} 0`, PRECEDENCE.COMPARISON);
+      }
+      default:
+        throw new CompileError(`Unknown built-in function '${node.builtin?.name}'`, node);
+    }
+  }
+
+  // String literals become f-strings when they contain insertions.
+  string(node) {
+    const parts = node.content || [];
+    const text = (value) => quote(value).slice(1, -1);
+    if (!parts.some(part => part.type === AST_NODE_TYPES.STRING_INSERTION)) {
+      return expression(quote(parts.map(part => unescapeContent(part.value)).join('')), PRECEDENCE.PRIMARY);
+    }
+
+    const literal = (value) => text(value).replace(/[{}]/g, brace => brace + brace);
+    let code = '';
+    for (let i = 0; i < parts.length; i++) {
+      const part = parts[i];
+      if (part.type !== AST_NODE_TYPES.STRING_INSERTION) {
+        code += literal(unescapeContent(part.value));
+        continue;
+      }
+
+      const name = part.identifier?.name;
+      const binding = this.lookup(name);
+      const next = parts[i + 1];
+      const { accessed, rest } = this.accessors(this.name(name), next?.type === AST_NODE_TYPES.STRING_CONTENT ? next.value : '');
+
+      if (accessed !== this.name(name)) {
+        code += `{${this.use('_format')}(${accessed})}${literal(unescapeContent(rest))}`;
+        i++;
+      } else if (binding?.type === 'number' || binding?.type === 'string') {
+        code += `{${accessed}}`;
+      } else {
+        code += `{${this.use('_format')}(${accessed}${binding?.type === 'decimal' ? ', decimal=True' : ''})}`;
+      }
+    }
+    return expression(`f"${code}"`, PRECEDENCE.PRIMARY);
+  }
+
+  // Applies `[index]` and `.field` accessors written right after an insertion, as far as they
+  // name known variables; returns the accessed expression and the remaining raw text.
+  accessors(base, raw) {
+    let accessed = base;
+    let rest = raw;
+    const written = leadingAccessors(raw);
+    let remaining = written;
+
+    let match = ACCESSOR_PATTERN.exec(remaining);
+    while (match) {
+      const [accessor, index, field] = match;
+      if (index !== undefined) {
+        if (!/^\d+$/.test(index) && !this.lookup(index)) break;
+        accessed += `[${/^\d+$/.test(index) ? index : this.name(index)}]`;
+      } else {
+        accessed += `.${this.fieldName(field)}`;
+      }
+      remaining = remaining.slice(accessor.length);
+      rest = rest.slice(accessor.length);
+      match = ACCESSOR_PATTERN.exec(remaining);
+    }
+    return { accessed, rest };
+  }
+}
+
+// --- Main Export ---
+
+/*
+Compiles a program AST to Python source
+
+@param {Object} ast - Program AST from syntaxAnalyzer, free of errors
+@param {Object} options - { sourceName: name of the ECHO file, for the header comment }
+@returns {Object} { code }
+@throws {CompileError} When the tree has syntax errors or uses a construct Python cannot express
+*/
+export const transpileToPython = (ast, options = {}) => {
+  const generator = new PythonGenerator({ sourceName: 'program.echo', ...options });
+  generator.generate(ast);
+  return { code: `${generator.lines.join('\n')}\n` };
+};
+
+export default transpileToPython;
@@ -0,0 +1,36 @@
+/**
+ * Runtime Error
+ *
+ * Error raised while executing an ECHO program. It is positioned at the first token
+ * found on the offending AST node so it can be reported like a syntax error.
+ */
+
+// Finds the first token attached to a node (or any of its descendants) for error positions.
+export const findToken = (node, depth = 0) => {
+  if (!node || typeof node !== 'object' || depth > 8) return null;
+  const direct = node.token || node.keyword || node.startToken;
+  if (direct?.line) return direct;
+
+  for (const value of Object.values(node)) {
+    const items = Array.isArray(value) ? value : [value];
+    for (const item of items) {
+      if (item && typeof item === 'object' && item.type) {
+        const found = findToken(item, depth + 1);
+        if (found) return found;
+      }
+    }
+  }
+  return null;
+};
+
+export class RuntimeError extends Error {
+  constructor(message, node = null) {
+    super(message);
+    this.name = 'RuntimeError';
+    const token = findToken(node);
+    this.line = token?.line || 0;
+    this.column = token?.column || 0;
+  }
+}
+
+export default RuntimeError;
@@ -0,0 +1,110 @@
+/**
+ * Source Map Builder
+ *
+ * Produces version 3 source maps (https://sourcemaps.info/spec.html) for code generated from
+ * an ECHO program, so debuggers and stack traces show the ECHO line that produced each piece
+ * of generated code. Lines and columns are 0-based throughout, as in the format itself.
+ */
+
+const BASE64_DIGITS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+const VLQ_SHIFT = 5;
+const VLQ_CONTINUATION = 1 << VLQ_SHIFT;
+const VLQ_MASK = VLQ_CONTINUATION - 1;
+
+// Base64 VLQ: the sign goes in the lowest bit, then 5 bits per digit, least significant first.
+export const encodeVLQ = (value) => {
+  let remaining = value < 0 ? (-value << 1) | 1 : value << 1;
+  let encoded = '';
+  do {
+    let digit = remaining & VLQ_MASK;
+    remaining >>>= VLQ_SHIFT;
+    if (remaining > 0) digit |= VLQ_CONTINUATION;
+    encoded += BASE64_DIGITS[digit];
+  } while (remaining > 0);
+  return encoded;
+};
+
+export class SourceMapBuilder {
+  /*
+  @param {string} file - Name of the generated file
+  @param {string} source - Name of the original ECHO file
+  @param {string} sourceContent - Original program text, embedded so the map stands alone
+  */
+  constructor(file, source, sourceContent = null) {
+    this.file = file;
+    this.source = source;
+    this.sourceContent = sourceContent;
+    this.mappings = [];
+  }
+
+  /*
+  Records that generated code at a position came from a position of the ECHO source
+
+  @param {number} generatedLine - Line in the generated code
+  @param {number} generatedColumn - Column in the generated code
+  @param {number} sourceLine - Line in the ECHO source
+  @param {number} sourceColumn - Column in the ECHO source
+  */
+  addMapping(generatedLine, generatedColumn, sourceLine, sourceColumn) {
+    this.mappings.push({ generatedLine, generatedColumn, sourceLine, sourceColumn });
+  }
+
+  // Source position of the closest mapping at or before a generated position.
+  originalPositionFor(generatedLine, generatedColumn = Infinity) {
+    let found = null;
+    for (const mapping of this.mappings) {
+      if (mapping.generatedLine !== generatedLine || mapping.generatedColumn > generatedColumn) continue;
+      if (!found || mapping.generatedColumn >= found.generatedColumn) found = mapping;
+    }
+    return found ? { line: found.sourceLine, column: found.sourceColumn } : null;
+  }
+
+  // Segments are delta-encoded against the previous one; the column resets on every line.
+  encodeMappings() {
+    const sorted = [...this.mappings].sort((a, b) =>
+      a.generatedLine - b.generatedLine || a.generatedColumn - b.generatedColumn);
+    const lines = [];
+    let previousSourceLine = 0;
+    let previousSourceColumn = 0;
+
+    for (const mapping of sorted) {
+      while (lines.length <= mapping.generatedLine) lines.push({ segments: [], previousColumn: 0 });
+      const line = lines[mapping.generatedLine];
+      line.segments.push(
+        encodeVLQ(mapping.generatedColumn - line.previousColumn)
+        + encodeVLQ(0)
+        + encodeVLQ(mapping.sourceLine - previousSourceLine)
+        + encodeVLQ(mapping.sourceColumn - previousSourceColumn)
+      );
+      line.previousColumn = mapping.generatedColumn;
+      previousSourceLine = mapping.sourceLine;
+      previousSourceColumn = mapping.sourceColumn;
+    }
+
+    return lines.map(line => line.segments.join(',')).join(';');
+  }
+
+  toJSON() {
+    return {
+      version: 3,
+      file: this.file,
+      sources: [this.source],
+      sourcesContent: [this.sourceContent],
+      names: [],
+      mappings: this.encodeMappings(),
+    };
+  }
+
+  toString() {
+    return JSON.stringify(this.toJSON());
+  }
+
+  // Comment that embeds the map in the generated file itself.
+  toInlineComment() {
+    const bytes = new TextEncoder().encode(this.toString());
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return `//# sourceMappingURL=data:application/json;charset=utf-8;base64,${btoa(binary)}`;
+  }
+}
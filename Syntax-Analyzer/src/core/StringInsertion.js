@@ -0,0 +1,182 @@
+/**
+ * String Insertion System (SIS)
+ *
+ * Renders ECHO string literals at runtime. A string literal arrives from ASTBuilder as a
+ * sequence of STRING_CONTENT and STRING_INSERTION parts; insertions (`@name`) are replaced
+ * by the current value of the variable, formatted with the rules below.
+ *
+ * Formatting rules:
+ * - number    Whole numbers print without a fractional part: 42
+ * - decimal   At least one fractional digit and no floating-point noise: 20.0, 3.575
+ * - boolean   true / false
+ * - null      null
+ * - string    The text itself; inside lists it is quoted: ["a", "b"]
+ * - list      Elements formatted recursively and comma separated: [1, 2.5, "x"]
+ * - struct    Name followed by its fields: Player { name: "Ana", score: 10 }
+ *
+ * An insertion may be followed directly by list indexes or field names, such as
+ * `@scores[i]` or `@player.name`. Escape sequences inside string content are
+ * `\@` (a literal at-sign), `\"`, `\\`, `\n` and `\t`.
+ */
+
+import { AST_NODE_TYPES } from './ASTBuilder.js';
+
+// Fractional digits kept when printing decimals; enough to hide binary rounding noise.
+const DECIMAL_PRECISION = 10;
+
+const ESCAPE_SEQUENCES = {
+  '@': '@',
+  '"': '"',
+  '\\': '\\',
+  n: '\n',
+  t: '\t',
+};
+
+// Matches an accessor written right after an insertion: [index] or .field
+const ACCESSOR_PATTERN = /^(?:\[\s*([A-Za-z_]\w*|\d+)\s*\]|\.([A-Za-z_]\w*))/;
+
+// Struct instances are plain objects tagged with the name of their struct definition.
+export const isStructValue = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && typeof value.struct === 'string';
+
+const formatDecimal = (value) => {
+  if (!Number.isFinite(value)) return String(value);
+  const rounded = Number(value.toFixed(DECIMAL_PRECISION));
+  return Number.isInteger(rounded) ? `${rounded}.0` : String(rounded);
+};
+
+const formatNested = (value) => (typeof value === 'string' ? `"${value}"` : formatValue(value));
+
+/*
+Formats a runtime value for output
+
+@param {any} value - Runtime value
+@param {String} typeHint - Declared ECHO type of the value, when known
+@returns {String} Printed representation
+*/
+export const formatValue = (value, typeHint = null) => {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'boolean') return value ? 'true' : 'false';
+  if (typeof value === 'string') return value;
+
+  if (typeof value === 'number') {
+    if (typeHint === 'decimal' || !Number.isInteger(value)) return formatDecimal(value);
+    return String(value);
+  }
+
+  if (Array.isArray(value)) {
+    return `[${value.map(formatNested).join(', ')}]`;
+  }
+
+  if (isStructValue(value)) {
+    const fields = Object.entries(value.fields || {})
+      .map(([name, fieldValue]) => `${name}: ${formatNested(fieldValue)}`);
+    return fields.length ? `${value.struct} { ${fields.join(', ')} }` : `${value.struct} {}`;
+  }
+
+  return String(value);
+};
+
+// Replaces escape sequences in raw string content with the characters they stand for.
+export const unescapeContent = (raw) =>
+  (raw || '').replace(/\\(.)/g, (sequence, char) => ESCAPE_SEQUENCES[char] ?? sequence);
+
+// Applies accessors that directly follow an insertion; returns the value and leftover text.
+const applyAccessors = (value, typeHint, text, resolve) => {
+  let rest = text;
+  let current = value;
+  let hint = typeHint;
+  let match = ACCESSOR_PATTERN.exec(rest);
+
+  while (match) {
+    const [accessor, index, field] = match;
+
+    if (index !== undefined && Array.isArray(current)) {
+      const position = /^\d+$/.test(index) ? Number(index) : resolve(index)?.value;
+      if (!Number.isInteger(position) || position < 0 || position >= current.length) break;
+      current = current[position];
+      hint = null;
+    } else if (field !== undefined && isStructValue(current) && field in (current.fields || {})) {
+      current = current.fields[field];
+      hint = null;
+    } else {
+      break;
+    }
+
+    rest = rest.slice(accessor.length);
+    match = ACCESSOR_PATTERN.exec(rest);
+  }
+
+  return { value: current, typeHint: hint, rest };
+};
+
+/*
+Formats the value of an insertion together with the text that follows it
+
+Accessors at the start of `text` are applied to the value; whatever cannot be applied is kept
+as literal text.
+
+@param {any} value - Value of the inserted variable
+@param {String} typeHint - Declared type of the variable
+@param {String} text - Raw string content following the insertion
+@param {Function} resolve - Looks up a variable name used as an index, returning { value } or null
+@returns {String} The formatted value followed by the remaining text
+*/
+export const formatInsertion = (value, typeHint, text, resolve) => {
+  const accessed = applyAccessors(value, typeHint, text || '', resolve);
+  return formatValue(accessed.value, accessed.typeHint) + unescapeContent(accessed.rest);
+};
+
+// Accessors written at the start of raw string content, e.g. '[i].name' of '[i].name is here'.
+export const leadingAccessors = (text) => {
+  let length = 0;
+  let match = ACCESSOR_PATTERN.exec(text || '');
+  while (match) {
+    length += match[0].length;
+    match = ACCESSOR_PATTERN.exec(text.slice(length));
+  }
+  return text ? text.slice(0, length) : '';
+};
+
+/*
+Renders the parts of a STRING_LIT node
+
+@param {Array} parts - STRING_CONTENT and STRING_INSERTION nodes
+@param {Function} resolve - Looks up a variable name, returning { value, type } or null
+@param {Function} onMissing - Called with the insertion node when a variable is undefined
+@returns {String} The interpolated text
+*/
+export const interpolate = (parts, resolve, onMissing = null) => {
+  let text = '';
+
+  for (let i = 0; i < (parts || []).length; i++) {
+    const part = parts[i];
+
+    if (part.type !== AST_NODE_TYPES.STRING_INSERTION) {
+      text += unescapeContent(part.value);
+      continue;
+    }
+
+    const name = part.identifier?.name;
+    const binding = resolve(name);
+    if (!binding) {
+      if (onMissing) onMissing(part);
+      text += `@${name}`;
+      continue;
+    }
+
+    // Accessors such as [i] are scanned as the start of the following content part
+    const next = parts[i + 1];
+    if (next && next.type === AST_NODE_TYPES.STRING_CONTENT) {
+      text += formatInsertion(binding.value, binding.type, next.value, resolve);
+      i++;
+      continue;
+    }
+
+    text += formatValue(binding.value, binding.type);
+  }
+
+  return text;
+};
+
+export default interpolate;
@@ -0,0 +1,60 @@
+/**
+ * Struct Values
+ *
+ * Runtime side of `data struct`, shared by the interpreter, the JavaScript runtime and the
+ * virtual machine. An instance is a plain object tagged with the name of its struct (see
+ * StringInsertion.js) that holds its fields in declaration order:
+ *
+ *   { struct: 'Player', fields: { username: '', score: 0, isActive: true } }
+ *
+ * `new Player()` gives every field its default from the definition, evaluated at that moment,
+ * or the value of its type below. Instances are shared by reference: assigning one to another
+ * variable or passing it to a function does not copy it, and `==` only holds for the same instance.
+ */
+
+import { RuntimeError } from './RuntimeError.js';
+import { formatValue, isStructValue } from './StringInsertion.js';
+import { isListType } from './TypeRules.js';
+
+/*
+Value of a field declared without a default
+
+@param {String} typeName - Declared type of the field
+@returns {any} 0, '', false, an empty list, or null for structs
+*/
+export const fieldDefault = (typeName) => {
+  const type = (typeName || '').toLowerCase();
+  if (isListType(type)) return [];
+  switch (type) {
+    case 'number':
+    case 'decimal': return 0;
+    case 'string': return '';
+    case 'boolean': return false;
+    default: return null;
+  }
+};
+
+export const createStruct = (name, fields) => ({ struct: name, fields });
+
+const expectField = (value, field, node) => {
+  if (value === null || value === undefined) {
+    throw new RuntimeError(`Cannot access field '${field}' of null`, node);
+  }
+  if (!isStructValue(value)) {
+    throw new RuntimeError(`Only structs have fields, got ${formatValue(value)}`, node);
+  }
+  if (!Object.hasOwn(value.fields, field)) {
+    throw new RuntimeError(`Struct '${value.struct}' has no field '${field}'`, node);
+  }
+};
+
+export const getField = (value, field, node = null) => {
+  expectField(value, field, node);
+  return value.fields[field];
+};
+
+export const setField = (value, field, fieldValue, node = null) => {
+  expectField(value, field, node);
+  value.fields[field] = fieldValue;
+  return fieldValue;
+};
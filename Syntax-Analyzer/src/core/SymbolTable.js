@@ -0,0 +1,221 @@
+/**
+ * Block-Scoped Symbol Table
+ *
+ * Tracks the names declared by an ECHO program as a tree of nested scopes. The analyzer
+ * opens a scope for the program, every function, every loop and every if/else, case and
+ * default body, and closes it at the matching `end`.
+ *
+ * Scoping rules:
+ * - A name resolves to the innermost visible declaration.
+ * - Declaring a name twice in the same scope is an error.
+ * - A block may shadow a name declared by an enclosing block; inside one function (or at
+ *   program level) this is reported as a warning since it usually hides a mistake.
+ * - Function bodies may shadow program-level names freely, and a `for` iterator may reuse
+ *   the name of an outer variable.
+ *
+ * The analyzer stores each block's scope on the STMT_LIST it builds for the block, so
+ * tooling can ask which symbols are visible at a given point of the tree. It also records which
+ * declaration every declared or used name refers to (`references`), for go-to-definition.
+ */
+
+import { AST_NODE_TYPES } from './ASTBuilder.js';
+
+// --- Scope Definitions ---
+
+export const SCOPE_KINDS = {
+  PROGRAM: 'program',
+  FUNCTION: 'function',
+  LOOP: 'loop',
+  BLOCK: 'block',
+};
+
+export const SYMBOL_KINDS = {
+  VARIABLE: 'variable',
+  PARAMETER: 'parameter',
+  ITERATOR: 'iterator',
+  FUNCTION: 'function',
+  STRUCT: 'struct',
+};
+
+let nextScopeId = 0;
+
+// A single lexical scope holding the symbols declared directly inside it.
+export class Scope {
+  constructor(kind, parent = null, token = null) {
+    this.id = nextScopeId++;
+    this.kind = kind;
+    this.parent = parent;
+    this.token = token;
+    this.depth = parent ? parent.depth + 1 : 0;
+    this.symbols = new Map();
+    this.children = [];
+
+    if (parent) parent.children.push(this);
+  }
+
+  lookupLocal(name) {
+    return this.symbols.get(name) || null;
+  }
+
+  lookup(name) {
+    for (let scope = this; scope; scope = scope.parent) {
+      const symbol = scope.symbols.get(name);
+      if (symbol) return symbol;
+    }
+    return null;
+  }
+
+  // Nearest enclosing function or program scope; shadowing is only reported within it.
+  owner() {
+    let scope = this;
+    while (scope.parent && scope.kind !== SCOPE_KINDS.FUNCTION) scope = scope.parent;
+    return scope;
+  }
+
+  /*
+  Collects every symbol visible from this scope, innermost declarations first
+
+  @returns {Map} Name to symbol entry, with shadowed outer entries omitted
+  */
+  visibleSymbols() {
+    const visible = new Map();
+    for (let scope = this; scope; scope = scope.parent) {
+      scope.symbols.forEach((symbol, name) => {
+        if (!visible.has(name)) visible.set(name, symbol);
+      });
+    }
+    return visible;
+  }
+
+  // Plain-data view used when the scope is serialized for display.
+  toJSON() {
+    return {
+      id: this.id,
+      kind: this.kind,
+      depth: this.depth,
+      symbols: [...this.symbols.values()].map(({ name, type, kind, line, column }) => ({ name, type, kind, line, column })),
+    };
+  }
+}
+
+// --- Symbol Table ---
+
+export class SymbolTable {
+  constructor(token = null) {
+    this.root = new Scope(SCOPE_KINDS.PROGRAM, null, token);
+    this.current = this.root;
+    // { token, symbol } for each declaration and resolved use, in source order
+    this.references = [];
+  }
+
+  enterScope(kind, token = null) {
+    this.current = new Scope(kind, this.current, token);
+    return this.current;
+  }
+
+  exitScope() {
+    if (this.current.parent) this.current = this.current.parent;
+    return this.current;
+  }
+
+  // Associates the program scope with its `start` token once it has been read.
+  setRootToken(token) {
+    if (token) this.root.token = token;
+  }
+
+  /*
+  Declares a symbol in the current scope
+
+  @param {String} name - Symbol name
+  @param {Object} entry - { type, kind, initialized, token }
+  @returns {Object} { symbol, redeclared, shadowed } where `redeclared` is the existing entry
+                    in the same scope and `shadowed` an outer entry this declaration hides
+  */
+  declare(name, { type, kind = SYMBOL_KINDS.VARIABLE, initialized = false, token = null } = {}) {
+    const existing = this.current.lookupLocal(name);
+    if (existing) return { symbol: existing, redeclared: existing, shadowed: null };
+
+    const outer = this.current.parent ? this.current.parent.lookup(name) : null;
+    const symbol = {
+      name,
+      type,
+      kind,
+      initialized,
+      token,
+      line: token?.line || 0,
+      column: token?.column || 0,
+      scope: this.current,
+    };
+    this.current.symbols.set(name, symbol);
+    if (token) this.references.push({ token, symbol });
+
+    // Only report shadowing of names owned by the same function (or the program body)
+    const shadowed = outer && outer.scope.owner() === this.current.owner() ? outer : null;
+    return { symbol, redeclared: null, shadowed };
+  }
+
+  lookup(name) {
+    return this.current.lookup(name);
+  }
+
+  /*
+  Looks up the name a token uses and records the reference
+
+  @param {Object} token - Token naming the symbol
+  @param {String} name - Name to look up, when it differs from the lexeme (`@name` markers)
+  @returns {Object} Symbol entry, or null when the name is not declared
+  */
+  resolve(token, name = token.lexeme) {
+    const symbol = this.lookup(name);
+    if (symbol) this.references.push({ token, symbol });
+    return symbol;
+  }
+
+  has(name) {
+    return this.lookup(name) !== null;
+  }
+}
+
+// --- AST Integration ---
+
+const NODE_TYPES = new Set(Object.values(AST_NODE_TYPES));
+
+/*
+Finds the innermost scope enclosing a node of the tree
+
+@param {Object} ast - Program node returned by the analyzer
+@param {Object} target - Any node of the same tree
+@returns {Scope} Innermost scope, or null when the node is not part of the tree
+*/
+export const findScope = (ast, target) => {
+  const isNode = (value) => !!value && typeof value === 'object' && NODE_TYPES.has(value.type);
+  const search = (node, scope) => {
+    if (!node || typeof node !== 'object') return null;
+    const inner = node.scope || scope;
+    if (node === target) return inner;
+
+    for (const [key, value] of Object.entries(node)) {
+      if (key === 'scope') continue;
+      if (Array.isArray(value)) {
+        for (const child of value.filter(isNode)) {
+          const found = search(child, inner);
+          if (found) return found;
+        }
+      } else if (isNode(value)) {
+        const found = search(value, inner);
+        if (found) return found;
+      }
+    }
+    return null;
+  };
+
+  return search(ast, null);
+};
+
+// Symbols visible at a node: what tooling shows for "what is in scope here".
+export const getVisibleSymbols = (ast, target) => {
+  const scope = findScope(ast, target);
+  return scope ? scope.visibleSymbols() : new Map();
+};
+
+export default SymbolTable;
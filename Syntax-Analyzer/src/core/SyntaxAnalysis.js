@@ -1,12 +1,21 @@
 /*
 ECHO Language Syntax Analyzer
 
-Implements a recursive descent parser to validate ECHO language syntax, grammar, and basic semantics (types, scoping).
-Dependencies: TokenTypes, ASTBuilder.
+Implements a recursive descent parser that validates ECHO language syntax, grammar, and basic semantics (types, scoping)
+and builds the Abstract Syntax Tree in the same pass.
+Dependencies: TokenTypes, ASTBuilder, SymbolTable, TypeRules, DefiniteAssignment, ControlFlow.
 */
 
 import { TOKEN_TYPES, isDataType } from '../../../shared/tokenTypes.js';
-import { buildAST } from './ASTBuilder.js';
+import { AST_NODE_TYPES, createNode, rangeOf, emptyRangeAt, assignRanges, findRecoveryNode } from './ASTBuilder.js';
+import { SymbolTable, SCOPE_KINDS, SYMBOL_KINDS } from './SymbolTable.js';
+import { buildCST } from './ConcreteSyntaxTree.js';
+import { checkDefiniteAssignment } from './DefiniteAssignment.js';
+import { checkControlFlow } from './ControlFlow.js';
+import {
+  UNKNOWN, isAssignable, isUnknown, isListType, isNumericType, isStructType, listOf, elementTypeOf, commonType,
+  binaryResultType, unaryResultType
+} from './TypeRules.js';
 
 // --- Constants & Configuration ---
 
@@ -28,21 +37,32 @@ const GRAMMAR_RULES = {
 // Main syntax analyzer handling parsing state, error recovery, and symbol table management.
 class Analyzer {
   constructor(tokens) {
-    // Filter out comments during initialization
+    // Filter out comments (they are kept as trivia) and the end-of-file marker during initialization
     this.tokens = tokens.filter(t => 
       t.type !== TOKEN_TYPES.COMMENT_SINGLE && 
-      t.type !== TOKEN_TYPES.COMMENT_MULTI
+      t.type !== TOKEN_TYPES.COMMENT_MULTI &&
+      t.type !== TOKEN_TYPES.END_OF_FILE
     );
     this.pos = 0;
     
     this.errors = [];
     this.warnings = [];
-    this.symbolTable = new Map();
+    this.symbolTable = new SymbolTable();
+    // Function name -> { name, returnType, params: [{ name, type }], complete, token }
+    this.functionTable = new Map();
+    // Struct name -> { name, fields: Map(field name -> { name, type, token, binding }), token }
+    this.structTable = new Map();
     
     this.loopDepth = 0;
     this.functionDepth = 0;
+    // Functions being analyzed, innermost last: { name, returnType, hasReturn }
+    this.functionStack = [];
+    // Struct whose fields are being parsed
+    this.currentStruct = null;
     
     this.panicMode = false;
+    // Error that started the current panic; recovery nodes are labelled with it
+    this.panicMessage = null;
   }
 
   // =========================================================================
@@ -80,10 +100,23 @@ class Analyzer {
   // Error Handling & Recovery
   // =========================================================================
 
-  error(message, context = {}) {
+  // `category` is 'Syntax' unless the tokens parsed fine and only their meaning is wrong.
+  error(message, context = {}, category = 'Syntax') {
     // Suppress secondary errors during panic mode
     if (this.panicMode) return;
 
+    this.recordError(message, context, category);
+    this.panicMode = true;
+    this.panicMessage = message;
+  }
+
+  // Reports a semantic error; parsing is unaffected, so no recovery is needed.
+  semanticError(message, context = {}) {
+    if (this.panicMode) return;
+    this.recordError(message, context);
+  }
+
+  recordError(message, context = {}, category = 'Semantic') {
     const token = context.token || this.current() || this.tokens[this.tokens.length - 1];
     const line = token ? token.line : 1;
     const column = token ? (token.column || 1) : 1;
@@ -97,33 +130,40 @@ class Analyzer {
         id: `err_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
         line,
         column,
+        range: this.tokenRange(token),
         message,
+        category,
         severity: 'error',
         timestamp: new Date().toISOString(),
         context
       });
     }
-
-    this.panicMode = true;
   }
 
   warning(message, context = {}) {
-    const token = this.current() || this.tokens[this.tokens.length - 1];
+    const token = context.token || this.current() || this.tokens[this.tokens.length - 1];
     this.warnings.push({
       line: token ? token.line : 1,
       column: token ? (token.column || 1) : 1,
+      range: this.tokenRange(token),
       message,
       severity: 'warning',
       context
     });
   }
 
-  // Discards tokens until a statement boundary is found to recover from errors.
+  // Span underlined for a diagnostic reported at a token.
+  tokenRange(token) {
+    return typeof token?.start === 'number' ? rangeOf(token) : null;
+  }
+
+  // Discards tokens until a statement boundary is found to recover from errors; returns the skipped tokens.
   synchronize() {
     this.panicMode = false;
+    const skipped = [];
 
     while (!this.isAtEnd()) {
-      if (this.tokens[this.pos - 1].type === TOKEN_TYPES.DEL_SEMICOLON) return;
+      if (this.tokens[this.pos - 1].type === TOKEN_TYPES.DEL_SEMICOLON) return skipped;
 
       const type = this.current().type;
       
@@ -138,45 +178,71 @@ class Analyzer {
         TOKEN_TYPES.RESERVED_RETURN,
         TOKEN_TYPES.KEYWORD_END
       ].includes(type) || isDataType(type)) {
-        return;
+        return skipped;
       }
 
-      this.advance();
+      skipped.push(this.advance());
     }
+    return skipped;
   }
 
   // =========================================================================
   // Symbol Table
   // =========================================================================
 
-  declareVariable(name, type, initialized = false) {
-    this.symbolTable.set(name, { type, initialized });
-  }
+  declareVariable(token, type, initialized = false, kind = SYMBOL_KINDS.VARIABLE) {
+    const name = token.lexeme;
+    const { symbol, redeclared, shadowed } = this.symbolTable.declare(name, { type, kind, initialized, token });
+
+    if (redeclared) {
+      this.semanticError(
+        `'${name}' is already declared in this scope (line ${redeclared.line}).`, { token }
+      );
+      return null;
+    }
 
-  markInitialized(name) {
-    if (this.symbolTable.has(name)) {
-      const entry = this.symbolTable.get(name);
-      entry.initialized = true;
-      this.symbolTable.set(name, entry);
+    // Iterators conventionally reuse an outer counter, so only explicit declarations warn
+    if (shadowed && kind !== SYMBOL_KINDS.ITERATOR) {
+      this.warning(`'${name}' shadows the ${shadowed.kind} declared on line ${shadowed.line}.`, { token });
     }
+    return symbol;
   }
 
-  checkVariableUsage(token) {
+  // Opens a nested scope for a block; `token` is the keyword that starts it.
+  enterScope(kind, token) {
+    this.symbolTable.enterScope(kind, token);
+  }
+
+  exitScope() {
+    this.symbolTable.exitScope();
+  }
+
+  checkVariableUsage(token, name = token.lexeme) {
     if (this.panicMode) return;
 
-    const name = token.lexeme;
-    
     // Allow forward reference for functions (hoisting-like behavior)
-    if (!this.symbolTable.has(name)) {
+    const entry = this.symbolTable.resolve(token, name);
+    if (!entry) {
        if (this.peek()?.type === TOKEN_TYPES.DEL_LPAREN) return; 
-       this.error(`Variable '${name}' is used but not declared.`, { token });
-       return;
+       this.error(`Variable '${name}' is used but not declared.`, { token }, 'Semantic');
     }
+  }
 
-    const entry = this.symbolTable.get(name);
-    if (!entry.initialized) {
-        this.error(`Variable '${name}' is used but has not been initialized.`, { token });
-    }
+  // Reads before assignment are found on the finished tree, where every path is known.
+  checkAssignments(ast) {
+    // Recovered trees are missing statements, so their paths cannot be trusted
+    if (!ast || findRecoveryNode(ast)) return;
+
+    checkDefiniteAssignment(ast, this.symbolTable, (severity, message, token) => {
+      if (severity === 'error') this.recordError(message, { token });
+      else this.warning(message, { token });
+    });
+  }
+
+  // Needs node ranges, so it runs once they are assigned; findings are warnings.
+  checkFlow(ast) {
+    if (!ast || findRecoveryNode(ast)) return;
+    checkControlFlow(ast, (message, range) => this.warning(message, { token: range }));
   }
 
   validateIdentifierLength(tokenOrLexeme) {
@@ -189,14 +255,343 @@ class Analyzer {
     }
   }
 
-  validateTypeAssignment(expected, actual) {
-    if (this.panicMode || !actual || actual === 'unknown') return;
-    if (expected === actual) return;
+  // Reported at the assignment operator; the statement itself parsed fine, so no recovery.
+  validateTypeAssignment(expected, actual, token = null, target = 'variable') {
+    if (isAssignable(expected, actual)) return;
     
-    // Implicit conversion: Number -> Decimal is usually allowed
-    if (expected === 'decimal' && actual === 'number') return;
-    
-    this.error(`Type Error: Cannot assign '${actual}' to variable of type '${expected}'`);
+    this.semanticError(`Type Error: Cannot assign '${actual}' to ${target} of type '${expected}'`, { token });
+  }
+
+  // Checks `target op= value` (or plain `=`) where the target has type `targetType`.
+  checkAssignment(targetType, opToken, value, target = 'variable') {
+    if (isUnknown(targetType) || targetType === 'function' || targetType === 'struct') return;
+
+    let resultType = this.typeOf(value);
+    if (opToken.lexeme !== '=') {
+      resultType = this.applyBinaryType(opToken, opToken.lexeme.slice(0, -1), targetType, resultType, value);
+    }
+    this.validateTypeAssignment(targetType, resultType, opToken, target);
+  }
+
+  // How assignment errors name a target: fields by name, list elements by their list, anything else as a variable.
+  targetLabel(target) {
+    if (target?.type === AST_NODE_TYPES.FIELD_ACCESS) return `field '${target.field.name}'`;
+    if (target?.type === AST_NODE_TYPES.LIST_ACCESS) return `element of '${this.accessLabel(target.array)}'`;
+    return 'variable';
+  }
+
+  // How an accessed value reads in messages: `xs`, `p.scores`, `grid[1]`.
+  accessLabel(node) {
+    switch (node?.type) {
+      case AST_NODE_TYPES.IDENTIFIER: return node.name;
+      case AST_NODE_TYPES.FIELD_ACCESS: return `${this.accessLabel(node.object)}.${node.field?.name}`;
+      case AST_NODE_TYPES.LIST_ACCESS: {
+        const { index } = node;
+        const indexText = index?.type === AST_NODE_TYPES.NUMBER_LIT ? index.value
+          : index?.type === AST_NODE_TYPES.IDENTIFIER ? index.name : '...';
+        return `${this.accessLabel(node.array)}[${indexText}]`;
+      }
+      default: return '...';
+    }
+  }
+
+  // Reports an invalid operator use at the operator token and returns the result type.
+  applyBinaryType(opToken, operator, left, right, rightNode = null) {
+    const isLiteral = rightNode?.type === AST_NODE_TYPES.NUMBER_LIT || rightNode?.type === AST_NODE_TYPES.DECIMAL_LIT;
+    const { type, error } = binaryResultType(operator, left, right, isLiteral ? rightNode.value : null);
+    if (error) this.semanticError(`Type Error: ${error}.`, { token: opToken });
+    return type;
+  }
+
+  applyUnaryType(opToken, operand) {
+    const { type, error } = unaryResultType(opToken.lexeme, operand);
+    if (error) this.semanticError(`Type Error: ${error}.`, { token: opToken });
+    return type;
+  }
+
+  // Parses an if/while condition, which must be boolean.
+  parseCondition() {
+    const start = this.current();
+    const condition = this.parseExpression();
+    const type = this.typeOf(condition);
+    if (!isUnknown(type) && type !== 'boolean') {
+      this.semanticError(`Type Error: Condition must be 'boolean' but found '${type}'.`, { token: start });
+    }
+    return condition;
+  }
+
+  // =========================================================================
+  // Function Table
+  // =========================================================================
+
+  // Records every function header up front so calls may appear before the definition.
+  collectFunctionSignatures() {
+    this.tokens.forEach((token, index) => {
+      if (token.type !== TOKEN_TYPES.KEYWORD_FUNCTION) return;
+      if (this.tokens[index - 1]?.type === TOKEN_TYPES.KEYWORD_END) return;
+
+      const signature = this.readFunctionSignature(index);
+      if (signature && !this.functionTable.has(signature.name)) {
+        this.functionTable.set(signature.name, signature);
+      }
+    });
+  }
+
+  // Reads `function [type] name(type id, ...)` starting at the `function` token.
+  readFunctionSignature(index) {
+    let i = index + 1;
+    let returnType = 'void';
+
+    if (this.isTypeAt(i)) {
+      const written = this.readTypeAt(i);
+      returnType = written.type;
+      i += written.length;
+    }
+
+    const nameToken = this.tokens[i];
+    if (nameToken?.type !== TOKEN_TYPES.IDENTIFIER) return null;
+    i++;
+
+    const params = [];
+    let complete = this.tokens[i]?.type === TOKEN_TYPES.DEL_LPAREN;
+    if (complete) {
+      i++;
+      while (i < this.tokens.length && this.tokens[i].type !== TOKEN_TYPES.DEL_RPAREN) {
+        const written = this.isTypeAt(i) ? this.readTypeAt(i) : null;
+        const paramToken = written ? this.tokens[i + written.length] : null;
+
+        if (paramToken?.type === TOKEN_TYPES.IDENTIFIER) {
+          params.push({ name: paramToken.lexeme, type: written.type });
+          i += written.length + 1;
+        } else if (this.tokens[i].type === TOKEN_TYPES.DEL_COMMA) {
+          i++;
+        } else {
+          break;
+        }
+      }
+      // Malformed headers are reported by the parser; their calls are not checked
+      complete = this.tokens[i]?.type === TOKEN_TYPES.DEL_RPAREN;
+    }
+
+    return { name: nameToken.lexeme, returnType, params, complete, token: nameToken };
+  }
+
+  currentFunction() {
+    return this.functionStack[this.functionStack.length - 1] || null;
+  }
+
+  // Validates a call against its signature and returns the type the call produces.
+  checkFunctionCall(nameToken, args, inExpression) {
+    const name = nameToken.lexeme;
+    const signature = this.functionTable.get(name);
+
+    if (!signature) {
+      const symbol = this.symbolTable.lookup(name);
+      this.semanticError(
+        symbol ? `'${name}' is a ${symbol.kind}, not a function.` : `Function '${name}' is not defined.`,
+        { token: nameToken }
+      );
+      return UNKNOWN;
+    }
+
+    if (signature.complete) {
+      if (args.length !== signature.params.length) {
+        this.semanticError(
+          `Function '${name}' expects ${signature.params.length} argument(s) but received ${args.length}.`,
+          { token: nameToken }
+        );
+      } else {
+        args.forEach(({ type, token }, index) => {
+          const param = signature.params[index];
+          if (!isAssignable(param.type, type)) {
+            this.semanticError(
+              `Type Error: Argument ${index + 1} of '${name}' expects '${param.type}' but received '${type}'.`,
+              { token: token || nameToken }
+            );
+          }
+        });
+      }
+    }
+
+    if (signature.returnType === 'void') {
+      if (inExpression) {
+        this.semanticError(
+          `Function '${name}' does not return a value and cannot be used in an expression.`, { token: nameToken }
+        );
+      }
+      return UNKNOWN;
+    }
+    return signature.returnType;
+  }
+
+  checkReturn(returnToken, valueType) {
+    const fn = this.currentFunction();
+    if (!fn) return;
+    fn.hasReturn = true;
+
+    if (fn.returnType === 'void') {
+      if (valueType !== null) {
+        this.semanticError(`Function '${fn.name}' is void and cannot return a value.`, { token: returnToken });
+      }
+    } else if (valueType === null) {
+      this.semanticError(
+        `Function '${fn.name}' must return a value of type '${fn.returnType}'.`, { token: returnToken }
+      );
+    } else if (!isAssignable(fn.returnType, valueType)) {
+      this.semanticError(
+        `Type Error: Function '${fn.name}' must return '${fn.returnType}' but returns '${valueType}'.`,
+        { token: returnToken }
+      );
+    }
+  }
+
+  // =========================================================================
+  // Types
+  // =========================================================================
+
+  // Whether the token at `index` starts a type: a data type, or a struct name followed by a name.
+  isTypeAt(index = this.pos) {
+    const token = this.tokens[index];
+    if (isDataType(token?.type)) return true;
+    return token?.type === TOKEN_TYPES.IDENTIFIER && this.tokens[index + 1]?.type === TOKEN_TYPES.IDENTIFIER;
+  }
+
+  // Whether `list` at `index` names its element type. `of` is only special here, so it stays a valid name.
+  isListOfAt(index) {
+    const next = this.tokens[index + 1];
+    return this.tokens[index]?.type === TOKEN_TYPES.KEYWORD_LIST &&
+      next?.type === TOKEN_TYPES.IDENTIFIER && next.lexeme === 'of' && this.isTypeAt(index + 2);
+  }
+
+  // Type written at `index` and how many tokens it spans, without resolving struct names.
+  readTypeAt(index) {
+    if (!this.isListOfAt(index)) return { type: this.tokens[index].lexeme, length: 1 };
+    const element = this.readTypeAt(index + 2);
+    return { type: listOf(element.type), length: element.length + 2 };
+  }
+
+  /*
+  Parses the type at the current token: a data type, a struct name, or `list of T`
+
+  @param {String} nodeType - AST node type to build, DATA_TYPE or RETURN_TYPE
+  @returns {Object} Node typed with the type; `name` is the first word and `list of T` keeps T as `elementType`
+  */
+  parseType(nodeType = AST_NODE_TYPES.DATA_TYPE) {
+    const startIndex = this.pos;
+    const typeToken = this.advance();
+    const node = createNode(nodeType, { token: typeToken, name: typeToken.lexeme });
+    if (!this.isListOfAt(startIndex)) return this.typed(node, this.typeFromToken(typeToken));
+
+    this.advance();
+    node.elementType = this.parseType();
+    const elementType = this.typeOf(node.elementType);
+    if (elementType === 'void') {
+      this.semanticError(`Lists cannot hold 'void' elements.`, { token: node.elementType.token });
+    }
+    return this.finish(this.typed(node, elementType === 'void' ? 'list' : listOf(elementType)), startIndex);
+  }
+
+  // An unannotated `list` takes its element type from the list it is initialized with.
+  initializedType(declaredType, valueType) {
+    return declaredType === 'list' && isListType(valueType) ? valueType : declaredType;
+  }
+
+  // Type named by a type token; struct names must refer to a `data struct` declared before.
+  typeFromToken(typeToken) {
+    if (typeToken.type !== TOKEN_TYPES.IDENTIFIER) return typeToken.lexeme;
+
+    const symbol = this.symbolTable.resolve(typeToken);
+    if (symbol?.kind === SYMBOL_KINDS.STRUCT && this.structTable.has(typeToken.lexeme)) return typeToken.lexeme;
+    this.semanticError(
+      symbol
+        ? `'${typeToken.lexeme}' is a ${symbol.kind}, not a struct type.`
+        : `Unknown type '${typeToken.lexeme}'; no data struct with that name is declared.`,
+      { token: typeToken }
+    );
+    return UNKNOWN;
+  }
+
+  // Adds a field to a struct being declared; names must be unique within the struct.
+  declareField(struct, fieldToken, type, binding = null) {
+    if (!struct) return;
+    const name = fieldToken.lexeme;
+    if (struct.fields.has(name)) {
+      this.semanticError(`Field '${name}' is already declared in struct '${struct.name}'.`, { token: fieldToken });
+      return;
+    }
+    struct.fields.set(name, { name, type, token: fieldToken, binding });
+  }
+
+  /*
+  Resolves the function of a schema binding `field : type (function)`. A bound function computes the
+  field from its value: it takes that value as its only parameter and returns the field's new value.
+
+  @param {Object} fieldToken - Name of the bound field
+  @param {String} fieldType - Declared type of the field
+  @param {Object} functionToken - Name in the binding clause
+  @returns {Object} { function, params, returnType, token } from the function table, or null when
+  no function has that name
+  */
+  resolveBinding(fieldToken, fieldType, functionToken) {
+    const name = functionToken.lexeme;
+    const field = fieldToken.lexeme;
+    const signature = this.functionTable.get(name);
+
+    if (!signature) {
+      const symbol = this.symbolTable.lookup(name);
+      this.semanticError(
+        symbol
+          ? `'${name}' is a ${symbol.kind}, not a function, and cannot be bound to field '${field}'.`
+          : `Function '${name}' bound to field '${field}' is not defined.`,
+        { token: functionToken }
+      );
+      return null;
+    }
+
+    const binding = { function: name, params: signature.params, returnType: signature.returnType, token: signature.token };
+    // Malformed headers are reported by the parser; their bindings are not checked
+    if (!signature.complete) return binding;
+
+    if (signature.params.length !== 1) {
+      this.semanticError(
+        `Function '${name}' takes ${signature.params.length} argument(s); a bound function takes exactly one, the value of field '${field}'.`,
+        { token: functionToken }
+      );
+    } else if (!isAssignable(signature.params[0].type, fieldType)) {
+      this.semanticError(
+        `Type Error: Function '${name}' expects '${signature.params[0].type}' but field '${field}' is '${fieldType}'.`,
+        { token: functionToken }
+      );
+    }
+
+    if (signature.returnType === 'void') {
+      this.semanticError(
+        `Function '${name}' does not return a value and cannot be bound to field '${field}'.`, { token: functionToken }
+      );
+    } else if (!isAssignable(fieldType, signature.returnType)) {
+      this.semanticError(
+        `Type Error: Field '${field}' is '${fieldType}' but its bound function '${name}' returns '${signature.returnType}'.`,
+        { token: functionToken }
+      );
+    }
+    return binding;
+  }
+
+  // Type of `field` on a value of type `objectType`, reporting fields the value does not have.
+  fieldType(objectType, fieldToken) {
+    if (isUnknown(objectType)) return UNKNOWN;
+
+    const struct = isStructType(objectType) ? this.structTable.get(objectType) : null;
+    if (!struct) {
+      this.semanticError(`Type Error: A '${objectType}' value has no field '${fieldToken.lexeme}'.`, { token: fieldToken });
+      return UNKNOWN;
+    }
+    const field = struct.fields.get(fieldToken.lexeme);
+    if (!field) {
+      this.semanticError(`Struct '${struct.name}' has no field '${fieldToken.lexeme}'.`, { token: fieldToken });
+      return UNKNOWN;
+    }
+    return field.type;
   }
 
   // =========================================================================
@@ -206,14 +601,31 @@ class Analyzer {
   analyzeProgram() {
     if (!this.tokens.length) {
       this.error('Empty program');
-      return;
+      return null;
     }
 
-    if (!this.match(TOKEN_TYPES.KEYWORD_START)) {
+    this.collectFunctionSignatures();
+
+    const startToken = this.match(TOKEN_TYPES.KEYWORD_START);
+    let missingStart = null;
+    if (!startToken) {
       this.error('Program must begin with "start" keyword');
+      missingStart = this.missingNode('start');
     }
+    this.symbolTable.setRootToken(startToken);
 
-    this.parseStatementList();
+    const statements = this.parseStatementList();
+    statements.scope = this.symbolTable.root;
+    let endToken = null;
+    let missingEnd = null;
+
+    // A stray 'else', 'case' or 'default' ends the statement list early; skip it and keep parsing
+    while (this.isStrayBlockKeyword()) {
+      const message = `Unexpected token '${this.current().lexeme}'. Expected statement or 'end'.`;
+      this.error(message);
+      const skipped = [this.advance(), ...this.synchronize()];
+      statements.statements.push(this.errorNode(message, skipped), ...this.parseStatementList().statements);
+    }
 
     if (!this.check(TOKEN_TYPES.KEYWORD_END)) {
        const unexpected = this.current();
@@ -222,33 +634,64 @@ class Analyzer {
        } else {
           this.error('Program must end with "end" keyword');
        }
+       missingEnd = this.missingNode('end');
     } else {
-      this.advance();
+      endToken = this.advance();
       if (!this.isAtEnd()) {
         this.error('Unexpected tokens after "end" keyword');
       }
     }
+
+    return this.finish(createNode(AST_NODE_TYPES.ECHO_PROGRAM, {
+      startToken,
+      statements,
+      endToken,
+      // Recovery points for a missing `start` or `end`
+      missingStart,
+      missingEnd,
+      scope: this.symbolTable.root
+    }), 0);
   }
 
   parseStatementList(isDoBlock = false) {
+    const statements = [];
+
     while (!this.isAtEnd()) {
       const type = this.current().type;
-      
-      if (type === TOKEN_TYPES.KEYWORD_END || 
-          type === TOKEN_TYPES.KEYWORD_ELSE || 
-          type === TOKEN_TYPES.KEYWORD_CASE || 
+
+      if (type === TOKEN_TYPES.KEYWORD_END ||
+          type === TOKEN_TYPES.KEYWORD_ELSE ||
+          type === TOKEN_TYPES.KEYWORD_CASE ||
           type === TOKEN_TYPES.KEYWORD_DEFAULT) {
         break;
       }
-      
+
       if (type === TOKEN_TYPES.KEYWORD_WHILE && isDoBlock) {
           if (this.isDoWhileTerminator()) break;
       }
 
-      this.parseStatement();
+      const startIndex = this.pos;
+      const statement = this.parseStatement();
+      if (statement) statements.push(this.finish(statement, startIndex));
 
-      if (this.panicMode) this.synchronize();
+      if (this.panicMode) {
+        const message = this.panicMessage;
+        const skipped = this.synchronize();
+        // Tokens skipped after a rejected statement belong to the same ERROR node
+        if (statement?.type === AST_NODE_TYPES.ERROR) statement.tokens.push(...skipped);
+        else if (skipped.length) statements.push(this.errorNode(message, skipped));
+      }
     }
+
+    const list = createNode(AST_NODE_TYPES.STMT_LIST, { statements });
+    if (!statements.length) list.range = emptyRangeAt(this.current());
+    return list;
+  }
+
+  isStrayBlockKeyword() {
+    return this.check(TOKEN_TYPES.KEYWORD_ELSE) ||
+           this.check(TOKEN_TYPES.KEYWORD_CASE) ||
+           this.check(TOKEN_TYPES.KEYWORD_DEFAULT);
   }
 
   // Lookahead to distinguish between a new "while" loop and the "while" at the end of a "do...while".
@@ -260,8 +703,8 @@ class Analyzer {
             const next = this.tokens[i + 1];
             return next && next.type === TOKEN_TYPES.KEYWORD_DO;
         }
-        
-        if (t.type === TOKEN_TYPES.KEYWORD_START || 
+
+        if (t.type === TOKEN_TYPES.KEYWORD_START ||
             (t.type === TOKEN_TYPES.KEYWORD_END && this.tokens[i + 1]?.type !== TOKEN_TYPES.KEYWORD_DO)) {
             return false;
         }
@@ -270,6 +713,15 @@ class Analyzer {
     return false;
   }
 
+  // Parses a statement list inside its own scope and links the scope to the block node.
+  parseBlock(kind, token, isDoBlock = false) {
+    this.enterScope(kind, token);
+    const block = this.parseStatementList(isDoBlock);
+    block.scope = this.symbolTable.current;
+    this.exitScope();
+    return block;
+  }
+
   // =========================================================================
   // Statement Parsers
   // =========================================================================
@@ -277,365 +729,551 @@ class Analyzer {
   parseStatement() {
     const token = this.current();
 
-    if (isDataType(token.type)) {
-      this.parseDeclaration();
-      return;
-    }
-
-    if (token.type === TOKEN_TYPES.IDENTIFIER) {
-      this.parseIdentifierStart();
-      return;
-    }
+    if (this.isTypeAt()) return this.parseDeclaration();
+    if (token.type === TOKEN_TYPES.IDENTIFIER) return this.parseIdentifierStart();
 
     switch (token.type) {
-      case TOKEN_TYPES.KEYWORD_ECHO:      this.parseEcho(); return;
-      case TOKEN_TYPES.KEYWORD_IF:        this.parseIf(); return;
-      case TOKEN_TYPES.KEYWORD_SWITCH:    this.parseSwitch(); return;
-      case TOKEN_TYPES.KEYWORD_FOR:       this.parseFor(); return;
-      case TOKEN_TYPES.KEYWORD_WHILE:     this.parseWhile(); return;
-      case TOKEN_TYPES.KEYWORD_DO:        this.parseDoWhile(); return;
-      case TOKEN_TYPES.KEYWORD_FUNCTION:  this.parseFunctionDef(); return;
-      case TOKEN_TYPES.RESERVED_DATA:     this.parseDataStruct(); return;
-      
+      case TOKEN_TYPES.KEYWORD_ECHO:      return this.parseEcho();
+      case TOKEN_TYPES.KEYWORD_IF:        return this.parseIf();
+      case TOKEN_TYPES.KEYWORD_SWITCH:    return this.parseSwitch();
+      case TOKEN_TYPES.KEYWORD_FOR:       return this.parseFor();
+      case TOKEN_TYPES.KEYWORD_WHILE:     return this.parseWhile();
+      case TOKEN_TYPES.KEYWORD_DO:        return this.parseDoWhile();
+      case TOKEN_TYPES.KEYWORD_FUNCTION:  return this.parseFunctionDef();
+      case TOKEN_TYPES.RESERVED_DATA:     return this.parseDataStruct();
+
       case TOKEN_TYPES.RESERVED_BREAK:
       case TOKEN_TYPES.RESERVED_CONTINUE:
       case TOKEN_TYPES.RESERVED_RETURN:
-        this.parseJump(); 
-        return;
-      
+        return this.parseJump();
+
+      case TOKEN_TYPES.DEL_SEMICOLON:
       case TOKEN_TYPES.UNKNOWN:
-        if (token.lexeme === ';') {
-        this.error('Semicolons are not used in ECHO. Use newlines.');
-        } else {
-            this.error(`Unknown token: ${token.lexeme}`);
-        }
-        this.advance();
-        return;
+      case TOKEN_TYPES.ERROR: {
+        const message = token.type === TOKEN_TYPES.DEL_SEMICOLON
+          ? 'Semicolons are not used in ECHO. Use newlines.'
+          : this.invalidTokenMessage(token);
+        this.error(message);
+        return this.errorNode(message, [this.advance()]);
+      }
     }
 
-    if (this.isBuiltin(token)) {
-      this.parseBuiltinStatement();
-      return;
-    }
+    if (this.isBuiltin(token)) return this.parseBuiltinCall(false);
 
-    this.error(`Unexpected token starting statement: '${token.lexeme}'`);
-    this.advance();
+    const message = `Unexpected token starting statement: '${token.lexeme}'`;
+    this.error(message);
+    return this.errorNode(message, [this.advance()]);
   }
 
   parseDeclaration() {
-    const typeToken = this.advance();
-    const declaredType = typeToken.lexeme;
-    
+    const dataType = this.parseType();
+    const typeToken = dataType.token;
+    const declaredType = this.typeOf(dataType);
+    const items = [];
+
+    if (typeToken.type === TOKEN_TYPES.RESERVED_VOID) {
+      this.semanticError(`Variables cannot be declared with type 'void'.`, { token: typeToken });
+    }
+
     do {
       const idToken = this.match(TOKEN_TYPES.IDENTIFIER);
       if (!idToken) {
         this.error('Expected identifier in declaration');
-        return; 
+        items.push(createNode(AST_NODE_TYPES.DECL_ITEM, { identifier: this.missingNode('identifier') }));
+        break;
       }
-      
+
       this.validateIdentifierLength(idToken);
-      
+
+      const itemStart = this.pos - 1;
+      const item = { identifier: this.createIdentifier(idToken) };
       let initialized = false;
+      let symbolType = declaredType;
+      let size = null;
 
       // 1. Assignment
-      if (this.match(TOKEN_TYPES.OP_ASSIGN)) {
-        const inferredType = this.parseExpression();
-        this.validateTypeAssignment(declaredType, inferredType);
+      const assignToken = this.match(TOKEN_TYPES.OP_ASSIGN);
+      if (assignToken) {
+        item.assignmentOp = createNode(AST_NODE_TYPES.ASSIGNMENT_OP, { token: assignToken, value: '=' });
+        item.value = this.parseExpression();
+        this.validateTypeAssignment(declaredType, this.typeOf(item.value), assignToken);
+        symbolType = this.initializedType(declaredType, this.typeOf(item.value));
         initialized = true;
-      } 
+      }
       // 2. Array Size
       else if (this.match(TOKEN_TYPES.DEL_LBRACK)) {
-        if (!this.match(TOKEN_TYPES.NUMBER_LITERAL)) {
+        const sizeToken = this.match(TOKEN_TYPES.NUMBER_LITERAL);
+        if (!sizeToken) {
            this.error('Array declaration requires a number literal for size');
         }
         if (!this.match(TOKEN_TYPES.DEL_RBRACK)) {
            this.error('Expected "]" after array size');
         }
+        item.isArray = true;
+        item.size = sizeToken
+          ? createNode(AST_NODE_TYPES.NUMBER_LIT, { token: sizeToken, value: parseFloat(sizeToken.lexeme) })
+          : this.missingNode('array size');
+        // `number scores[5]` declares a list of numbers
+        symbolType = listOf(declaredType);
+        size = sizeToken ? item.size.value : null;
         initialized = true;
       }
 
-      this.declareVariable(idToken.lexeme, declaredType, initialized);
+      const symbol = this.declareVariable(idToken, symbolType, initialized);
+      // Known until the whole list is reassigned, for the bounds check in parseListIndex
+      if (symbol && size !== null) symbol.size = size;
+      items.push(this.finish(createNode(AST_NODE_TYPES.DECL_ITEM, item), itemStart));
 
     } while (this.match(TOKEN_TYPES.DEL_COMMA));
+
+    return createNode(AST_NODE_TYPES.DECLARATION_STMT, {
+      dataType,
+      declList: createNode(AST_NODE_TYPES.DECL_LIST, { items })
+    });
   }
 
   parseIdentifierStart() {
+    const startIndex = this.pos;
     const idToken = this.advance();
     this.validateIdentifierLength(idToken);
 
-    // List Access: arr[index] = val
-    if (this.check(TOKEN_TYPES.DEL_LBRACK)) {
-      this.checkVariableUsage(idToken); 
-      this.advance();
-      this.parseExpression();
-      
-      if (!this.match(TOKEN_TYPES.DEL_RBRACK)) {
-        this.error('Expected "]" after list index');
+    // Element or field target: arr[index] = val, grid[1][0] = val, p.score += 1, team[0].name = val
+    if (this.check(TOKEN_TYPES.DEL_LBRACK) || this.check(TOKEN_TYPES.DEL_PERIOD)) {
+      this.checkVariableUsage(idToken);
+      let target = this.parseIndexes(this.createIdentifier(idToken), startIndex, 'Expected "]" after list index');
+      target = this.parseFieldAccess(target, startIndex);
+
+      if (this.check(TOKEN_TYPES.OP_INC) || this.check(TOKEN_TYPES.OP_DEC)) {
+        return this.createPostfix(this.advance(), target);
       }
-      
       if (!this.isAssignmentOp(this.current())) {
-        this.error('Expected assignment operator after list access');
+        this.error(target.type === AST_NODE_TYPES.FIELD_ACCESS
+          ? 'Expected assignment operator after field access'
+          : 'Expected assignment operator after list access');
       }
-      this.advance();
-      this.parseExpression();
-      return;
+      const opToken = this.advance();
+      const value = this.parseExpression();
+      if (opToken) this.checkAssignment(this.typeOf(target), opToken, value, this.targetLabel(target));
+      return this.createAssignment(target, opToken, value);
     }
 
     // Function Call
     if (this.check(TOKEN_TYPES.DEL_LPAREN)) {
-      this.parseFunctionCall();
-      return;
+      return this.parseFunctionCall(idToken);
     }
 
     // Increment/Decrement
-    if (this.match(TOKEN_TYPES.OP_INC) || this.match(TOKEN_TYPES.OP_DEC)) {
+    if (this.check(TOKEN_TYPES.OP_INC) || this.check(TOKEN_TYPES.OP_DEC)) {
+      const opToken = this.advance();
       this.checkVariableUsage(idToken);
-      return; 
+      return this.createPostfix(opToken, this.createIdentifier(idToken));
     }
 
     // Standard Assignment
     if (this.isAssignmentOp(this.current())) {
-      this.advance();
-      
+      const opToken = this.advance();
+      const target = this.createIdentifier(idToken);
+
       if (this.check(TOKEN_TYPES.KEYWORD_INPUT)) {
-        this.parseInputExpression();
-      } else {
-        this.parseExpression();
+        if (opToken.lexeme !== '=') {
+          this.semanticError(`input() can only be assigned with '=', not '${opToken.lexeme}'.`, { token: opToken });
+        }
+        const expression = this.parseInputExpression();
+        this.checkAssignment(this.typeOf(target), opToken, expression);
+        // Recorded for tooling; DefiniteAssignment.js tracks where the variable is assigned
+        this.symbolTable.resolve(idToken);
+        return createNode(AST_NODE_TYPES.INPUT_STMT, {
+          target,
+          assignmentOp: createNode(AST_NODE_TYPES.ASSIGNMENT_OP, { token: opToken, operator: opToken.lexeme }),
+          expression
+        });
       }
-      this.markInitialized(idToken.lexeme);
-      return;
+
+      const value = this.parseExpression();
+      this.checkAssignment(this.typeOf(target), opToken, value);
+      const symbol = this.symbolTable.resolve(idToken);
+      // A new list may have any length
+      if (symbol) delete symbol.size;
+      return this.createAssignment(target, opToken, value);
     }
 
-    this.error(`Unexpected token '${this.current()?.lexeme}' after identifier '${idToken.lexeme}'`);
-    this.advance();
+    const message = `Unexpected token '${this.current()?.lexeme}' after identifier '${idToken.lexeme}'`;
+    this.error(message);
+    const next = this.current();
+    if (next) this.advance();
+    return this.errorNode(message, next ? [idToken, next] : [idToken]);
   }
 
+  // Parses `input(<data_type> [, prompt])`; the node is typed with the requested data type.
   parseInputExpression() {
-    this.advance();
+    const startIndex = this.pos;
+    const inputToken = this.advance();
+    const node = createNode(AST_NODE_TYPES.INPUT_EXPRESSION, { token: inputToken, dataType: null, prompt: null });
     if (!this.match(TOKEN_TYPES.DEL_LPAREN)) {
       this.error('Expected "(" after input');
-      return;
+      return this.finish(this.typed(node, UNKNOWN), startIndex);
     }
 
     if (!isDataType(this.current()?.type)) {
       this.error('Expected data type as first argument to input()');
+      node.dataType = this.missingNode('data type');
     } else {
-      this.advance();
+      const typeToken = this.advance();
+      node.dataType = createNode(AST_NODE_TYPES.DATA_TYPE, { token: typeToken, name: typeToken.lexeme });
     }
 
     if (this.match(TOKEN_TYPES.DEL_COMMA)) {
-      this.parseExpression();
+      node.prompt = this.parseExpression();
     }
 
     if (!this.match(TOKEN_TYPES.DEL_RPAREN)) {
       this.error('Expected ")" to close input statement');
     }
+    return this.finish(this.typed(node, node.dataType?.name || UNKNOWN), startIndex);
   }
 
   parseEcho() {
-    this.advance();
+    const echoToken = this.advance();
     const nextToken = this.current();
     if (!nextToken || !this.isValidExpressionStart(nextToken)) {
         this.error(`Expected expression after 'echo'`);
-        return; 
+        return createNode(AST_NODE_TYPES.OUTPUT_STMT, { keyword: echoToken, args: [this.missingNode('expression')] });
     }
-    this.parseExpression();
+    return createNode(AST_NODE_TYPES.OUTPUT_STMT, { keyword: echoToken, args: [this.parseExpression()] });
   }
 
   parseIf() {
-    this.advance();
-    this.parseExpression();
-    this.parseStatementList();
-    
+    const ifToken = this.advance();
+    const condition = this.parseCondition();
+    const thenBody = this.parseBlock(SCOPE_KINDS.BLOCK, ifToken);
+    const elseIfs = [];
+    let elseKeyword = null;
+    let elseBody = null;
+
     while (this.check(TOKEN_TYPES.KEYWORD_ELSE)) {
-      this.advance();
+      const elseToken = this.advance();
       if (this.match(TOKEN_TYPES.KEYWORD_IF)) {
-        this.parseExpression();
-        this.parseStatementList();
+        const elseIfCondition = this.parseCondition();
+        elseIfs.push(createNode(AST_NODE_TYPES.ELSE_IF_BLOCK, {
+          keyword: elseToken,
+          condition: elseIfCondition,
+          body: this.parseBlock(SCOPE_KINDS.BLOCK, elseToken)
+        }));
       } else {
-        this.parseStatementList();
+        elseKeyword = elseToken;
+        elseBody = this.parseBlock(SCOPE_KINDS.BLOCK, elseToken);
         break;
       }
     }
-    this.consumeEndKeyword('if', GRAMMAR_RULES.IF);
+    const missingEnd = this.consumeEndKeyword('if', GRAMMAR_RULES.IF);
+
+    return createNode(AST_NODE_TYPES.IF_STMT, {
+      keyword: ifToken, condition, thenBody, elseIfs, elseKeyword, elseBody, missingEnd
+    });
   }
 
   parseSwitch() {
-    this.advance();
-    this.parseExpression();
-    
+    const switchToken = this.advance();
+    const expression = this.parseExpression();
+    const cases = [];
+    let defaultKeyword = null;
+    let defaultBlock = null;
+
     while (this.check(TOKEN_TYPES.KEYWORD_CASE)) {
-      this.advance();
-      this.parseLiteral();
-      this.parseStatementList();
+      const caseToken = this.advance();
+      const value = this.parseLiteral();
+      cases.push(createNode(AST_NODE_TYPES.CASE_BLOCK, {
+        keyword: caseToken,
+        value,
+        body: this.parseBlock(SCOPE_KINDS.BLOCK, caseToken)
+      }));
     }
-    
+
     if (this.check(TOKEN_TYPES.KEYWORD_DEFAULT)) {
-      this.advance();
-      this.parseStatementList();
+      defaultKeyword = this.advance();
+      defaultBlock = this.parseBlock(SCOPE_KINDS.BLOCK, defaultKeyword);
     }
-    this.consumeEndKeyword('switch', GRAMMAR_RULES.SWITCH);
+    const missingEnd = this.consumeEndKeyword('switch', GRAMMAR_RULES.SWITCH);
+
+    return createNode(AST_NODE_TYPES.SWITCH_STMT, {
+      keyword: switchToken, expression, cases, defaultKeyword, defaultBlock, missingEnd
+    });
   }
 
   // --- Loops ---
 
   parseFor() {
     this.loopDepth++;
-    this.advance();
-    
+    const forToken = this.advance();
+
     const idToken = this.match(TOKEN_TYPES.IDENTIFIER);
     if (!idToken) {
       this.error('Expected identifier after "for"');
     } else {
       this.validateIdentifierLength(idToken);
-      this.declareVariable(idToken.lexeme, 'number', true);
     }
 
     if (!this.match(TOKEN_TYPES.OP_ASSIGN)) {
       this.error('Expected "=" in for loop initialization');
     }
-    
-    this.parseExpression();
+
+    const start = this.parseExpression();
     if (!this.match(TOKEN_TYPES.NOISE_TO)) {
       this.error('Expected "to" in for loop');
     }
-    this.parseExpression();
-    
-    if (this.match(TOKEN_TYPES.NOISE_BY)) {
-      this.parseExpression();
+    const end = this.parseExpression();
+
+    let step = null;
+    const byToken = this.match(TOKEN_TYPES.NOISE_BY);
+    if (byToken) {
+      step = createNode(AST_NODE_TYPES.STEP_CLAUSE, { token: byToken, value: this.parseExpression() });
     }
-    
-    this.parseStatementList();
-    this.consumeEndKeyword('for', GRAMMAR_RULES.FOR);
+
+    // The iterator lives in the loop scope, after the bounds that may not refer to it
+    this.enterScope(SCOPE_KINDS.LOOP, forToken);
+    if (idToken) this.declareVariable(idToken, 'number', true, SYMBOL_KINDS.ITERATOR);
+    const body = this.parseStatementList();
+    body.scope = this.symbolTable.current;
+    this.exitScope();
+    const missingEnd = this.consumeEndKeyword('for', GRAMMAR_RULES.FOR);
     this.loopDepth--;
+
+    return createNode(AST_NODE_TYPES.FOR_LOOP, {
+      keyword: forToken,
+      iterator: idToken ? this.createIdentifier(idToken, 'number') : this.missingNode('identifier'),
+      start,
+      end,
+      step,
+      body,
+      missingEnd
+    });
   }
 
   parseWhile() {
     this.loopDepth++;
-    this.advance();
-    this.parseExpression();
-    this.parseStatementList();
-    this.consumeEndKeyword('while', GRAMMAR_RULES.WHILE);
+    const whileToken = this.advance();
+    const condition = this.parseCondition();
+    const body = this.parseBlock(SCOPE_KINDS.LOOP, whileToken);
+    const missingEnd = this.consumeEndKeyword('while', GRAMMAR_RULES.WHILE);
     this.loopDepth--;
+
+    return createNode(AST_NODE_TYPES.WHILE_LOOP, { keyword: whileToken, condition, body, missingEnd });
   }
 
   parseDoWhile() {
     this.loopDepth++;
-    this.advance();
+    const doToken = this.advance();
     // Pass 'true' to indicate do-block context
-    this.parseStatementList(true); 
-    
+    const body = this.parseBlock(SCOPE_KINDS.LOOP, doToken, true);
+
     if (!this.match(TOKEN_TYPES.KEYWORD_WHILE)) {
       this.error('Expected "while" after do block statements');
     }
-    this.parseExpression();
-    this.consumeEndKeyword('do', GRAMMAR_RULES.DO_WHILE);
+    const condition = this.parseCondition();
+    const missingEnd = this.consumeEndKeyword('do', GRAMMAR_RULES.DO_WHILE);
     this.loopDepth--;
+
+    return createNode(AST_NODE_TYPES.DO_WHILE_LOOP, { keyword: doToken, body, condition, missingEnd });
   }
 
   // --- Functions & Structures ---
 
   parseFunctionDef() {
     this.functionDepth++;
-    this.advance();
-    
-    // Optional return type
-    if (isDataType(this.current()?.type)) {
-      this.advance();
+    const functionToken = this.advance();
+
+    // Optional return type; functions without one are void
+    let returnType = 'void';
+    let returnTypeNode = null;
+    if (this.isTypeAt()) {
+      returnTypeNode = this.parseType(AST_NODE_TYPES.RETURN_TYPE);
+      returnType = this.typeOf(returnTypeNode);
     }
-    
+
     const idToken = this.match(TOKEN_TYPES.IDENTIFIER);
     if (!idToken) {
       this.error('Expected function name');
     } else {
       this.validateIdentifierLength(idToken);
-      this.declareVariable(idToken.lexeme, 'function', true);
+      this.declareVariable(idToken, 'function', true, SYMBOL_KINDS.FUNCTION);
     }
 
+    // Parameters and body share the function scope
+    this.enterScope(SCOPE_KINDS.FUNCTION, functionToken);
+    const context = { name: idToken?.lexeme || '<anonymous>', returnType, hasReturn: false };
+    this.functionStack.push(context);
+
     if (!this.match(TOKEN_TYPES.DEL_LPAREN)) this.error('Expected "(" after function name');
 
     // Params
+    const params = [];
+    const paramsToken = this.current();
     if (!this.check(TOKEN_TYPES.DEL_RPAREN)) {
       do {
-        let typeToken = null;
-        if (!isDataType(this.current()?.type)) {
+        let typeNode = null;
+        let paramType = UNKNOWN;
+        if (!this.isTypeAt()) {
           this.error('Expected parameter data type');
         } else {
-          typeToken = this.advance();
+          typeNode = this.parseType();
+          paramType = this.typeOf(typeNode);
         }
-        
+        const typeToken = typeNode?.token;
+
         const paramId = this.match(TOKEN_TYPES.IDENTIFIER);
         if (!paramId) {
           this.error('Expected parameter name');
         } else {
           this.validateIdentifierLength(paramId);
+          if (typeToken?.type === TOKEN_TYPES.RESERVED_VOID) {
+            this.semanticError(`Parameter '${paramId.lexeme}' cannot have type 'void'.`, { token: typeToken });
+          }
           if (typeToken && paramId) {
-             this.declareVariable(paramId.lexeme, typeToken.lexeme, true);
+             this.declareVariable(paramId, paramType, true, SYMBOL_KINDS.PARAMETER);
           }
         }
+        if (typeToken || paramId) {
+          params.push(createNode(AST_NODE_TYPES.PARAM, {
+            dataType: typeNode || this.missingNode('data type'),
+            name: paramId ? this.createIdentifier(paramId, paramType) : this.missingNode('parameter name')
+          }));
+        }
       } while (this.match(TOKEN_TYPES.DEL_COMMA));
     }
 
     if (!this.match(TOKEN_TYPES.DEL_RPAREN)) this.error('Expected ")" after parameters');
 
-    this.parseStatementList();
-    this.consumeEndKeyword('function', GRAMMAR_RULES.FUNCTION);
+    const body = this.parseStatementList();
+    body.scope = this.symbolTable.current;
+
+    if (returnType !== 'void' && !context.hasReturn) {
+      this.semanticError(
+        `Function '${context.name}' declared with return type '${returnType}' must return a value.`,
+        { token: idToken || functionToken }
+      );
+    }
+
+    this.functionStack.pop();
+    this.exitScope();
+    const missingEnd = this.consumeEndKeyword('function', GRAMMAR_RULES.FUNCTION);
     this.functionDepth--;
+
+    // A trailing return is kept apart from the body, matching <function_def> in the grammar
+    const last = body.statements[body.statements.length - 1];
+    const returnStatement = last?.type === AST_NODE_TYPES.RETURN_STMT ? body.statements.pop() : null;
+    if (returnStatement && !body.statements.length) body.range = emptyRangeAt(returnStatement.keyword);
+    const parameters = createNode(AST_NODE_TYPES.PARAM_LIST, { params });
+    if (!params.length) parameters.range = emptyRangeAt(paramsToken);
+
+    return createNode(AST_NODE_TYPES.FUNCTION_DEF, {
+      keyword: functionToken,
+      returnType: returnTypeNode,
+      name: idToken ? this.createIdentifier(idToken, 'function') : this.missingNode('function name'),
+      parameters,
+      body,
+      returnStatement,
+      missingEnd
+    });
   }
 
   parseDataStruct() {
-    this.advance();
+    const dataToken = this.advance();
+    const fields = [];
+    const node = createNode(AST_NODE_TYPES.DATA_STRUCT, {
+      keyword: dataToken,
+      name: null,
+      fields: createNode(AST_NODE_TYPES.FIELD_LIST, { fields })
+    });
+
     if (!this.match(TOKEN_TYPES.RESERVED_STRUCT)) {
       this.error('Expected "struct" after "data"');
-      return;
+      return node;
     }
-    
+
+    // Fields are collected while parsing, so a struct may have fields of its own type
+    let struct = null;
     const idToken = this.match(TOKEN_TYPES.IDENTIFIER);
     if (!idToken) {
       this.error('Expected struct name');
+      node.name = this.missingNode('struct name');
     } else {
       this.validateIdentifierLength(idToken);
-      this.declareVariable(idToken.lexeme, 'struct', true);
+      this.declareVariable(idToken, 'struct', true, SYMBOL_KINDS.STRUCT);
+      node.name = this.createIdentifier(idToken, 'struct');
+      if (!this.structTable.has(idToken.lexeme)) {
+        struct = { name: idToken.lexeme, fields: new Map(), token: idToken };
+        this.structTable.set(struct.name, struct);
+      }
     }
 
     if (!this.match(TOKEN_TYPES.DEL_LBRACE)) this.error('Expected "{" start struct body');
 
     // Field Definitions
+    this.currentStruct = struct;
     while (!this.check(TOKEN_TYPES.DEL_RBRACE) && !this.isAtEnd()) {
       const currentType = this.current().type;
       const nextType = this.peek()?.type;
 
       // Schema Binding: id : type (func)
       if (currentType === TOKEN_TYPES.IDENTIFIER && nextType === TOKEN_TYPES.DEL_COLON) {
-          const bindId = this.advance(); 
+          const bindStart = this.pos;
+          const bindId = this.advance();
           this.validateIdentifierLength(bindId);
           this.advance();
-          
+
+          let dataType = null;
           if (!isDataType(this.current()?.type)) {
               this.error(`Expected data type in binding, found '${this.current()?.lexeme}'`);
+              dataType = this.missingNode('data type');
           } else {
-              this.advance(); 
+              const typeToken = this.advance();
+              dataType = createNode(AST_NODE_TYPES.DATA_TYPE, { token: typeToken, name: typeToken.lexeme });
           }
-          
+
+          let bindingClause = null;
+          let binding = null;
           if (this.check(TOKEN_TYPES.DEL_LPAREN)) {
-             this.advance(); 
+             this.advance();
              const funcId = this.match(TOKEN_TYPES.IDENTIFIER);
              if (!funcId) this.error('Expected function identifier in binding clause');
              if (!this.match(TOKEN_TYPES.DEL_RPAREN)) this.error('Expected closing ")" in binding clause');
+             if (funcId) {
+               bindingClause = createNode(AST_NODE_TYPES.BINDING_CLAUSE, { token: funcId, value: funcId.lexeme });
+               if (dataType.type === AST_NODE_TYPES.DATA_TYPE) binding = this.resolveBinding(bindId, dataType.name, funcId);
+             }
           }
-      } 
+          if (dataType.type === AST_NODE_TYPES.DATA_TYPE) this.declareField(struct, bindId, dataType.name, binding);
+
+          // `binding` is the resolved function, for tooling and computed fields
+          fields.push(this.finish(createNode(AST_NODE_TYPES.SCHEMA_BINDING, {
+            identifier: this.createIdentifier(bindId),
+            dataType,
+            bindingClause,
+            binding
+          }), bindStart));
+      }
       // Field Declaration: type id = val
-      else if (isDataType(currentType)) {
-          const fieldType = this.advance().lexeme;
+      else if (this.isTypeAt()) {
+          const dataType = this.parseType();
+          let fieldType = this.typeOf(dataType);
           const fieldId = this.match(TOKEN_TYPES.IDENTIFIER);
           if (!fieldId) {
               this.error('Expected field name');
           } else {
               this.validateIdentifierLength(fieldId);
-              if (this.match(TOKEN_TYPES.OP_ASSIGN)) {
-                  const inferred = this.parseExpression();
-                  this.validateTypeAssignment(fieldType, inferred);
+              let defaultValue = null;
+              const assignToken = this.match(TOKEN_TYPES.OP_ASSIGN);
+              if (assignToken) {
+                  defaultValue = this.parseExpression();
+                  this.validateTypeAssignment(fieldType, this.typeOf(defaultValue), assignToken, `field '${fieldId.lexeme}'`);
+                  fieldType = this.initializedType(fieldType, this.typeOf(defaultValue));
               }
+              this.declareField(struct, fieldId, fieldType);
+              fields.push(createNode(AST_NODE_TYPES.FIELD_DECL, {
+                dataType,
+                identifier: this.createIdentifier(fieldId, fieldType),
+                defaultValue
+              }));
           }
       } else {
           if (this.match(TOKEN_TYPES.DEL_COMMA)) continue;
@@ -644,277 +1282,503 @@ class Analyzer {
       }
     }
 
+    this.currentStruct = null;
     if (!this.match(TOKEN_TYPES.DEL_RBRACE)) this.error('Expected "}" to close struct');
+    return node;
   }
 
   parseJump() {
-    const type = this.advance().type;
-    
+    const jumpToken = this.advance();
+    const type = jumpToken.type;
+
     if (type === TOKEN_TYPES.RESERVED_RETURN) {
       if (this.functionDepth === 0) {
         this.error('Return statements are only allowed inside functions');
       }
-      if (this.current() && this.isValidExpressionStart(this.current())) {
-        this.parseExpression();
-      }
-    } else {
-      if (this.loopDepth === 0) {
-         this.error(`${type} statement must be inside a loop`);
-      }
+      // A return value must start on the same line; a bare 'return' ends the statement
+      const next = this.current();
+      const hasValue = next && next.line === jumpToken.line && this.isValidExpressionStart(next);
+      const value = hasValue ? this.parseExpression() : null;
+      this.checkReturn(jumpToken, hasValue ? this.typeOf(value) : null);
+      return createNode(AST_NODE_TYPES.RETURN_STMT, { keyword: jumpToken, value });
     }
+
+    if (this.loopDepth === 0) {
+       this.error(`${type} statement must be inside a loop`);
+    }
+    return createNode(AST_NODE_TYPES.JUMP_STMT, { keyword: jumpToken, jump: jumpToken.lexeme.toLowerCase() });
   }
 
   // =========================================================================
   // Expression Parsing (Precedence Climbing)
   // =========================================================================
 
+  // Every expression node carries the static type computed for it in `inferredType`.
+
   parseExpression() {
     return this.parseLogicOr();
   }
-  
+
   parseLogicOr() {
-    let type = this.parseLogicAnd();
-    while (this.match(TOKEN_TYPES.OP_OR)) {
-      this.parseLogicAnd();
-      type = 'boolean';
+    let left = this.parseLogicAnd();
+    while (this.check(TOKEN_TYPES.OP_OR)) {
+      const op = this.advance();
+      left = this.createBinary(AST_NODE_TYPES.LOGIC_OR, left, op, this.parseLogicAnd());
     }
-    return type;
+    return left;
   }
 
   parseLogicAnd() {
-    let type = this.parseEquality();
-    while (this.match(TOKEN_TYPES.OP_AND)) {
-      this.parseEquality();
-      type = 'boolean';
+    let left = this.parseEquality();
+    while (this.check(TOKEN_TYPES.OP_AND)) {
+      const op = this.advance();
+      left = this.createBinary(AST_NODE_TYPES.LOGIC_AND, left, op, this.parseEquality());
     }
-    return type;
+    return left;
   }
 
   parseEquality() {
-    let type = this.parseRelational();
-    while (this.match(TOKEN_TYPES.OP_EQ) || this.match(TOKEN_TYPES.OP_NEQ)) {
-      this.parseRelational();
-      type = 'boolean';
+    let left = this.parseRelational();
+    while (this.check(TOKEN_TYPES.OP_EQ) || this.check(TOKEN_TYPES.OP_NEQ)) {
+      const op = this.advance();
+      left = this.createBinary(AST_NODE_TYPES.EQUALITY, left, op, this.parseRelational());
     }
-    return type;
+    return left;
   }
 
   parseRelational() {
-    let type = this.parseAdditive();
-    while (this.check(TOKEN_TYPES.OP_LT) || this.check(TOKEN_TYPES.OP_GT) || 
+    let left = this.parseAdditive();
+    while (this.check(TOKEN_TYPES.OP_LT) || this.check(TOKEN_TYPES.OP_GT) ||
            this.check(TOKEN_TYPES.OP_LTE) || this.check(TOKEN_TYPES.OP_GTE)) {
-      this.advance();
-      this.parseAdditive();
-      type = 'boolean';
+      const op = this.advance();
+      left = this.createBinary(AST_NODE_TYPES.RELATIONAL, left, op, this.parseAdditive());
     }
-    return type;
+    return left;
   }
 
   parseAdditive() {
-    let leftType = this.parseMultiplicative();
-    while (this.match(TOKEN_TYPES.OP_ADD) || this.match(TOKEN_TYPES.OP_SUB)) {
-      const op = this.tokens[this.pos - 1];
-      const rightType = this.parseMultiplicative();
-      
-      if (op.type === TOKEN_TYPES.OP_ADD && (leftType === 'string' || rightType === 'string')) {
-          leftType = 'string';
-      } else if (leftType === 'decimal' || rightType === 'decimal') {
-          leftType = 'decimal';
-      } else {
-          leftType = 'number';
-      }
+    let left = this.parseMultiplicative();
+    while (this.check(TOKEN_TYPES.OP_ADD) || this.check(TOKEN_TYPES.OP_SUB)) {
+      const op = this.advance();
+      left = this.createBinary(AST_NODE_TYPES.ADDITIVE, left, op, this.parseMultiplicative());
     }
-    return leftType;
+    return left;
   }
 
   parseMultiplicative() {
-    let leftType = this.parseExponential();
-    while (this.check(TOKEN_TYPES.OP_MUL) || this.check(TOKEN_TYPES.OP_DIV) || 
+    let left = this.parseExponential();
+    while (this.check(TOKEN_TYPES.OP_MUL) || this.check(TOKEN_TYPES.OP_DIV) ||
            this.check(TOKEN_TYPES.OP_MOD) || this.check(TOKEN_TYPES.OP_INT_DIV)) {
-      
-      const op = this.advance(); // Consumes the operator
-      const opType = op.type;
-      
-      const rightType = this.parseExponential();
-      
-      if (opType === TOKEN_TYPES.OP_DIV) {
-          leftType = 'decimal';
-      } else if (leftType === 'decimal' || rightType === 'decimal') {
-          leftType = 'decimal';
-      } else {
-          leftType = 'number';
-      }
+      const op = this.advance();
+      left = this.createBinary(AST_NODE_TYPES.MULTIPLICATIVE, left, op, this.parseExponential());
     }
-    return leftType;
+    return left;
   }
 
   parseExponential() {
-    let type = this.parseUnary();
-    while (this.match(TOKEN_TYPES.OP_EXP)) {
-      this.parseUnary();
-      type = 'number';
+    let left = this.parseUnary();
+    while (this.check(TOKEN_TYPES.OP_EXP)) {
+      const op = this.advance();
+      left = this.createBinary(AST_NODE_TYPES.EXPONENTIAL, left, op, this.parseUnary());
     }
-    return type;
+    return left;
   }
 
   parseUnary() {
-    if (this.match(TOKEN_TYPES.OP_NOT)) {
-      this.parseUnary();
-      return 'boolean';
-    }
-    if (this.match(TOKEN_TYPES.OP_SUB) || this.match(TOKEN_TYPES.OP_ADD) ||
-        this.match(TOKEN_TYPES.OP_INC) || this.match(TOKEN_TYPES.OP_DEC)) {
-      return this.parseUnary();
+    if (this.check(TOKEN_TYPES.OP_NOT) || this.check(TOKEN_TYPES.OP_SUB) || this.check(TOKEN_TYPES.OP_ADD) ||
+        this.check(TOKEN_TYPES.OP_INC) || this.check(TOKEN_TYPES.OP_DEC)) {
+      const op = this.advance();
+      const expression = this.parseUnary();
+      return this.typed(
+        createNode(AST_NODE_TYPES.UNARY, { token: op, operator: op.lexeme, expression }),
+        this.applyUnaryType(op, this.typeOf(expression))
+      );
     }
     return this.parsePrimary();
   }
 
   parsePrimary() {
     const token = this.current();
-    if (!token) return 'unknown';
+    if (!token) return this.missingNode('expression');
+    const startIndex = this.pos;
 
     // 1. Literals
     if (token.type === TOKEN_TYPES.NUMBER_LITERAL) {
       this.advance();
-      return 'number';
+      return this.typed(createNode(AST_NODE_TYPES.NUMBER_LIT, { token, value: parseFloat(token.lexeme) }), 'number');
     }
     if (token.type === TOKEN_TYPES.DECIMAL_LITERAL) {
       this.advance();
-      return 'decimal';
+      return this.typed(createNode(AST_NODE_TYPES.DECIMAL_LIT, { token, value: parseFloat(token.lexeme) }), 'decimal');
     }
     if (token.type === TOKEN_TYPES.STRING_LITERAL || token.type === TOKEN_TYPES.SIS_MARKER) {
-      this.parseStringLiteral();
-      return 'string';
+      return this.parseStringLiteral();
     }
     if (token.type === TOKEN_TYPES.RESERVED_TRUE || token.type === TOKEN_TYPES.RESERVED_FALSE) {
       this.advance();
-      return 'boolean';
+      const value = token.type === TOKEN_TYPES.RESERVED_TRUE;
+      return this.typed(createNode(AST_NODE_TYPES.BOOL_LIT, { token, value }), 'boolean');
     }
     if (token.type === TOKEN_TYPES.RESERVED_NULL) {
       this.advance();
-      return 'null';
+      return this.typed(createNode(AST_NODE_TYPES.NULL_LITERAL, { token, value: null }), 'null');
     }
 
     // 2. Built-in Functions (handled before identifiers to give priority)
     if (this.isBuiltin(token)) {
-        this.advance();
-        this.parseFunctionArgs();
-        return this.getBuiltinReturnType(token.lexeme);
+        return this.parseBuiltinCall(true);
     }
 
-    // 3. Identifiers & User-defined Function Calls
+    // 3. Identifiers & User-defined Function Calls, each optionally followed by `.field`
     if (token.type === TOKEN_TYPES.IDENTIFIER) {
       this.validateIdentifierLength(token);
       this.advance();
-      
+
       // Function Call
       if (this.check(TOKEN_TYPES.DEL_LPAREN)) {
-        this.parseFunctionCall();
-        return 'unknown'; // Runtime return type unknown at static analysis
+        return this.parseFieldAccess(this.parseFunctionCall(token, true), startIndex);
       }
       // List Access
       else if (this.check(TOKEN_TYPES.DEL_LBRACK)) {
         this.checkVariableUsage(token);
-        this.advance();
-        this.parseExpression();
-        if (!this.match(TOKEN_TYPES.DEL_RBRACK)) this.error('Expected "]" in list access');
-        return 'unknown';
+        const access = this.parseIndexes(this.createIdentifier(token), startIndex, 'Expected "]" in list access');
+        return this.parseFieldAccess(access, startIndex);
       }
-      
+
       this.checkVariableUsage(token);
-      return this.symbolTable.has(token.lexeme) ? this.symbolTable.get(token.lexeme).type : 'unknown';
+      return this.parseFieldAccess(this.createIdentifier(token), startIndex);
     }
 
-    // 4. Grouping
+    // 4. Struct Instantiation
+    if (token.type === TOKEN_TYPES.RESERVED_NEW) {
+      return this.parseFieldAccess(this.parseNewStruct(), startIndex);
+    }
+
+    // 5. Grouping
     if (this.match(TOKEN_TYPES.DEL_LPAREN)) {
-      const type = this.parseExpression();
+      const expression = this.parseExpression();
       if (!this.match(TOKEN_TYPES.DEL_RPAREN)) {
         this.error('Expected ")" after expression');
       }
-      return type;
+      return expression;
     }
 
-    // 5. List Literal
-    if (this.match(TOKEN_TYPES.DEL_LBRACK)) {
+    // 6. List Literal
+    const bracketToken = this.match(TOKEN_TYPES.DEL_LBRACK);
+    if (bracketToken) {
+        // Elements share the narrowest common type; mixed lists are errors with unknown elements
+        const elements = [];
+        const elementsToken = this.current();
+        let elementType = UNKNOWN;
+        let mixed = false;
         if (!this.check(TOKEN_TYPES.DEL_RBRACK)) {
-            do { this.parseExpression(); } while (this.match(TOKEN_TYPES.DEL_COMMA));
+            do {
+              const elementToken = this.current();
+              const element = this.parseExpression();
+              elements.push(element);
+              const common = commonType(elementType, this.typeOf(element));
+              if (common !== null) {
+                elementType = common;
+              } else if (!mixed) {
+                mixed = true;
+                this.semanticError(
+                  `Type Error: List elements must share one type, but a '${this.typeOf(element)}' follows '${elementType}' elements.`,
+                  { token: elementToken }
+                );
+              }
+            } while (this.match(TOKEN_TYPES.DEL_COMMA));
         }
         if (!this.match(TOKEN_TYPES.DEL_RBRACK)) {
             this.error('Expected "]" to close list literal');
             if (this.check(TOKEN_TYPES.DEL_RPAREN)) this.advance();
         }
-        return 'list';
+        const elementList = createNode(AST_NODE_TYPES.ARRAY_ELEMENTS, { elements });
+        if (!elements.length) elementList.range = emptyRangeAt(elementsToken);
+        return this.finish(this.typed(createNode(AST_NODE_TYPES.LIST_LIT, {
+          token: bracketToken,
+          elements: elementList
+        }), mixed ? 'list' : listOf(elementType)), startIndex);
+    }
+
+    const message = this.isInvalidToken(token)
+      ? this.invalidTokenMessage(token)
+      : `Unexpected token in expression: ${token.lexeme}`;
+    this.error(message);
+    return this.errorNode(message, [this.advance()]);
+  }
+
+  // Parses every `[index]` after a value, so `grid[1][0]` indexes the list held in `grid[1]`.
+  parseIndexes(array, startIndex, closeMessage) {
+    let node = array;
+    while (this.check(TOKEN_TYPES.DEL_LBRACK)) {
+      node = this.parseListIndex(node);
+      if (!this.match(TOKEN_TYPES.DEL_RBRACK)) this.error(closeMessage);
+      this.finish(node, startIndex);
     }
+    return node;
+  }
 
-    this.error(`Unexpected token in expression: ${token.lexeme}`);
-    this.advance();
-    return 'unknown';
+  // Parses `[index]` after a list; the access is typed with the list's element type.
+  parseListIndex(array) {
+    const bracketToken = this.advance();
+    const indexToken = this.current();
+    const index = this.parseExpression();
+    const indexType = this.typeOf(index);
+    const access = createNode(AST_NODE_TYPES.LIST_ACCESS, { array, index });
+
+    if (!isUnknown(indexType) && indexType !== 'number') {
+      this.semanticError(`Type Error: List index must be a 'number' but found '${indexType}'.`, {
+        token: indexToken
+      });
+    }
+
+    const listType = this.typeOf(array);
+    if (isUnknown(listType)) return this.typed(access, UNKNOWN);
+    if (!isListType(listType)) {
+      if (array.type === AST_NODE_TYPES.LIST_ACCESS) {
+        this.semanticError(`Type Error: '${this.accessLabel(array)}' is a '${listType}' and cannot be indexed.`, {
+          token: bracketToken
+        });
+        return this.typed(access, UNKNOWN);
+      }
+      const field = array.type === AST_NODE_TYPES.FIELD_ACCESS ? array.field : null;
+      this.semanticError(`Type Error: '${(field || array).name}' is a '${listType}' and cannot be indexed.`, {
+        token: (field || array).token
+      });
+      return this.typed(access, UNKNOWN);
+    }
+    this.checkBounds(array, index);
+    return this.typed(access, elementTypeOf(listType));
+  }
+
+  // Warns when a constant index falls outside a list declared with a fixed size, `number xs[5]`.
+  checkBounds(array, index) {
+    if (array.type !== AST_NODE_TYPES.IDENTIFIER || index?.type !== AST_NODE_TYPES.NUMBER_LIT) return;
+    const size = this.symbolTable.lookup(array.name)?.size;
+    if (size === undefined || (index.value >= 0 && index.value < size)) return;
+
+    this.warning(
+      `Index ${index.value} is out of bounds for '${array.name}', which has ${size} element(s); valid indexes are 0 to ${size - 1}.`,
+      { token: index.token }
+    );
+  }
+
+  // Parses `.field` suffixes after a value, each optionally indexed: `team[0].name`, `p.scores[1]`.
+  parseFieldAccess(object, startIndex) {
+    let node = object;
+    while (this.check(TOKEN_TYPES.DEL_PERIOD)) {
+      const periodToken = this.advance();
+      const fieldToken = this.match(TOKEN_TYPES.IDENTIFIER);
+      if (!fieldToken) {
+        this.error('Expected field name after "."');
+        const field = this.missingNode('field name');
+        return this.finish(this.typed(
+          createNode(AST_NODE_TYPES.FIELD_ACCESS, { token: periodToken, object: node, field }), UNKNOWN
+        ), startIndex);
+      }
+
+      const type = this.fieldType(this.typeOf(node), fieldToken);
+      const field = this.typed(createNode(AST_NODE_TYPES.IDENTIFIER, { token: fieldToken, name: fieldToken.lexeme }), type);
+      node = this.finish(this.typed(
+        createNode(AST_NODE_TYPES.FIELD_ACCESS, { token: periodToken, object: node, field }), type
+      ), startIndex);
+
+      node = this.parseIndexes(node, startIndex, 'Expected "]" in list access');
+    }
+    return node;
+  }
+
+  // Parses `new Name()`; the instance is typed with its struct and starts with the field defaults.
+  parseNewStruct() {
+    const startIndex = this.pos;
+    const newToken = this.advance();
+    const node = createNode(AST_NODE_TYPES.NEW_STRUCT, { token: newToken, struct: null });
+
+    const idToken = this.match(TOKEN_TYPES.IDENTIFIER);
+    if (!idToken) {
+      this.error('Expected struct name after "new"');
+      node.struct = this.missingNode('struct name');
+      return this.finish(this.typed(node, UNKNOWN), startIndex);
+    }
+    const type = this.typeFromToken(idToken);
+    node.struct = this.createIdentifier(idToken, 'struct');
+    // Defaults run for every new instance, so this one would never finish
+    if (type === this.currentStruct?.name) {
+      this.semanticError(
+        `Struct '${type}' cannot create an instance of itself in a field default.`, { token: idToken }
+      );
+    }
+
+    if (!this.match(TOKEN_TYPES.DEL_LPAREN)) {
+      this.error('Expected "(" after struct name');
+    } else if (!this.match(TOKEN_TYPES.DEL_RPAREN)) {
+      this.error('Expected ")" after struct name; fields are assigned after the struct is created');
+    }
+    return this.finish(this.typed(node, type), startIndex);
   }
 
   // --- Helpers for Primary ---
 
+  // Collects the string segments and `@name` insertions the scanner split a literal into.
   parseStringLiteral() {
-    this.advance();
-    let lastToken = this.tokens[this.pos - 1]; 
+    const firstToken = this.current();
+    const content = [];
+    let lastToken = firstToken;
 
     while (!this.isAtEnd()) {
         const token = this.current();
-        if (token.type === TOKEN_TYPES.SIS_MARKER || token.type === TOKEN_TYPES.STRING_LITERAL) {
-            if (token.type === TOKEN_TYPES.SIS_MARKER) {
-                this.validateIdentifierLength(token);
-                const varName = token.lexeme.startsWith('@') ? token.lexeme.substring(1) : token.lexeme;
-                this.checkVariableUsage({ lexeme: varName, line: token.line, column: token.column });
-            }
-            lastToken = this.advance();
+        if (token.type === TOKEN_TYPES.SIS_MARKER) {
+            this.validateIdentifierLength(token);
+            const varName = token.lexeme.startsWith('@') ? token.lexeme.substring(1) : token.lexeme;
+            // Literals opening with an insertion are checked like the ones that follow text
+            this.checkVariableUsage(token, varName);
+            content.push(createNode(AST_NODE_TYPES.STRING_INSERTION, {
+              token,
+              identifier: createNode(AST_NODE_TYPES.IDENTIFIER, { token, name: varName })
+            }));
+        } else if (token.type === TOKEN_TYPES.STRING_LITERAL) {
+            content.push(createNode(AST_NODE_TYPES.STRING_CONTENT, { token, value: token.lexeme.slice(1, -1) }));
         } else {
             break;
         }
+        lastToken = this.advance();
     }
-    
+
     if (lastToken.type === TOKEN_TYPES.STRING_LITERAL && !lastToken.lexeme.endsWith('"')) {
         this.error('Unterminated string literal');
     }
-  }
 
-  parseFunctionCall() {
-    this.advance();
-    if (!this.check(TOKEN_TYPES.DEL_RPAREN)) {
-      do {
-        this.parseExpression();
-      } while (this.match(TOKEN_TYPES.DEL_COMMA));
-    }
-    if (!this.match(TOKEN_TYPES.DEL_RPAREN)) {
-      this.error('Expected ")" after function arguments');
-    }
+    return this.typed(createNode(AST_NODE_TYPES.STRING_LIT, { token: firstToken, content }), 'string');
   }
 
-  parseBuiltinStatement() {
-    this.advance(); 
-    this.parseFunctionArgs();
+  // Parses the argument list of a user-defined call; the call is typed with its return type.
+  parseFunctionCall(nameToken, inExpression = false) {
+    const startIndex = this.pos - 1;
+    const args = this.parseArguments('Expected ")" after function arguments');
+    const node = this.finish(createNode(AST_NODE_TYPES.FUNCTION_CALL, {
+      function: createNode(AST_NODE_TYPES.IDENTIFIER, { token: nameToken, name: nameToken.lexeme }),
+      arguments: createNode(AST_NODE_TYPES.ARG_LIST, { args: args.map(arg => arg.node), range: args.range })
+    }), startIndex);
+    if (!args.closed) return this.typed(node, UNKNOWN);
+
+    const argTypes = args.map(({ token, node: arg }) => ({ token, type: this.typeOf(arg) }));
+    return this.typed(node, this.checkFunctionCall(nameToken, argTypes, inExpression));
   }
 
-  parseFunctionArgs() {
-    if (!this.match(TOKEN_TYPES.DEL_LPAREN)) {
+  parseBuiltinCall(inExpression) {
+    const startIndex = this.pos;
+    const nameToken = this.advance();
+    if (!this.check(TOKEN_TYPES.DEL_LPAREN)) {
         this.error('Expected "(" after function name');
     }
+    const args = this.parseArguments('Expected ")" after arguments');
+    const node = this.finish(createNode(AST_NODE_TYPES.BUILTIN_FUNCTION_CALL, {
+      builtin: createNode(AST_NODE_TYPES.BUILTIN_NAME, { token: nameToken, name: nameToken.lexeme }),
+      arguments: createNode(AST_NODE_TYPES.ARG_LIST, { args: args.map(arg => arg.node), range: args.range })
+    }), startIndex);
+
+    const argTypes = args.map(({ token, node: arg }) => ({ token, type: this.typeOf(arg) }));
+    const type = this.checkBuiltinCall(nameToken, argTypes);
+    return this.typed(node, inExpression ? type : UNKNOWN);
+  }
+
+  // Parses `( expr, ... )`; returns the arguments with their first tokens and whether ')' was found.
+  parseArguments(closeMessage) {
+    const args = [];
+    const startIndex = this.pos;
+    this.match(TOKEN_TYPES.DEL_LPAREN);
     if (!this.check(TOKEN_TYPES.DEL_RPAREN)) {
       do {
-        this.parseExpression();
+        const token = this.current();
+        args.push({ token, node: this.parseExpression() });
       } while (this.match(TOKEN_TYPES.DEL_COMMA));
     }
-    if (!this.match(TOKEN_TYPES.DEL_RPAREN)) {
-      this.error('Expected ")" after arguments');
+    args.closed = !!this.match(TOKEN_TYPES.DEL_RPAREN);
+    if (!args.closed) {
+      this.error(closeMessage);
     }
+    args.range = this.pos > startIndex ? rangeOf(this.tokens[startIndex], this.tokens[this.pos - 1]) : null;
+    return args;
   }
 
   parseLiteral() {
-    if (this.match(TOKEN_TYPES.NUMBER_LITERAL) || 
-        this.match(TOKEN_TYPES.STRING_LITERAL) || 
-        this.match(TOKEN_TYPES.RESERVED_TRUE) || 
-        this.match(TOKEN_TYPES.RESERVED_FALSE)) {
-        return;
+    const token = this.current();
+    if (this.match(TOKEN_TYPES.NUMBER_LITERAL)) {
+        return this.typed(createNode(AST_NODE_TYPES.NUMBER_LIT, { token, value: parseFloat(token.lexeme) }), 'number');
+    }
+    if (this.match(TOKEN_TYPES.STRING_LITERAL)) {
+        const content = [createNode(AST_NODE_TYPES.STRING_CONTENT, { token, value: token.lexeme.slice(1, -1) })];
+        return this.typed(createNode(AST_NODE_TYPES.STRING_LIT, { token, content }), 'string');
+    }
+    if (this.match(TOKEN_TYPES.RESERVED_TRUE) || this.match(TOKEN_TYPES.RESERVED_FALSE)) {
+        const value = token.type === TOKEN_TYPES.RESERVED_TRUE;
+        return this.typed(createNode(AST_NODE_TYPES.BOOL_LIT, { token, value }), 'boolean');
     }
     this.error('Expected literal value');
+    return this.missingNode('literal');
+  }
+
+  // =========================================================================
+  // Node Construction
+  // =========================================================================
+
+  // Records the static type of an expression node.
+  typed(node, type) {
+    node.inferredType = type || UNKNOWN;
+    return node;
+  }
+
+  typeOf(node) {
+    return node?.inferredType || UNKNOWN;
+  }
+
+  // Identifier nodes are typed from the symbol they resolve to unless a type is given.
+  createIdentifier(token, type = null) {
+    const node = createNode(AST_NODE_TYPES.IDENTIFIER, { token, name: token.lexeme });
+    return this.typed(node, type || this.symbolTable.lookup(token.lexeme)?.type);
+  }
+
+  createPostfix(opToken, operand) {
+    return this.typed(
+      createNode(AST_NODE_TYPES.POSTFIX_EXPR, { token: opToken, operand, operator: opToken.lexeme }),
+      this.applyUnaryType(opToken, this.typeOf(operand))
+    );
+  }
+
+  createBinary(type, left, opToken, right) {
+    const node = createNode(type, { token: opToken, left, operator: opToken.lexeme, right });
+    return this.typed(node, this.applyBinaryType(opToken, opToken.lexeme, this.typeOf(left), this.typeOf(right), right));
+  }
+
+  // Marks tokens the parser could not make sense of; `tokens` lists everything it skipped.
+  errorNode(message, tokens) {
+    return this.typed(createNode(AST_NODE_TYPES.ERROR, { token: tokens[0], message, tokens }), UNKNOWN);
+  }
+
+  // Stands in for a required element that is absent, positioned where it was expected.
+  missingNode(expected) {
+    const token = this.current() || this.tokens[this.tokens.length - 1];
+    const node = createNode(AST_NODE_TYPES.MISSING, { token, expected });
+    // Zero-width, right after the last token consumed so it stays inside its parent's range
+    const previous = this.tokens[this.pos - 1];
+    node.range = emptyRangeAt(previous ? { start: previous.end, line: previous.endLine, column: previous.endColumn } : token);
+    return this.typed(node, UNKNOWN);
+  }
+
+  // Spans a node from the token at `startIndex` to the last consumed token.
+  finish(node, startIndex) {
+    if (node && this.pos > startIndex) {
+      node.range = rangeOf(this.tokens[startIndex], this.tokens[this.pos - 1]);
+    }
+    return node;
+  }
+
+  createAssignment(target, opToken, value) {
+    return createNode(AST_NODE_TYPES.ASSIGNMENT_STMT, {
+      target,
+      assignmentOp: createNode(AST_NODE_TYPES.ASSIGNMENT_OP, { token: opToken, operator: opToken?.lexeme }),
+      value
+    });
   }
 
   // =========================================================================
@@ -934,38 +1798,49 @@ class Analyzer {
         };
 
         const expectedSuffix = typeMap[blockType];
-        
+
         if (expectedSuffix) {
             const next = this.peek(1);
             if (next && next.type === expectedSuffix) {
                 this.advance();
                 this.advance();
-                return;
+                return null;
             } else {
                 this.error(`Expected "${blockType}" after "end"`);
-                return;
+                return this.missingNode(`end ${blockType}`);
             }
         } else {
-             this.advance(); 
-             return;
+             this.advance();
+             return null;
         }
     }
     this.error(`Expected "end" to close ${blockType} block`);
+    return this.missingNode(`end ${blockType}`);
+  }
+
+  // UNKNOWN and ERROR tokens are text the scanner rejected; it explains why in `message`.
+  isInvalidToken(token) {
+    return token?.type === TOKEN_TYPES.UNKNOWN || token?.type === TOKEN_TYPES.ERROR;
+  }
+
+  invalidTokenMessage(token) {
+    return token.message || `Unknown token: ${token.lexeme}`;
   }
 
   isAssignmentOp(token) {
     return token && [
-      TOKEN_TYPES.OP_ASSIGN, TOKEN_TYPES.OP_ADD_ASSIGN, TOKEN_TYPES.OP_SUB_ASSIGN, 
-      TOKEN_TYPES.OP_MUL_ASSIGN, TOKEN_TYPES.OP_DIV_ASSIGN, TOKEN_TYPES.OP_MOD_ASSIGN
+      TOKEN_TYPES.OP_ASSIGN, TOKEN_TYPES.OP_ADD_ASSIGN, TOKEN_TYPES.OP_SUB_ASSIGN,
+      TOKEN_TYPES.OP_MUL_ASSIGN, TOKEN_TYPES.OP_DIV_ASSIGN, TOKEN_TYPES.OP_MOD_ASSIGN,
+      TOKEN_TYPES.OP_EXP_ASSIGN
     ].includes(token.type);
   }
 
   isValidExpressionStart(token) {
       return [
-          TOKEN_TYPES.IDENTIFIER, TOKEN_TYPES.NUMBER_LITERAL, TOKEN_TYPES.STRING_LITERAL,
-          TOKEN_TYPES.SIS_MARKER, 
+          TOKEN_TYPES.IDENTIFIER, TOKEN_TYPES.NUMBER_LITERAL, TOKEN_TYPES.DECIMAL_LITERAL,
+          TOKEN_TYPES.STRING_LITERAL, TOKEN_TYPES.SIS_MARKER, TOKEN_TYPES.RESERVED_NULL,
           TOKEN_TYPES.RESERVED_TRUE, TOKEN_TYPES.RESERVED_FALSE, TOKEN_TYPES.DEL_LPAREN,
-          TOKEN_TYPES.DEL_LBRACK, TOKEN_TYPES.OP_NOT, TOKEN_TYPES.OP_SUB
+          TOKEN_TYPES.DEL_LBRACK, TOKEN_TYPES.OP_NOT, TOKEN_TYPES.OP_SUB, TOKEN_TYPES.RESERVED_NEW
       ].includes(token.type) || this.isBuiltin(token);
   }
 
@@ -980,18 +1855,49 @@ class Analyzer {
            TOKEN_TYPES.BUILTIN_AVERAGE, TOKEN_TYPES.BUILTIN_ISEVEN, TOKEN_TYPES.BUILTIN_ISODD].includes(type);
   }
 
-  getBuiltinReturnType(builtinName) {
+  // Validates built-in arguments: aggregates take one list of numbers, parity checks one number.
+  checkBuiltinCall(nameToken, args) {
+      const lowerName = nameToken.lexeme.toLowerCase();
+      const isAggregate = ['sum', 'median', 'mode', 'average'].includes(lowerName);
+
+      if (args.length !== 1) {
+          this.semanticError(`${nameToken.lexeme}() expects 1 argument(s) but received ${args.length}.`, {
+            token: nameToken
+          });
+      } else {
+          const [{ token, type }] = args;
+          const expected = isAggregate ? 'list<number>' : 'number';
+          const valid = isAggregate
+            ? isListType(type) && (isUnknown(elementTypeOf(type)) || isNumericType(elementTypeOf(type)))
+            : type === 'number';
+          if (!isUnknown(type) && !valid) {
+              this.semanticError(
+                `Type Error: ${nameToken.lexeme}() expects a '${expected}' but received '${type}'.`,
+                { token: token || nameToken }
+              );
+          }
+      }
+
+      return this.getBuiltinReturnType(lowerName, args[0]?.type);
+  }
+
+  getBuiltinReturnType(builtinName, argType = UNKNOWN) {
       const lowerName = builtinName.toLowerCase();
-      // Mathematical functions return number/decimal
-      if (['sum', 'median', 'mode', 'average'].includes(lowerName)) {
-          return 'number';
+      // Means may fall between elements, so they are always decimal
+      if (['median', 'average'].includes(lowerName)) {
+          return 'decimal';
+      }
+      // Totals and the most frequent element keep the element type of the list
+      if (['sum', 'mode'].includes(lowerName)) {
+          const elementType = elementTypeOf(argType);
+          return isNumericType(elementType) ? elementType : UNKNOWN;
       }
       // Boolean functions return boolean
       if (['iseven', 'isodd'].includes(lowerName)) {
           return 'boolean';
       }
       // Default to unknown for any other built-ins
-      return 'unknown';
+      return UNKNOWN;
   }
 }
 
@@ -1000,36 +1906,28 @@ class Analyzer {
 // Runs the syntax analysis process on a list of tokens.
 export const syntaxAnalyzer = (tokens) => {
   const analyzer = new Analyzer(tokens);
-  
-  // 1. Run Syntax Analysis
-  analyzer.analyzeProgram();
-
-  // 2. Build AST if syntax is valid
-  // This separation allows for lightweight syntax checks without full tree construction
-  let astResult = { success: false, ast: null };
-  
-  if (analyzer.errors.length === 0) {
-      const cleanTokens = tokens.filter(t => 
-        t.type !== TOKEN_TYPES.COMMENT_SINGLE && 
-        t.type !== TOKEN_TYPES.COMMENT_MULTI
-      );
-      
-      astResult = buildAST(cleanTokens);
-      
-      if (!astResult) {
-          analyzer.error('Internal AST construction failed despite valid syntax.');
-      } else if (astResult.errors && astResult.errors.length > 0) {
-          astResult.errors.forEach(e => analyzer.errors.push(e));
-      }
-  }
+
+  // Validation and tree construction happen in the same pass. The tree is returned even
+  // when errors were found; it then contains ERROR/MISSING nodes where parsing recovered.
+  const ast = analyzer.analyzeProgram();
+  analyzer.checkAssignments(ast);
+  // Nodes the parser did not position span their tokens and children
+  assignRanges(ast);
+  analyzer.checkFlow(ast);
+  const success = analyzer.errors.length === 0;
 
   return {
     errors: analyzer.errors,
     warnings: analyzer.warnings,
-    success: analyzer.errors.length === 0,
-    ast: astResult?.ast || null,
-    astValid: !!astResult?.ast
+    success,
+    ast,
+    astValid: !!ast && success,
+    // Lossless counterpart of the AST: prints back to the exact source
+    cst: buildCST(ast, tokens),
+    symbolTable: analyzer.symbolTable,
+    functionTable: analyzer.functionTable,
+    structTable: analyzer.structTable
   };
 };
 
-export default syntaxAnalyzer;
\ No newline at end of file
+export default syntaxAnalyzer;
@@ -0,0 +1,160 @@
+/**
+ * ECHO Static Type Rules
+ *
+ * Types are plain strings: the data types `number`, `decimal`, `string`, `boolean` and
+ * `null`, `list` for a list whose elements are not known and `list<T>` for a list of T, written
+ * `list of T` in ECHO.
+ * Any other name is a struct type, named after its `data struct`; struct variables hold a
+ * reference to an instance, so they also accept `null`.
+ * `unknown` marks an expression whose type could not be determined, usually because an
+ * error was already reported for it; rules accept it silently to avoid cascading errors.
+ *
+ * Operator rules:
+ * - `+`                 string if either side is a string (concatenation), otherwise numeric
+ * - `-` `*` `%`         numeric; number when both sides are numbers, decimal otherwise
+ * - `^`                 numeric; like `*`, except that a negative constant exponent gives decimal
+ * - `/`                 numeric; always decimal
+ * - `//`                numeric; always number
+ * - `<` `>` `<=` `>=`   numeric operands; boolean
+ * - `==` `!=`           operands of compatible types; boolean
+ * - `&&` `||` `!`       boolean operands; boolean
+ * - unary `-` `+`       numeric; keeps the operand type
+ */
+
+export const UNKNOWN = 'unknown';
+
+const LIST_TYPE_PATTERN = /^list<(.+)>$/;
+
+const LOGICAL_OPERATORS = new Set(['&&', '||']);
+const EQUALITY_OPERATORS = new Set(['==', '!=']);
+const RELATIONAL_OPERATORS = new Set(['<', '>', '<=', '>=']);
+
+// Names that are types of their own or mark symbols, never structs.
+const BUILTIN_TYPES = new Set(['number', 'decimal', 'string', 'boolean', 'null', 'void', 'function', 'struct']);
+
+// --- Type Helpers ---
+
+export const isUnknown = (type) => !type || type === UNKNOWN;
+
+export const isNumericType = (type) => type === 'number' || type === 'decimal';
+
+export const isListType = (type) => type === 'list' || LIST_TYPE_PATTERN.test(type || '');
+
+export const listOf = (elementType) => (isUnknown(elementType) ? 'list' : `list<${elementType}>`);
+
+export const elementTypeOf = (type) => LIST_TYPE_PATTERN.exec(type || '')?.[1] || UNKNOWN;
+
+// A type as ECHO source spells it: 'list<number>' is written `list of number`.
+export const writtenType = (type) =>
+  (isListType(type) && type !== 'list' ? `list of ${writtenType(elementTypeOf(type))}` : type);
+
+export const isStructType = (type) => !isUnknown(type) && !BUILTIN_TYPES.has(type) && !isListType(type);
+
+// Whether a value of type `actual` may be stored where `expected` is declared.
+export const isAssignable = (expected, actual) => {
+  if (isUnknown(expected) || isUnknown(actual)) return true;
+  if (expected === actual) return true;
+
+  // Implicit conversion: Number -> Decimal is usually allowed
+  if (expected === 'decimal' && actual === 'number') return true;
+  if (actual === 'null' && isStructType(expected)) return true;
+
+  if (isListType(expected) && isListType(actual)) {
+    return isAssignable(elementTypeOf(expected), elementTypeOf(actual));
+  }
+  return false;
+};
+
+// Narrowest type both values fit in, or null when they cannot share one.
+export const commonType = (a, b) => {
+  if (isUnknown(a)) return b;
+  if (isUnknown(b)) return a;
+  if (a === b) return a;
+  if (isNumericType(a) && isNumericType(b)) return 'decimal';
+  if (a === 'null' && isStructType(b)) return b;
+  if (b === 'null' && isStructType(a)) return a;
+  if (isListType(a) && isListType(b)) {
+    const element = commonType(elementTypeOf(a), elementTypeOf(b));
+    return element ? listOf(element) : 'list';
+  }
+  return null;
+};
+
+const areComparable = (left, right) =>
+  isUnknown(left) || isUnknown(right) || left === 'null' || right === 'null' || commonType(left, right) !== null;
+
+// --- Operator Rules ---
+
+const result = (type, error = null) => ({ type: error ? UNKNOWN : type, error });
+
+const numericResult = (operator, left, right) => {
+  const invalid = [left, right].find(type => !isUnknown(type) && !isNumericType(type));
+  if (invalid) {
+    return result(UNKNOWN, `Operator '${operator}' requires numeric operands but received '${invalid}'`);
+  }
+  if (operator === '/') return result('decimal');
+  if (operator === '//') return result('number');
+  if (left === 'decimal' || right === 'decimal') return result('decimal');
+  if (isUnknown(left) || isUnknown(right)) return result(UNKNOWN);
+  return result('number');
+};
+
+/*
+Computes the type of a binary expression
+
+@param {String} operator - Operator lexeme such as '+' or '&&'
+@param {String} left - Type of the left operand
+@param {String} right - Type of the right operand
+@param {number} rightValue - Value of the right operand when it is a numeric literal
+@returns {Object} { type, error } where `error` describes an invalid combination
+*/
+export const binaryResultType = (operator, left, right, rightValue = null) => {
+  if (LOGICAL_OPERATORS.has(operator)) {
+    const invalid = [left, right].find(type => !isUnknown(type) && type !== 'boolean');
+    return invalid
+      ? result(UNKNOWN, `Operator '${operator}' requires boolean operands but received '${invalid}'`)
+      : result('boolean');
+  }
+
+  if (EQUALITY_OPERATORS.has(operator)) {
+    return areComparable(left, right)
+      ? result('boolean')
+      : result(UNKNOWN, `Cannot compare '${left}' with '${right}' using '${operator}'`);
+  }
+
+  if (RELATIONAL_OPERATORS.has(operator)) {
+    const { error } = numericResult(operator, left, right);
+    return result('boolean', error);
+  }
+
+  if (operator === '+' && (left === 'string' || right === 'string')) {
+    return result('string');
+  }
+  // An unknown side could still turn out to be a string
+  if (operator === '+' && (isUnknown(left) || isUnknown(right))) {
+    return result(UNKNOWN);
+  }
+
+  const numeric = numericResult(operator, left, right);
+  // `n ^ -1` is 0.5; powers of whole numbers are whole otherwise
+  if (operator === '^' && numeric.type === 'number' && rightValue < 0) return result('decimal');
+  return numeric;
+};
+
+/*
+Computes the type of a prefix unary expression
+
+@param {String} operator - Operator lexeme: '!', '-', '+', '++' or '--'
+@param {String} operand - Type of the operand
+@returns {Object} { type, error }
+*/
+export const unaryResultType = (operator, operand) => {
+  if (operator === '!') {
+    return isUnknown(operand) || operand === 'boolean'
+      ? result('boolean')
+      : result(UNKNOWN, `Operator '!' requires a boolean operand but received '${operand}'`);
+  }
+
+  if (isUnknown(operand) || isNumericType(operand)) return result(operand || UNKNOWN);
+  return result(UNKNOWN, `Operator '${operator}' requires a numeric operand but received '${operand}'`);
+};
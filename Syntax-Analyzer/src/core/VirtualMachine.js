@@ -0,0 +1,510 @@
+/**
+ * ECHO Virtual Machine
+ *
+ * Executes programs compiled by BytecodeCompiler.js. Values live on a single operand stack and
+ * variables in the numbered slots of call frames, functions included: a function is a closure
+ * value stored in the slot of the block defining it. Calls push a frame instead of recursing, and
+ * a frame keeps the frame its function was defined in so it can reach outer variables.
+ *
+ * The VM produces the same output and runtime errors as the tree-walking interpreter: operators,
+ * built-ins, formatting and input share their implementation with it, and errors raised without
+ * a position are placed at the ECHO position recorded for the failing instruction. The same
+ * `limits` and `signal` options apply too; calls and loop iterations count as steps.
+ */
+
+import { RuntimeError } from './RuntimeError.js';
+import { callBuiltin } from './Builtins.js';
+import { formatValue, formatInsertion } from './StringInsertion.js';
+import {
+  at, checkStep, concat, divide, equals, filledList, floorDivide, modulo, read, setAt
+} from './JavaScriptRuntime.js';
+import { createStruct, getField, setField } from './Structs.js';
+import { OPCODES, positionAt } from './Bytecode.js';
+import { ExecutionBudget, LimitError, YIELD_INTERVAL, createPause } from './ExecutionLimits.js';
+
+const {
+  CONSTANT, POP, DUP, SWAP,
+  DECLARE, LOAD_LOCAL, STORE_LOCAL, LOAD_GLOBAL, STORE_GLOBAL, LOAD_OUTER, STORE_OUTER,
+  BUILD_LIST, FILL_LIST, GET_INDEX, SET_INDEX,
+  BUILD_STRUCT, GET_FIELD, SET_FIELD,
+  FORMAT, INSERT, BUILD_STRING,
+  ADD, SUBTRACT, MULTIPLY, DIVIDE, FLOOR_DIVIDE, MODULO, POWER, NEGATE, PLUS, NOT, CHECK_NUMBER,
+  EQUAL, NOT_EQUAL, LESS, GREATER, LESS_EQUAL, GREATER_EQUAL,
+  JUMP, JUMP_IF_FALSE, JUMP_IF_TRUE, JUMP_IF_FALSE_OR_POP, JUMP_IF_TRUE_OR_POP, CHECK_BOOLEAN, CHECK_STEP,
+  CLOSURE, CHECK_CALL, CALL, CALL_BUILTIN, RETURN,
+  PRINT, READ, FAIL, HALT,
+} = OPCODES;
+
+// Marks a slot whose declaration has not run yet.
+const UNSET = Symbol('unset');
+
+const expectNumber = (value) => {
+  if (typeof value !== 'number' || Number.isNaN(value)) {
+    throw new RuntimeError(`Expected a number but got ${formatValue(value)}`);
+  }
+  return value;
+};
+
+const expectCondition = (value) => {
+  if (typeof value !== 'boolean') throw new RuntimeError(`Condition must be a boolean, got ${formatValue(value)}`);
+  return value;
+};
+
+// `+` concatenates when either side is a string and adds numbers otherwise.
+const add = (a, b) => {
+  if (typeof a === 'string' || typeof b === 'string') return concat(a, b);
+  return expectNumber(a) + expectNumber(b);
+};
+
+// A function call in progress: its variable slots and where its stack values begin.
+class Frame {
+  constructor(fn, parent, base) {
+    this.fn = fn;
+    this.parent = parent;
+    this.base = base;
+    this.slots = new Array(fn.locals.length).fill(UNSET);
+    this.ip = 0;
+  }
+}
+
+// A function together with the frame it was defined in, which its calls use for outer variables.
+class Closure {
+  constructor(fn, frame) {
+    this.fn = fn;
+    this.frame = frame;
+  }
+}
+
+// --- Virtual Machine Class ---
+
+class VirtualMachine {
+  constructor(program, options = {}) {
+    this.program = program;
+    this.output = [];
+    this.onOutput = options.onOutput || null;
+    this.input = options.input || null;
+    this.budget = options.limits ? new ExecutionBudget(options.limits) : null;
+    this.pause = createPause(options.signal);
+    // Calls and loop iterations left before the run may pause
+    this.untilPause = YIELD_INTERVAL;
+    this.stack = [];
+    this.frames = [];
+  }
+
+  // Reads a slot, failing like the interpreter when the variable has not been declared yet.
+  static slot(frame, slot) {
+    const value = frame.slots[slot];
+    if (value === UNSET) throw new RuntimeError(`Variable '${frame.fn.locals[slot].name}' is not defined`);
+    return value;
+  }
+
+  static assign(frame, slot, value) {
+    if (frame.slots[slot] === UNSET) throw new RuntimeError(`Variable '${frame.fn.locals[slot].name}' is not defined`);
+    frame.slots[slot] = value;
+  }
+
+  static outer(frame, depth) {
+    let target = frame;
+    for (let i = 0; i < depth; i++) target = target.parent;
+    return target;
+  }
+
+  writeLine(line) {
+    if (this.budget) this.budget.addOutput(line, null);
+    this.output.push(line);
+    if (this.onOutput) this.onOutput(line);
+  }
+
+  // Pauses the run; a stop is placed at the instruction at `offset` of `fn`.
+  pauseAt(fn, offset) {
+    this.untilPause = YIELD_INTERVAL;
+    return this.pause().catch(error => {
+      if (error instanceof RuntimeError && !error.line) Object.assign(error, positionAt(fn, offset));
+      throw error;
+    });
+  }
+
+  // Runs the program, waiting for input and pauses between synchronous stretches of execution.
+  async run() {
+    this.frames.push(new Frame(this.program.functions[0], null, 0));
+    for (let wait = this.execute(); wait; wait = this.execute()) await wait;
+  }
+
+  /*
+  Executes from where the current frame left off until the program ends or has to wait
+
+  Keeping the await out of this loop keeps it fast; the frame's ip records where to resume.
+
+  @returns {Promise|undefined} Input being read or a pause, to await before executing again
+  */
+  execute() {
+    const { constants, functions } = this.program;
+    const { stack, budget } = this;
+    const globals = this.frames[0];
+    let frame = this.frames[this.frames.length - 1];
+    let code = frame.fn.code;
+    let ip = frame.ip;
+    let start = ip;
+    let { untilPause } = this;
+
+    try {
+      for (;;) {
+        start = ip;
+        const opcode = code[ip++];
+
+        switch (opcode) {
+          case CONSTANT:
+            stack.push(constants[code[ip++]]);
+            break;
+          case POP:
+            stack.pop();
+            break;
+          case DUP:
+            stack.push(stack[stack.length - 1]);
+            break;
+          case SWAP: {
+            const top = stack.length - 1;
+            [stack[top - 1], stack[top]] = [stack[top], stack[top - 1]];
+            break;
+          }
+
+          case DECLARE:
+            frame.slots[code[ip++]] = stack.pop();
+            break;
+          case LOAD_LOCAL:
+            stack.push(VirtualMachine.slot(frame, code[ip++]));
+            break;
+          case STORE_LOCAL:
+            VirtualMachine.assign(frame, code[ip++], stack.pop());
+            break;
+          case LOAD_GLOBAL:
+            stack.push(VirtualMachine.slot(globals, code[ip++]));
+            break;
+          case STORE_GLOBAL:
+            VirtualMachine.assign(globals, code[ip++], stack.pop());
+            break;
+          case LOAD_OUTER: {
+            const target = VirtualMachine.outer(frame, code[ip++]);
+            stack.push(VirtualMachine.slot(target, code[ip++]));
+            break;
+          }
+          case STORE_OUTER: {
+            const target = VirtualMachine.outer(frame, code[ip++]);
+            VirtualMachine.assign(target, code[ip++], stack.pop());
+            break;
+          }
+
+          case BUILD_LIST: {
+            const count = code[ip++];
+            if (this.budget) this.budget.checkListSize(count, null);
+            stack.push(stack.splice(stack.length - count, count));
+            break;
+          }
+          case FILL_LIST: {
+            const size = code[ip++];
+            if (this.budget) this.budget.checkListSize(size, null);
+            stack.push(filledList(size, stack.pop()));
+            break;
+          }
+          case GET_INDEX: {
+            const index = stack.pop();
+            stack.push(at(stack.pop(), index));
+            break;
+          }
+          case SET_INDEX: {
+            const index = stack.pop();
+            const list = stack.pop();
+            setAt(list, index, stack.pop());
+            break;
+          }
+
+          case BUILD_STRUCT: {
+            const name = constants[code[ip++]];
+            const count = code[ip++];
+            const fields = {};
+            const values = stack.splice(stack.length - count * 2, count * 2);
+            for (let i = 0; i < values.length; i += 2) fields[values[i]] = values[i + 1];
+            stack.push(createStruct(name, fields));
+            break;
+          }
+          case GET_FIELD:
+            stack.push(getField(stack.pop(), constants[code[ip++]]));
+            break;
+          case SET_FIELD: {
+            const object = stack.pop();
+            setField(object, constants[code[ip++]], stack.pop());
+            break;
+          }
+
+          case FORMAT:
+            stack.push(formatValue(stack.pop(), code[ip++] ? 'decimal' : null));
+            break;
+          case INSERT: {
+            const hint = code[ip++] ? 'decimal' : null;
+            const accessors = constants[code[ip++]];
+            const pairs = code[ip++];
+            const variables = new Map();
+            for (let i = 0; i < pairs; i++) {
+              const value = stack.pop();
+              variables.set(stack.pop(), { value });
+            }
+            const value = stack.pop();
+            stack.push(formatInsertion(value, hint, accessors, name => variables.get(name) || null));
+            break;
+          }
+          case BUILD_STRING: {
+            const count = code[ip++];
+            stack.push(stack.splice(stack.length - count, count).join(''));
+            break;
+          }
+
+          case ADD: {
+            const right = stack.pop();
+            stack.push(add(stack.pop(), right));
+            break;
+          }
+          case SUBTRACT: {
+            const right = stack.pop();
+            const left = expectNumber(stack.pop());
+            stack.push(left - expectNumber(right));
+            break;
+          }
+          case MULTIPLY: {
+            const right = stack.pop();
+            const left = expectNumber(stack.pop());
+            stack.push(left * expectNumber(right));
+            break;
+          }
+          case DIVIDE: {
+            const right = stack.pop();
+            const left = expectNumber(stack.pop());
+            stack.push(divide(left, expectNumber(right)));
+            break;
+          }
+          case FLOOR_DIVIDE: {
+            const right = stack.pop();
+            const left = expectNumber(stack.pop());
+            stack.push(floorDivide(left, expectNumber(right)));
+            break;
+          }
+          case MODULO: {
+            const right = stack.pop();
+            const left = expectNumber(stack.pop());
+            stack.push(modulo(left, expectNumber(right)));
+            break;
+          }
+          case POWER: {
+            const right = stack.pop();
+            const left = expectNumber(stack.pop());
+            stack.push(Math.pow(left, expectNumber(right)));
+            break;
+          }
+          case NEGATE:
+            stack.push(-expectNumber(stack.pop()));
+            break;
+          case PLUS:
+            expectNumber(stack[stack.length - 1]);
+            break;
+          case NOT: {
+            const value = stack.pop();
+            if (typeof value !== 'boolean') throw new RuntimeError("Operator '!' requires a boolean");
+            stack.push(!value);
+            break;
+          }
+          case CHECK_NUMBER:
+            expectNumber(stack[stack.length - 1]);
+            break;
+
+          case EQUAL: {
+            const right = stack.pop();
+            stack.push(equals(stack.pop(), right));
+            break;
+          }
+          case NOT_EQUAL: {
+            const right = stack.pop();
+            stack.push(!equals(stack.pop(), right));
+            break;
+          }
+          case LESS: {
+            const right = stack.pop();
+            const left = expectNumber(stack.pop());
+            stack.push(left < expectNumber(right));
+            break;
+          }
+          case GREATER: {
+            const right = stack.pop();
+            const left = expectNumber(stack.pop());
+            stack.push(left > expectNumber(right));
+            break;
+          }
+          case LESS_EQUAL: {
+            const right = stack.pop();
+            const left = expectNumber(stack.pop());
+            stack.push(left <= expectNumber(right));
+            break;
+          }
+          case GREATER_EQUAL: {
+            const right = stack.pop();
+            const left = expectNumber(stack.pop());
+            stack.push(left >= expectNumber(right));
+            break;
+          }
+
+          case JUMP_IF_FALSE:
+            ip = expectCondition(stack.pop()) ? ip + 1 : code[ip];
+            break;
+          case JUMP_IF_TRUE:
+            if (!expectCondition(stack.pop())) {
+              ip++;
+              break;
+            }
+          // falls through: a jump back to the top of a loop starts its next iteration
+          case JUMP:
+            if (code[ip] < start) {
+              if (budget) budget.step(null);
+              if (--untilPause === 0) {
+                frame.ip = code[ip];
+                return this.pauseAt(frame.fn, start);
+              }
+            }
+            ip = code[ip];
+            break;
+          case JUMP_IF_FALSE_OR_POP:
+            if (expectCondition(stack[stack.length - 1])) {
+              stack.pop();
+              ip++;
+            } else {
+              ip = code[ip];
+            }
+            break;
+          case JUMP_IF_TRUE_OR_POP:
+            if (expectCondition(stack[stack.length - 1])) {
+              ip = code[ip];
+            } else {
+              stack.pop();
+              ip++;
+            }
+            break;
+          case CHECK_BOOLEAN:
+            expectCondition(stack[stack.length - 1]);
+            break;
+          case CHECK_STEP:
+            checkStep(stack[stack.length - 1]);
+            break;
+
+          case CLOSURE:
+            stack.push(new Closure(functions[code[ip++]], frame));
+            break;
+          case CHECK_CALL: {
+            const name = constants[code[ip++]];
+            const count = code[ip++];
+            const callee = stack[stack.length - 1];
+            if (!(callee instanceof Closure)) throw new RuntimeError(`'${name}' is not a function`);
+            if (count !== callee.fn.arity) {
+              throw new RuntimeError(`Function '${name}' expects ${callee.fn.arity} argument(s) but received ${count}`);
+            }
+            break;
+          }
+          case CALL: {
+            const count = code[ip++];
+            const base = stack.length - count - 1;
+            const { fn, frame: closure } = stack[base];
+            if (budget) {
+              budget.enterCall(fn.name, null);
+              budget.step(null);
+            }
+            frame.ip = ip;
+            const caller = frame;
+            frame = new Frame(fn, closure, base);
+            for (let i = 0; i < count; i++) frame.slots[i] = stack[base + 1 + i];
+            stack.length = base;
+            this.frames.push(frame);
+            code = fn.code;
+            ip = 0;
+            // The callee starts once the pause is over
+            if (--untilPause === 0) return this.pauseAt(caller.fn, start);
+            break;
+          }
+          case CALL_BUILTIN: {
+            const name = constants[code[ip++]];
+            const count = code[ip++];
+            stack.push(callBuiltin(name, stack.splice(stack.length - count, count)));
+            break;
+          }
+          case RETURN: {
+            const value = stack.pop();
+            stack.length = frame.base;
+            this.frames.pop();
+            if (budget) budget.exitCall();
+            frame = this.frames[this.frames.length - 1];
+            code = frame.fn.code;
+            ip = frame.ip;
+            stack.push(value);
+            break;
+          }
+
+          case PRINT: {
+            const count = code[ip++];
+            this.writeLine(stack.splice(stack.length - count, count).join(' '));
+            break;
+          }
+          case READ: {
+            const dataType = constants[code[ip++]];
+            const { line, column } = positionAt(frame.fn, start);
+            frame.ip = ip;
+            this.untilPause = untilPause;
+            return read(this.input, dataType, stack.pop(), line, column).then(value => { stack.push(value); });
+          }
+          case FAIL:
+            throw new RuntimeError(constants[code[ip++]]);
+          case HALT:
+            return;
+
+          default:
+            throw new RuntimeError(`Unknown opcode ${opcode} at offset ${start} of ${frame.fn.name}`);
+        }
+      }
+    } catch (error) {
+      // Errors from shared helpers carry no position; place them at the failing instruction
+      if (error instanceof RuntimeError && !error.line) {
+        Object.assign(error, positionAt(frame.fn, start));
+      }
+      throw error;
+    }
+  }
+}
+
+// --- Main Export ---
+
+/*
+Runs a compiled program
+
+@param {Object} program - Program from compileToBytecode or deserializeBytecode
+@param {Object} options - { onOutput: called with each output line, input: input provider, limits, signal }
+@returns {Promise<Object>} { output, errors, success }, like executeProgram
+*/
+export const executeBytecode = async (program, options = {}) => {
+  const machine = new VirtualMachine(program, options);
+
+  try {
+    await machine.run();
+    return { output: machine.output, errors: [], success: true };
+  } catch (error) {
+    if (!(error instanceof RuntimeError)) throw error;
+    const overLimit = error instanceof LimitError;
+    return {
+      output: machine.output,
+      errors: [{
+        line: error.line,
+        column: error.column,
+        message: `${overLimit ? 'Execution Limit' : 'Runtime Error'}: ${error.message}`,
+        category: overLimit ? 'Limit' : 'Runtime',
+        severity: 'error',
+        ...(overLimit && { limit: error.limit })
+      }],
+      success: false
+    };
+  }
+};
+
+export default executeBytecode;
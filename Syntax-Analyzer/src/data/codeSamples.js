@@ -171,7 +171,7 @@ end`
   VALID_STRUCTS: {
     id: 'valid_structs',
     label: '✓ 9. Data Structs & Schema Binding (Valid)',
-    description: 'Demonstrates defining custom data structures, fields, and schema-based function binding.',
+    description: 'Demonstrates defining custom data structures, creating instances with new, field access, and schema-based function binding.',
     content: `start
     /* Function to be bound to the struct */
     function number calculateBonus(number points)
@@ -187,8 +187,12 @@ end`
         bonus: number (calculateBonus)
     }
     
-    string pName = "PlayerOne"
-    echo "New player created: @pName"
+    /* Create an instance and work with its fields */
+    Player player = new Player()
+    player.username = "PlayerOne"
+    player.score += 25
+    echo "New player created: @player.username"
+    echo "Score: " + player.score
 end`
   },
 
@@ -1,6 +1,11 @@
 import { useState, useRef, useCallback } from 'react';
-import { lexicalAnalyzer } from '../core/LexicalScanner';
+import { lexicalAnalyzer } from '../../../shared/lexicalScanner';
 import { syntaxAnalyzer } from '../core/SyntaxAnalysis';
+import { formatCode } from '../core/Formatter';
+import { executeProgram } from '../core/Interpreter';
+import { createConsoleInputProvider } from '../core/InputProviders';
+import { createDebugSession } from '../core/Debugger';
+import { DEFAULT_LIMITS } from '../core/ExecutionLimits';
 import { TOKEN_TYPES } from '../../../shared/tokenTypes';
 import { getSampleById } from '../data/codeSamples';
 
@@ -8,7 +13,7 @@ import { getSampleById } from '../data/codeSamples';
 Dashboard Hook
 
 Manages state and event logic for the syntax analyzer dashboard.
-Dependencies: React hooks, LexicalScanner, SyntaxAnalysis, tokenTypes, codeSamples
+Dependencies: React hooks, LexicalScanner, SyntaxAnalysis, Interpreter, InputProviders, Debugger, ExecutionLimits, tokenTypes, codeSamples
 */
 
 /*
@@ -26,15 +31,27 @@ export const useDashboard = () => {
   const [history, setHistory] = useState([{ code: '', timestamp: Date.now() }]);
   const [historyIndex, setHistoryIndex] = useState(0);
   const [selectedErrorLine, setSelectedErrorLine] = useState(null);
+  const [highlightedRange, setHighlightedRange] = useState(null);
   const [analysisMetrics, setAnalysisMetrics] = useState({
     totalTokens: 0,
     linesOfCode: 0,
     performanceTime: 0
   });
   const [showCopiedTooltip, setShowCopiedTooltip] = useState(false);
+  const [programOutput, setProgramOutput] = useState([]);
+  const [runtimeErrors, setRuntimeErrors] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [hasRun, setHasRun] = useState(false);
+  const [pendingInput, setPendingInput] = useState(null);
+  const [breakpoints, setBreakpoints] = useState([]);
+  const [debugging, setDebugging] = useState(false);
+  const [debugState, setDebugState] = useState(null);
   
   const textareaRef = useRef(null);
   const fileInputRef = useRef(null);
+  const inputProviderRef = useRef(null);
+  const debugSessionRef = useRef(null);
+  const runControllerRef = useRef(null);
 
   /*
   Add code to history for undo/redo functionality
@@ -78,15 +95,31 @@ export const useDashboard = () => {
   const handleSourceCodeChange = useCallback((newCode) => {
     setSourceCode(newCode);
     addToHistory(newCode);
+    // Offsets of the old text no longer apply
+    setHighlightedRange(null);
   }, [addToHistory]);
 
   /*
   Handle error row click to navigate to error location
   
   @param {Number} line - Line number to highlight
+  @param {Number} column - Column of the error
+  @param {Object} range - Source range of the error, when known
   */
-  const handleErrorClick = useCallback((line) => {
+  const handleErrorClick = useCallback((line, column, range = null) => {
     setSelectedErrorLine(line);
+    setHighlightedRange(range);
+  }, []);
+
+  /*
+  Highlight the source region of an AST node
+
+  @param {Object} range - Node range: { start, end, line, column, endLine, endColumn }
+  */
+  const handleRangeSelect = useCallback((range) => {
+    if (!range) return;
+    setSelectedErrorLine(range.line);
+    setHighlightedRange(range);
   }, []);
 
   /*
@@ -102,253 +135,19 @@ export const useDashboard = () => {
     }
   }, [sourceCode]);
 
-  // Format code based on token indentation - True Pretty Printer
+  /*
+  Pretty-print the source (see core/Formatter.js); code with syntax errors is left as is and the
+  errors are shown instead
+  */
   const handleFormatCode = useCallback(() => {
     if (!sourceCode.trim()) return;
-    
-    const tokens = lexicalAnalyzer(sourceCode);
-    let formattedCode = '';
-    let depth = 0;
-    const INDENT = '    ';  // 4 spaces per indent level
-    
-    let currentLine = [];
-    let lastWasDeclaration = false;
-    let lastWasBlockStarter = false;
-    
-    // Helper to get indentation
-    const getIndent = (level) => INDENT.repeat(Math.max(0, level));
-    
-    // Helper to flush current line
-    const flushLine = () => {
-      if (currentLine.length > 0) {
-        formattedCode += getIndent(depth) + currentLine.join('').trim() + '\n';
-        currentLine = [];
-      }
-    };
-    
-    // Helper to add empty line
-    const addEmptyLine = () => {
-      formattedCode += '\n';
-    };
-    
-    // Helper to determine if token is an operator
-    const isOperator = (token) => {
-      return token.type === 'OP_ARITH' || 
-             token.type === 'OP_REL' || 
-             token.type === 'OP_LOG' || 
-             token.type === 'OP_ASGN' ||
-             ['=', '==', '!=', '<', '>', '<=', '>=', '+', '-', '*', '/', '%', '&&', '||'].includes(token.lexeme);
-    };
-    
-    // Helper to add token with proper spacing
-    const addToken = (token, prevToken) => {
-      let needsSpaceBefore = false;
-      
-      if (prevToken && currentLine.length > 0) {
-        // Space before operators
-        if (isOperator(token)) {
-          needsSpaceBefore = true;
-        }
-        // Space after operators
-        else if (isOperator(prevToken)) {
-          needsSpaceBefore = true;
-        }
-        // Space after comma
-        else if (prevToken.lexeme === ',') {
-          needsSpaceBefore = true;
-        }
-        // Space between words/identifiers
-        else if (!token.lexeme.match(/^[,;:)\]}]$/) && !prevToken.lexeme.match(/^[([{]$/)) {
-          needsSpaceBefore = true;
-        }
-      }
-      
-      if (needsSpaceBefore) {
-        currentLine.push(' ');
-      }
-      currentLine.push(token.lexeme);
-    };
-    
-    for (let i = 0; i < tokens.length; i++) {
-      const token = tokens[i];
-      const prevToken = i > 0 ? tokens[i - 1] : null;
-      const nextToken = i < tokens.length - 1 ? tokens[i + 1] : null;
-      const tokenLower = token.lexeme ? token.lexeme.toLowerCase() : '';
-      
-      // Skip comments for now (can be enhanced later)
-      if (token.type === 'CMT_S' || token.type === 'CMT_M') {
-        flushLine();
-        formattedCode += getIndent(depth) + token.lexeme + '\n';
-        continue;
-      }
-      
-      // Handle 'end' keyword - check if it's compound (end if, end for, etc.)
-      if (tokenLower === 'end') {
-        const nextLower = nextToken ? nextToken.lexeme?.toLowerCase() : '';
-        
-        // Add empty line before 'end' if it closes main block
-        if (!nextLower || !['if', 'for', 'while', 'function'].includes(nextLower)) {
-          if (formattedCode.trim().length > 0 && !formattedCode.endsWith('\n\n')) {
-            addEmptyLine();
-          }
-        }
-        
-        // Flush current line and decrease indent
-        flushLine();
-        depth = Math.max(0, depth - 1);
-        
-        // Add 'end' keyword
-        currentLine.push(token.lexeme);
-        
-        // Check for compound end keyword (end if, end for, etc.)
-        if (nextLower && ['if', 'for', 'while', 'function'].includes(nextLower)) {
-          currentLine.push(' ');
-          currentLine.push(nextToken.lexeme);
-          i++;  // Skip next token
-        }
-        
-        flushLine();
-        lastWasBlockStarter = false;
-        continue;
-      }
-      
-      // Handle 'else' keyword
-      if (tokenLower === 'else') {
-        flushLine();
-        depth = Math.max(0, depth - 1);
-        currentLine.push(token.lexeme);
-        flushLine();
-        depth++;
-        lastWasBlockStarter = true;
-        continue;
-      }
-      
-      // Handle 'start' keyword
-      if (tokenLower === 'start') {
-        addToken(token, prevToken);
-        flushLine();
-        depth++;
-        lastWasBlockStarter = true;
-        continue;
-      }
-      
-      // Handle 'function' keyword - add empty line before
-      if (tokenLower === 'function') {
-        flushLine();
-        if (formattedCode.trim().length > 0) {
-          addEmptyLine();
-        }
-        addToken(token, prevToken);
-        lastWasBlockStarter = true;
-        continue;
-      }
-      
-      // Handle 'for' keyword - add empty line before main loop
-      if (tokenLower === 'for') {
-        flushLine();
-        // Check if this is a main for loop (not nested deeply)
-        if (depth === 1 && formattedCode.trim().length > 0) {
-          addEmptyLine();
-        }
-        addToken(token, prevToken);
-        lastWasBlockStarter = true;
-        continue;
-      }
-      
-      // Handle 'if' and 'while' keywords
-      if (tokenLower === 'if' || tokenLower === 'while') {
-        flushLine();
-        addToken(token, prevToken);
-        lastWasBlockStarter = true;
-        continue;
-      }
-      
-      // Handle 'then' keyword - increase indent after
-      if (tokenLower === 'then') {
-        addToken(token, prevToken);
-        flushLine();
-        depth++;
-        lastWasBlockStarter = false;
-        continue;
-      }
-      
-      // Handle data type keywords (declarations)
-      if (['string', 'number', 'boolean', 'decimal'].includes(tokenLower)) {
-        flushLine();
-        addToken(token, prevToken);
-        lastWasDeclaration = true;
-        continue;
-      }
-      
-      // Check if current line is a complete declaration (has assignment)
-      if (lastWasDeclaration && token.type === 'OP_ASGN' && token.lexeme === '=') {
-        addToken(token, prevToken);
-        
-        // Continue adding tokens until end of declaration
-        let j = i + 1;
-        while (j < tokens.length) {
-          const nextTok = tokens[j];
-          if (nextTok.type === 'CMT_S' || nextTok.type === 'CMT_M') break;
-          
-          // Check if we hit a new statement
-          const nextLower = nextTok.lexeme?.toLowerCase();
-          if (['string', 'number', 'boolean', 'decimal', 'echo', 'input', 'if', 'for', 'while', 'function', 'return'].includes(nextLower)) {
-            break;
-          }
-          
-          addToken(nextTok, tokens[j - 1]);
-          j++;
-        }
-        
-        flushLine();
-        lastWasDeclaration = false;
-        i = j - 1;  // Update main loop counter
-        continue;
-      }
-      
-      // Handle statement keywords (echo, return, input, etc.)
-      if (['echo', 'return', 'input'].includes(tokenLower)) {
-        flushLine();
-        addToken(token, prevToken);
-        
-        // Continue adding rest of statement
-        let j = i + 1;
-        while (j < tokens.length) {
-          const nextTok = tokens[j];
-          if (nextTok.type === 'CMT_S' || nextTok.type === 'CMT_M') break;
-          
-          const nextLower = nextTok.lexeme?.toLowerCase();
-          if (['string', 'number', 'boolean', 'decimal', 'echo', 'input', 'if', 'for', 'while', 'function', 'return', 'end'].includes(nextLower)) {
-            break;
-          }
-          
-          addToken(nextTok, tokens[j - 1]);
-          j++;
-        }
-        
-        flushLine();
-        i = j - 1;
-        continue;
-      }
-      
-      // Handle block starters that increase indent
-      if (lastWasBlockStarter && (tokenLower === 'function' || tokenLower === 'for' || tokenLower === 'while')) {
-        // Already handled above
-      } else {
-        // Default: add token to current line
-        addToken(token, prevToken);
-      }
-    }
-    
-    // Flush any remaining tokens
-    flushLine();
-    
-    // Ensure file ends with newline
-    if (!formattedCode.endsWith('\n')) {
-      formattedCode += '\n';
+
+    const result = formatCode(sourceCode);
+    if (!result.formatted) {
+      setErrors(result.errors);
+      return;
     }
-    
-    handleSourceCodeChange(formattedCode);
+    if (result.code !== sourceCode) handleSourceCodeChange(result.code);
   }, [sourceCode, handleSourceCodeChange]);
 
   // Export code as .echo file
@@ -375,15 +174,16 @@ export const useDashboard = () => {
       
       const tokens = lexicalAnalyzer(sourceCode);
       
-      // Scanner now only tokenizes - all validation happens in syntax analyzer
-      // Check for UNKNOWN tokens and report them
+      // Scanner only tokenizes - all validation happens in syntax analyzer
+      // Report the tokens the scanner rejected (UNKNOWN and ERROR) as lexical errors
       const unknownTokenErrors = tokens
-        .filter(token => token.type === TOKEN_TYPES.UNKNOWN)
+        .filter(token => token.type === TOKEN_TYPES.UNKNOWN || token.type === TOKEN_TYPES.ERROR)
         .map((token, index) => ({
           id: `lex-${index}`,
           line: token.line,
           column: token.column || 1,
-          message: `Unknown or invalid token: '${token.lexeme}'`,
+          range: { start: token.start, end: token.end, line: token.line, column: token.column, endLine: token.endLine, endColumn: token.endColumn },
+          message: token.message || `Unknown or invalid token: '${token.lexeme}'`,
           category: 'General',
           severity: 'error'
         }));
@@ -396,8 +196,8 @@ export const useDashboard = () => {
       const performanceTime = (endTime - startTime).toFixed(2);
       
       // Calculate metrics
-      const totalTokens = tokens.length;
-      const linesOfCode = tokens.length > 0 
+      const totalTokens = tokens.filter(t => t.type !== TOKEN_TYPES.END_OF_FILE).length;
+      const linesOfCode = totalTokens > 0 
         ? Math.max(...tokens.map(t => t.line || 0))
         : 0;
       
@@ -420,12 +220,163 @@ export const useDashboard = () => {
     }, 300);
   }, [sourceCode]);
 
+  /*
+  Analyze and execute the program, collecting its echo output
+
+  Execution only starts when analysis reports no errors, and runs within DEFAULT_LIMITS so a
+  runaway program stops with a diagnostic instead of hanging the page. The run can be stopped at any time
+  through its AbortController. In debug mode the program runs under a debug session that pauses on
+  breakpoints, or on the first statement when none are set.
+
+  @param {Boolean} debug - Whether to run under the debugger
+  */
+  const startProgram = useCallback(async (debug) => {
+    inputProviderRef.current?.cancel('Program was restarted');
+    debugSessionRef.current?.stop('Program was restarted');
+    debugSessionRef.current = null;
+    runControllerRef.current?.abort('Program was restarted');
+    runControllerRef.current = null;
+    setPendingInput(null);
+    setDebugState(null);
+    setDebugging(false);
+    setRunning(true);
+    setHasRun(true);
+    setProgramOutput([]);
+    setRuntimeErrors([]);
+
+    const tokens = lexicalAnalyzer(sourceCode);
+    const syntaxResult = syntaxAnalyzer(tokens);
+
+    setErrors(syntaxResult.errors || []);
+    setWarnings(syntaxResult.warnings || []);
+    setAst(syntaxResult.ast);
+    setAstValid(syntaxResult.astValid || false);
+
+    if (!syntaxResult.success || !syntaxResult.ast) {
+      setRuntimeErrors([{
+        line: 0,
+        column: 0,
+        message: 'Program was not executed because analysis reported errors',
+        category: 'Runtime',
+        severity: 'error'
+      }]);
+      setRunning(false);
+      return;
+    }
+
+    const inputProvider = createConsoleInputProvider({ onRequest: setPendingInput });
+    inputProviderRef.current = inputProvider;
+
+    const session = debug
+      ? createDebugSession({
+        breakpoints,
+        stopOnEntry: breakpoints.length === 0,
+        onPause: (state) => {
+          if (inputProviderRef.current === inputProvider) setDebugState(state);
+        },
+        onResume: () => setDebugState(null)
+      })
+      : null;
+    debugSessionRef.current = session;
+    setDebugging(debug);
+
+    const controller = new AbortController();
+    runControllerRef.current = controller;
+
+    const result = await executeProgram(syntaxResult.ast, {
+      onOutput: (line) => {
+        if (inputProviderRef.current === inputProvider) setProgramOutput(prev => [...prev, line]);
+      },
+      input: inputProvider,
+      debugger: session,
+      limits: DEFAULT_LIMITS,
+      signal: controller.signal
+    });
+
+    // A newer run replaces this one; its results are no longer relevant
+    if (inputProviderRef.current !== inputProvider) return;
+
+    inputProviderRef.current = null;
+    debugSessionRef.current = null;
+    runControllerRef.current = null;
+    setPendingInput(null);
+    setDebugState(null);
+    setDebugging(false);
+    setRuntimeErrors(result.errors);
+    setRunning(false);
+
+    // Limit errors are also listed with the analysis results, where they can be clicked
+    const limitErrors = result.errors.filter(error => error.category === 'Limit');
+    if (limitErrors.length > 0) setErrors(prev => [...prev, ...limitErrors]);
+  }, [sourceCode, breakpoints]);
+
+  const handleRun = useCallback(() => startProgram(false), [startProgram]);
+
+  const handleDebug = useCallback(() => startProgram(true), [startProgram]);
+
+  /*
+  Set or remove the breakpoint on a line; a running debug session picks the change up at once
+
+  @param {Number} line - Line number clicked in the editor gutter
+  */
+  const handleToggleBreakpoint = useCallback((line) => {
+    setBreakpoints(prev => {
+      const next = prev.includes(line) ? prev.filter(item => item !== line) : [...prev, line].sort((a, b) => a - b);
+      debugSessionRef.current?.setBreakpoints(next);
+      return next;
+    });
+  }, []);
+
+  /*
+  Resume the paused program
+
+  @param {String} action - 'resume', 'stepOver', 'stepInto' or 'stepOut'
+  */
+  const handleDebugStep = useCallback((action) => {
+    debugSessionRef.current?.[action]?.();
+  }, []);
+
+  // End the running program where it is, whether it is busy, waiting for input or paused in the debugger
+  const handleStop = useCallback(() => {
+    inputProviderRef.current?.cancel('Program was stopped');
+    debugSessionRef.current?.stop('Program was stopped');
+    runControllerRef.current?.abort('Program was stopped');
+  }, []);
+
+  /*
+  Answer the input request the running program is waiting on
+
+  @param {String} text - Text entered in the output console
+  */
+  const handleInputSubmit = useCallback((text) => {
+    const provider = inputProviderRef.current;
+    if (!provider || !pendingInput) return;
+
+    setProgramOutput(prev => [...prev, `${pendingInput.prompt}${text}`]);
+    setPendingInput(null);
+    provider.submit(text);
+  }, [pendingInput]);
+
   const handleClear = () => {
+    inputProviderRef.current?.cancel('Program was cleared');
+    inputProviderRef.current = null;
+    debugSessionRef.current?.stop('Program was cleared');
+    debugSessionRef.current = null;
+    runControllerRef.current?.abort('Program was cleared');
+    runControllerRef.current = null;
     handleSourceCodeChange('');
     setErrors([]);
     setWarnings([]);
     setAst(null);
     setAstValid(false);
+    setProgramOutput([]);
+    setRuntimeErrors([]);
+    setHasRun(false);
+    setPendingInput(null);
+    setRunning(false);
+    setBreakpoints([]);
+    setDebugging(false);
+    setDebugState(null);
     setHistory([{ code: '', timestamp: Date.now() }]);
     setHistoryIndex(0);
     setAnalysisMetrics({
@@ -514,16 +465,32 @@ export const useDashboard = () => {
     textareaRef,
     fileInputRef,
     selectedErrorLine,
+    highlightedRange,
     analysisMetrics,
     showCopiedTooltip,
+    programOutput,
+    runtimeErrors,
+    running,
+    hasRun,
+    pendingInput,
+    breakpoints,
+    debugging,
+    debugState,
     handleSourceCodeChange,
     handleAnalyze,
+    handleRun,
+    handleInputSubmit,
+    handleDebug,
+    handleDebugStep,
+    handleStop,
+    handleToggleBreakpoint,
     handleClear,
     handleFileUpload,
     handleKeyDown,
     handleUndo,
     handleRedo,
     handleErrorClick,
+    handleRangeSelect,
     handleCopyToClipboard,
     handleFormatCode,
     handleExportFile,
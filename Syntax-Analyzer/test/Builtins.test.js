@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { lexicalAnalyzer } from '../../shared/lexicalScanner.js';
+import { syntaxAnalyzer } from '../src/core/SyntaxAnalysis.js';
+import { executeProgram } from '../src/core/Interpreter.js';
+import { callBuiltin } from '../src/core/Builtins.js';
+import { RuntimeError } from '../src/core/RuntimeError.js';
+
+describe('callBuiltin', () => {
+  it('sums an empty list to 0 and fails the other aggregates on it', () => {
+    assert.equal(callBuiltin('sum', [[]]), 0);
+    for (const name of ['average', 'median', 'mode']) {
+      assert.throws(() => callBuiltin(name, [[]]), { message: `${name}() of an empty list is undefined` });
+    }
+  });
+
+  it('takes the mean of the two middle elements of an even-length list as its median', () => {
+    assert.equal(callBuiltin('median', [[4, 1, 3, 2]]), 2.5);
+    assert.equal(callBuiltin('median', [[7, 1, 3]]), 3);
+    assert.equal(callBuiltin('median', [[1.5, 2]]), 1.75);
+  });
+
+  it('resolves ties in mode to the smallest tied value', () => {
+    assert.equal(callBuiltin('mode', [[3, 1, 3, 1, 2]]), 1);
+    assert.equal(callBuiltin('mode', [[2, 2, 5, 5, 5]]), 5);
+    assert.equal(callBuiltin('mode', [[-1, 4]]), -1);
+  });
+
+  it('mixes numbers and decimals in lists', () => {
+    assert.equal(callBuiltin('sum', [[1, 2.5]]), 3.5);
+    assert.equal(callBuiltin('average', [[1, 2, 4.5]]), 2.5);
+  });
+
+  it('checks parity of whole numbers only', () => {
+    assert.equal(callBuiltin('isEven', [-4]), true);
+    assert.equal(callBuiltin('isOdd', [-3]), true);
+    assert.throws(() => callBuiltin('isEven', [2.5]), { message: 'isEven() expects a whole number but received a decimal' });
+  });
+
+  it('rejects arguments that are not lists of numbers', () => {
+    assert.throws(() => callBuiltin('sum', [5]), { message: 'sum() expects a list of numbers but received a number' });
+    assert.throws(() => callBuiltin('sum', [[1, 'a']]), { message: 'sum() expects only numbers, found a string at index 1' });
+    assert.throws(() => callBuiltin('mode', [[1], [2]]), { message: 'mode() expects 1 argument(s) but received 2' });
+    assert.throws(() => callBuiltin('product', [[1]]), RuntimeError);
+  });
+
+  it('matches names case-insensitively', () => {
+    assert.equal(callBuiltin('ISODD', [1]), true);
+  });
+
+  it('places errors at the call when a program runs', async () => {
+    const { ast } = syntaxAnalyzer(lexicalAnalyzer('start\n  list of number xs = []\n  echo 1\n  echo   average(xs)\nend'));
+    const result = await executeProgram(ast);
+
+    assert.deepEqual(result.output, ['1']);
+    assert.deepEqual(result.errors.map(({ line, column, message }) => ({ line, column, message })), [
+      { line: 4, column: 10, message: 'Runtime Error: average() of an empty list is undefined' },
+    ]);
+  });
+});
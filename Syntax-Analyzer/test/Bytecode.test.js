@@ -0,0 +1,110 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { lexicalAnalyzer } from '../../shared/lexicalScanner.js';
+import { syntaxAnalyzer } from '../src/core/SyntaxAnalysis.js';
+import { compileToBytecode } from '../src/core/BytecodeCompiler.js';
+import { executeBytecode } from '../src/core/VirtualMachine.js';
+import { disassemble } from '../src/core/Disassembler.js';
+import { BytecodeError, deserializeBytecode, isBytecode, serializeBytecode } from '../src/core/Bytecode.js';
+import { getAllSamples } from '../src/data/codeSamples.js';
+
+const compile = (source) => compileToBytecode(syntaxAnalyzer(lexicalAnalyzer(source)).ast, { sourceName: 'test.echo' });
+
+const SOURCE = [
+  'start',
+  '  number total = 0',
+  '  function number add(number n)',
+  '    total += n',
+  '    return total',
+  '  end function',
+  '  echo add(2)',
+  'end',
+].join('\n');
+
+describe('.echob files', () => {
+  it('store every valid sample without changing it', () => {
+    for (const { id, content } of getAllSamples().filter(sample => sample.id.startsWith('valid'))) {
+      const program = compile(content);
+      const bytes = serializeBytecode(program);
+
+      assert.equal(isBytecode(bytes), true, id);
+      assert.deepEqual(deserializeBytecode(bytes), program, id);
+    }
+  });
+
+  it('keep constants of every kind, including text outside ASCII', async () => {
+    const program = compile('start\n  decimal d = -2.5\n  string s = "héllo ✓"\n  boolean b = true\n  echo d\n  echo s\n  echo b\n  echo 300000\nend');
+    const copy = deserializeBytecode(serializeBytecode(program));
+
+    assert.deepEqual(copy.constants, program.constants);
+    assert.deepEqual((await executeBytecode(copy)).output, (await executeBytecode(program)).output);
+  });
+
+  it('reject bytes that are not a complete program of this version', () => {
+    const bytes = serializeBytecode(compile(SOURCE));
+    const otherVersion = Uint8Array.from(bytes);
+    otherVersion[4] = 99;
+
+    assert.equal(isBytecode(new TextEncoder().encode('start')), false);
+    assert.throws(() => deserializeBytecode(new TextEncoder().encode('start')), { message: 'Not an ECHO bytecode file' });
+    assert.throws(() => deserializeBytecode(otherVersion), { message: /^Unsupported bytecode version 99/ });
+    assert.throws(() => deserializeBytecode(bytes.subarray(0, bytes.length - 1)), { message: 'Unexpected end of bytecode' });
+    assert.throws(() => deserializeBytecode(Uint8Array.from([...bytes, 0])), BytecodeError);
+  });
+});
+
+describe('disassemble', () => {
+  it('lists each function with the source lines next to their instructions', () => {
+    assert.equal(disassemble(compile(SOURCE), { source: SOURCE }), [
+      '; ECHO bytecode version 3, compiled from test.echo',
+      '; 4 constant(s), 2 function(s)',
+      '',
+      'function <main> (0 parameters; locals: add, total)',
+      '  ; 3 | function number add(number n)',
+      '     0  CLOSURE               1         ; add',
+      '     2  DECLARE               0         ; add',
+      '  ; 2 | number total = 0',
+      '     4  CONSTANT              0         ; 0',
+      '     6  DECLARE               1         ; total',
+      '  ; 7 | echo add(2)',
+      '     8  LOAD_LOCAL            0         ; add',
+      '    10  CHECK_CALL            2 1       ; add/1',
+      '    13  CONSTANT              3         ; 2',
+      '    15  CALL                  1',
+      '    17  FORMAT                0',
+      '    19  PRINT                 1',
+      '    21  HALT',
+      '',
+      'function add (1 parameter; locals: n)',
+      '  ; 4 | total += n',
+      '     0  LOAD_LOCAL            0         ; n',
+      '     2  LOAD_GLOBAL           1         ; total',
+      '     4  SWAP',
+      '     5  ADD',
+      '     6  STORE_GLOBAL          1         ; total',
+      '  ; 5 | return total',
+      '     8  LOAD_GLOBAL           1         ; total',
+      '    10  RETURN',
+      '    11  CONSTANT              1         ; null',
+      '    13  RETURN',
+      '',
+    ].join('\n'));
+  });
+
+  it('names the variables of enclosing functions and leaves out source it was not given', () => {
+    const listing = disassemble(compile([
+      'start',
+      '  function number outer(number n)',
+      '    function number inner()',
+      '      return n + 1',
+      '    end function',
+      '    return inner()',
+      '  end function',
+      '  echo outer(1)',
+      'end',
+    ].join('\n')));
+
+    assert.match(listing, /LOAD_OUTER +1 0 +; n of outer\n/);
+    assert.doesNotMatch(listing, /; \d+ \|/);
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { lexicalAnalyzer } from '../../shared/lexicalScanner.js';
+import { syntaxAnalyzer } from '../src/core/SyntaxAnalysis.js';
+import { AST_NODE_TYPES, createNode } from '../src/core/ASTBuilder.js';
+import { buildControlFlowGraphs, isAlwaysTrue } from '../src/core/ControlFlow.js';
+
+const program = (...lines) => `start\n${lines.map(line => `  ${line}`).join('\n')}\nend`;
+
+// Control-flow warnings as "line:column message"
+const warnings = (source) => syntaxAnalyzer(lexicalAnalyzer(source)).warnings
+  .filter(({ message }) => !message.includes('initializ'))
+  .map(({ line, column, message }) => `${line}:${column} ${message}`);
+
+const UNREACHABLE = 'Unreachable code: no path leads to this statement.';
+
+describe('isAlwaysTrue', () => {
+  const literal = (value) => createNode(AST_NODE_TYPES.BOOL_LIT, { value });
+  const wrap = (node) => createNode(AST_NODE_TYPES.EXPRESSION, { value: node });
+
+  it('sees through any number of wrapping expressions', () => {
+    assert.equal(isAlwaysTrue(literal(true)), true);
+    assert.equal(isAlwaysTrue(wrap(wrap(wrap(literal(true))))), true);
+    assert.equal(isAlwaysTrue(wrap(wrap(literal(false)))), false);
+    assert.equal(isAlwaysTrue(wrap(null)), false);
+  });
+});
+
+describe('buildControlFlowGraphs', () => {
+  it('builds a graph for the program and each function, leaving definitions out of the flow', () => {
+    const { ast } = syntaxAnalyzer(lexicalAnalyzer(program('function f()', '  echo 1', 'end function', 'f()')));
+    const [main, f] = buildControlFlowGraphs(ast);
+
+    assert.deepEqual([main.name, f.name], ['<main>', 'f']);
+    assert.deepEqual(main.vertices.map(({ kind }) => kind), ['entry', 'exit', 'statement']);
+    assert.deepEqual(main.entry.successors.map(({ node }) => node.type), [AST_NODE_TYPES.FUNCTION_CALL]);
+  });
+});
+
+describe('checkControlFlow', () => {
+  it('accepts a program where every statement can run and every loop can end', () => {
+    const source = program('number i = 0', 'while true', '  i += 1', '  if i > 3', '    break', '  end if', 'end while', 'echo i');
+    assert.deepEqual(warnings(source), []);
+  });
+
+  it('warns about loops that never end, however the condition is parenthesized', () => {
+    const whileLoop = program('number i = 0', 'while ((true))', '  i += 1', 'end while', 'echo i');
+    const doLoop = program('number i = 0', 'do', '  i += 1', 'while true', 'end do', 'echo i');
+
+    assert.deepEqual(warnings(whileLoop), [
+      '3:3 This while loop never ends; nothing breaks out of it or returns.',
+      `6:3 ${UNREACHABLE}`,
+    ]);
+    assert.deepEqual(warnings(doLoop), [
+      '3:3 This do loop never ends; nothing breaks out of it or returns.',
+      `7:3 ${UNREACHABLE}`,
+    ]);
+  });
+
+  it('reports the first statement after break, continue and return', () => {
+    const loops = program('number i', 'for i = 1 to 3', '  break', '  echo i', 'end for', 'i = 3', 'while i > 0', '  i -= 1', '  continue', '  echo i', 'end while');
+    const returns = program(
+      'function number f(number n)', '  if n > 0', '    return 1', '  else', '    return 2', '  end if', '  echo n', '  return 3', 'end function', 'echo f(1)'
+    );
+
+    assert.deepEqual(warnings(loops), [`5:5 ${UNREACHABLE}`, `11:5 ${UNREACHABLE}`]);
+    assert.deepEqual(warnings(returns), [`8:5 ${UNREACHABLE}`]);
+  });
+
+  it('warns about functions where an else if or a switch without default misses a return', () => {
+    const missing = "2:19 Function 'f' can reach its end without returning a 'number'; not every path has a return.";
+    const elseIf = program('function number f(number n)', '  if n > 0', '    return 1', '  else if n < 0', '    return 2', '  end if', 'end function', 'echo f(1)');
+    const switchCases = (...cases) => program('function number f(number n)', '  switch n', ...cases, '  end switch', 'end function', 'echo f(1)');
+
+    assert.deepEqual(warnings(elseIf), [missing]);
+    assert.deepEqual(warnings(switchCases('    case 1', '      return 1')), [missing]);
+    assert.deepEqual(warnings(switchCases('    case 1', '      return 1', '    default', '      return 2')), []);
+  });
+
+  it('accepts a function that can only leave an endless loop by returning', () => {
+    const source = program('function number f(number n)', '  while true', '    return n', '  end while', 'end function', 'echo f(1)');
+    assert.deepEqual(warnings(source), []);
+  });
+});
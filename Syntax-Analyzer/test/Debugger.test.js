@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { lexicalAnalyzer } from '../../shared/lexicalScanner.js';
+import { syntaxAnalyzer } from '../src/core/SyntaxAnalysis.js';
+import { executeProgram } from '../src/core/Interpreter.js';
+import { createDebugSession } from '../src/core/Debugger.js';
+
+const parse = (source) => syntaxAnalyzer(lexicalAnalyzer(source)).ast;
+
+const PROGRAM = [
+  'start',
+  '  function number twice(number n)',
+  '    number d = n * 2',
+  '    return d',
+  '  end function',
+  '  number a = 1',
+  '  number b = twice(a)',
+  '  echo b',
+  '  a = 5',
+  '  echo a',
+  'end',
+].join('\n');
+
+/*
+Runs a program under a debug session that answers each pause with the next of `actions`
+
+@param {Object} options - Options of createDebugSession besides onPause
+@param {Array} actions - Session methods (or functions of the session) to call, one per pause;
+                         resume once they run out
+@param {String} source - Program to run
+@param {Function} runOptions - Given the session, returns more options for executeProgram
+@returns {Promise<Object>} { pauses: "line reason function" per pause, result, session }
+*/
+const debug = async (options, actions = [], source = PROGRAM, runOptions = () => ({})) => {
+  const pauses = [];
+  const session = createDebugSession({
+    ...options,
+    onPause: ({ line, reason, callStack }) => {
+      pauses.push(`${line} ${reason} ${callStack[0].name}`);
+      assert.equal(session.isPaused(), true);
+      const action = actions.shift() || 'resume';
+      setTimeout(() => (typeof action === 'function' ? action(session) : session[action]()));
+    },
+  });
+  const result = await executeProgram(parse(source), { ...runOptions(session), debugger: session });
+  return { pauses, result, session };
+};
+
+describe('createDebugSession', () => {
+  it('pauses at breakpoints, and on entry when asked to', async () => {
+    const { pauses, result } = await debug({ breakpoints: [8, 3], stopOnEntry: true });
+
+    assert.deepEqual(pauses, ['6 entry <main>', '3 breakpoint twice', '8 breakpoint <main>']);
+    assert.deepEqual(result.output, ['2', '5']);
+  });
+
+  it('steps over a call to the next statement of the same function', async () => {
+    const { pauses } = await debug({ breakpoints: [7] }, ['stepOver', 'stepOver']);
+    assert.deepEqual(pauses, ['7 breakpoint <main>', '8 step <main>', '9 step <main>']);
+  });
+
+  it('steps into a call and back out of it', async () => {
+    const { pauses } = await debug({ breakpoints: [7] }, ['stepInto', 'stepInto', 'stepOut']);
+    assert.deepEqual(pauses, ['7 breakpoint <main>', '3 step twice', '4 step twice', '8 step <main>']);
+  });
+
+  it('stops at a breakpoint inside a call made while stepping over it', async () => {
+    const { pauses } = await debug({ breakpoints: [7, 4] }, ['stepOver', 'stepOver']);
+    assert.deepEqual(pauses, ['7 breakpoint <main>', '4 breakpoint twice', '8 step <main>']);
+  });
+
+  it('applies breakpoints changed while the program runs from the next statement', async () => {
+    const source = 'start\n  number i\n  string s\n  for i = 1 to 3\n    s = input(string)\n    echo i\n  end for\nend';
+    let reads = 0;
+    // Set during the first read and cleared during the third, while the program is not paused
+    const input = (session) => ({
+      read: async () => {
+        reads++;
+        assert.equal(session.isPaused(), false);
+        if (reads === 1) session.setBreakpoints([6]);
+        if (reads === 3) session.setBreakpoints([]);
+        return 'x';
+      },
+    });
+    const { pauses, result } = await debug({}, [], source, (session) => ({ input: input(session) }));
+
+    assert.deepEqual(pauses, ['6 breakpoint <main>', '6 breakpoint <main>']);
+    assert.deepEqual(result.output, ['1', '2', '3']);
+  });
+
+  it('ends the program when stopped while paused', async () => {
+    const { pauses, result, session } = await debug({ breakpoints: [8] }, [(paused) => paused.stop()]);
+
+    assert.deepEqual(pauses, ['8 breakpoint <main>']);
+    assert.equal(session.isPaused(), false);
+    assert.deepEqual(result.output, []);
+    assert.equal(result.success, false);
+    assert.equal(result.errors[0].message, 'Runtime Error: Program was stopped');
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { lexicalAnalyzer } from '../../shared/lexicalScanner.js';
+import { syntaxAnalyzer } from '../src/core/SyntaxAnalysis.js';
+
+// Definite-assignment findings as "line:column severity message"
+const findings = (source) => {
+  const { errors, warnings } = syntaxAnalyzer(lexicalAnalyzer(source));
+  return [...errors, ...warnings]
+    .filter(({ message }) => message.includes('initializ'))
+    .map(({ line, column, severity, message }) => `${line}:${column} ${severity} ${message}`);
+};
+
+const program = (...lines) => `start\n${lines.map(line => `  ${line}`).join('\n')}\nend`;
+
+describe('definite assignment in functions', () => {
+  const readG = ['function number readG()', '  return g', 'end function'];
+
+  it('accepts a function defined before the outer variable it reads is assigned', () => {
+    assert.deepEqual(findings(program('number g', ...readG, 'g = 5', 'echo readG()')), []);
+  });
+
+  it('reports a call made before the outer variable is assigned, wherever the function is defined', () => {
+    const expected = ["3:8 error Variable 'g' is used by 'readG' but has not been initialized."];
+    assert.deepEqual(findings(program('number g', 'echo readG() + 1', 'g = 5', ...readG)), expected);
+    assert.deepEqual(findings(program('number g', 'echo readG() + 1', ...readG, 'g = 5')), expected);
+  });
+
+  it('warns about a call reached before the outer variable is assigned on every path', () => {
+    assert.deepEqual(findings(program('number g', 'boolean c = true', 'if c', '  g = 1', 'end if', 'echo readG()', ...readG)), [
+      "7:8 warning Variable 'g' may be used by 'readG' before initialization; not every path to this call assigns it.",
+    ]);
+  });
+
+  it('checks the outer variables of nested calls at the outermost call', () => {
+    const source = program(
+      'number g',
+      'function number outer()', '  return readG()', 'end function',
+      ...readG,
+      'echo outer()',
+      'g = 2',
+      'echo outer()'
+    );
+    assert.deepEqual(findings(source), ["9:8 error Variable 'g' is used by 'outer' but has not been initialized."]);
+  });
+
+  it('lets a call assign the outer variables its function assigns on every path', () => {
+    const source = program('number g', 'function setG()', '  g = 2', 'end function', 'setG()', 'echo readG()', ...readG);
+    assert.deepEqual(findings(source), []);
+  });
+
+  it('reports locals read before assignment in the body itself', () => {
+    const source = program('function number f()', '  number x', '  return x', 'end function', 'echo f()');
+    assert.deepEqual(findings(source), ["4:12 error Variable 'x' is used but has not been initialized."]);
+  });
+});
+
+describe('definite assignment across branches and loops', () => {
+  const read = ['number x', 'number c', 'c = input(number)'];
+  const maybe = (line) => [`${line}:8 warning Variable 'x' may be used before initialization; not every path to this use assigns it.`];
+
+  it('accepts a read after if, else if and else all assign', () => {
+    const source = program(...read, 'if c > 0', '  x = 1', 'else if c < 0', '  x = 2', 'else', '  x = 3', 'end if', 'echo x');
+    assert.deepEqual(findings(source), []);
+  });
+
+  it('warns when an if without else leaves a path unassigned', () => {
+    const source = program(...read, 'if c > 0', '  x = 1', 'else if c < 0', '  x = 2', 'end if', 'echo x');
+    assert.deepEqual(findings(source), maybe(10));
+  });
+
+  it('needs a default for a switch to assign on every path', () => {
+    const withDefault = program(...read, 'switch c', '  case 1', '    x = 1', '  default', '    x = 2', 'end switch', 'echo x');
+    const withoutDefault = program(...read, 'switch c', '  case 1', '    x = 1', '  case 2', '    x = 2', 'end switch', 'echo x');
+
+    assert.deepEqual(findings(withDefault), []);
+    assert.deepEqual(findings(withoutDefault), maybe(11));
+  });
+
+  it('follows break out of an endless loop with the state at the break', () => {
+    const breakFirst = ['b = input(boolean)', 'if b', '  break', 'end if'];
+    const before = program('number x', 'boolean b', 'while true', '  x = 1', ...breakFirst.map(line => `  ${line}`), 'end while', 'echo x');
+    const after = program('number x', 'boolean b', 'while true', ...breakFirst.map(line => `  ${line}`), '  x = 1', 'end while', 'echo x');
+
+    assert.deepEqual(findings(before), []);
+    assert.deepEqual(findings(after), maybe(11));
+  });
+
+  it('leaves paths that continue or return out of what follows them', () => {
+    const continues = program('number x', 'number i', 'for i = 1 to 3', '  if i == 2', '    continue', '  end if', '  x = i', 'end for', 'echo x');
+    const returns = program(
+      'function number f(number n)', '  number x', '  if n > 0', '    return 1', '  end if', '  x = 2', '  return x', 'end function', 'echo f(1)'
+    );
+
+    assert.deepEqual(findings(continues), maybe(10));
+    assert.deepEqual(findings(returns), []);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatCode } from '../src/core/Formatter.js';
+
+describe('formatCode', () => {
+  it('lays out a program that parses', () => {
+    const result = formatCode('start\n   echo   1\nend');
+    assert.equal(result.formatted, true);
+    assert.equal(result.code, 'start\n    echo 1\nend\n');
+  });
+
+  it('formats programs whose only errors are semantic', () => {
+    const result = formatCode('start\nnumber x = "text"\nend');
+    assert.equal(result.formatted, true);
+    assert.equal(result.code, 'start\n    number x = "text"\nend\n');
+  });
+
+  it('keeps a comment that ends a block with the block rather than the clause after it', () => {
+    const source = [
+      'start',
+      'if true',
+      'echo 1',
+      '// end of then',
+      'else if false',
+      'echo 2',
+      '// end of else if',
+      'end if',
+      'switch 1',
+      'case 1',
+      'echo 3',
+      '// end of case',
+      'default',
+      'echo 4',
+      '// end of default',
+      'end switch',
+      'end',
+    ].join('\n');
+    const result = formatCode(source);
+
+    assert.equal(result.formatted, true);
+    assert.equal(result.code, [
+      'start',
+      '    if true',
+      '        echo 1',
+      '        // end of then',
+      '    else if false',
+      '        echo 2',
+      '        // end of else if',
+      '    end if',
+      '    switch 1',
+      '        case 1',
+      '            echo 3',
+      '            // end of case',
+      '        default',
+      '            echo 4',
+      '            // end of default',
+      '    end switch',
+      'end',
+      '',
+    ].join('\n'));
+  });
+
+  const unparseable = {
+    'a missing start': 'number x = 1\necho x\nend',
+    'a missing end': 'start\n  echo 1',
+    'an if without end if': 'start\n  if true\n      echo 1\nend',
+    'an end with the wrong keyword': 'start\n  while true\n  break\n  end for\nend',
+    'an invalid token': 'start\n  echo 1 $\nend',
+    'an unclosed parenthesis': 'start\n  echo (1\nend',
+    'an unclosed parameter list': 'start\n  function f(number a\n    return a\n  end function\nend',
+    'an unclosed list literal': 'start\n  list xs = [1, 2\nend',
+    'statements after end': 'start\n  echo 1\nend\necho 2',
+  };
+
+  for (const [problem, source] of Object.entries(unparseable)) {
+    it(`returns a program with ${problem} unchanged`, () => {
+      const result = formatCode(source);
+      assert.equal(result.formatted, false);
+      assert.equal(result.code, source);
+      assert.ok(result.errors.length > 0);
+    });
+  }
+});
@@ -0,0 +1,105 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'node:stream';
+import {
+  coerceInput, createConsoleInputProvider, createQueueInputProvider, createStdinInputProvider
+} from '../src/core/InputProviders.js';
+
+const request = (dataType, prompt = '') => ({ dataType, prompt, line: 1, column: 1 });
+
+describe('coerceInput', () => {
+  it('reads whole numbers and decimals, ignoring surrounding spaces', () => {
+    assert.equal(coerceInput(' -42 ', 'number'), -42);
+    assert.equal(coerceInput('+7', 'number'), 7);
+    assert.equal(coerceInput('2.5e3', 'decimal'), 2500);
+    assert.equal(coerceInput('.5', 'decimal'), 0.5);
+    assert.equal(coerceInput('3', 'decimal'), 3);
+  });
+
+  it('rejects text that is not a value of the requested type', () => {
+    assert.throws(() => coerceInput('2.5', 'number'), { message: "Invalid number input '2.5': expected a whole number such as 42" });
+    for (const text of ['1_000', 'inf', 'NaN', '0x10', '']) {
+      assert.throws(() => coerceInput(text, 'decimal'), { message: `Invalid decimal input '${text}': expected a number such as 3.14` });
+    }
+    assert.throws(() => coerceInput('yes', 'boolean'), { message: "Invalid boolean input 'yes': expected true or false" });
+    assert.throws(() => coerceInput('x', 'struct'), { message: "input() cannot read values of type 'struct'" });
+  });
+
+  it('keeps strings exactly as entered', () => {
+    assert.equal(coerceInput('  hello ', 'string'), '  hello ');
+  });
+
+  it('reads booleans in any case', () => {
+    assert.equal(coerceInput('TRUE', 'boolean'), true);
+    assert.equal(coerceInput('False', 'boolean'), false);
+  });
+
+  it('reads lists with or without brackets, typing each element', () => {
+    assert.deepEqual(coerceInput('[1, 2.5, true, null, "a, b", word]', 'list'), [1, 2.5, true, null, 'a, b', 'word']);
+    assert.deepEqual(coerceInput('3, 4', 'list'), [3, 4]);
+    assert.deepEqual(coerceInput('[ ]', 'list'), []);
+    assert.throws(() => coerceInput('[1, 2', 'list'), { message: /^Invalid list input/ });
+    assert.throws(() => coerceInput('1,,2', 'list'), { message: /^Invalid list input/ });
+  });
+});
+
+describe('createQueueInputProvider', () => {
+  it('answers requests in order as text until the queue runs out', async () => {
+    const provider = createQueueInputProvider([5, null, 'x']);
+
+    assert.equal(await provider.read(request('number')), '5');
+    assert.equal(await provider.read(request('string')), '');
+    assert.equal(provider.remaining(), 1);
+    assert.equal(await provider.read(request('string')), 'x');
+    await assert.rejects(provider.read(request('decimal')), { message: 'No scripted input left for input(decimal)' });
+  });
+});
+
+describe('createConsoleInputProvider', () => {
+  it('waits for the console to submit an answer', async () => {
+    const requests = [];
+    const provider = createConsoleInputProvider({ onRequest: (pending) => requests.push(pending) });
+
+    assert.equal(provider.submit('too early'), false);
+    const answer = provider.read(request('number', 'Age? '));
+    assert.equal(provider.isWaiting(), true);
+    assert.deepEqual(requests.map(({ prompt }) => prompt), ['Age? ']);
+    assert.equal(provider.submit('30'), true);
+    assert.equal(await answer, '30');
+    assert.equal(provider.isWaiting(), false);
+  });
+
+  it('fails the pending request when cancelled', async () => {
+    const provider = createConsoleInputProvider();
+    const answer = provider.read(request('string'));
+
+    assert.equal(provider.cancel(), true);
+    await assert.rejects(answer, { message: 'Input was cancelled' });
+    assert.equal(provider.cancel(), false);
+  });
+});
+
+describe('createStdinInputProvider', () => {
+  it('reads one line per request, writing prompts to the output', async () => {
+    const input = new PassThrough();
+    const output = new PassThrough({ encoding: 'utf8' });
+    const provider = createStdinInputProvider(input, output);
+
+    const first = provider.read(request('string', 'Name: '));
+    input.write('Ada\r\nLove');
+    assert.equal(await first, 'Ada');
+    const second = provider.read(request('string'));
+    input.end('lace\n');
+    assert.equal(await second, 'Lovelace');
+    assert.equal(output.read(), 'Name: ');
+  });
+
+  it('keeps a last line without a newline and then fails at the end of the input', async () => {
+    const input = new PassThrough();
+    const provider = createStdinInputProvider(input);
+    input.end('7');
+
+    assert.equal(await provider.read(request('number')), '7');
+    await assert.rejects(provider.read(request('number')), { message: 'Unexpected end of input while reading number' });
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { lexicalAnalyzer } from '../../shared/lexicalScanner.js';
+import { syntaxAnalyzer } from '../src/core/SyntaxAnalysis.js';
+import { executeProgram } from '../src/core/Interpreter.js';
+
+const parse = (source) => syntaxAnalyzer(lexicalAnalyzer(source)).ast;
+
+describe('executeProgram', () => {
+  it('prints decimal expressions with a fractional part', async () => {
+    const result = await executeProgram(parse('start\n  decimal d = 2\n  echo d + 1\n  echo 7 / 7\n  echo 7 // 7\n  echo 2 + 1\nend'));
+    assert.deepEqual(result.output, ['3.0', '1.0', '1', '3']);
+  });
+
+  it('reads and assigns elements of nested lists', async () => {
+    const result = await executeProgram(parse('start\n  list of list of number mm = [[1, 2], [3]]\n  mm[1][0] += 4\n  mm[0][1]++\n  echo mm[1][0]\n  echo mm\nend'));
+    assert.deepEqual(result.output, ['7', '[[1, 3], [7]]']);
+  });
+
+  it('calls the function defined in the innermost scope around the call', async () => {
+    const source = [
+      'start',
+      '  function number helper()', '    return 1', '  end function',
+      '  function number first()',
+      '    function number helper()', '      return 10', '    end function',
+      '    return helper()',
+      '  end function',
+      '  function number second()', '    return helper()', '  end function',
+      '  echo first()', '  echo second()', '  echo helper()',
+      'end',
+    ].join('\n');
+    const result = await executeProgram(parse(source));
+    assert.deepEqual(result.output, ['10', '1', '1']);
+  });
+
+  it('creates structs defined in a function, with defaults evaluated in that call', async () => {
+    const source = [
+      'start',
+      '  function string label(number base)',
+      '    data struct Point {', '      number x = base * 2', '    }',
+      '    Point p = new Point()',
+      '    return "x=" + p.x',
+      '  end function',
+      '  echo label(2)', '  echo label(5)',
+      'end',
+    ].join('\n');
+    const result = await executeProgram(parse(source));
+    assert.deepEqual(result.output, ['x=4', 'x=10']);
+  });
+
+  it('lets timers run while a loop is executing', async () => {
+    let ticks = 0;
+    const timer = setInterval(() => ticks++, 0);
+    const result = await executeProgram(parse('start\n  number n = 0\n  while n < 100000\n    n += 1\n  end while\n  echo n\nend'));
+    clearInterval(timer);
+
+    assert.deepEqual(result.output, ['100000']);
+    assert.ok(ticks > 0);
+  });
+
+  it('stops an endless loop when its signal is aborted', async () => {
+    const controller = new AbortController();
+    setTimeout(() => controller.abort('Program was stopped'), 20);
+    const result = await executeProgram(parse('start\n  while true\n    echo 1\n  end while\nend'), {
+      signal: controller.signal,
+    });
+
+    assert.equal(result.success, false);
+    assert.equal(result.errors[0].message, 'Runtime Error: Program was stopped');
+  });
+});
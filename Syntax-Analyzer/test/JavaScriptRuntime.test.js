@@ -0,0 +1,19 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { read, RuntimeError } from '../src/core/JavaScriptRuntime.js';
+import { createQueueInputProvider } from '../src/core/InputProviders.js';
+
+describe('read', () => {
+  it('converts the text it reads to the requested type', async () => {
+    assert.equal(await read(createQueueInputProvider(['42']), 'number', '', 4, 3), 42);
+  });
+
+  it('positions invalid input at the input statement', async () => {
+    await assert.rejects(read(createQueueInputProvider(['abc']), 'number', '', 4, 3), RuntimeError);
+    await assert.rejects(read(createQueueInputProvider(['abc']), 'number', '', 4, 3), { line: 4, column: 3 });
+  });
+
+  it('positions running out of input at the input statement', async () => {
+    await assert.rejects(read(createQueueInputProvider([]), 'decimal', '', 7, 5), { line: 7, column: 5 });
+  });
+});
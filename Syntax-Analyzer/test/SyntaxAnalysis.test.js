@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { lexicalAnalyzer } from '../../shared/lexicalScanner.js';
+import { syntaxAnalyzer } from '../src/core/SyntaxAnalysis.js';
+import { childNodes } from '../src/core/ASTBuilder.js';
+
+const analyze = (source) => syntaxAnalyzer(lexicalAnalyzer(source));
+
+const unranged = (node, found = []) => {
+  if (!node.range) found.push(node.type);
+  for (const child of childNodes(node)) unranged(child, found);
+  return found;
+};
+
+describe('syntaxAnalyzer ranges', () => {
+  it('gives every node a range, including empty lists', () => {
+    const { ast } = analyze('start\n  function f()\n    echo []\n  end function\n  f()\nend');
+    assert.deepEqual(unranged(ast), []);
+  });
+
+  it('places an empty parameter list at its closing parenthesis', () => {
+    const { ast } = analyze('start\n  function f()\n  end function\nend');
+    const { range } = ast.statements.statements[0].parameters;
+    assert.deepEqual([range.line, range.column, range.start, range.end], [2, 14, 19, 19]);
+  });
+});
+
+describe('syntaxAnalyzer types', () => {
+  const messages = (source) => analyze(source).errors.map(error => error.message);
+
+  it('types powers with a negative constant exponent as decimal', () => {
+    const source = 'start\n  number n = 2\n  number a = n ^ -1\n  n ^= -1\n  decimal c = n ^ (-1)\nend';
+    assert.deepEqual(messages(source), Array(2).fill("Type Error: Cannot assign 'decimal' to variable of type 'number'"));
+  });
+
+  it('names the list element in element assignment errors', () => {
+    const source = 'start\n  list of number xs = [1]\n  list of list of number mm = [[1]]\n  xs[0] = "s"\n  mm[0][0] = "s"\nend';
+    assert.deepEqual(messages(source), [
+      "Type Error: Cannot assign 'string' to element of 'xs' of type 'number'",
+      "Type Error: Cannot assign 'string' to element of 'mm[0]' of type 'number'",
+    ]);
+  });
+
+  it('types chained indexes with the nested element type', () => {
+    const { ast, errors } = analyze('start\n  list of list of number mm = [[1, 2], [3]]\n  echo mm[1][0]\n  echo mm[1][0][0]\nend');
+    const [, echo] = ast.statements.statements;
+    assert.equal(echo.args[0].inferredType, 'number');
+    assert.deepEqual(errors.map(error => error.message), ["Type Error: 'mm[1][0]' is a 'number' and cannot be indexed."]);
+  });
+
+  it('keeps other powers of numbers as number', () => {
+    const { ast, errors } = analyze('start\n  number n = 2\n  number k = 3\n  number a = n ^ 2\n  number b = n ^ k\n  n ^= k\n  echo 2 ^ (3)\nend');
+    assert.deepEqual(errors, []);
+    assert.equal(ast.statements.statements[5].args[0].inferredType, 'number');
+  });
+});
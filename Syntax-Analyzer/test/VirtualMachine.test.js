@@ -0,0 +1,63 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { lexicalAnalyzer } from '../../shared/lexicalScanner.js';
+import { syntaxAnalyzer } from '../src/core/SyntaxAnalysis.js';
+import { compileToBytecode } from '../src/core/BytecodeCompiler.js';
+import { executeBytecode } from '../src/core/VirtualMachine.js';
+import { DEFAULT_LIMITS } from '../src/core/ExecutionLimits.js';
+import { createQueueInputProvider } from '../src/core/InputProviders.js';
+
+const compile = (source) => compileToBytecode(syntaxAnalyzer(lexicalAnalyzer(source)).ast);
+
+describe('executeBytecode', () => {
+  it('resumes calls and loops after the pauses it takes', async () => {
+    const program = compile('start\n  function number twice(number n)\n    return n * 2\n  end function\n  number total = 0\n  number i\n  for i = 1 to 30000\n    total += twice(i)\n  end for\n  string name\n  name = input(string)\n  echo total\n  echo name\nend');
+    const result = await executeBytecode(program, { input: createQueueInputProvider(['ada']) });
+
+    assert.deepEqual(result.output, ['900030000', 'ada']);
+  });
+
+  it('stops unbounded recursion at the call depth limit', async () => {
+    const program = compile('start\n  function number r(number n)\n    return r(n + 1)\n  end function\n  echo r(0)\nend');
+    const result = await executeBytecode(program, { limits: DEFAULT_LIMITS });
+
+    assert.equal(result.success, false);
+    assert.equal(result.errors[0].category, 'Limit');
+    assert.equal(result.errors[0].limit, 'maxCallDepth');
+    assert.equal(result.errors[0].message, "Execution Limit: Call depth exceeded 1000 in 'r'; check for unbounded recursion");
+    assert.equal(result.errors[0].line, 3);
+  });
+
+  it('stops an endless loop at the step limit, positioned at the loop', async () => {
+    const program = compile('start\n  number n = 0\n  while true\n    n += 1\n  end while\nend');
+    const result = await executeBytecode(program, { limits: { ...DEFAULT_LIMITS, maxSteps: 500 } });
+
+    assert.equal(result.errors[0].limit, 'maxSteps');
+    assert.deepEqual([result.errors[0].line, result.errors[0].column], [3, 3]);
+  });
+
+  it('checks list sizes and output against their limits', async () => {
+    const lists = await executeBytecode(compile('start\n  number xs[20]\n  echo xs\nend'), {
+      limits: { ...DEFAULT_LIMITS, maxListSize: 10 },
+    });
+    const output = await executeBytecode(compile('start\n  echo "abc"\n  echo "abc"\nend'), {
+      limits: { ...DEFAULT_LIMITS, maxOutputBytes: 6 },
+    });
+
+    assert.equal(lists.errors[0].limit, 'maxListSize');
+    assert.deepEqual(output.output, ['abc']);
+    assert.equal(output.errors[0].limit, 'maxOutputBytes');
+  });
+
+  it('stops an endless loop when its signal is aborted', async () => {
+    const controller = new AbortController();
+    setTimeout(() => controller.abort('Program was stopped'), 20);
+    const result = await executeBytecode(compile('start\n  while true\n    echo 1\n  end while\nend'), {
+      signal: controller.signal,
+    });
+
+    assert.equal(result.success, false);
+    assert.equal(result.errors[0].message, 'Runtime Error: Program was stopped');
+    assert.equal(result.errors[0].line, 2);
+  });
+});
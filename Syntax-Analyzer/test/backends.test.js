@@ -0,0 +1,96 @@
+import { before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { lexicalAnalyzer } from '../../shared/lexicalScanner.js';
+import { syntaxAnalyzer } from '../src/core/SyntaxAnalysis.js';
+import { executeProgram } from '../src/core/Interpreter.js';
+import { transpileToJavaScript } from '../src/core/JavaScriptGenerator.js';
+import { transpileToPython } from '../src/core/PythonGenerator.js';
+import { compileToBytecode } from '../src/core/BytecodeCompiler.js';
+import { executeBytecode } from '../src/core/VirtualMachine.js';
+import { createQueueInputProvider } from '../src/core/InputProviders.js';
+import { getAllSamples } from '../src/data/codeSamples.js';
+
+// Every backend must print what the interpreter prints for the valid samples, given the same input.
+const INPUTS = ['5', '2.5', 'hello', 'true', '3', '7'];
+const RUNTIME_URL = new URL('../src/core/JavaScriptRuntime.js', import.meta.url).href;
+const hasPython = !spawnSync('python3', ['--version']).error;
+
+// Behavior the samples do not cover, by what it exercises
+const PROGRAMS = {
+  'a for loop whose body changes its variable':
+    'start\n  number k\n  for k = 1 to 5\n    k = k + 1\n    echo k\n  end for\nend',
+  'continue in a for loop whose body changes its variable':
+    'start\n  number j\n  for j = 10 to 1 by 0 - 3\n    if j == 7\n      j--\n      continue\n    end if\n    echo j\n  end for\nend',
+  'fractional powers':
+    'start\n  decimal r = (0 - 8) ^ (1 / 3)\n  decimal q = 2\n  q ^= 0.5\n  echo r\n  echo q\n  echo (0 - 8) ^ 2\nend',
+  'number input that is not a whole number':
+    'start\n  number a\n  number b\n  a = input(number)\n  echo a\n  b = input(number)\n  echo b\nend',
+};
+
+const runJavaScript = async (ast) => {
+  const { code } = transpileToJavaScript(ast, { runtimeImport: RUNTIME_URL });
+  const { default: program } = await import(`data:text/javascript,${encodeURIComponent(code)}`);
+  const output = [];
+  try {
+    await program({ write: (line) => output.push(line), input: createQueueInputProvider(INPUTS) });
+    return { output, success: true };
+  } catch {
+    return { output, success: false };
+  }
+};
+
+const spawnPython = (ast) => spawnSync('python3', ['-c', transpileToPython(ast).code], {
+  input: `${INPUTS.join('\n')}\n`,
+  encoding: 'utf8',
+  timeout: 20000,
+});
+
+const runPython = (ast) => {
+  const run = spawnPython(ast);
+  const output = run.stdout.replace(/\n$/, '');
+  return { output: output ? output.split('\n') : [], success: run.status === 0 };
+};
+
+const runBytecode = async (ast) => {
+  const { output, success } = await executeBytecode(compileToBytecode(ast), { input: createQueueInputProvider(INPUTS) });
+  return { output, success };
+};
+
+const cases = [
+  ...getAllSamples().filter(({ id }) => id.startsWith('valid')).map(({ id, content }) => [id, content]),
+  ...Object.entries(PROGRAMS),
+];
+
+for (const [name, source] of cases) {
+  describe(`backends agree on ${name}`, () => {
+    const { ast, errors } = syntaxAnalyzer(lexicalAnalyzer(source));
+    let expected;
+
+    before(async () => {
+      assert.deepEqual(errors, []);
+      const { output, success } = await executeProgram(ast, { input: createQueueInputProvider(INPUTS) });
+      expected = { output, success };
+    });
+
+    it('compiled JavaScript', async () => {
+      assert.deepEqual(await runJavaScript(ast), expected);
+    });
+
+    it('compiled Python', { skip: !hasPython && 'python3 is not installed' }, () => {
+      assert.deepEqual(runPython(ast), expected);
+    });
+
+    it('bytecode on the virtual machine', async () => {
+      assert.deepEqual(await runBytecode(ast), expected);
+    });
+  });
+}
+
+describe('compiled Python input', { skip: !hasPython && 'python3 is not installed' }, () => {
+  it('rejects text that is not a whole number with the interpreter\'s message', () => {
+    const { ast } = syntaxAnalyzer(lexicalAnalyzer(PROGRAMS['number input that is not a whole number']));
+    const run = spawnPython(ast);
+    assert.match(run.stderr, /ValueError: Invalid number input '2\.5': expected a whole number such as 42\n$/);
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'node:stream';
+import { Connection, MESSAGE_TYPE, encodeMessage, readMessages } from '../../lsp/connection.js';
+
+// A connection wired to in-memory streams; `received` resolves with the next message the server writes.
+const connect = () => {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  const connection = new Connection(input, output);
+  const received = () => new Promise((resolve) => {
+    const reader = new PassThrough();
+    readMessages(reader, resolve);
+    output.once('data', (chunk) => reader.write(chunk));
+  });
+  const send = (message) => input.write(encodeMessage({ jsonrpc: '2.0', ...message }));
+  return { connection, send, received };
+};
+
+describe('Connection', () => {
+  it('logs errors thrown by notification handlers', async () => {
+    const { connection, send, received } = connect();
+    connection.onNotification('textDocument/didOpen', () => {
+      throw new Error('analysis failed');
+    });
+
+    const message = received();
+    send({ method: 'textDocument/didOpen', params: {} });
+    const { method, params } = await message;
+
+    assert.equal(method, 'window/logMessage');
+    assert.equal(params.type, MESSAGE_TYPE.ERROR);
+    assert.match(params.message, /^Error handling textDocument\/didOpen: Error: analysis failed/);
+  });
+
+  it('keeps serving requests after a notification handler fails', async () => {
+    const { connection, send, received } = connect();
+    connection.onNotification('initialized', () => Promise.reject(new Error('boom')));
+    connection.onRequest('shutdown', () => null);
+
+    let message = received();
+    send({ method: 'initialized', params: {} });
+    assert.equal((await message).method, 'window/logMessage');
+
+    message = received();
+    send({ id: 1, method: 'shutdown' });
+    assert.deepEqual(await message, { jsonrpc: '2.0', id: 1, result: null });
+  });
+});
@@ -0,0 +1,126 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { execPath } from 'node:process';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../../bin/echo.js', import.meta.url));
+
+const directory = mkdtempSync(join(tmpdir(), 'echo-cli-'));
+after(() => rmSync(directory, { recursive: true, force: true }));
+
+// Runs the command line in the temporary directory: { status, stdout, stderr }
+const echo = (args, input = '') =>
+  spawnSync(execPath, [CLI, ...args], { cwd: directory, input, encoding: 'utf8', timeout: 30000 });
+
+const program = (...lines) => `start\n${lines.map(line => `    ${line}`).join('\n')}\nend\n`;
+
+// Writes a file into the temporary directory and returns its name
+const file = (name, content) => {
+  writeFileSync(join(directory, name), content);
+  return name;
+};
+
+const FORMATTED = program('number x = 1', 'echo x');
+const UNDECLARED = program('echo missing');
+const MAYBE_ASSIGNED = program('number x', 'boolean b = true', 'if b', '    x = 1', 'end if', 'echo x');
+
+describe('echo check', () => {
+  it('prints diagnostics as file:line:column and exits 1 when any file has errors', () => {
+    const result = echo(['check', file('fine.echo', FORMATTED), file('undeclared.echo', UNDECLARED)]);
+
+    assert.equal(result.status, 1);
+    assert.equal(result.stdout, "undeclared.echo:2:10: error: Variable 'missing' is used but not declared.\n");
+  });
+
+  it('exits 0 when a file only has warnings', () => {
+    const result = echo(['check', file('maybe.echo', MAYBE_ASSIGNED)]);
+
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /^maybe\.echo:7:10: warning: Variable 'x' may be used before initialization/);
+  });
+
+  it('reports each file as JSON with --json', () => {
+    const result = echo(['check', '--json', file('undeclared.echo', UNDECLARED)]);
+    const [report] = JSON.parse(result.stdout);
+
+    assert.equal(report.file, 'undeclared.echo');
+    assert.deepEqual(report.diagnostics.map(({ line, column, severity }) => [line, column, severity]), [[2, 10, 'error']]);
+  });
+
+  it('reads standard input without a file', () => {
+    const result = echo(['check'], UNDECLARED);
+
+    assert.equal(result.status, 1);
+    assert.match(result.stdout, /^<stdin>:2:10: error:/);
+  });
+});
+
+describe('echo run', () => {
+  const doubled = program('number n', 'n = input(number, "n? ")', 'echo n * 2');
+
+  it('reads input() from standard input with every backend', () => {
+    for (const args of [[], ['--target', 'vm'], ['--target', 'js']]) {
+      const result = echo(['run', ...args, file('double.echo', doubled)], '21\n');
+      assert.deepEqual([result.status, result.stdout, result.stderr], [0, 'n? 42\n', ''], args.join(' '));
+    }
+  });
+
+  it('reports runtime errors at their position and exits 1', () => {
+    const result = echo(['run'], program('number d = 0', 'echo 5 / d'));
+
+    assert.equal(result.status, 1);
+    assert.equal(result.stderr, '<stdin>:3:12: error: Runtime Error: Division by zero\n');
+  });
+
+  it('does not run programs with errors', () => {
+    const result = echo(['run', file('undeclared.echo', UNDECLARED)]);
+
+    assert.equal(result.status, 1);
+    assert.equal(result.stdout, '');
+  });
+
+  it('stops at the execution limits given with --limit', () => {
+    const result = echo(['run', '--limit', 'maxSteps=1000'], program('number i = 0', 'while true', '    i += 1', 'end while'));
+
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /error: Execution Limit: Program exceeded 1000 steps/);
+  });
+});
+
+describe('echo fmt', () => {
+  const unformatted = 'start\necho   1\nend\n';
+
+  it('lists unformatted files with --check and exits 1 without changing them', () => {
+    const result = echo(['fmt', '--check', file('formatted.echo', FORMATTED), file('messy.echo', unformatted)]);
+
+    assert.deepEqual([result.status, result.stdout], [1, 'messy.echo\n']);
+    assert.equal(readFileSync(join(directory, 'messy.echo'), 'utf8'), unformatted);
+    assert.equal(echo(['fmt', '--check', 'formatted.echo']).status, 0);
+  });
+
+  it('rewrites files in place and formats standard input to standard output', () => {
+    assert.equal(echo(['fmt', file('messy.echo', unformatted)]).status, 0);
+    assert.equal(readFileSync(join(directory, 'messy.echo'), 'utf8'), 'start\n    echo 1\nend\n');
+    assert.deepEqual(echo(['fmt', '--indent', '2'], unformatted).stdout, 'start\n  echo 1\nend\n');
+  });
+});
+
+describe('echo usage errors', () => {
+  it('exits 2 for unknown commands, bad options and unreadable files', () => {
+    const unknown = echo(['frobnicate']);
+    assert.equal(unknown.status, 2);
+    assert.match(unknown.stderr, /^Unknown command 'frobnicate'\n\nUsage: echo <command>/);
+
+    const absent = echo(['check', 'absent.echo']);
+    assert.equal(absent.status, 2);
+    assert.match(absent.stderr, /^Cannot read absent\.echo: ENOENT/);
+
+    assert.equal(echo(['run', 'a.echo', 'b.echo']).stderr, "'run' takes a single file\n");
+    assert.equal(echo(['run', '--limit', 'bogus=1'], FORMATTED).status, 2);
+    assert.equal(echo(['fmt', '--indent', '0'], FORMATTED).status, 2);
+  });
+});
@@ -0,0 +1,91 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ScriptedClient } from '../../lsp/client.js';
+
+const URI = 'file:///workspace/program.echo';
+const textDocument = { uri: URI };
+
+const SOURCE = [
+  'start',
+  '  data struct Point {',
+  '    number x = 0',
+  '  }',
+  '  number total = 0',
+  '  function number add(number n)',
+  '    total += n',
+  '    return total',
+  '  end function',
+  '  echo "sum @total"',
+  '  echo add(2)',
+  'end',
+].join('\n');
+
+// Ranges as "line:character-line:character", 0-based like the protocol
+const span = ({ start, end }) => `${start.line}:${start.character}-${end.line}:${end.character}`;
+
+const diagnosticsOf = ({ diagnostics }) => diagnostics.map(({ range, severity, message }) => `${span(range)} ${severity} ${message}`);
+
+const at = (line, character) => ({ textDocument, position: { line, character } });
+
+describe('language server', () => {
+  let client;
+
+  before(async () => {
+    client = new ScriptedClient();
+    await assert.rejects(client.request('textDocument/hover', at(0, 0)), { message: 'Server is not initialized' });
+
+    const { capabilities } = await client.request('initialize', { processId: null, rootUri: null, capabilities: {} });
+    assert.deepEqual(capabilities, { textDocumentSync: 1, documentSymbolProvider: true, hoverProvider: true, definitionProvider: true });
+    client.notify('initialized', {});
+    client.notify('textDocument/didOpen', { textDocument: { uri: URI, languageId: 'echo', version: 1, text: SOURCE } });
+    assert.deepEqual(await client.waitFor('textDocument/publishDiagnostics'), { uri: URI, version: 1, diagnostics: [] });
+  });
+
+  after(async () => {
+    assert.equal(await client.close(), 0);
+  });
+
+  it('lists functions with their parameters and structs with their fields as symbols', async () => {
+    const symbols = await client.request('textDocument/documentSymbol', { textDocument });
+    const outline = (symbol) => [symbol.name, symbol.detail, symbol.kind, span(symbol.selectionRange), ...(symbol.children || []).map(outline)];
+
+    assert.deepEqual(symbols.map(outline), [
+      ['Point', 'data struct', 23, '1:14-1:19', ['x', 'number', 8, '2:11-2:12']],
+      ['add', 'function number add(number n)', 12, '5:18-5:21', ['n', 'number', 13, '5:29-5:30']],
+    ]);
+  });
+
+  it('shows the declared type of a variable and the signature of a function on hover', async () => {
+    const variable = await client.request('textDocument/hover', at(6, 5));
+    const call = await client.request('textDocument/hover', at(10, 8));
+
+    assert.deepEqual([variable.contents.value, span(variable.range)], ['```echo\nnumber total\n```', '6:4-6:9']);
+    assert.deepEqual([call.contents.value, span(call.range)], ['```echo\nfunction number add(number n)\n```', '10:7-10:10']);
+    assert.equal(await client.request('textDocument/hover', at(0, 1)), null);
+  });
+
+  it('goes to the declaration of identifiers and @name markers in strings', async () => {
+    const fromCall = await client.request('textDocument/definition', at(10, 8));
+    const fromMarker = await client.request('textDocument/definition', at(9, 14));
+
+    assert.deepEqual([fromCall.uri, span(fromCall.range)], [URI, '5:18-5:21']);
+    assert.deepEqual([fromMarker.uri, span(fromMarker.range)], [URI, '4:9-4:14']);
+    assert.equal(await client.request('textDocument/definition', at(11, 0)), null);
+  });
+
+  it('publishes errors and warnings again when the document changes, and clears them on close', async () => {
+    const text = 'start\n  number x\n  boolean b = true\n  if b\n    x = 1\n  end if\n  echo x\n  echo missing\nend';
+    client.notify('textDocument/didChange', { textDocument: { uri: URI, version: 2 }, contentChanges: [{ text }] });
+    const published = await client.waitFor('textDocument/publishDiagnostics');
+
+    assert.equal(published.version, 2);
+    assert.deepEqual(diagnosticsOf(published), [
+      "7:7-7:14 1 Variable 'missing' is used but not declared.",
+      "6:7-6:8 2 Variable 'x' may be used before initialization; not every path to this use assigns it.",
+    ]);
+
+    client.notify('textDocument/didClose', { textDocument });
+    assert.deepEqual(await client.waitFor('textDocument/publishDiagnostics'), { uri: URI, diagnostics: [] });
+    assert.equal(await client.request('textDocument/documentSymbol', { textDocument }), null);
+  });
+});
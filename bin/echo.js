@@ -0,0 +1,491 @@
+#!/usr/bin/env node
+/**
+ * ECHO Command-Line Tool
+ *
+ * Runs the language tooling outside the browser, on `.echo` files or standard input:
+ *
+ *   echo lex   [file]      Token dump
+ *   echo parse [file]      AST as JSON
+ *   echo check [files...]  Diagnostics; exits 1 when any file has errors
+ *   echo run   [file]      Executes the program or `.echob` file; `input()` reads lines from standard input.
+ *                          The interpreter and the VM run within DEFAULT_LIMITS unless --limit changes them
+ *   echo compile [file]    Compiles the program to a JavaScript module with a source map, to Python
+ *                          or to a `.echob` bytecode file
+ *   echo disasm [file]     Lists the bytecode compiled from a program or stored in a `.echob` file
+ *   echo fmt   [files...]  Formats files in place, or lists unformatted files with --check
+ *   echo lsp               Language server over standard input and output (see lsp/server.js)
+ *
+ * A missing file argument or `-` reads the program from standard input. Exit codes are 0 on
+ * success, 1 when the program has errors (or is unformatted under `fmt --check`) and 2 for usage
+ * and file errors. The commands share the scanner and analyzer with the two web apps.
+ */
+
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { basename, dirname, join, relative, resolve } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { lexicalAnalyzer } from '../shared/lexicalScanner.js';
+import { TOKEN_TYPES } from '../shared/tokenTypes.js';
+import { syntaxAnalyzer } from '../Syntax-Analyzer/src/core/SyntaxAnalysis.js';
+import { executeProgram } from '../Syntax-Analyzer/src/core/Interpreter.js';
+import { DEFAULT_LIMITS } from '../Syntax-Analyzer/src/core/ExecutionLimits.js';
+import { createStdinInputProvider } from '../Syntax-Analyzer/src/core/InputProviders.js';
+import { formatCode, DEFAULT_FORMAT_OPTIONS } from '../Syntax-Analyzer/src/core/Formatter.js';
+import { transpileToJavaScript } from '../Syntax-Analyzer/src/core/JavaScriptGenerator.js';
+import { transpileToPython } from '../Syntax-Analyzer/src/core/PythonGenerator.js';
+import { compileToBytecode } from '../Syntax-Analyzer/src/core/BytecodeCompiler.js';
+import { executeBytecode } from '../Syntax-Analyzer/src/core/VirtualMachine.js';
+import { disassemble } from '../Syntax-Analyzer/src/core/Disassembler.js';
+import {
+  BytecodeError, deserializeBytecode, isBytecode, serializeBytecode
+} from '../Syntax-Analyzer/src/core/Bytecode.js';
+import { CompileError } from '../Syntax-Analyzer/src/core/CompileError.js';
+import { startLanguageServer } from '../lsp/server.js';
+
+const EXIT = {
+  OK: 0,
+  ERRORS: 1,
+  USAGE: 2,
+};
+
+const STDIN = '-';
+
+const JAVASCRIPT_RUNTIME = fileURLToPath(new URL('../Syntax-Analyzer/src/core/JavaScriptRuntime.js', import.meta.url));
+
+const USAGE = `Usage: echo <command> [options] [file...]
+
+Commands:
+  lex [file]         Print the tokens of a program
+  parse [file]       Print the abstract syntax tree as JSON
+  check [files...]   Report errors and warnings
+  run [file]         Run a program or .echob file; input() reads lines from standard input
+  compile [file]     Compile a program to JavaScript, Python or bytecode (printed, or written with -o)
+  disasm [file]      List the bytecode of a program or .echob file
+  fmt [files...]     Format files in place (standard input is written to standard output)
+  lsp                Start the language server on standard input and output
+
+Options:
+  --json             lex, check: print JSON instead of text
+  --check            fmt: list files that are not formatted instead of rewriting them
+  --indent <n>       fmt: spaces per indentation level (default ${DEFAULT_FORMAT_OPTIONS.indentWidth})
+  --max-line <n>     fmt: wrap lines longer than this (default ${DEFAULT_FORMAT_OPTIONS.maxLineLength})
+  --target <name>    compile: js (default), py or echob; run: js or vm runs the compiled program
+  --limit <name=n>   run: change an execution limit of the interpreter or vm, or turn it off with
+                     n = none; names: ${Object.keys(DEFAULT_LIMITS).join(', ')} (repeatable)
+  -o, --output <f>   compile: write the code to <f> (and a JavaScript source map to <f>.map)
+  -h, --help         Show this help
+
+Without a file, or with "-", the program is read from standard input.`;
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+// --- Input ---
+
+const readSource = (file) => {
+  try {
+    return readFileSync(file === STDIN ? 0 : file, 'utf8');
+  } catch (error) {
+    throw new UsageError(`Cannot read ${file === STDIN ? 'standard input' : file}: ${error.message}`);
+  }
+};
+
+const displayName = (file) => (file === STDIN ? '<stdin>' : file);
+
+// Reads a file that may hold either ECHO source or bytecode: { source } or { program }.
+const readProgramFile = (file) => {
+  let bytes;
+  try {
+    bytes = readFileSync(file === STDIN ? 0 : file);
+  } catch (error) {
+    throw new UsageError(`Cannot read ${file === STDIN ? 'standard input' : file}: ${error.message}`);
+  }
+  if (!isBytecode(bytes)) return { source: bytes.toString('utf8') };
+
+  try {
+    return { program: deserializeBytecode(bytes) };
+  } catch (error) {
+    if (!(error instanceof BytecodeError)) throw error;
+    throw new UsageError(`Cannot load ${displayName(file)}: ${error.message}`);
+  }
+};
+
+const parseCount = (value, option) => {
+  if (value === undefined) return undefined;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1) throw new UsageError(`--${option} expects a positive whole number`);
+  return count;
+};
+
+/*
+Execution limits for `run`: DEFAULT_LIMITS with every `--limit name=n` applied
+
+@param {Array} values - Values of the --limit options
+@returns {Object} Limits; a limit set to `none` is null, which turns it off
+*/
+const parseLimits = (values = []) => {
+  const limits = { ...DEFAULT_LIMITS };
+  for (const value of values) {
+    const [name, count] = value.split('=');
+    if (!Object.hasOwn(DEFAULT_LIMITS, name) || count === undefined) {
+      throw new UsageError(`--limit expects <name>=<n> with a name among ${Object.keys(DEFAULT_LIMITS).join(', ')}`);
+    }
+    limits[name] = count === 'none' ? null : parseCount(count, 'limit');
+  }
+  return limits;
+};
+
+// --- Diagnostics ---
+
+/*
+Lexes and analyzes a program, collecting every diagnostic
+
+Scanner errors are reported by the analyzer when it reaches the rejected token; any it does not
+reach are added here so none are lost.
+
+@param {string} source - Program text
+@returns {Object} { tokens, result, diagnostics } with diagnostics sorted by position
+*/
+const analyze = (source) => {
+  const tokens = lexicalAnalyzer(source);
+  const result = syntaxAnalyzer(tokens);
+  const reported = new Set(result.errors.map(error => `${error.line}:${error.column}`));
+
+  const lexical = tokens
+    .filter(token => token.type === TOKEN_TYPES.UNKNOWN || token.type === TOKEN_TYPES.ERROR)
+    .filter(token => !reported.has(`${token.line}:${token.column}`))
+    .map(token => ({
+      line: token.line,
+      column: token.column,
+      message: token.message || `Unknown token: '${token.lexeme}'`,
+      severity: 'error'
+    }));
+
+  const diagnostics = [...lexical, ...result.errors, ...result.warnings]
+    .sort((a, b) => a.line - b.line || a.column - b.column);
+  return { tokens, result, diagnostics };
+};
+
+const hasErrors = (diagnostics) => diagnostics.some(diagnostic => diagnostic.severity !== 'warning');
+
+const formatDiagnostic = (file, { line, column, severity, message }) =>
+  `${displayName(file)}:${line || 1}:${column || 1}: ${severity || 'error'}: ${message}`;
+
+const reportDiagnostics = (file, diagnostics) => {
+  diagnostics.forEach(diagnostic => console.error(formatDiagnostic(file, diagnostic)));
+};
+
+// Trivia is already visible in the token positions, and scopes link back to their parents.
+const AST_HIDDEN_KEYS = new Set(['scope', 'leadingTrivia', 'trailingTrivia']);
+
+const astReplacer = (key, value) => (AST_HIDDEN_KEYS.has(key) ? undefined : value);
+
+// --- Commands ---
+
+const lex = ([file = STDIN], options) => {
+  const tokens = lexicalAnalyzer(readSource(file));
+  if (options.json) {
+    console.log(JSON.stringify(tokens, null, 2));
+  } else {
+    tokens.forEach(token => {
+      const position = `${token.line}:${token.column}`.padEnd(8);
+      const note = token.message ? `  (${token.message})` : '';
+      console.log(`${position} ${token.type.padEnd(20)} ${JSON.stringify(token.text)}${note}`);
+    });
+  }
+  return tokens.some(token => token.type === TOKEN_TYPES.UNKNOWN || token.type === TOKEN_TYPES.ERROR)
+    ? EXIT.ERRORS
+    : EXIT.OK;
+};
+
+const parse = ([file = STDIN]) => {
+  const { result, diagnostics } = analyze(readSource(file));
+  console.log(JSON.stringify(result.ast, astReplacer, 2));
+  reportDiagnostics(file, diagnostics);
+  return hasErrors(diagnostics) ? EXIT.ERRORS : EXIT.OK;
+};
+
+const check = (files, options) => {
+  const reports = (files.length ? files : [STDIN]).map(file => ({
+    file: displayName(file),
+    diagnostics: analyze(readSource(file)).diagnostics
+  }));
+
+  if (options.json) {
+    console.log(JSON.stringify(reports, null, 2));
+  } else {
+    reports.forEach(({ file, diagnostics }) => {
+      diagnostics.forEach(diagnostic => console.log(formatDiagnostic(file, diagnostic)));
+    });
+  }
+  return reports.some(({ diagnostics }) => hasErrors(diagnostics)) ? EXIT.ERRORS : EXIT.OK;
+};
+
+// Parses and checks a program for `run` and `compile`; returns the AST, or null after reporting errors.
+const checkedProgram = (file, source) => {
+  const { result, diagnostics } = analyze(source);
+  reportDiagnostics(file, diagnostics);
+  return !result.success || !result.ast || hasErrors(diagnostics) ? null : result.ast;
+};
+
+// Runs a code generator; a CompileError is reported as a diagnostic and gives null.
+const generate = (file, generator) => {
+  try {
+    return generator();
+  } catch (error) {
+    if (!(error instanceof CompileError)) throw error;
+    reportDiagnostics(file, [{ line: error.line, column: error.column, message: error.message }]);
+    return null;
+  }
+};
+
+// Module specifier for the runtime as seen from the directory of a generated file.
+const runtimeImportFrom = (directory) => {
+  const path = relative(directory, JAVASCRIPT_RUNTIME).split('\\').join('/');
+  return path.startsWith('.') ? path : `./${path}`;
+};
+
+// ECHO position of an error thrown by compiled code, from the first stack frame in the module.
+const sourcePositionOf = (error, moduleUrl, map) => {
+  const frame = String(error?.stack).split('\n').find(text => text.includes(moduleUrl));
+  const match = frame && /:(\d+):(\d+)\)?$/.exec(frame);
+  const position = match && map.originalPositionFor(Number(match[1]) - 1, Number(match[2]) - 1);
+  return position ? { line: position.line + 1, column: position.column + 1 } : { line: 0, column: 0 };
+};
+
+// Compiles to a temporary module and runs it; runtime errors are reported at ECHO positions.
+const runCompiled = async (file, source, ast) => {
+  const directory = mkdtempSync(join(tmpdir(), 'echo-'));
+  const modulePath = join(directory, 'program.mjs');
+  const moduleUrl = pathToFileURL(modulePath).href;
+  const { code, map } = transpileToJavaScript(ast, {
+    source,
+    sourceName: displayName(file),
+    fileName: 'program.mjs',
+    runtimeImport: pathToFileURL(JAVASCRIPT_RUNTIME).href,
+    inlineSourceMap: true,
+  });
+
+  try {
+    writeFileSync(modulePath, code);
+    const { default: program } = await import(moduleUrl);
+    await program({
+      write: (line) => process.stdout.write(`${line}\n`),
+      input: createStdinInputProvider(process.stdin, process.stdout),
+    });
+    return EXIT.OK;
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    // Runtime helpers such as read() know the ECHO position; other errors are mapped from the stack
+    const position = error?.line ? { line: error.line, column: error.column } : sourcePositionOf(error, moduleUrl, map);
+    reportDiagnostics(file, [{ ...position, message: `Runtime Error: ${message}` }]);
+    return EXIT.ERRORS;
+  } finally {
+    rmSync(directory, { recursive: true, force: true });
+  }
+};
+
+const run = async ([file = STDIN], options) => {
+  if (options.target !== undefined && !['js', 'vm'].includes(options.target)) {
+    throw new UsageError(`'run' cannot run target '${options.target}'; use js or vm`);
+  }
+
+  const { source, program } = readProgramFile(file);
+  const settings = {
+    onOutput: (line) => process.stdout.write(`${line}\n`),
+    input: createStdinInputProvider(process.stdin, process.stdout),
+    limits: parseLimits(options.limit)
+  };
+
+  let execution;
+  if (program) {
+    execution = await executeBytecode(program, settings);
+  } else {
+    const ast = checkedProgram(file, source);
+    if (!ast) return EXIT.ERRORS;
+    if (options.target === 'js') return runCompiled(file, source, ast);
+
+    if (options.target === 'vm') {
+      const compiled = generate(file, () => compileToBytecode(ast, { sourceName: displayName(file) }));
+      if (!compiled) return EXIT.ERRORS;
+      execution = await executeBytecode(compiled, settings);
+    } else {
+      execution = await executeProgram(ast, settings);
+    }
+  }
+
+  reportDiagnostics(file, execution.errors);
+  return execution.success ? EXIT.OK : EXIT.ERRORS;
+};
+
+// Code generators by --target name; `options` gives the generator options for an output file,
+// or for standard output when there is none.
+const TARGETS = {
+  js: {
+    transpile: transpileToJavaScript,
+    // Printed code carries its source map inline and imports the runtime by absolute URL
+    options: (output) => (output
+      ? { fileName: basename(output), runtimeImport: runtimeImportFrom(dirname(output)), sourceMapUrl: `${basename(output)}.map` }
+      : { fileName: 'program.js', runtimeImport: pathToFileURL(JAVASCRIPT_RUNTIME).href, inlineSourceMap: true }),
+  },
+  py: {
+    transpile: transpileToPython,
+    options: () => ({}),
+  },
+  echob: {
+    transpile: (ast, { sourceName }) => ({ code: serializeBytecode(compileToBytecode(ast, { sourceName })) }),
+    options: () => ({}),
+  },
+};
+
+const compile = ([file = STDIN], options) => {
+  const target = TARGETS[options.target ?? 'js'];
+  if (!target) throw new UsageError(`Unknown target '${options.target}'; expected ${Object.keys(TARGETS).join(', ')}`);
+
+  const source = readSource(file);
+  const ast = checkedProgram(file, source);
+  if (!ast) return EXIT.ERRORS;
+
+  const output = options.output ? resolve(options.output) : null;
+  // Source maps name the ECHO file relative to the map
+  const sourceName = output && file !== STDIN
+    ? relative(dirname(output), resolve(file)).split('\\').join('/')
+    : displayName(file);
+
+  const compiled = generate(file, () => target.transpile(ast, { source, sourceName, ...target.options(output) }));
+  if (!compiled) return EXIT.ERRORS;
+
+  if (!output) {
+    process.stdout.write(compiled.code);
+    return EXIT.OK;
+  }
+  try {
+    writeFileSync(output, compiled.code);
+    if (compiled.map) writeFileSync(`${output}.map`, `${compiled.map.toString()}\n`);
+  } catch (error) {
+    throw new UsageError(`Cannot write ${options.output}: ${error.message}`);
+  }
+  return EXIT.OK;
+};
+
+// Bytecode listing; compiled programs show their source lines next to the instructions.
+const disasm = ([file = STDIN]) => {
+  const { source, program } = readProgramFile(file);
+  if (program) {
+    process.stdout.write(disassemble(program));
+    return EXIT.OK;
+  }
+
+  const ast = checkedProgram(file, source);
+  if (!ast) return EXIT.ERRORS;
+  const compiled = generate(file, () => compileToBytecode(ast, { sourceName: displayName(file) }));
+  if (!compiled) return EXIT.ERRORS;
+  process.stdout.write(disassemble(compiled, { source }));
+  return EXIT.OK;
+};
+
+const fmt = (files, options) => {
+  const settings = {
+    indentWidth: parseCount(options.indent, 'indent'),
+    maxLineLength: parseCount(options['max-line'], 'max-line')
+  };
+  Object.keys(settings).forEach(key => settings[key] === undefined && delete settings[key]);
+
+  let status = EXIT.OK;
+  for (const file of files.length ? files : [STDIN]) {
+    const source = readSource(file);
+    const result = formatCode(source, settings);
+    if (!result.formatted) {
+      reportDiagnostics(file, result.errors);
+      status = EXIT.ERRORS;
+    } else if (options.check) {
+      if (result.code !== source) {
+        console.log(displayName(file));
+        status = EXIT.ERRORS;
+      }
+    } else if (file === STDIN) {
+      process.stdout.write(result.code);
+    } else if (result.code !== source) {
+      writeFileSync(file, result.code);
+    }
+  }
+  return status;
+};
+
+// Runs until the client sends `exit` or closes the stream; the server ends the process itself.
+const lsp = () => new Promise(() => {
+  startLanguageServer();
+});
+
+const COMMANDS = { lex, parse, check, run, compile, disasm, fmt, lsp };
+
+const SINGLE_FILE_COMMANDS = new Set(['lex', 'parse', 'run', 'compile', 'disasm']);
+
+// --- Entry Point ---
+
+/*
+Runs one command line
+
+@param {Array} argv - Arguments after the executable and script name
+@returns {Promise<number>} Process exit code
+*/
+const main = async (argv) => {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        json: { type: 'boolean' },
+        check: { type: 'boolean' },
+        indent: { type: 'string' },
+        'max-line': { type: 'string' },
+        target: { type: 'string' },
+        limit: { type: 'string', multiple: true },
+        output: { type: 'string', short: 'o' },
+        // Editors start language servers with --stdio; it is the only transport
+        stdio: { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT.USAGE;
+  }
+
+  const [name, ...files] = parsed.positionals;
+  if (parsed.values.help) {
+    console.log(USAGE);
+    return EXIT.OK;
+  }
+  const command = COMMANDS[name];
+  if (!command) {
+    console.error(`${name ? `Unknown command '${name}'` : 'Missing command'}\n\n${USAGE}`);
+    return EXIT.USAGE;
+  }
+  if (SINGLE_FILE_COMMANDS.has(name) && files.length > 1) {
+    console.error(`'${name}' takes a single file`);
+    return EXIT.USAGE;
+  }
+
+  try {
+    return await command(files, parsed.values);
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    console.error(error.message);
+    return EXIT.USAGE;
+  }
+};
+
+// A reader that stops early (`echo lex big.echo | head`) is not an error
+process.stdout.on('error', (error) => {
+  if (error.code !== 'EPIPE') throw error;
+  process.exit(process.exitCode ?? EXIT.OK);
+});
+
+process.exitCode = await main(process.argv.slice(2));
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/**
+ * Scripted LSP Client
+ *
+ * Drives the language server the way an editor would, for trying it out without one:
+ *
+ *   node lsp/client.js program.echo [line:column ...]
+ *
+ * Starts `bin/echo.js lsp`, opens the file, prints the published diagnostics and the document
+ * symbols, then hover and definition results for each 1-based `line:column`, and shuts the
+ * server down. Every response is printed as JSON. The tests drive the server with the same
+ * ScriptedClient.
+ */
+
+import { spawn } from 'node:child_process';
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { encodeMessage, readMessages } from './connection.js';
+
+const SERVER = fileURLToPath(new URL('../bin/echo.js', import.meta.url));
+
+// Minimal client: numbered requests resolved by id, notifications collected by method.
+export class ScriptedClient {
+  constructor() {
+    this.server = spawn(process.execPath, [SERVER, 'lsp', '--stdio'], { stdio: ['pipe', 'pipe', 'inherit'] });
+    this.nextId = 1;
+    this.pending = new Map();
+    this.notifications = [];
+    this.waiters = [];
+
+    readMessages(this.server.stdout, (message) => {
+      if (message?.id !== undefined && this.pending.has(message.id)) {
+        const { resolve: done, reject } = this.pending.get(message.id);
+        this.pending.delete(message.id);
+        if (message.error) reject(new Error(message.error.message));
+        else done(message.result);
+      } else if (message?.method) {
+        const waiter = this.waiters.findIndex(({ method }) => method === message.method);
+        if (waiter >= 0) this.waiters.splice(waiter, 1)[0].done(message.params);
+        else this.notifications.push(message);
+      }
+    });
+  }
+
+  request(method, params) {
+    const id = this.nextId++;
+    this.server.stdin.write(encodeMessage({ jsonrpc: '2.0', id, method, params }));
+    return new Promise((done, reject) => this.pending.set(id, { resolve: done, reject }));
+  }
+
+  notify(method, params) {
+    this.server.stdin.write(encodeMessage({ jsonrpc: '2.0', method, params }));
+  }
+
+  // Resolves with the next notification for `method`, already received or still to come, that no
+  // earlier call has returned.
+  waitFor(method) {
+    const index = this.notifications.findIndex(message => message.method === method);
+    if (index >= 0) return Promise.resolve(this.notifications.splice(index, 1)[0].params);
+    return new Promise((done) => this.waiters.push({ method, done }));
+  }
+
+  async close() {
+    await this.request('shutdown');
+    this.notify('exit');
+    return new Promise((done) => this.server.on('exit', done));
+  }
+}
+
+const parsePosition = (argument) => {
+  const [line, column] = argument.split(':').map(Number);
+  if (!Number.isInteger(line) || !Number.isInteger(column) || line < 1 || column < 1) {
+    throw new Error(`Expected a position as line:column, got '${argument}'`);
+  }
+  return { line: line - 1, character: column - 1 };
+};
+
+const print = (label, value) => console.log(`${label}\n${JSON.stringify(value, null, 2)}\n`);
+
+const main = async ([file, ...positions]) => {
+  if (!file) {
+    console.error('Usage: node lsp/client.js <file.echo> [line:column ...]');
+    return 2;
+  }
+
+  let requested;
+  try {
+    requested = positions.map(argument => [argument, parsePosition(argument)]);
+  } catch (error) {
+    console.error(error.message);
+    return 2;
+  }
+
+  const text = readFileSync(file, 'utf8');
+  const uri = pathToFileURL(resolve(file)).href;
+  const textDocument = { uri };
+  const client = new ScriptedClient();
+
+  try {
+    print('initialize', await client.request('initialize', { processId: process.pid, rootUri: null, capabilities: {} }));
+    client.notify('initialized', {});
+    client.notify('textDocument/didOpen', { textDocument: { uri, languageId: 'echo', version: 1, text } });
+    print('textDocument/publishDiagnostics', await client.waitFor('textDocument/publishDiagnostics'));
+    print('textDocument/documentSymbol', await client.request('textDocument/documentSymbol', { textDocument }));
+
+    for (const [argument, position] of requested) {
+      print(`textDocument/hover ${argument}`, await client.request('textDocument/hover', { textDocument, position }));
+      print(`textDocument/definition ${argument}`, await client.request('textDocument/definition', { textDocument, position }));
+    }
+  } finally {
+    const code = await client.close();
+    if (code !== 0) console.error(`Server exited with code ${code}`);
+  }
+  return 0;
+};
+
+// Only when run as a script, not when imported for its client
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  process.exitCode = await main(process.argv.slice(2));
+}
@@ -0,0 +1,168 @@
+/**
+ * JSON-RPC Connection
+ *
+ * The message layer of the Language Server Protocol: JSON-RPC 2.0 messages framed by a
+ * `Content-Length` header, read from and written to a pair of Node streams (standard input and
+ * output for an editor, or pipes for a scripted client).
+ */
+
+const HEADER_SEPARATOR = '\r\n\r\n';
+
+// Standard JSON-RPC error codes, plus the LSP code for requests received before `initialize`.
+export const ERROR_CODES = {
+  PARSE_ERROR: -32700,
+  METHOD_NOT_FOUND: -32601,
+  INTERNAL_ERROR: -32603,
+  SERVER_NOT_INITIALIZED: -32002,
+};
+
+// `type` of a window/logMessage notification.
+export const MESSAGE_TYPE = {
+  ERROR: 1,
+  WARNING: 2,
+  INFO: 3,
+  LOG: 4,
+};
+
+export class ResponseError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ResponseError';
+    this.code = code;
+  }
+}
+
+// Splits the incoming byte stream into message bodies; a message may arrive in several chunks.
+class MessageReader {
+  constructor(onMessage) {
+    this.onMessage = onMessage;
+    this.buffer = Buffer.alloc(0);
+  }
+
+  push(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    for (;;) {
+      const headerEnd = this.buffer.indexOf(HEADER_SEPARATOR);
+      if (headerEnd === -1) return;
+
+      const header = this.buffer.subarray(0, headerEnd).toString('ascii');
+      const length = Number(/Content-Length:\s*(\d+)/i.exec(header)?.[1]);
+      const bodyStart = headerEnd + HEADER_SEPARATOR.length;
+      if (Number.isNaN(length)) {
+        // Drop a header without a length; there is no way to find its body
+        this.buffer = this.buffer.subarray(bodyStart);
+        continue;
+      }
+      if (this.buffer.length < bodyStart + length) return;
+
+      const body = this.buffer.subarray(bodyStart, bodyStart + length).toString('utf8');
+      this.buffer = this.buffer.subarray(bodyStart + length);
+      this.onMessage(body);
+    }
+  }
+}
+
+/*
+Encodes one message with its header
+
+@param {Object} message - JSON-RPC message
+@returns {string} Framed message ready to write
+*/
+export const encodeMessage = (message) => {
+  const body = JSON.stringify(message);
+  return `Content-Length: ${Buffer.byteLength(body, 'utf8')}${HEADER_SEPARATOR}${body}`;
+};
+
+/*
+Listens for framed messages on a readable stream
+
+@param {Object} input - Readable stream
+@param {Function} onMessage - Called with each parsed message, or with null for a body that is not JSON
+*/
+export const readMessages = (input, onMessage) => {
+  const reader = new MessageReader((body) => {
+    let message = null;
+    try {
+      message = JSON.parse(body);
+    } catch {
+      // Reported to the handler as null
+    }
+    onMessage(message);
+  });
+  input.on('data', (chunk) => reader.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)));
+};
+
+// Server side of a connection: dispatches requests and notifications to registered handlers.
+export class Connection {
+  constructor(input, output) {
+    this.output = output;
+    this.requestHandlers = new Map();
+    this.notificationHandlers = new Map();
+    this.closeHandlers = [];
+
+    readMessages(input, (message) => this.dispatch(message));
+    input.on('end', () => this.closeHandlers.forEach(handler => handler()));
+  }
+
+  onRequest(method, handler) {
+    this.requestHandlers.set(method, handler);
+  }
+
+  onNotification(method, handler) {
+    this.notificationHandlers.set(method, handler);
+  }
+
+  onClose(handler) {
+    this.closeHandlers.push(handler);
+  }
+
+  sendNotification(method, params) {
+    this.write({ jsonrpc: '2.0', method, params });
+  }
+
+  write(message) {
+    this.output.write(encodeMessage(message));
+  }
+
+  async dispatch(message) {
+    if (!message) {
+      this.write({ jsonrpc: '2.0', id: null, error: { code: ERROR_CODES.PARSE_ERROR, message: 'Invalid JSON' } });
+      return;
+    }
+
+    const { id, method, params } = message;
+    // Responses to server-initiated requests are not used
+    if (!method) return;
+
+    if (id === undefined) {
+      // Unknown notifications are ignored, as the protocol requires
+      const handler = this.notificationHandlers.get(method);
+      if (!handler) return;
+      try {
+        await handler(params);
+      } catch (error) {
+        // A notification has no response to carry the error, so it goes to the client's log
+        this.sendNotification('window/logMessage', {
+          type: MESSAGE_TYPE.ERROR,
+          message: `Error handling ${method}: ${error?.stack || error}`,
+        });
+      }
+      return;
+    }
+
+    const handler = this.requestHandlers.get(method);
+    if (!handler) {
+      this.write({ jsonrpc: '2.0', id, error: { code: ERROR_CODES.METHOD_NOT_FOUND, message: `Unhandled method ${method}` } });
+      return;
+    }
+
+    try {
+      const result = await handler(params);
+      this.write({ jsonrpc: '2.0', id, result: result ?? null });
+    } catch (error) {
+      const code = error instanceof ResponseError ? error.code : ERROR_CODES.INTERNAL_ERROR;
+      this.write({ jsonrpc: '2.0', id, error: { code, message: error.message } });
+    }
+  }
+}
@@ -0,0 +1,308 @@
+/**
+ * ECHO Language Server
+ *
+ * Language Server Protocol support for editors, built on the scanner and analyzer the web apps
+ * use. Open documents are re-analyzed on every change (full text sync) and the server provides:
+ *
+ * - Diagnostics: the analyzer's errors and warnings, published after each change
+ * - Document symbols: functions and `data struct`s, with their parameters and fields
+ * - Hover: the declared type of a variable, parameter, function or struct
+ * - Go to definition: for identifiers and `@name` insertions inside strings
+ *
+ * Positions are converted through token offsets, so tabs and multi-byte text map to the
+ * UTF-16 character positions the protocol expects.
+ */
+
+import { lexicalAnalyzer } from '../shared/lexicalScanner.js';
+import { TOKEN_TYPES } from '../shared/tokenTypes.js';
+import { syntaxAnalyzer } from '../Syntax-Analyzer/src/core/SyntaxAnalysis.js';
+import { AST_NODE_TYPES, childNodes } from '../Syntax-Analyzer/src/core/ASTBuilder.js';
+import { SYMBOL_KINDS } from '../Syntax-Analyzer/src/core/SymbolTable.js';
+import { writtenType } from '../Syntax-Analyzer/src/core/TypeRules.js';
+import { Connection, ResponseError, ERROR_CODES } from './connection.js';
+
+// Protocol constants used by the server (see the LSP specification).
+const TEXT_DOCUMENT_SYNC_FULL = 1;
+
+const DIAGNOSTIC_SEVERITY = {
+  ERROR: 1,
+  WARNING: 2,
+};
+
+const SYMBOL_KIND = {
+  FIELD: 8,
+  FUNCTION: 12,
+  VARIABLE: 13,
+  STRUCT: 23,
+};
+
+// --- Documents ---
+
+const lineStartsOf = (text) => {
+  const starts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') starts.push(i + 1);
+  }
+  return starts;
+};
+
+// A document's text with its analysis, rebuilt whenever the text changes.
+class EchoDocument {
+  constructor(uri, text, version) {
+    this.uri = uri;
+    this.version = version;
+    this.text = text;
+    this.lineStarts = lineStartsOf(text);
+    this.tokens = lexicalAnalyzer(text).filter(token =>
+      token.type !== TOKEN_TYPES.COMMENT_SINGLE && token.type !== TOKEN_TYPES.COMMENT_MULTI);
+    this.analysis = syntaxAnalyzer(this.tokens);
+
+    // The declaration each identifier refers to, keyed by the identifier's offset
+    this.references = new Map(this.analysis.symbolTable.references.map(({ token, symbol }) => [token.start, symbol]));
+  }
+
+  positionAt(offset) {
+    let low = 0;
+    let high = this.lineStarts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (this.lineStarts[middle] <= offset) low = middle;
+      else high = middle - 1;
+    }
+    return { line: low, character: offset - this.lineStarts[low] };
+  }
+
+  offsetAt({ line, character }) {
+    if (line >= this.lineStarts.length) return this.text.length;
+    const lineEnd = line + 1 < this.lineStarts.length ? this.lineStarts[line + 1] : this.text.length;
+    return Math.min(this.lineStarts[line] + character, lineEnd);
+  }
+
+  rangeOf(start, end) {
+    return { start: this.positionAt(start), end: this.positionAt(end) };
+  }
+
+  // Identifier or `@name` token under the cursor; a cursor just after a name still selects it.
+  nameTokenAt(position) {
+    const offset = this.offsetAt(position);
+    const isName = (token) => token.type === TOKEN_TYPES.IDENTIFIER || token.type === TOKEN_TYPES.SIS_MARKER;
+    return this.tokens.find(token => isName(token) && token.start <= offset && offset < token.end)
+      || this.tokens.find(token => isName(token) && token.end === offset)
+      || null;
+  }
+}
+
+// `@name` markers may include the opening quote; the name is always at the end of the token.
+const nameOf = (token) =>
+  (token.type === TOKEN_TYPES.SIS_MARKER ? token.lexeme.slice(token.lexeme.indexOf('@') + 1) : token.lexeme);
+
+const nameRange = (document, token) => document.rangeOf(token.end - nameOf(token).length, token.end);
+
+// --- Features ---
+
+const toDiagnostic = (document, entry, severity) => {
+  const range = entry.range
+    ? document.rangeOf(entry.range.start, entry.range.end)
+    : { start: { line: entry.line - 1, character: entry.column - 1 }, end: { line: entry.line - 1, character: entry.column } };
+  return { range, severity, source: 'echo', message: entry.message };
+};
+
+const signatureText = (signature) =>
+  `function ${writtenType(signature.returnType)} ${signature.name}(${signature.params.map(param => `${writtenType(param.type)} ${param.name}`).join(', ')})`;
+
+const SYMBOL_LABELS = {
+  [SYMBOL_KINDS.PARAMETER]: '(parameter) ',
+  [SYMBOL_KINDS.ITERATOR]: '(iterator) ',
+};
+
+// Declaration as it would be written in ECHO.
+const describeSymbol = (symbol, functionTable) => {
+  if (symbol.kind === SYMBOL_KINDS.FUNCTION) {
+    const signature = functionTable.get(symbol.name);
+    return signature ? signatureText(signature) : `function ${symbol.name}`;
+  }
+  if (symbol.kind === SYMBOL_KINDS.STRUCT) return `data struct ${symbol.name}`;
+  return `${SYMBOL_LABELS[symbol.kind] || ''}${writtenType(symbol.type)} ${symbol.name}`;
+};
+
+// Type as written in the source; `list of T` nodes spell out their element type.
+const typeDetail = (typeNode) => (typeNode?.elementType ? writtenType(typeNode.inferredType) : typeNode?.name || '');
+
+// Fields of a struct in the outline.
+const fieldSymbols = (document, fieldList) =>
+  (fieldList?.fields || []).filter(field => field.identifier?.token && field.range).map(field => ({
+    name: field.identifier.name,
+    detail: field.type === AST_NODE_TYPES.SCHEMA_BINDING
+      ? `${typeDetail(field.dataType)}${field.bindingClause ? ` (${field.bindingClause.value})` : ''}`
+      : typeDetail(field.dataType),
+    kind: SYMBOL_KIND.FIELD,
+    range: document.rangeOf(field.range.start, field.range.end),
+    selectionRange: nameRange(document, field.identifier.token),
+  }));
+
+/*
+Builds the outline of a document: functions and structs, nested as in the source
+
+@param {EchoDocument} document - Analyzed document
+@param {Object} node - Node to search, the program by default
+@returns {Array} LSP DocumentSymbol list
+*/
+const documentSymbols = (document, node = document.analysis.ast) => {
+  if (!node) return [];
+  return childNodes(node).flatMap(child => {
+    const name = child.name?.token;
+    if (child.type === AST_NODE_TYPES.FUNCTION_DEF && name && child.range) {
+      const signature = document.analysis.functionTable.get(name.lexeme);
+      const parameters = (child.parameters?.params || []).filter(param => param.name?.token).map(param => ({
+        name: param.name.name,
+        detail: typeDetail(param.dataType),
+        kind: SYMBOL_KIND.VARIABLE,
+        range: document.rangeOf(param.range.start, param.range.end),
+        selectionRange: nameRange(document, param.name.token),
+      }));
+      return [{
+        name: name.lexeme,
+        detail: signature ? signatureText(signature) : '',
+        kind: SYMBOL_KIND.FUNCTION,
+        range: document.rangeOf(child.range.start, child.range.end),
+        selectionRange: nameRange(document, name),
+        children: [...parameters, ...documentSymbols(document, child)],
+      }];
+    }
+    if (child.type === AST_NODE_TYPES.DATA_STRUCT && name && child.range) {
+      return [{
+        name: name.lexeme,
+        detail: 'data struct',
+        kind: SYMBOL_KIND.STRUCT,
+        range: document.rangeOf(child.range.start, child.range.end),
+        selectionRange: nameRange(document, name),
+        children: fieldSymbols(document, child.fields),
+      }];
+    }
+    return documentSymbols(document, child);
+  });
+};
+
+// The declaration a name refers to; calls may come before the function is defined.
+const resolveName = (document, token) => {
+  const symbol = document.references.get(token.start);
+  if (symbol) return { symbol, token: symbol.token };
+
+  const signature = document.analysis.functionTable.get(nameOf(token));
+  if (signature) return { symbol: { name: signature.name, kind: SYMBOL_KINDS.FUNCTION }, token: signature.token };
+  return null;
+};
+
+// --- Server ---
+
+export class EchoLanguageServer {
+  /*
+  @param {Object} input - Readable stream the client writes to
+  @param {Object} output - Writable stream the client reads from
+  @param {Function} onExit - Called with the process exit code when the client asks the server to exit
+  */
+  constructor(input, output, onExit = () => {}) {
+    this.connection = new Connection(input, output);
+    this.documents = new Map();
+    this.initialized = false;
+    this.shutdownRequested = false;
+    this.onExit = onExit;
+
+    this.registerHandlers();
+  }
+
+  registerHandlers() {
+    const { connection } = this;
+
+    connection.onRequest('initialize', () => {
+      this.initialized = true;
+      return {
+        capabilities: {
+          textDocumentSync: TEXT_DOCUMENT_SYNC_FULL,
+          documentSymbolProvider: true,
+          hoverProvider: true,
+          definitionProvider: true,
+        },
+        serverInfo: { name: 'echo-language-server', version: '0.0.0' },
+      };
+    });
+    connection.onRequest('shutdown', () => {
+      this.shutdownRequested = true;
+      return null;
+    });
+    connection.onNotification('exit', () => this.onExit(this.shutdownRequested ? 0 : 1));
+    connection.onClose(() => this.onExit(this.shutdownRequested ? 0 : 1));
+
+    connection.onNotification('textDocument/didOpen', ({ textDocument }) => {
+      this.update(textDocument.uri, textDocument.text, textDocument.version);
+    });
+    connection.onNotification('textDocument/didChange', ({ textDocument, contentChanges }) => {
+      // Full sync: the last change holds the whole text
+      const change = contentChanges[contentChanges.length - 1];
+      if (change) this.update(textDocument.uri, change.text, textDocument.version);
+    });
+    connection.onNotification('textDocument/didClose', ({ textDocument }) => {
+      this.documents.delete(textDocument.uri);
+      connection.sendNotification('textDocument/publishDiagnostics', { uri: textDocument.uri, diagnostics: [] });
+    });
+
+    connection.onRequest('textDocument/documentSymbol', (params) => {
+      const document = this.document(params);
+      return document ? documentSymbols(document) : null;
+    });
+    connection.onRequest('textDocument/hover', (params) => this.hover(params));
+    connection.onRequest('textDocument/definition', (params) => this.definition(params));
+  }
+
+  document({ textDocument }) {
+    if (!this.initialized) throw new ResponseError(ERROR_CODES.SERVER_NOT_INITIALIZED, 'Server is not initialized');
+    return this.documents.get(textDocument.uri) || null;
+  }
+
+  update(uri, text, version) {
+    const document = new EchoDocument(uri, text, version);
+    this.documents.set(uri, document);
+
+    const { errors, warnings } = document.analysis;
+    this.connection.sendNotification('textDocument/publishDiagnostics', {
+      uri,
+      version,
+      diagnostics: [
+        ...errors.map(error => toDiagnostic(document, error, DIAGNOSTIC_SEVERITY.ERROR)),
+        ...warnings.map(warning => toDiagnostic(document, warning, DIAGNOSTIC_SEVERITY.WARNING)),
+      ],
+    });
+  }
+
+  hover(params) {
+    const document = this.document(params);
+    const token = document?.nameTokenAt(params.position);
+    const resolved = token && resolveName(document, token);
+    if (!resolved) return null;
+
+    return {
+      contents: { kind: 'markdown', value: `\`\`\`echo\n${describeSymbol(resolved.symbol, document.analysis.functionTable)}\n\`\`\`` },
+      range: nameRange(document, token),
+    };
+  }
+
+  definition(params) {
+    const document = this.document(params);
+    const token = document?.nameTokenAt(params.position);
+    const resolved = token && resolveName(document, token);
+    if (!resolved?.token) return null;
+
+    return { uri: document.uri, range: nameRange(document, resolved.token) };
+  }
+}
+
+/*
+Starts a server on a pair of streams
+
+@param {Object} input - Readable stream, standard input by default
+@param {Object} output - Writable stream, standard output by default
+@param {Function} onExit - Receives the exit code requested by the client
+@returns {EchoLanguageServer} The running server
+*/
+export const startLanguageServer = (input = process.stdin, output = process.stdout, onExit = (code) => process.exit(code)) =>
+  new EchoLanguageServer(input, output, onExit);
@@ -1,17 +1,35 @@
-import { TOKEN_TYPES, KEYWORDS } from '../../../shared/tokenTypes.js';
+import { TOKEN_TYPES, KEYWORDS, OPERATORS } from './tokenTypes.js';
 
 /**
  * Lexical Scanner for the ECHO language.
  * Transforms raw source code into a linear sequence of tokens by analyzing characters against grammar rules.
  * Depends on the shared TokenTypes module for token definitions and keyword constants.
+ *
+ * This is the only scanner in the project: the Lexical and Syntax analyzers both tokenize with it,
+ * so they always agree on what a program's tokens are. Malformed input does not stop the scan; it
+ * produces an UNKNOWN token (a character or word outside the language) or an ERROR token (a literal
+ * or comment that was started but not completed), each with a `message` describing the problem.
+ *
+ * Every token records where it starts (`line`, `column`, offset `start`) and where it ends
+ * (`endLine`, `endColumn`, exclusive offset `end`) in the source, and the exact source `text` it
+ * covers (string segments differ from their `lexeme`, which is always wrapped in quotes).
+ *
+ * Nothing in the source is lost. Whitespace, newlines and comments are trivia: each significant
+ * token carries the trivia before it in `leadingTrivia` and the trivia after it on the same line in
+ * `trailingTrivia`, and the final END_OF_FILE token leads with whatever follows the last token.
+ * Printing every significant token's leading trivia, text and trailing trivia in order rebuilds the
+ * source exactly. Comments are still emitted as tokens too, for tools that list them; parsers skip them.
  */
 
 // Core tokenizer engine processing source code into tokens.
 class Lexer {
   constructor(rawCode) {
-    this.code = this.normalize(rawCode);
+    this.code = rawCode || '';
     this.length = this.code.length;
     this.tokens = [];
+    // Trivia scanned since the last significant token, waiting to be attached
+    this.pendingTrivia = [];
+    this.lastSignificant = null;
     this.pos = 0;
     this.line = 1;
     this.column = 1;
@@ -31,10 +49,9 @@ class Lexer {
     };
   }
 
-  normalize(code) {
-    return (code || '')
-      .replace(/\u00A0/g, ' ')
-      .replace(/[\u200B-\u200D\uFEFF]/g, '');
+  // Non-breaking and zero-width spaces pasted from documents count as ordinary whitespace.
+  isWhitespace(c) {
+    return c && /[ \t\r\u00A0\u200B-\u200D\uFEFF]/.test(c);
   }
 
   isLetter(c) {
@@ -66,11 +83,11 @@ class Lexer {
     while (this.pos < this.length) {
       const char = this.peek();
 
-      if (char === '\r') {
-        this.pos++;
+      if (char === '\n' || (char === '\r' && this.peek(1) === '\n')) {
+        this.consumeNewline();
         continue;
       }
-      if (char === ' ' || char === '\t' || char === '\n') {
+      if (this.isWhitespace(char)) {
         this.consumeWhitespace();
         continue;
       }
@@ -128,14 +145,14 @@ class Lexer {
       }
 
       if (this.delimiters[char]) {
-        this.addToken(this.delimiters[char], char);
-        this.advance();
+        this.scanDelimiter();
         continue;
       }
 
       this.handleUnknown();
     }
 
+    this.addToken(TOKEN_TYPES.END_OF_FILE, '');
     return this.tokens;
   }
 
@@ -162,24 +179,80 @@ class Lexer {
     return char;
   }
 
-  addToken(type, lexeme, startLine, startColumn) {
-    this.tokens.push({
+  // Called once the lexeme has been consumed, so the current position is where the token ends.
+  addToken(type, lexeme, startLine, startColumn, startOffset) {
+    const start = startOffset ?? this.pos - lexeme.length;
+    const token = {
       type,
       lexeme,
+      text: this.code.slice(start, this.pos),
       line: startLine || this.line,
-      column: startColumn || (this.column - lexeme.length)
-    });
+      column: startColumn || (this.column - lexeme.length),
+      start,
+      end: this.pos,
+      endLine: this.line,
+      endColumn: this.column
+    };
+
+    if (type === TOKEN_TYPES.COMMENT_SINGLE || type === TOKEN_TYPES.COMMENT_MULTI) {
+      this.addTrivia(type, start);
+    } else {
+      this.attachTrivia(token);
+    }
+    this.tokens.push(token);
+    return token;
+  }
+
+  // UNKNOWN and ERROR tokens carry a message explaining why the text was rejected.
+  addInvalidToken(type, lexeme, message, startLine, startColumn, startOffset) {
+    this.addToken(type, lexeme, startLine, startColumn, startOffset).message = message;
+  }
+
+  // --- Trivia ---
+
+  addTrivia(type, start) {
+    this.pendingTrivia.push({ type, text: this.code.slice(start, this.pos), start, end: this.pos });
+  }
+
+  // The previous token keeps the trivia on the rest of its line, up to and including the newline;
+  // everything after that leads into the new token.
+  attachTrivia(token) {
+    const pending = this.pendingTrivia;
+    let split = 0;
+
+    if (this.lastSignificant) {
+      const newline = pending.findIndex(piece => piece.type === TOKEN_TYPES.NEWLINE);
+      split = newline === -1 ? pending.length : newline + 1;
+      this.lastSignificant.trailingTrivia.push(...pending.slice(0, split));
+    }
+
+    token.leadingTrivia = pending.slice(split);
+    token.trailingTrivia = [];
+    this.pendingTrivia = [];
+    this.lastSignificant = token;
   }
 
   // --- Scanners ---
 
   consumeWhitespace() {
+    const start = this.pos;
+    while (this.isWhitespace(this.peek()) && !(this.peek() === '\r' && this.peek(1) === '\n')) {
+      this.advance();
+    }
+    this.addTrivia(TOKEN_TYPES.WHITESPACE, start);
+  }
+
+  consumeNewline() {
+    const start = this.pos;
+    if (this.peek() === '\r') this.advance();
     this.advance();
+    this.addTrivia(TOKEN_TYPES.NEWLINE, start);
   }
 
   scanSingleLineComment() {
     const startLine = this.line;
     const startColumn = this.column;
+    const startOffset = this.pos;
     let comment = '';
     
     this.advance(); 
@@ -190,12 +263,13 @@ class Lexer {
       comment += this.advance();
     }
     
-    this.addToken(TOKEN_TYPES.COMMENT_SINGLE, comment, startLine, startColumn);
+    this.addToken(TOKEN_TYPES.COMMENT_SINGLE, comment, startLine, startColumn, startOffset);
   }
 
   scanMultiLineComment() {
     const startLine = this.line;
     const startColumn = this.column;
+    const startOffset = this.pos;
     let comment = '/*';
 
     this.advance();
@@ -206,56 +280,56 @@ class Lexer {
         comment += '*/';
         this.advance();
         this.advance();
-        break;
+        this.addToken(TOKEN_TYPES.COMMENT_MULTI, comment, startLine, startColumn, startOffset);
+        return;
       }
       comment += this.advance();
     }
 
-    this.addToken(TOKEN_TYPES.COMMENT_MULTI, comment, startLine, startColumn);
+    this.addInvalidToken(TOKEN_TYPES.ERROR, comment, "Unterminated block comment: missing closing '*/'",
+      startLine, startColumn, startOffset);
   }
 
   scanString() {
     let currentSegment = '';
     let startLine = this.line;
     let startColumn = this.column;
+    let startOffset = this.pos;
 
     this.advance(); // Consume opening quote
 
-    while (this.pos < this.length && this.peek() !== '"') {
+    // Strings end at their closing quote and may not span lines
+    while (this.pos < this.length && this.peek() !== '"' && this.peek() !== '\n') {
       const char = this.peek();
 
       // Handle SIS Interpolation (@variable)
       if (char === '@') {
-        const nextChar = this.peek(1);
-
-        // Error case: Space immediately following SIS marker
-        if (nextChar === ' ') {
-          if (currentSegment.length > 0) {
-            this.addToken(TOKEN_TYPES.STRING_LITERAL, `"${currentSegment}"`, startLine, startColumn);
-            currentSegment = '';
-          }
-          this.addToken(TOKEN_TYPES.UNKNOWN, '@ ', this.line, this.column);
-          this.advance();
-          this.advance();
-          
+        if (currentSegment.length > 0) {
+          this.addToken(TOKEN_TYPES.STRING_LITERAL, `"${currentSegment}"`, startLine, startColumn, startOffset);
+          currentSegment = '';
           startLine = this.line;
           startColumn = this.column;
-          continue;
+          startOffset = this.pos;
         }
 
-        if (currentSegment.length > 0) {
-          this.addToken(TOKEN_TYPES.STRING_LITERAL, `"${currentSegment}"`, startLine, startColumn);
-          currentSegment = '';
+        // With no text segment before it, the marker's token also covers the opening quote
+        if (this.peek(1) === ' ') {
+          // Error case: Space immediately following SIS marker
+          this.advance();
+          this.advance();
+          this.addInvalidToken(TOKEN_TYPES.UNKNOWN, '@ ', 'String insertion marker must be followed by a variable name',
+            startLine, startColumn, startOffset);
+        } else {
+          this.scanSISMarker(startLine, startColumn, startOffset);
         }
 
-        this.scanSISMarker();
-        
         startLine = this.line;
         startColumn = this.column;
+        startOffset = this.pos;
         continue;
       }
 
-      if (char === '\\' && this.peek(1)) {
+      if (char === '\\' && this.peek(1) && this.peek(1) !== '\n') {
         currentSegment += this.advance();
         currentSegment += this.advance();
         continue;
@@ -264,28 +338,22 @@ class Lexer {
       currentSegment += this.advance();
     }
 
-    // Flush remaining segment or handle empty strings
-    // Logic: If previous token was SIS, we need an empty string to close, or if it's literally ""
-    if (currentSegment.length > 0) {
-      this.addToken(TOKEN_TYPES.STRING_LITERAL, `"${currentSegment}"`, startLine, startColumn);
-    } else {
-      const lastToken = this.tokens[this.tokens.length - 1];
-      const isSIS = lastToken && lastToken.type === TOKEN_TYPES.SIS_MARKER;
-      
-      if (this.tokens.length === 0 || isSIS || 
-         (this.tokens.length > 0 && this.tokens[this.tokens.length - 1].lexeme !== `"${currentSegment}"`)) {
-        this.addToken(TOKEN_TYPES.STRING_LITERAL, '""', startLine, startColumn);
-      }
+    if (this.peek() !== '"') {
+      const message = this.peek() === '\n'
+        ? 'Unterminated string literal: newline found before closing quote'
+        : 'Unterminated string literal: missing closing quote (")';
+      this.addInvalidToken(TOKEN_TYPES.ERROR, this.code.slice(startOffset, this.pos), message,
+        startLine, startColumn, startOffset);
+      return;
     }
 
-    if (this.peek() === '"') {
-      this.advance(); // Consume closing quote
-    }
+    this.advance(); // Consume closing quote
+
+    // Flush the remaining segment; an empty one still closes the string (`""` or `"...@name"`)
+    this.addToken(TOKEN_TYPES.STRING_LITERAL, `"${currentSegment}"`, startLine, startColumn, startOffset);
   }
 
-  scanSISMarker() {
-    const startLine = this.line;
-    const startColumn = this.column;
+  scanSISMarker(startLine = this.line, startColumn = this.column, startOffset = this.pos) {
     let lexeme = this.advance();
 
     if (this.isIdentifierStart(this.peek())) {
@@ -294,15 +362,18 @@ class Lexer {
       }
     }
 
-    this.addToken(TOKEN_TYPES.SIS_MARKER, lexeme, startLine, startColumn);
+    this.addToken(TOKEN_TYPES.SIS_MARKER, lexeme, startLine, startColumn, startOffset);
   }
 
   scanNumber() {
     const startLine = this.line;
     const startColumn = this.column;
+    const startOffset = this.pos;
     let num = '';
     let isDecimal = false;
     let hasExponent = false;
+    let fractionDigits = 0;
+    let exponentDigits = 0;
 
     if (['+', '-'].includes(this.peek())) {
       num += this.advance();
@@ -313,6 +384,8 @@ class Lexer {
 
       if (this.isDigit(c)) {
         num += this.advance();
+        if (hasExponent) exponentDigits++;
+        else if (isDecimal) fractionDigits++;
         continue;
       }
 
@@ -337,20 +410,33 @@ class Lexer {
         while (this.isIdentifierPart(this.peek())) {
           num += this.advance();
         }
-        this.addToken(TOKEN_TYPES.UNKNOWN, num, startLine, startColumn);
+        this.addInvalidToken(TOKEN_TYPES.UNKNOWN, num, 'Invalid identifier: names cannot start with a digit',
+          startLine, startColumn, startOffset);
         return;
       }
 
       break;
     }
 
+    if (isDecimal && fractionDigits === 0) {
+      this.addInvalidToken(TOKEN_TYPES.ERROR, num, 'Invalid decimal: must have digits after decimal point',
+        startLine, startColumn, startOffset);
+      return;
+    }
+    if (hasExponent && exponentDigits === 0) {
+      this.addInvalidToken(TOKEN_TYPES.ERROR, num, 'Invalid number: exponent must be followed by digits',
+        startLine, startColumn, startOffset);
+      return;
+    }
+
     const type = (isDecimal || hasExponent) ? TOKEN_TYPES.DECIMAL_LITERAL : TOKEN_TYPES.NUMBER_LITERAL;
-    this.addToken(type, num, startLine, startColumn);
+    this.addToken(type, num, startLine, startColumn, startOffset);
   }
 
   scanIdentifier() {
     const startLine = this.line;
     const startColumn = this.column;
+    const startOffset = this.pos;
     let word = '';
 
     while (this.isIdentifierPart(this.peek())) {
@@ -360,78 +446,43 @@ class Lexer {
     const lowerWord = word.toLowerCase();
     let type = KEYWORDS[lowerWord] || TOKEN_TYPES.IDENTIFIER;
 
-    this.addToken(type, word, startLine, startColumn);
+    this.addToken(type, word, startLine, startColumn, startOffset);
   }
 
   scanOperator() {
     const startLine = this.line;
     const startColumn = this.column;
+    const startOffset = this.pos;
     let run = '';
 
     while (this.operatorChars.has(this.peek())) {
       run += this.advance();
     }
 
-    const singleOps = new Set(["<", ">", "=", "+", "-", "*", "/", "%", "^", "!", "?"]);
-    const doubleOps = new Set([
-      "<=", ">=", "==", "!=",
-      "++", "--",
-      "+=", "-=", "*=", "/=", "%=", "^=",
-      "&&", "||",
-      "//"
-    ]);
-
-    let type = TOKEN_TYPES.UNKNOWN;
-
-    if (run.length === 1 && singleOps.has(run)) {
-      if (run === "=") type = TOKEN_TYPES.OP_ASSIGN;
-      else if (run === "<") type = TOKEN_TYPES.OP_LT;
-      else if (run === ">") type = TOKEN_TYPES.OP_GT;
-      else if (run === "!") type = TOKEN_TYPES.OP_NOT;
-      else if (run === "?") type = TOKEN_TYPES.UNKNOWN;
-      else type = TOKEN_TYPES.OP_ADD;
-    } else if (run.length === 2 && doubleOps.has(run)) {
-      if (run === "<=") type = TOKEN_TYPES.OP_LTE;
-      else if (run === ">=") type = TOKEN_TYPES.OP_GTE;
-      else if (run === "==") type = TOKEN_TYPES.OP_EQ;
-      else if (run === "!=") type = TOKEN_TYPES.OP_NEQ;
-      else if (["++", "--"].includes(run)) type = TOKEN_TYPES.OP_INC;
-      else if (["&&", "||"].includes(run)) type = TOKEN_TYPES.OP_AND;
-      else if (run === "//") type = TOKEN_TYPES.OP_INT_DIV;
-      else type = TOKEN_TYPES.OP_ASSIGN;
-    } 
-
-    // Specific arithmetic mapping correction
-    if (type === TOKEN_TYPES.OP_ADD && run === '*') type = TOKEN_TYPES.OP_MUL;
-    if (type === TOKEN_TYPES.OP_ADD && run === '/') type = TOKEN_TYPES.OP_DIV;
-    if (type === TOKEN_TYPES.OP_ADD && run === '%') type = TOKEN_TYPES.OP_MOD;
-    if (type === TOKEN_TYPES.OP_ADD && run === '^') type = TOKEN_TYPES.OP_EXP;
-    if (type === TOKEN_TYPES.OP_ADD && run === '-') type = TOKEN_TYPES.OP_SUB;
-
-    this.addToken(type, run, startLine, startColumn);
+    const type = OPERATORS[run];
+    if (!type) {
+      this.addInvalidToken(TOKEN_TYPES.UNKNOWN, run, `Unknown operator: ${run}`, startLine, startColumn, startOffset);
+      return;
+    }
+
+    this.addToken(type, run, startLine, startColumn, startOffset);
   }
   
   scanDelimiter() {
-    const char = this.peek();
+    const char = this.advance();
     this.addToken(this.delimiters[char], char);
-    this.advance();
   }
 
   handleUnknown() {
     const char = this.advance();
-    
-    // Explicitly handle Semicolon
-    if (char === ';') {
-      this.addToken(TOKEN_TYPES.UNKNOWN, char);
-      return;
-    }
 
-    if (char === '\\') {
-      this.addToken(TOKEN_TYPES.UNKNOWN, char);
+    // Semicolons are kept as delimiters so the syntax analyzer can explain that ECHO does not use them
+    if (char === ';') {
+      this.addToken(TOKEN_TYPES.DEL_SEMICOLON, char);
       return;
     }
 
-    this.addToken(TOKEN_TYPES.UNKNOWN, char);
+    this.addInvalidToken(TOKEN_TYPES.UNKNOWN, char, `Unrecognized character: ${char}`);
   }
 }
 
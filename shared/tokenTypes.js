@@ -77,6 +77,7 @@ export const TOKEN_TYPES = {
   OP_MUL_ASSIGN: 'OP_MUL_ASSIGN',
   OP_DIV_ASSIGN: 'OP_DIV_ASSIGN',
   OP_MOD_ASSIGN: 'OP_MOD_ASSIGN',
+  OP_EXP_ASSIGN: 'OP_EXP_ASSIGN',
   
   // Operators - Arithmetic
   OP_ADD: 'OP_ADD',
@@ -121,8 +122,9 @@ export const TOKEN_TYPES = {
   DEL_UNDERSCORE: 'DEL_UNDERSCORE',
   DEL_BACKSLASH: 'DEL_BACKSLASH',
   
-  // Whitespace
+  // Trivia (kept on tokens as leadingTrivia/trailingTrivia, never emitted as tokens)
   WHITESPACE: 'WS',
+  NEWLINE: 'NL',
   
   // String Insertion System
   SIS_MARKER: 'SIS_MARKER',
@@ -134,6 +136,7 @@ export const TOKEN_TYPES = {
   // Special
   UNKNOWN: 'UNKNOWN',
   ERROR: 'ERROR',
+  END_OF_FILE: 'EOF',
 };
 
 export const KEYWORDS = {
@@ -199,6 +202,7 @@ export const OPERATORS = {
   '*=': TOKEN_TYPES.OP_MUL_ASSIGN,
   '/=': TOKEN_TYPES.OP_DIV_ASSIGN,
   '%=': TOKEN_TYPES.OP_MOD_ASSIGN,
+  '^=': TOKEN_TYPES.OP_EXP_ASSIGN,
   
   // Arithmetic
   '+': TOKEN_TYPES.OP_ADD,